@@ -1,5 +1,5 @@
 import './App.css';
-import {Routes , Route, Navigate} from 'react-router-dom'
+import {Routes , Route, Navigate, useLocation} from 'react-router-dom'
 import { ToastContainer } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
 
@@ -13,37 +13,82 @@ import EditService from './pages/EditService/EditService';
 import EditIndustry from './pages/EditIndustry/EditIndustry';
 import EditVacancy from './pages/EditVacancy/EditVacancy';
 import Applicants from './pages/Applicants/Applicants';
+import Pipeline from './pages/Pipeline/Pipeline';
+import Duplicates from './pages/Duplicates/Duplicates';
+import Interviews from './pages/Interviews/Interviews';
+import EmailTemplates from './pages/EmailTemplates/EmailTemplates';
 import PostVacancy from './pages/PostVacancy/PostVacancy';
 import ManageVacancies from './pages/ManageVacancies/ManageVacancies';
+import JobTemplates from './pages/JobTemplates/JobTemplates';
 import ManageClients from './pages/ManageClients/ManageClients';
+import ManageAdmins from './pages/ManageAdmins/ManageAdmins';
+import ManagePipelines from './pages/ManagePipelines/ManagePipelines';
+import ClientPortal from './pages/ClientPortal/ClientPortal';
+import ClientDetail from './pages/ClientDetail/ClientDetail';
+import Placements from './pages/Placements/Placements';
+import Invoice from './pages/Invoice/Invoice';
+import Dashboard from './pages/Dashboard/Dashboard';
 import Login from './pages/Login/Login';
+import RequirePermission from './components/RequirePermission/RequirePermission';
+import AccessDenied from './components/AccessDenied/AccessDenied';
 import { AuthProvider, AuthContext } from './context/AuthContext';
 import { useContext } from 'react';
+import { API_URL } from './api/apiClient';
+import { getLandingRoute, DASHBOARD_PERMISSIONS } from './utils/navigation';
+import { PERMISSIONS } from './utils/permissions';
 
-// Use environment variable for API URL, default to local backend
-// For production, set REACT_APP_API_URL in .env file
-const url = process.env.REACT_APP_API_URL || "http://localhost:4000";
+// Base URL is still passed down for static assets (images, uploaded resumes);
+// API requests go through the shared client in src/api
+const url = API_URL;
 
 function AppRoutes() {
+  const { hasPermission } = useContext(AuthContext);
+  const landingRoute = getLandingRoute(hasPermission);
+
+  // Routes the admin's role does not cover render AccessDenied instead
+  const guard = (permission, element) => (
+    <RequirePermission permission={permission} fallback={<AccessDenied />}>
+      {element}
+    </RequirePermission>
+  );
 
   return (
     <Routes>
-      <Route path='/add-service' element = {<AddService url = {url} />} />
-      <Route path='/list-services' element = {<ListService url = {url} />} />
-      <Route path='/edit-service/:id' element = {<EditService url = {url} />} />
-      <Route path='/add-industry' element = {<AddInudstry url = {url} />} />
-      <Route path='/list-industries' element = {<ListIndustries url = {url} />} />
-      <Route path='/edit-industry/:id' element = {<EditIndustry url = {url} />} />
-      <Route path='/cvs' element = {<Applicants url = {url} />} />
-      <Route path='/post-vacancy' element = {<PostVacancy url = {url} />} />
-      <Route path='/manage-vacancies' element = {<ManageVacancies url = {url} />} />
-      <Route path='/edit-vacancy/:id' element = {<EditVacancy url = {url} />} />
-      <Route path='/manage-clients' element = {<ManageClients url = {url} />} />
-      {/* <Route path="*" element={<Navigate to="/list-services" replace />} /> */}
+      <Route path='/dashboard' element = {guard(DASHBOARD_PERMISSIONS, <Dashboard />)} />
+      <Route path='/add-service' element = {guard(PERMISSIONS.SERVICES_MANAGE, <AddService url = {url} />)} />
+      <Route path='/list-services' element = {guard(PERMISSIONS.SERVICES_MANAGE, <ListService url = {url} />)} />
+      <Route path='/edit-service/:id' element = {guard(PERMISSIONS.SERVICES_MANAGE, <EditService url = {url} />)} />
+      <Route path='/add-industry' element = {guard(PERMISSIONS.INDUSTRIES_MANAGE, <AddInudstry url = {url} />)} />
+      <Route path='/list-industries' element = {guard(PERMISSIONS.INDUSTRIES_MANAGE, <ListIndustries url = {url} />)} />
+      <Route path='/edit-industry/:id' element = {guard(PERMISSIONS.INDUSTRIES_MANAGE, <EditIndustry url = {url} />)} />
+      <Route path='/cvs' element = {guard(PERMISSIONS.APPLICATIONS_VIEW, <Applicants url = {url} />)} />
+      <Route path='/duplicates' element = {guard(PERMISSIONS.CANDIDATES_MERGE, <Duplicates />)} />
+      <Route path='/pipeline' element = {guard(PERMISSIONS.APPLICATIONS_VIEW, <Pipeline />)} />
+      <Route path='/interviews' element = {guard(PERMISSIONS.APPLICATIONS_VIEW, <Interviews />)} />
+      <Route path='/manage-pipelines' element = {guard(PERMISSIONS.PIPELINES_MANAGE, <ManagePipelines />)} />
+      <Route path='/email-templates' element = {guard(PERMISSIONS.EMAIL_TEMPLATES_MANAGE, <EmailTemplates />)} />
+      <Route path='/post-vacancy' element = {guard(PERMISSIONS.VACANCIES_MANAGE, <PostVacancy url = {url} />)} />
+      <Route path='/manage-vacancies' element = {guard(PERMISSIONS.VACANCIES_VIEW, <ManageVacancies url = {url} />)} />
+      <Route path='/job-templates' element = {guard(PERMISSIONS.VACANCIES_MANAGE, <JobTemplates />)} />
+      <Route path='/edit-vacancy/:id' element = {guard(PERMISSIONS.VACANCIES_MANAGE, <EditVacancy url = {url} />)} />
+      <Route path='/manage-clients' element = {guard(PERMISSIONS.CLIENTS_VIEW, <ManageClients url = {url} />)} />
+      <Route path='/clients/:id' element = {guard(PERMISSIONS.CLIENTS_VIEW, <ClientDetail />)} />
+      <Route path='/placements' element = {guard(PERMISSIONS.BILLING_MANAGE, <Placements />)} />
+      <Route path='/placements/:id/invoice' element = {guard(PERMISSIONS.BILLING_MANAGE, <Invoice />)} />
+      <Route path='/manage-admins' element = {guard(PERMISSIONS.ADMINS_MANAGE, <ManageAdmins />)} />
+      <Route path='/portal' element = {guard(PERMISSIONS.PORTAL_VIEW, <ClientPortal url = {url} />)} />
+      <Route path="*" element={landingRoute ? <Navigate to={landingRoute} replace /> : <AccessDenied />} />
     </Routes>
   )
 }
 
+// Send unauthenticated visitors to /login, remembering the page they asked for
+// (including ?jobId=... etc.) so Login can take them there afterwards
+function RedirectToLogin() {
+  const location = useLocation();
+  return <Navigate to="/login" replace state={{ from: location }} />;
+}
+
 function App() {
   return (
     <AuthProvider>
@@ -61,7 +106,7 @@ function AppContent() {
       <div style={{position:'fixed' , width:'100vw', height:'100vh'}}>
         <Routes>
           <Route path="/login" element={<Login url = {url} />} />
-          <Route path="*" element={<Navigate to="/login" replace />} />
+          <Route path="*" element={<RedirectToLogin />} />
         </Routes>
       </div>
     );
@@ -0,0 +1,42 @@
+import apiClient, { unwrap } from './apiClient';
+
+/**
+ * @typedef {Object} AdminUser
+ * @property {string} _id
+ * @property {string} username
+ * @property {string} [name]
+ * @property {string} email
+ * @property {string} role - one of ROLES in utils/permissions
+ * @property {string} [clientId] - for client portal users, the client they belong to
+ * @property {boolean} isActive
+ * @property {boolean} [mustResetPassword]
+ * @property {string} [lastLoginAt]
+ * @property {string} [createdAt]
+ */
+
+/** @returns {Promise<{ success: true, token: string, message?: string }>} */
+export const loginAdmin = (username, password, config) =>
+  apiClient.post('/api/admin/login', { username, password }, config).then(unwrap);
+
+/** @returns {Promise<{ success: true, data: AdminUser[] }>} */
+export const listAdmins = (config) =>
+  apiClient.get('/api/admin/list', config).then(unwrap);
+
+/**
+ * Create an account and email the new admin a link to set their password.
+ * @param {{ username: string, name?: string, email: string, role: string }} admin
+ */
+export const inviteAdmin = (admin, config) =>
+  apiClient.post('/api/admin/invite', admin, config).then(unwrap);
+
+/** @param {{ id: string, name?: string, email?: string, role?: string }} admin */
+export const updateAdmin = (admin, config) =>
+  apiClient.put('/api/admin/update', admin, config).then(unwrap);
+
+/** Invalidate the current password and email a reset link. */
+export const forcePasswordReset = (id, config) =>
+  apiClient.post('/api/admin/reset-password', { id }, config).then(unwrap);
+
+/** Deactivate (or re-activate) an account; deactivated admins cannot log in. */
+export const setAdminActive = (id, isActive, config) =>
+  apiClient.post('/api/admin/status', { id, isActive }, config).then(unwrap);
@@ -0,0 +1,116 @@
+import axios from 'axios';
+
+// Use environment variable for API URL, default to local backend
+// For production, set REACT_APP_API_URL in .env file
+export const API_URL = process.env.REACT_APP_API_URL || "http://localhost:4000";
+
+/**
+ * Single error shape for every API call.
+ *
+ * Wraps axios failures (network, HTTP status) as well as `{ success: false }`
+ * envelopes returned with a 200, so pages only ever need `error.message`.
+ */
+export class ApiError extends Error {
+  constructor(message, { status = null, data = null, cancelled = false } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.data = data;
+    this.cancelled = cancelled;
+  }
+}
+
+const apiClient = axios.create({ baseURL: API_URL });
+
+// Token is pushed in by AuthProvider whenever auth state changes
+let authToken = null;
+// Called when an authenticated request is rejected with 401
+let unauthorizedHandler = null;
+
+export const setAuthToken = (token) => {
+  authToken = token || null;
+};
+
+export const setUnauthorizedHandler = (handler) => {
+  unauthorizedHandler = handler;
+};
+
+apiClient.interceptors.request.use((config) => {
+  if (authToken) {
+    config.headers.Authorization = `Bearer ${authToken}`;
+  }
+  return config;
+});
+
+// Fallback wording when the backend sends no message
+const STATUS_MESSAGES = {
+  403: "You don't have permission to do this",
+  429: 'Too many requests, please try again shortly'
+};
+
+/**
+ * Convert anything thrown by axios into an ApiError.
+ * @param {unknown} error
+ * @returns {ApiError}
+ */
+export const normalizeError = (error) => {
+  if (error instanceof ApiError) return error;
+
+  if (axios.isCancel(error) || error?.name === 'AbortError' || error?.name === 'CanceledError') {
+    return new ApiError('Request cancelled', { cancelled: true });
+  }
+
+  const response = error?.response;
+  if (!response) {
+    return new ApiError('Network or server error');
+  }
+
+  const message = response.data?.message || STATUS_MESSAGES[response.status] || `Request failed (${response.status})`;
+  return new ApiError(message, { status: response.status, data: response.data });
+};
+
+apiClient.interceptors.response.use(
+  (response) => response,
+  (error) => {
+    const apiError = normalizeError(error);
+    // Only a request that carried a token can mean "session revoked";
+    // a 401 from the login form itself is just a wrong password. A 403 is
+    // a role that may not do this, which the caller reports like any error
+    const sentToken = Boolean(error?.config?.headers?.Authorization);
+    if (sentToken && apiError.status === 401 && unauthorizedHandler) {
+      unauthorizedHandler(apiError);
+    }
+    return Promise.reject(apiError);
+  }
+);
+
+/**
+ * Resolve the backend `{ success, data, pagination, message }` envelope,
+ * throwing an ApiError when `success` is false.
+ * @param {import('axios').AxiosResponse} response
+ */
+export const unwrap = (response) => {
+  const body = response.data;
+  if (!body || !body.success) {
+    throw new ApiError(body?.message || 'Request failed', { status: response.status, data: body });
+  }
+  return body;
+};
+
+/**
+ * Drop empty filter values so they are not sent as `?city=`.
+ * @param {Object<string, any>} params
+ */
+export const cleanParams = (params = {}) => {
+  const cleaned = {};
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      cleaned[key] = value;
+    }
+  });
+  return cleaned;
+};
+
+export const isCancelledError = (error) => Boolean(error?.cancelled) || axios.isCancel(error);
+
+export default apiClient;
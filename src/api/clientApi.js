@@ -0,0 +1,75 @@
+import apiClient, { unwrap } from './apiClient';
+
+/**
+ * @typedef {Object} ClientContact
+ * @property {string} [_id]
+ * @property {string} name
+ * @property {string} [title] - e.g. "HR Manager"
+ * @property {string} [email]
+ * @property {string} [phone]
+ * @property {boolean} isPrimary
+ */
+
+/**
+ * @typedef {Object} Client
+ * @property {string} _id
+ * @property {string} name
+ * @property {string} [description]
+ * @property {string} [contactPerson] - mirrors the primary contact
+ * @property {string} [email] - mirrors the primary contact
+ * @property {string} [phone] - mirrors the primary contact
+ * @property {ClientContact[]} [contacts]
+ * @property {import('../utils/fees').FeeTerms} [feeTerms] - unset until agreed; placements need them
+ * @property {string} [address]
+ * @property {string} [website]
+ * @property {boolean} isActive
+ * @property {number} [vacancyCount]
+ */
+
+/**
+ * @typedef {Object} ClientActivity
+ * @property {string} _id
+ * @property {'note' | 'vacancy' | 'share' | 'feedback' | 'update'} type
+ * @property {string} message - note text, or a summary such as "Vacancy #1042 posted"
+ * @property {{ _id: string, name?: string, email: string } | null} actor
+ * @property {string} createdAt
+ */
+
+/** @returns {Promise<{ success: true, data: Client[] }>} */
+export const listClients = (config) =>
+  apiClient.get('/api/client/list', config).then(unwrap);
+
+/** @returns {Promise<{ success: true, data: Client }>} */
+export const getClient = (id, config) =>
+  apiClient.get(`/api/client/get/${id}`, config).then(unwrap);
+
+/** @param {Omit<Client, '_id'>} client */
+export const addClient = (client, config) =>
+  apiClient.post('/api/client/add', client, config).then(unwrap);
+
+/** @param {Client & { id: string }} client */
+export const updateClient = (client, config) =>
+  apiClient.put('/api/client/update', client, config).then(unwrap);
+
+export const removeClient = (id, config) =>
+  apiClient.post('/api/client/remove', { id }, config).then(unwrap);
+
+/**
+ * Create a portal login for someone at the client and email them a link to
+ * set their password. They only see what is shared with that client.
+ * @param {{ clientId: string, name?: string, email: string }} invite
+ */
+export const inviteClientUser = (invite, config) =>
+  apiClient.post('/api/client/portal-invite', invite, config).then(unwrap);
+
+/**
+ * Notes plus what happened on the account: vacancies posted, candidates
+ * shared, portal feedback and profile changes. Newest first.
+ * @returns {Promise<{ success: true, data: ClientActivity[] }>}
+ */
+export const listClientActivity = (clientId, config) =>
+  apiClient.get(`/api/client/${clientId}/activity`, config).then(unwrap);
+
+/** @returns {Promise<{ success: true, data: ClientActivity }>} */
+export const addClientNote = (clientId, body, config) =>
+  apiClient.post(`/api/client/${clientId}/notes`, { body }, config).then(unwrap);
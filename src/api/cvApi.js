@@ -0,0 +1,132 @@
+import apiClient, { unwrap, cleanParams } from './apiClient';
+
+/**
+ * @typedef {Object} Candidate
+ * @property {string} _id
+ * @property {string} firstName
+ * @property {string} lastName
+ * @property {string} email
+ * @property {string} mobileNo
+ * @property {string} [address]
+ * @property {string} [city]
+ * @property {string} [state]
+ * @property {number} [tenthPercentage]
+ * @property {number} [twelfthPercentage]
+ * @property {string} [degree]
+ * @property {number} [degreeCgpa]
+ * @property {number} [applicationCount]
+ */
+
+/**
+ * @typedef {Object} Application
+ * @property {string} _id
+ * @property {string} jobId
+ * @property {Candidate | string} candidateId - populated in list responses
+ * @property {'pending' | 'shortlisted' | 'rejected' | 'hired'} status
+ * @property {{ url: string, originalName?: string }} [resume] - originalName is the file name as uploaded
+ * @property {string} appliedAt
+ * @property {string} createdAt
+ * @property {{ keyword: string, count: number }[]} [resumeMatches] - hits per keyword when searched by `keywords`
+ * @property {{ keyword: string, count: number }[]} [skillMatches] - hits per vacancy skill, with `matchSkills`
+ * @property {number | null} [resumeExperienceYears] - years of experience stated in the resume, with `matchSkills`
+ * @property {import('./portalApi').ClientFeedback & { client: { _id: string, name: string } }} [clientFeedback] - the
+ *   client's answer once the application was shared with them
+ * @property {{ _id: string, invoiceStatus?: string }} [placement] - set once a hire was recorded
+ */
+
+/**
+ * @param {Object} [params] - page, limit, search (name, email or job title), keywords
+ *   (comma-separated, matched against the extracted resume text), matchSkills (also
+ *   match each resume against its vacancy's skills), jobId, clientId (every vacancy of
+ *   a client), status, city, state,
+ *   degree, minCgpa, appliedDateFrom, appliedDateTo, sortBy, sortOrder
+ * @returns {Promise<{ success: true, data: Application[], pagination?: import('./vacancyApi').Pagination }>}
+ */
+export const listApplications = (params, config) =>
+  apiClient.get('/api/cv/list', { ...config, params: cleanParams(params) }).then(unwrap);
+
+/**
+ * @param {Object} [params] - page, limit, search (name or email), city, state, degree,
+ *   minCgpa, sortBy, sortOrder
+ * @returns {Promise<{ success: true, data: Candidate[], pagination?: import('./vacancyApi').Pagination }>}
+ */
+export const listCandidates = (params, config) =>
+  apiClient.get('/api/cv/candidates', { ...config, params: cleanParams(params) }).then(unwrap);
+
+/** @returns {Promise<{ success: true, data: { candidate: Candidate, applications: Application[] } }>} */
+export const getCandidate = (candidateId, config) =>
+  apiClient.get(`/api/cv/candidate/${candidateId}`, config).then(unwrap);
+
+/**
+ * @typedef {Object} CandidateNote
+ * @property {string} _id
+ * @property {string} body
+ * @property {string} [applicationId] - set when the note is about one application
+ * @property {{ _id: string, name?: string, email: string }} author
+ * @property {string} createdAt
+ */
+
+/**
+ * Status change recorded by the backend whenever update-status succeeds.
+ * @typedef {Object} StatusChangeEvent
+ * @property {string} _id
+ * @property {string} applicationId
+ * @property {string} jobId
+ * @property {string | null} from - null for the initial status
+ * @property {string} to
+ * @property {{ _id: string, name?: string, email: string } | null} actor
+ * @property {string} createdAt
+ */
+
+/** @returns {Promise<{ success: true, data: CandidateNote[] }>} */
+export const listCandidateNotes = (candidateId, config) =>
+  apiClient.get(`/api/cv/candidate/${candidateId}/notes`, config).then(unwrap);
+
+/**
+ * The author is taken from the token, not the request body.
+ * @param {string} candidateId
+ * @param {{ body: string, applicationId?: string }} note
+ * @returns {Promise<{ success: true, data: CandidateNote }>}
+ */
+export const addCandidateNote = (candidateId, note, config) =>
+  apiClient.post(`/api/cv/candidate/${candidateId}/notes`, note, config).then(unwrap);
+
+export const removeCandidateNote = (candidateId, noteId, config) =>
+  apiClient.post(`/api/cv/candidate/${candidateId}/notes/remove`, { id: noteId }, config).then(unwrap);
+
+/** @returns {Promise<{ success: true, data: StatusChangeEvent[] }>} */
+export const listCandidateActivity = (candidateId, config) =>
+  apiClient.get(`/api/cv/candidate/${candidateId}/activity`, config).then(unwrap);
+
+/**
+ * Plain text extracted from the application's resume (PDF or DOCX) when it
+ * was uploaded. `text` is null while extraction is pending or if it failed.
+ * @returns {Promise<{ success: true, data: { text: string | null, extractedAt: string | null } }>}
+ */
+export const getResumeText = (applicationId, config) =>
+  apiClient.get(`/api/cv/resume-text/${applicationId}`, config).then(unwrap);
+
+export const updateApplicationStatus = (id, status, config) =>
+  apiClient.post('/api/cv/update-status', { id, status }, config).then(unwrap);
+
+export const removeApplication = (id, config) =>
+  apiClient.post('/api/cv/remove', { id }, config).then(unwrap);
+
+/**
+ * Send applications (or every application of the given candidates) to a
+ * client for review. Items the backend could not share come back in `failed`.
+ * @param {{ clientId: string, applicationIds?: string[], candidateIds?: string[], note?: string }} share
+ * @returns {Promise<{ success: true, data: { sharedCount: number, failed?: { id: string, message: string }[] } }>}
+ */
+export const shareWithClient = (share, config) =>
+  apiClient.post('/api/cv/share', share, config).then(unwrap);
+
+/**
+ * Merge duplicate candidates into one. Every application of the merged
+ * candidates is re-pointed to the survivor, which takes the chosen field
+ * values; the merged records are then removed.
+ * @param {{ survivorId: string, mergedIds: string[], fields: Partial<Candidate> }} merge
+ * @returns {Promise<{ success: true, data: { candidate: Candidate, movedApplications: number } }>}
+ */
+export const mergeCandidates = (merge, config) =>
+  apiClient.post('/api/cv/candidates/merge', merge, config).then(unwrap);
@@ -0,0 +1,29 @@
+import apiClient, { unwrap } from './apiClient';
+
+/**
+ * @typedef {Object} Industry
+ * @property {string} _id
+ * @property {string} name
+ * @property {string} description
+ * @property {string} image - file name under `${API_URL}/images/`
+ * @property {string[]} list - job roles
+ */
+
+/** @returns {Promise<{ success: true, data: Industry[] }>} */
+export const listIndustries = (config) =>
+  apiClient.get('/api/industry/list', config).then(unwrap);
+
+/** @returns {Promise<{ success: true, data: Industry }>} */
+export const getIndustry = (id, config) =>
+  apiClient.get(`/api/industry/get/${id}`, config).then(unwrap);
+
+/** @param {FormData} formData - name, description, image, list (JSON string) */
+export const addIndustry = (formData, config) =>
+  apiClient.post('/api/industry/add', formData, config).then(unwrap);
+
+/** @param {FormData} formData - id, name, description, list, optional image */
+export const updateIndustry = (formData, config) =>
+  apiClient.put('/api/industry/update', formData, config).then(unwrap);
+
+export const removeIndustry = (id, config) =>
+  apiClient.post('/api/industry/remove', { id }, config).then(unwrap);
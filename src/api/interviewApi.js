@@ -0,0 +1,44 @@
+import apiClient, { unwrap, cleanParams } from './apiClient';
+
+/**
+ * @typedef {'in-person' | 'phone' | 'video'} InterviewMode
+ */
+
+/**
+ * @typedef {Object} Interview
+ * @property {string} _id
+ * @property {string} applicationId
+ * @property {string} jobId
+ * @property {{ _id: string, firstName: string, lastName: string, email: string }} [candidate] - populated in list responses
+ * @property {string} round - e.g. "Technical round 1"
+ * @property {string} scheduledAt - ISO date-time
+ * @property {number} durationMinutes
+ * @property {InterviewMode} mode
+ * @property {string} [location] - address, phone number or video link depending on mode
+ * @property {{ name: string, email?: string }} interviewer
+ * @property {{ _id: string, name?: string, email: string }} recruiter - admin who scheduled it
+ * @property {string} [notes]
+ * @property {'scheduled' | 'cancelled'} status
+ */
+
+/**
+ * @param {Object} [params] - applicationId, recruiterId, from, to (ISO dates), status
+ * @returns {Promise<{ success: true, data: Interview[] }>}
+ */
+export const listInterviews = (params, config) =>
+  apiClient.get('/api/interview/list', { ...config, params: cleanParams(params) }).then(unwrap);
+
+/**
+ * The recruiter is taken from the token.
+ * @param {Omit<Interview, '_id' | 'recruiter' | 'status' | 'candidate'>} interview
+ * @returns {Promise<{ success: true, data: Interview }>}
+ */
+export const addInterview = (interview, config) =>
+  apiClient.post('/api/interview/add', interview, config).then(unwrap);
+
+/** @param {Partial<Interview> & { id: string }} interview */
+export const updateInterview = (interview, config) =>
+  apiClient.put('/api/interview/update', interview, config).then(unwrap);
+
+export const cancelInterview = (id, config) =>
+  apiClient.post('/api/interview/cancel', { id }, config).then(unwrap);
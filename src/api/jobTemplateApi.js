@@ -0,0 +1,36 @@
+import apiClient, { unwrap, cleanParams } from './apiClient';
+
+/**
+ * A reusable starting point for vacancies that repeat, e.g. the same role
+ * posted for several clients.
+ * @typedef {Object} JobTemplate
+ * @property {string} _id
+ * @property {string} name
+ * @property {{ _id: string, name: string } | null} industry
+ * @property {{ jobTitle: string, description: string, qualification: string, skills: string[],
+ *   employmentType: string, experienceLevel: string, salaryMin: number | '',
+ *   salaryMax: number | '', isNegotiable: boolean }} fields - in PostVacancy's form shape
+ * @property {{ _id: string, name?: string, email?: string }} [createdBy]
+ * @property {string} updatedAt
+ */
+
+/**
+ * @param {{ industry?: string }} [params]
+ * @returns {Promise<{ success: true, data: JobTemplate[] }>}
+ */
+export const listJobTemplates = (params, config) =>
+  apiClient.get('/api/job-template/list', { ...config, params: cleanParams(params) }).then(unwrap);
+
+/**
+ * @param {{ name: string, industry: string | null, fields: JobTemplate['fields'] }} template
+ * @returns {Promise<{ success: true, data: JobTemplate }>}
+ */
+export const addJobTemplate = (template, config) =>
+  apiClient.post('/api/job-template/add', template, config).then(unwrap);
+
+/** @param {{ id: string, name?: string, industry?: string | null, fields?: JobTemplate['fields'] }} template */
+export const updateJobTemplate = (template, config) =>
+  apiClient.put('/api/job-template/update', template, config).then(unwrap);
+
+export const removeJobTemplate = (id, config) =>
+  apiClient.post('/api/job-template/remove', { id }, config).then(unwrap);
@@ -0,0 +1,56 @@
+import apiClient, { unwrap, cleanParams } from './apiClient';
+
+/** @typedef {import('../utils/emailTemplates').EmailTemplate} EmailTemplate */
+
+/**
+ * @typedef {Object} OutgoingEmail
+ * @property {{ email: string, name?: string }} to
+ * @property {string} subject
+ * @property {string} body - plain text
+ * @property {string} candidateId
+ * @property {string} [applicationId]
+ * @property {string} [templateKey]
+ */
+
+/**
+ * @typedef {OutgoingEmail & {
+ *   _id: string,
+ *   transport: string,
+ *   sentBy: { _id: string, name?: string, email: string } | null,
+ *   createdAt: string
+ * }} SentEmail
+ */
+
+/**
+ * Templates the team has customised; keys missing here use the built-in default.
+ * @returns {Promise<{ success: true, data: EmailTemplate[] }>}
+ */
+export const listEmailTemplates = (config) =>
+  apiClient.get('/api/mail/templates', config).then(unwrap);
+
+/** @param {EmailTemplate} template */
+export const saveEmailTemplate = (template, config) =>
+  apiClient.put('/api/mail/templates/update', template, config).then(unwrap);
+
+/** Drop the customised copy so the built-in default applies again. */
+export const resetEmailTemplate = (key, config) =>
+  apiClient.post('/api/mail/templates/reset', { key }, config).then(unwrap);
+
+/**
+ * Send through the backend's SMTP settings. The backend records the message
+ * in the candidate's log itself.
+ * @param {OutgoingEmail} message
+ */
+export const sendEmail = (message, config) =>
+  apiClient.post('/api/mail/send', message, config).then(unwrap);
+
+/**
+ * Record a message that was delivered by another transport.
+ * @param {OutgoingEmail & { transport: string }} message
+ */
+export const logSentEmail = (message, config) =>
+  apiClient.post('/api/mail/log', message, config).then(unwrap);
+
+/** @returns {Promise<{ success: true, data: SentEmail[] }>} */
+export const listSentEmails = (candidateId, config) =>
+  apiClient.get('/api/mail/log', { ...config, params: cleanParams({ candidateId }) }).then(unwrap);
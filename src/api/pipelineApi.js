@@ -0,0 +1,18 @@
+import apiClient, { unwrap } from './apiClient';
+
+/** @typedef {import('../utils/pipeline').Pipeline} Pipeline */
+
+/** @returns {Promise<{ success: true, data: Pipeline[] }>} */
+export const listPipelines = (config) =>
+  apiClient.get('/api/pipeline/list', config).then(unwrap);
+
+/** @param {Omit<Pipeline, '_id'>} pipeline */
+export const addPipeline = (pipeline, config) =>
+  apiClient.post('/api/pipeline/add', pipeline, config).then(unwrap);
+
+/** @param {Pipeline & { id: string }} pipeline */
+export const updatePipeline = (pipeline, config) =>
+  apiClient.put('/api/pipeline/update', pipeline, config).then(unwrap);
+
+export const removePipeline = (id, config) =>
+  apiClient.post('/api/pipeline/remove', { id }, config).then(unwrap);
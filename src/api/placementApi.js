@@ -0,0 +1,74 @@
+import apiClient, { unwrap, cleanParams } from './apiClient';
+
+/**
+ * @typedef {Object} Invoice
+ * @property {string} number - assigned by the server, sequential per financial year
+ * @property {string} issuedAt
+ * @property {string} dueAt
+ * @property {'draft' | 'sent' | 'paid' | 'cancelled'} status
+ * @property {string} [paidAt]
+ * @property {{ name: string, address?: string, taxId?: string, email?: string }} issuer - our company details at issue time
+ * @property {{ name: string, address?: string, contactPerson?: string, email?: string }} billTo - the client at issue time
+ */
+
+/**
+ * A hire, recorded when an application reaches a "hired" stage. The fee is
+ * worked out from the client's fee terms when the placement is recorded and
+ * does not change if the terms do later.
+ * @typedef {Object} Placement
+ * @property {string} _id
+ * @property {string} applicationId
+ * @property {string} jobId
+ * @property {string} [jobTitle]
+ * @property {{ _id: string, name: string }} client
+ * @property {{ _id: string, firstName: string, lastName: string, email?: string }} candidate
+ * @property {string} joiningDate
+ * @property {number} offeredSalary - annual CTC
+ * @property {string} currency
+ * @property {import('../utils/fees').FeeTerms} feeTerms - snapshot of the client's terms
+ * @property {number} fee
+ * @property {string} guaranteeEndsAt
+ * @property {Invoice | null} invoice
+ * @property {string} createdAt
+ */
+
+/**
+ * @param {{ clientId?: string, invoiceStatus?: string, search?: string }} [params]
+ * @returns {Promise<{ success: true, data: Placement[] }>}
+ */
+export const listPlacements = (params, config) =>
+  apiClient.get('/api/placement/list', { ...config, params: cleanParams(params) }).then(unwrap);
+
+/** @returns {Promise<{ success: true, data: Placement }>} */
+export const getPlacement = (id, config) =>
+  apiClient.get(`/api/placement/get/${id}`, config).then(unwrap);
+
+/**
+ * @param {{ applicationId: string, joiningDate: string, offeredSalary: number, currency: string,
+ *   feeTerms: import('../utils/fees').FeeTerms, fee: number, guaranteeEndsAt: string }} placement
+ * @returns {Promise<{ success: true, data: Placement }>}
+ */
+export const addPlacement = (placement, config) =>
+  apiClient.post('/api/placement/add', placement, config).then(unwrap);
+
+/**
+ * Correct the joining date or salary; only allowed before invoicing.
+ * @param {{ id: string, joiningDate?: string, offeredSalary?: number, fee?: number, guaranteeEndsAt?: string }} placement
+ */
+export const updatePlacement = (placement, config) =>
+  apiClient.put('/api/placement/update', placement, config).then(unwrap);
+
+/**
+ * Issue the invoice for a placement; the server assigns its number.
+ * @returns {Promise<{ success: true, data: Placement }>}
+ */
+export const generateInvoice = (id, config) =>
+  apiClient.post(`/api/placement/${id}/invoice`, {}, config).then(unwrap);
+
+/**
+ * @param {string} id - placement id
+ * @param {'sent' | 'paid' | 'cancelled'} status
+ * @returns {Promise<{ success: true, data: Placement }>}
+ */
+export const setInvoiceStatus = (id, status, config) =>
+  apiClient.post(`/api/placement/${id}/invoice-status`, { status }, config).then(unwrap);
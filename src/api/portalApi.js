@@ -0,0 +1,53 @@
+import apiClient, { unwrap, cleanParams } from './apiClient';
+
+/**
+ * Client portal endpoints. The backend scopes every call to the `clientId`
+ * on the client user's token, so nothing here takes a client id.
+ */
+
+/** @typedef {'interested' | 'not-interested'} ClientDecision */
+
+/**
+ * @typedef {Object} ClientFeedback
+ * @property {ClientDecision} decision
+ * @property {string} [comment]
+ * @property {{ _id: string, name?: string, email: string }} [by] - client user who answered
+ * @property {string} updatedAt
+ */
+
+/**
+ * An application as the client sees it: contact details are withheld until
+ * the recruiter arranges an introduction.
+ * @typedef {Object} SharedApplication
+ * @property {string} _id - the application id
+ * @property {string} jobId
+ * @property {{ firstName: string, lastName: string, city?: string, state?: string, degree?: string,
+ *   degreeCgpa?: number, tenthPercentage?: number, twelfthPercentage?: number }} candidate
+ * @property {{ url: string, originalName?: string }} [resume]
+ * @property {string} sharedAt
+ * @property {string} [sharedNote] - note the recruiter sent along when sharing
+ * @property {ClientFeedback | null} feedback
+ */
+
+/**
+ * Vacancies of the logged-in client, with how many candidates were shared for each.
+ * @returns {Promise<{ success: true, data: (import('./vacancyApi').Vacancy & { sharedCount: number })[] }>}
+ */
+export const listPortalVacancies = (config) =>
+  apiClient.get('/api/portal/vacancies', config).then(unwrap);
+
+/**
+ * @param {{ jobId?: string, decision?: ClientDecision | 'pending' }} [params]
+ * @returns {Promise<{ success: true, data: SharedApplication[] }>}
+ */
+export const listSharedApplications = (params, config) =>
+  apiClient.get('/api/portal/applications', { ...config, params: cleanParams(params) }).then(unwrap);
+
+/**
+ * Record the client's answer; the recruiter sees it on the application.
+ * @param {string} applicationId
+ * @param {{ decision: ClientDecision, comment?: string }} feedback
+ * @returns {Promise<{ success: true, data: ClientFeedback }>}
+ */
+export const saveFeedback = (applicationId, feedback, config) =>
+  apiClient.post(`/api/portal/applications/${applicationId}/feedback`, feedback, config).then(unwrap);
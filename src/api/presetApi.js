@@ -0,0 +1,34 @@
+import apiClient, { unwrap } from './apiClient';
+
+/**
+ * @typedef {Object} FilterPreset
+ * @property {string} _id
+ * @property {string} page - which screen it belongs to, e.g. "applicants"
+ * @property {string} name
+ * @property {Object<string, string>} filters - only non-empty values are stored
+ * @property {boolean} shared - visible to every admin, not just the owner
+ * @property {{ _id: string, username: string }} owner
+ * @property {boolean} isDefault - the current admin's default for `page`
+ */
+
+/**
+ * Own presets plus those shared by teammates.
+ * @returns {Promise<{ success: true, data: FilterPreset[] }>}
+ */
+export const listPresets = (page, config) =>
+  apiClient.get('/api/preset/list', { ...config, params: { page } }).then(unwrap);
+
+/** @param {{ page: string, name: string, filters: Object<string, string>, shared?: boolean }} preset */
+export const addPreset = (preset, config) =>
+  apiClient.post('/api/preset/add', preset, config).then(unwrap);
+
+/** @param {{ id: string, name?: string, filters?: Object<string, string>, shared?: boolean }} preset */
+export const updatePreset = (preset, config) =>
+  apiClient.put('/api/preset/update', preset, config).then(unwrap);
+
+export const removePreset = (id, config) =>
+  apiClient.post('/api/preset/remove', { id }, config).then(unwrap);
+
+/** Make `id` the current admin's default for `page`; pass null to clear it. */
+export const setDefaultPreset = (page, id, config) =>
+  apiClient.post('/api/preset/default', { page, id }, config).then(unwrap);
@@ -0,0 +1,28 @@
+import apiClient, { unwrap } from './apiClient';
+
+/**
+ * @typedef {Object} Service
+ * @property {string} _id
+ * @property {string} title
+ * @property {string} description
+ * @property {string} icon - file name under `${API_URL}/images/`
+ */
+
+/** @returns {Promise<{ success: true, data: Service[] }>} */
+export const listServices = (config) =>
+  apiClient.get('/api/service/list', config).then(unwrap);
+
+/** @returns {Promise<{ success: true, data: Service }>} */
+export const getService = (id, config) =>
+  apiClient.get(`/api/service/get/${id}`, config).then(unwrap);
+
+/** @param {FormData} formData - title, description, image */
+export const addService = (formData, config) =>
+  apiClient.post('/api/service/add', formData, config).then(unwrap);
+
+/** @param {FormData} formData - id, title, description, optional image */
+export const updateService = (formData, config) =>
+  apiClient.put('/api/service/update', formData, config).then(unwrap);
+
+export const removeService = (id, config) =>
+  apiClient.post('/api/service/remove', { id }, config).then(unwrap);
@@ -0,0 +1,62 @@
+import apiClient, { unwrap, cleanParams } from './apiClient';
+
+/**
+ * @typedef {Object} Vacancy
+ * @property {string} _id
+ * @property {string} jobId - short public id used by CVs (`/cvs?jobId=`)
+ * @property {string} jobTitle
+ * @property {string} description
+ * @property {string} qualification
+ * @property {{ _id: string, name: string } | null} industry
+ * @property {{ _id: string, name: string } | null} client
+ * @property {boolean} showClientToCandidate
+ * @property {boolean} isPromoted
+ * @property {number} displayOrder
+ * @property {string[]} skills
+ * @property {{ city?: string, state?: string, country?: string, isRemote?: boolean }} location
+ * @property {string} employmentType
+ * @property {string} experienceLevel
+ * @property {{ min?: number, max?: number, currency?: string, isNegotiable?: boolean }} salary
+ * @property {string} [applicationDeadline]
+ * @property {number} numberOfOpenings
+ * @property {'active' | 'closed' | 'draft'} status
+ * @property {string} createdAt
+ */
+
+/**
+ * @typedef {Object} Pagination
+ * @property {number} currentPage
+ * @property {number} totalPages
+ * @property {number} totalItems
+ * @property {number} itemsPerPage
+ */
+
+/**
+ * @param {{ page?: number, limit?: number, search?: string, industry?: string, client?: string,
+ *   status?: string, employmentType?: string, city?: string, state?: string }} [params]
+ * @returns {Promise<{ success: true, data: Vacancy[], pagination?: Pagination }>}
+ */
+export const listVacancies = (params, config) =>
+  apiClient.get('/api/vacancy/list', { ...config, params: cleanParams(params) }).then(unwrap);
+
+/** @returns {Promise<{ success: true, data: Vacancy }>} */
+export const getVacancy = (id, config) =>
+  apiClient.get(`/api/vacancy/get/${id}`, config).then(unwrap);
+
+export const addVacancy = (vacancy, config) =>
+  apiClient.post('/api/vacancy/add', vacancy, config).then(unwrap);
+
+/** @param {Object} vacancy - partial vacancy, must include `id` */
+export const updateVacancy = (vacancy, config) =>
+  apiClient.put('/api/vacancy/update', vacancy, config).then(unwrap);
+
+export const removeVacancy = (id, config) =>
+  apiClient.post('/api/vacancy/remove', { id }, config).then(unwrap);
+
+/** @returns {Promise<{ success: true, deletedCount: number }>} */
+export const bulkRemoveVacancies = (ids, config) =>
+  apiClient.post('/api/vacancy/bulk-remove', { ids }, config).then(unwrap);
+
+/** @returns {Promise<{ success: true, updatedCount: number }>} */
+export const bulkUpdateVacancyStatus = (ids, status, config) =>
+  apiClient.put('/api/vacancy/bulk-update-status', { ids, status }, config).then(unwrap);
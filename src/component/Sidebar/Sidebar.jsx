@@ -1,46 +1,24 @@
-import React from 'react'
+import React, { useContext } from 'react'
 import './Sidebar.css'
 import { NavLink } from 'react-router-dom'
+import { AuthContext } from '../../context/AuthContext'
+import { NAV_ITEMS } from '../../utils/navigation'
 
 const Sidebar = () => {
+  const { hasPermission } = useContext(AuthContext);
+
   return (
     <div className='sidebar' >
       <div className="sidebar-options">
-        <NavLink to={'/add-service'} className="sidebar-option">
-          <img src= '/images/add_icon.png' alt="" />
-          <p>Add Service</p>
-        </NavLink>
-        <NavLink to={'/list-services'} className="sidebar-option">
-          <img src='images/list_icon.png' alt="" />
-          <p>List Services</p>
-        </NavLink>
-        <NavLink to={'/add-industry'} className="sidebar-option">
-          <img src= '/images/add_icon.png' alt="" />
-          <p>Add Industry</p>
-        </NavLink>
-        <NavLink to={'/list-industries'} className="sidebar-option">
-          <img src= '/images/list_icon.png' alt="" />
-          <p>List Industries</p>
-        </NavLink>
-        <NavLink to={'/cvs'} className="sidebar-option">
-          <img src='images/career_icon.png' alt="" />
-          <p>Applicants</p>
-        </NavLink>
-        <NavLink to={'/post-vacancy'} className="sidebar-option">
-          <img src= '/images/add_icon.png' alt="" />
-          <p>Post Vacancy</p>
-        </NavLink>
-        <NavLink to={'/manage-vacancies'} className="sidebar-option">
-          <img src='images/list_icon.png' alt="" />
-          <p>Manage Vacancies</p>
-        </NavLink>
-        <NavLink to={'/manage-clients'} className="sidebar-option">
-          <img src='images/list_icon.png' alt="" />
-          <p>Manage Clients</p>
-        </NavLink>
+        {NAV_ITEMS.filter(item => hasPermission(item.permission)).map(item => (
+          <NavLink key={item.path} to={item.path} className="sidebar-option">
+            <img src={item.icon} alt="" />
+            <p>{item.label}</p>
+          </NavLink>
+        ))}
       </div>
     </div>
   )
 }
 
-export default Sidebar
\ No newline at end of file
+export default Sidebar
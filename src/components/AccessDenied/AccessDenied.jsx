@@ -0,0 +1,18 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import './AccessDenied.css';
+
+const AccessDenied = () => {
+  return (
+    <div className="access-denied scrollable-div">
+      <div className="access-denied-card">
+        <div className="access-denied-icon">🔒</div>
+        <h2>Access denied</h2>
+        <p>Your role does not allow you to open this page. Ask a super admin if you need access.</p>
+        <Link to="/" className="access-denied-link">Go to my home page</Link>
+      </div>
+    </div>
+  );
+};
+
+export default AccessDenied;
@@ -0,0 +1,60 @@
+import React from 'react';
+import './BulkProgress.css';
+
+/**
+ * Progress and per-item failure report for a bulk action.
+ *
+ * @param {Object} props
+ * @param {string} props.title
+ * @param {number} props.done
+ * @param {number} props.total
+ * @param {{ label: string, message: string }[]} props.failures
+ * @param {boolean} props.running
+ * @param {() => void} props.onClose - only offered once the action has finished
+ */
+const BulkProgress = ({ title, done, total, failures, running, onClose }) => {
+  const percent = total > 0 ? Math.round((done / total) * 100) : 0;
+  const succeeded = done - failures.length;
+
+  return (
+    <div className="bulk-progress-overlay">
+      <div className="bulk-progress">
+        <h3>{title}</h3>
+
+        <div className="bulk-progress-track">
+          <div
+            className={`bulk-progress-bar ${!running && failures.length > 0 ? 'has-failures' : ''}`}
+            style={{ width: `${percent}%` }}
+          />
+        </div>
+        <p className="bulk-progress-count">
+          {running
+            ? `Processing ${done} of ${total}...`
+            : `${succeeded} of ${total} succeeded${failures.length > 0 ? `, ${failures.length} failed` : ''}`}
+        </p>
+
+        {failures.length > 0 && (
+          <div className="bulk-failures">
+            <h4>Failed</h4>
+            <ul>
+              {failures.map((failure, index) => (
+                <li key={index}>
+                  <strong>{failure.label}</strong>
+                  <span>{failure.message}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {!running && (
+          <div className="bulk-progress-actions">
+            <button className="submit-btn" onClick={onClose}>Close</button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BulkProgress;
@@ -0,0 +1,217 @@
+import React, { useEffect, useState } from 'react';
+import './CandidateComparison.css';
+import MatchScore from '../MatchScore/MatchScore';
+import ResumePreview from '../ResumeModal/ResumePreview';
+import { listCandidateNotes } from '../../api/cvApi';
+
+export const MIN_COMPARE = 2;
+export const MAX_COMPARE = 5;
+
+const NOTES_SHOWN = 3;
+
+const candidateOf = (app) => app.candidateId || {};
+
+const fullName = (candidate) =>
+  `${candidate.firstName || ''} ${candidate.lastName || ''}`.trim() || 'N/A';
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-GB');
+
+// Education rows; the highest value in each is marked
+const EDUCATION_ROWS = [
+  { key: 'degreeCgpa', label: 'CGPA' },
+  { key: 'tenthPercentage', label: '10th %' },
+  { key: 'twelfthPercentage', label: '12th %' }
+];
+
+const bestOf = (values) => {
+  const numbers = values.filter(value => value !== undefined && value !== null && value !== '').map(Number);
+  return numbers.length > 1 ? Math.max(...numbers) : null;
+};
+
+/**
+ * Side-by-side view of a few applications, e.g. the shortlist for one
+ * vacancy: education, location, status, match score, recent notes and the
+ * resumes themselves.
+ *
+ * @param {Object} props
+ * @param {import('../../api/cvApi').Application[]} props.applications - with the candidate populated
+ * @param {Object<string, string>} props.jobMap - jobId -> job title
+ * @param {(jobId: string, status: string) => string} props.getStageLabel
+ * @param {(app: import('../../api/cvApi').Application) => import('../../utils/matchScore').MatchResult} props.getMatch
+ * @param {string} props.url - backend base URL for resumes
+ * @param {(applicationId: string) => void} props.onRemove
+ * @param {() => void} props.onClose
+ */
+const CandidateComparison = ({ applications, jobMap, getStageLabel, getMatch, url, onRemove, onClose }) => {
+  const [notes, setNotes] = useState({}); // candidateId -> notes
+  const [loadingNotes, setLoadingNotes] = useState(true);
+  const candidateIds = [...new Set(applications.map(app => candidateOf(app)._id).filter(Boolean))];
+  const candidateKey = candidateIds.join(',');
+
+  useEffect(() => {
+    const fetchNotes = async () => {
+      setLoadingNotes(true);
+      const entries = await Promise.all(candidateKey.split(',').filter(Boolean).map(async (candidateId) => {
+        try {
+          const res = await listCandidateNotes(candidateId);
+          return [candidateId, res.data || []];
+        } catch (error) {
+          console.error("Error fetching notes:", error);
+          return [candidateId, []];
+        }
+      }));
+      setNotes(Object.fromEntries(entries));
+      setLoadingNotes(false);
+    };
+    fetchNotes();
+  }, [candidateKey]);
+
+  // Notes about this application or the candidate in general, newest first
+  const notesFor = (app) => (notes[candidateOf(app)._id] || [])
+    .filter(note => !note.applicationId || note.applicationId === app._id)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+  const matches = applications.map(getMatch);
+  const bestMatch = bestOf(matches.map(match => match.score));
+
+  return (
+    <div className="comparison-overlay" onClick={onClose}>
+      <div className="comparison-dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="comparison-header">
+          <h3>Compare {applications.length} candidates</h3>
+          <button className="cancel-btn" onClick={onClose}>✕ Close</button>
+        </div>
+
+        <div className="comparison-scroll">
+          <table className="comparison-table">
+            <thead>
+              <tr>
+                <th />
+                {applications.map(app => (
+                  <th key={app._id}>
+                    <div className="comparison-name">
+                      <strong>{fullName(candidateOf(app))}</strong>
+                      {applications.length > MIN_COMPARE && (
+                        <button className="comparison-remove" onClick={() => onRemove(app._id)} title="Remove from comparison">
+                          ✕
+                        </button>
+                      )}
+                    </div>
+                    <span className="comparison-sub">{candidateOf(app).email}</span>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              <tr>
+                <th>Vacancy</th>
+                {applications.map(app => (
+                  <td key={app._id}>#{app.jobId} - {jobMap[app.jobId] || "Unknown"}</td>
+                ))}
+              </tr>
+              <tr>
+                <th>Status</th>
+                {applications.map(app => (
+                  <td key={app._id}>
+                    {getStageLabel(app.jobId, app.status)}
+                    <span className="comparison-sub">Applied {formatDate(app.appliedAt || app.createdAt)}</span>
+                  </td>
+                ))}
+              </tr>
+              <tr>
+                <th>Match</th>
+                {applications.map((app, index) => (
+                  <td key={app._id} className={matches[index].score !== null && matches[index].score === bestMatch ? 'best' : ''}>
+                    <MatchScore match={matches[index]} />
+                  </td>
+                ))}
+              </tr>
+              <tr>
+                <th>Degree</th>
+                {applications.map(app => (
+                  <td key={app._id}>{candidateOf(app).degree || '—'}</td>
+                ))}
+              </tr>
+              {EDUCATION_ROWS.map(row => {
+                const best = bestOf(applications.map(app => candidateOf(app)[row.key]));
+                return (
+                  <tr key={row.key}>
+                    <th>{row.label}</th>
+                    {applications.map(app => {
+                      const value = candidateOf(app)[row.key];
+                      const hasValue = value !== undefined && value !== null && value !== '';
+                      return (
+                        <td key={app._id} className={hasValue && Number(value) === best ? 'best' : ''}>
+                          {hasValue ? value : '—'}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                );
+              })}
+              <tr>
+                <th>Location</th>
+                {applications.map(app => (
+                  <td key={app._id}>
+                    {[candidateOf(app).city, candidateOf(app).state].filter(Boolean).join(', ') || '—'}
+                  </td>
+                ))}
+              </tr>
+              <tr>
+                <th>Notes</th>
+                {applications.map(app => {
+                  const appNotes = notesFor(app);
+                  return (
+                    <td key={app._id} className="comparison-notes">
+                      {loadingNotes ? (
+                        <span className="comparison-sub">Loading...</span>
+                      ) : appNotes.length === 0 ? (
+                        <span className="comparison-sub">No notes</span>
+                      ) : (
+                        <>
+                          {appNotes.slice(0, NOTES_SHOWN).map(note => (
+                            <p key={note._id}>
+                              {note.body}
+                              <span className="comparison-sub">
+                                {note.author?.name || note.author?.email} · {formatDate(note.createdAt)}
+                              </span>
+                            </p>
+                          ))}
+                          {appNotes.length > NOTES_SHOWN && (
+                            <span className="comparison-sub">+{appNotes.length - NOTES_SHOWN} more</span>
+                          )}
+                        </>
+                      )}
+                    </td>
+                  );
+                })}
+              </tr>
+              <tr>
+                <th>Resume</th>
+                {applications.map(app => (
+                  <td key={app._id}>
+                    {app.resume?.url ? (
+                      <div className="comparison-resume">
+                        <ResumePreview
+                          resumeUrl={app.resume.url}
+                          fileName={app.resume.originalName}
+                          url={url}
+                          pdfZoom={0.5}
+                          candidateName={fullName(candidateOf(app))}
+                        />
+                      </div>
+                    ) : (
+                      <span className="comparison-sub">No resume</span>
+                    )}
+                  </td>
+                ))}
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CandidateComparison;
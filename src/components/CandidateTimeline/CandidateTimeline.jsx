@@ -0,0 +1,249 @@
+import React, { useEffect, useState, useContext } from 'react';
+import './CandidateTimeline.css';
+import { toast } from 'react-toastify';
+import { AuthContext } from '../../context/AuthContext';
+import { PERMISSIONS } from '../../utils/permissions';
+import { isCancelledError } from '../../api/apiClient';
+import {
+  listCandidateNotes,
+  addCandidateNote,
+  removeCandidateNote,
+  listCandidateActivity
+} from '../../api/cvApi';
+import { listSentEmails } from '../../api/mailApi';
+
+const FILTERS = [
+  { key: 'all', label: 'All' },
+  { key: 'note', label: 'Notes' },
+  { key: 'status', label: 'Status changes' },
+  { key: 'email', label: 'Emails' }
+];
+
+// Notes, status changes and sent emails in one list, newest first
+const buildTimeline = (notes, events, emails) => [
+  ...notes.map(note => ({ type: 'note', id: note._id, at: note.createdAt, note })),
+  ...events.map(event => ({ type: 'status', id: event._id, at: event.createdAt, event })),
+  ...emails.map(email => ({ type: 'email', id: email._id, at: email.createdAt, email }))
+].sort((a, b) => new Date(b.at) - new Date(a.at));
+
+const formatTimestamp = (value) => new Date(value).toLocaleString('en-GB', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+const personName = (person) => person?.name || person?.email || 'System';
+
+/**
+ * Notes and activity history for one candidate: interview feedback,
+ * phone-screen outcomes, every status change on their applications and the
+ * emails sent to them.
+ *
+ * @param {Object} props
+ * @param {string} props.candidateId
+ * @param {import('../../api/cvApi').Application[]} props.applications - refetched
+ *   after every status change, which also reloads the timeline
+ * @param {Object<string, string>} props.jobMap - jobId -> job title
+ * @param {(jobId: string, status: string) => string} props.getStageLabel
+ */
+const CandidateTimeline = ({ candidateId, applications, jobMap, getStageLabel }) => {
+  const { adminId, hasPermission } = useContext(AuthContext);
+  const canAddNotes = hasPermission(PERMISSIONS.APPLICATIONS_UPDATE);
+  const [notes, setNotes] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [emails, setEmails] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filter, setFilter] = useState('all');
+  const [body, setBody] = useState("");
+  const [applicationId, setApplicationId] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    // Switching candidates cancels the previous load so its results never land here
+    const controller = new AbortController();
+    const config = { signal: controller.signal };
+
+    const fetchNotes = async () => {
+      try {
+        const res = await listCandidateNotes(candidateId, config);
+        setNotes(res.data || []);
+      } catch (error) {
+        if (isCancelledError(error)) return;
+        console.error("Error fetching notes:", error);
+        toast.error(error.message || "Error fetching notes");
+      }
+    };
+
+    const fetchActivity = async () => {
+      try {
+        const res = await listCandidateActivity(candidateId, config);
+        setEvents(res.data || []);
+      } catch (error) {
+        if (isCancelledError(error)) return;
+        console.error("Error fetching activity:", error);
+      }
+    };
+
+    const fetchEmails = async () => {
+      try {
+        const res = await listSentEmails(candidateId, config);
+        setEmails(res.data || []);
+      } catch (error) {
+        if (isCancelledError(error)) return;
+        console.error("Error fetching sent emails:", error);
+      }
+    };
+
+    const loadTimeline = async () => {
+      setLoading(true);
+      await Promise.all([fetchNotes(), fetchActivity(), fetchEmails()]);
+      if (!controller.signal.aborted) setLoading(false);
+    };
+    loadTimeline();
+    return () => controller.abort();
+  }, [candidateId, applications]);
+
+  const jobLabel = (id) => {
+    const app = applications.find(application => application._id === id);
+    return app ? `Job #${app.jobId} - ${jobMap[app.jobId] || "Unknown"}` : null;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const text = body.trim();
+    if (!text) return;
+
+    try {
+      setSaving(true);
+      const res = await addCandidateNote(candidateId, {
+        body: text,
+        ...(applicationId && { applicationId })
+      });
+      setNotes(prev => [res.data, ...prev]);
+      setBody("");
+      toast.success("Note added ✅");
+    } catch (error) {
+      console.error("Error adding note:", error);
+      toast.error(error.message || "Error adding note");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async (noteId) => {
+    const confirmDelete = window.confirm("Are you sure you want to delete this note?");
+    if (!confirmDelete) return;
+
+    try {
+      await removeCandidateNote(candidateId, noteId);
+      setNotes(prev => prev.filter(note => note._id !== noteId));
+      toast.success("Note deleted ✅");
+    } catch (error) {
+      console.error("Error deleting note:", error);
+      toast.error(error.message || "Error deleting note");
+    }
+  };
+
+  const timeline = buildTimeline(notes, events, emails).filter(item => filter === 'all' || item.type === filter);
+
+  return (
+    <div className="candidate-timeline">
+      <div className="timeline-header">
+        <h3>Notes & Activity</h3>
+        <div className="timeline-filters">
+          {FILTERS.map(option => (
+            <button
+              key={option.key}
+              className={`timeline-filter ${filter === option.key ? 'active' : ''}`}
+              onClick={() => setFilter(option.key)}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {canAddNotes && (
+        <form className="note-form" onSubmit={handleSubmit}>
+          <textarea
+            rows="3"
+            value={body}
+            onChange={(e) => setBody(e.target.value)}
+            placeholder="Interview feedback, phone-screen outcome, next steps..."
+          />
+          <div className="note-form-actions">
+            <select value={applicationId} onChange={(e) => setApplicationId(e.target.value)}>
+              <option value="">General note</option>
+              {applications.map(app => (
+                <option key={app._id} value={app._id}>{jobLabel(app._id)}</option>
+              ))}
+            </select>
+            <button type="submit" className="submit-btn" disabled={saving || !body.trim()}>
+              {saving ? 'Saving...' : 'Add Note'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {loading ? (
+        <p className="loading">Loading activity...</p>
+      ) : timeline.length === 0 ? (
+        <p className="no-data">No activity yet.</p>
+      ) : (
+        <ul className="timeline-list">
+          {timeline.map(item => (
+            <li key={`${item.type}-${item.id}`} className={`timeline-item timeline-${item.type}`}>
+              <span className="timeline-dot" />
+              <div className="timeline-body">
+                {item.type === 'note' ? (
+                  <>
+                    <div className="timeline-meta">
+                      <strong>{personName(item.note.author)}</strong> added a note
+                      {item.note.applicationId && jobLabel(item.note.applicationId) && (
+                        <> on <em>{jobLabel(item.note.applicationId)}</em></>
+                      )}
+                      <span className="timeline-time">{formatTimestamp(item.at)}</span>
+                    </div>
+                    <p className="note-body">{item.note.body}</p>
+                    {item.note.author?._id === adminId && (
+                      <button className="note-delete-btn" onClick={() => handleRemove(item.note._id)}>
+                        Delete
+                      </button>
+                    )}
+                  </>
+                ) : item.type === 'email' ? (
+                  <>
+                    <div className="timeline-meta">
+                      <strong>{personName(item.email.sentBy)}</strong> emailed {item.email.to?.email}
+                      {item.email.applicationId && jobLabel(item.email.applicationId) && (
+                        <> about <em>{jobLabel(item.email.applicationId)}</em></>
+                      )}
+                      <span className="timeline-time">{formatTimestamp(item.at)}</span>
+                    </div>
+                    <details className="email-body">
+                      <summary>{item.email.subject}</summary>
+                      <pre>{item.email.body}</pre>
+                    </details>
+                  </>
+                ) : (
+                  <div className="timeline-meta">
+                    <strong>{personName(item.event.actor)}</strong>
+                    {item.event.from
+                      ? <> moved Job #{item.event.jobId} from <em>{getStageLabel(item.event.jobId, item.event.from)}</em> to </>
+                      : <> set Job #{item.event.jobId} to </>}
+                    <em>{getStageLabel(item.event.jobId, item.event.to)}</em>
+                    <span className="timeline-time">{formatTimestamp(item.at)}</span>
+                  </div>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default CandidateTimeline;
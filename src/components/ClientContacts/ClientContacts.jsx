@@ -0,0 +1,150 @@
+import React, { useState } from 'react';
+import './ClientContacts.css';
+import { toast } from 'react-toastify';
+import { updateClient } from '../../api/clientApi';
+
+const emptyContact = { name: "", title: "", email: "", phone: "", isPrimary: false };
+
+/**
+ * Contacts of a client. Clients created before multiple contacts existed
+ * only have contactPerson/email/phone, which are shown as the primary contact.
+ * @param {import('../../api/clientApi').Client} client
+ * @returns {import('../../api/clientApi').ClientContact[]}
+ */
+export const getClientContacts = (client) => {
+  if (client.contacts?.length) return client.contacts;
+  if (!client.contactPerson && !client.email && !client.phone) return [];
+  return [{
+    name: client.contactPerson || client.email,
+    email: client.email,
+    phone: client.phone,
+    isPrimary: true
+  }];
+};
+
+/**
+ * List and edit the people we deal with at a client. The primary contact is
+ * copied to the client's contactPerson/email/phone, which the client list and
+ * portal invitations still read.
+ *
+ * @param {Object} props
+ * @param {import('../../api/clientApi').Client} props.client
+ * @param {boolean} props.canManage
+ * @param {(client: import('../../api/clientApi').Client) => void} props.onSaved
+ */
+const ClientContacts = ({ client, canManage, onSaved }) => {
+  const contacts = getClientContacts(client);
+  const [editingIndex, setEditingIndex] = useState(null); // index, or -1 for a new contact
+  const [form, setForm] = useState(emptyContact);
+  const [saving, setSaving] = useState(false);
+
+  const saveContacts = async (next, message) => {
+    // Exactly one primary contact, the first one if none was chosen
+    const primaryIndex = Math.max(0, next.findIndex(contact => contact.isPrimary));
+    const normalized = next.map((contact, index) => ({ ...contact, isPrimary: index === primaryIndex }));
+    const primary = normalized[primaryIndex];
+
+    try {
+      setSaving(true);
+      const changes = {
+        contacts: normalized,
+        contactPerson: primary?.name || "",
+        email: primary?.email || "",
+        phone: primary?.phone || ""
+      };
+      await updateClient({ id: client._id, ...changes });
+      onSaved({ ...client, ...changes });
+      setEditingIndex(null);
+      toast.success(message);
+    } catch (error) {
+      console.error("Error saving contacts:", error);
+      toast.error(error.message || "Error saving contacts");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleEdit = (index) => {
+    setEditingIndex(index);
+    setForm(index === -1 ? { ...emptyContact, isPrimary: contacts.length === 0 } : { ...emptyContact, ...contacts[index] });
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const contact = { ...form, name: form.name.trim(), email: form.email.trim(), phone: form.phone.trim() };
+    // A newly chosen primary replaces the old one
+    const others = contact.isPrimary ? contacts.map(item => ({ ...item, isPrimary: false })) : contacts;
+    const next = editingIndex === -1
+      ? [...others, contact]
+      : others.map((item, index) => (index === editingIndex ? contact : item));
+    saveContacts(next, editingIndex === -1 ? "Contact added ✅" : "Contact updated ✅");
+  };
+
+  const handleRemove = (index) => {
+    if (!window.confirm(`Remove ${contacts[index].name} from this client's contacts?`)) return;
+    saveContacts(contacts.filter((_, i) => i !== index), "Contact removed ✅");
+  };
+
+  return (
+    <div className="client-contacts">
+      <div className="client-contacts-header">
+        <h3>Contacts ({contacts.length})</h3>
+        {canManage && editingIndex === null && (
+          <button className="add-contact-btn" onClick={() => handleEdit(-1)}>+ Add Contact</button>
+        )}
+      </div>
+
+      {editingIndex !== null && (
+        <form className="contact-form" onSubmit={handleSubmit}>
+          <input name="name" value={form.name} onChange={handleChange} placeholder="Name *" required />
+          <input name="title" value={form.title} onChange={handleChange} placeholder="Title, e.g. HR Manager" />
+          <input name="email" type="email" value={form.email} onChange={handleChange} placeholder="Email" />
+          <input name="phone" value={form.phone} onChange={handleChange} placeholder="Phone" />
+          <label className="contact-primary">
+            <input type="checkbox" name="isPrimary" checked={form.isPrimary} onChange={handleChange} />
+            Primary contact
+          </label>
+          <div className="contact-form-actions">
+            <button type="button" className="cancel-btn" onClick={() => setEditingIndex(null)}>Cancel</button>
+            <button type="submit" className="submit-btn" disabled={saving}>
+              {saving ? 'Saving...' : 'Save Contact'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {contacts.length === 0 ? (
+        <p className="no-data">No contacts recorded.</p>
+      ) : (
+        <ul className="contact-list">
+          {contacts.map((contact, index) => (
+            <li key={contact._id || index} className="contact-item">
+              <div>
+                <strong>{contact.name}</strong>
+                {contact.isPrimary && <span className="primary-badge">Primary</span>}
+                {contact.title && <span className="contact-title">{contact.title}</span>}
+                <div className="contact-details">
+                  {contact.email && <a href={`mailto:${contact.email}`}>{contact.email}</a>}
+                  {contact.phone && <a href={`tel:${contact.phone}`}>{contact.phone}</a>}
+                </div>
+              </div>
+              {canManage && editingIndex === null && (
+                <div className="contact-actions">
+                  <button className="link-btn" onClick={() => handleEdit(index)}>Edit</button>
+                  <button className="link-btn danger" onClick={() => handleRemove(index)} disabled={saving}>Remove</button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ClientContacts;
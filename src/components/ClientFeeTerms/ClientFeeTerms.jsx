@@ -0,0 +1,124 @@
+import React, { useState } from 'react';
+import './ClientFeeTerms.css';
+import { toast } from 'react-toastify';
+import { updateClient } from '../../api/clientApi';
+import { FEE_TYPES, DEFAULT_FEE_TERMS, getFeeTerms, formatMoney } from '../../utils/fees';
+
+/**
+ * The fee agreed with a client. Changing it only affects placements recorded
+ * afterwards; existing ones keep the terms they were recorded with. No
+ * placement can be recorded for the client until terms are set.
+ *
+ * @param {Object} props
+ * @param {import('../../api/clientApi').Client} props.client
+ * @param {boolean} props.canManage
+ * @param {(client: import('../../api/clientApi').Client) => void} props.onSaved
+ */
+const ClientFeeTerms = ({ client, canManage, onSaved }) => {
+  const terms = getFeeTerms(client);
+  const [form, setForm] = useState(null); // terms being edited
+  const [saving, setSaving] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const feeTerms = {
+      type: form.type,
+      percentage: Number(form.percentage) || 0,
+      flatFee: Number(form.flatFee) || 0,
+      currency: form.currency.trim().toUpperCase() || DEFAULT_FEE_TERMS.currency,
+      taxRate: Number(form.taxRate) || 0,
+      guaranteeDays: Number(form.guaranteeDays) || 0,
+      paymentTermsDays: Number(form.paymentTermsDays) || 0
+    };
+
+    try {
+      setSaving(true);
+      await updateClient({ id: client._id, feeTerms });
+      onSaved({ ...client, feeTerms });
+      setForm(null);
+      toast.success("Fee terms saved ✅");
+    } catch (error) {
+      console.error("Error saving fee terms:", error);
+      toast.error(error.message || "Error saving fee terms");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="client-fee-terms">
+      <div className="fee-terms-header">
+        <h3>Fee Terms</h3>
+        {canManage && !form && (
+          <button className="edit-terms-btn" onClick={() => setForm(terms || DEFAULT_FEE_TERMS)}>
+            {terms ? 'Edit' : 'Set terms'}
+          </button>
+        )}
+      </div>
+
+      {form ? (
+        <form className="fee-terms-form" onSubmit={handleSubmit}>
+          <label>
+            Fee type
+            <select name="type" value={form.type} onChange={handleChange}>
+              {FEE_TYPES.map(type => (
+                <option key={type.key} value={type.key}>{type.label}</option>
+              ))}
+            </select>
+          </label>
+          {form.type === 'flat' ? (
+            <label>
+              Flat fee
+              <input type="number" name="flatFee" min="0" step="any" value={form.flatFee} onChange={handleChange} required />
+            </label>
+          ) : (
+            <label>
+              Percentage of CTC
+              <input type="number" name="percentage" min="0" max="100" step="any" value={form.percentage} onChange={handleChange} required />
+            </label>
+          )}
+          <label>
+            Currency
+            <input name="currency" maxLength="3" value={form.currency} onChange={handleChange} required />
+          </label>
+          <label>
+            Tax rate (%)
+            <input type="number" name="taxRate" min="0" step="any" value={form.taxRate} onChange={handleChange} />
+          </label>
+          <label>
+            Replacement guarantee (days)
+            <input type="number" name="guaranteeDays" min="0" value={form.guaranteeDays} onChange={handleChange} />
+          </label>
+          <label>
+            Payment due (days after invoice)
+            <input type="number" name="paymentTermsDays" min="0" value={form.paymentTermsDays} onChange={handleChange} />
+          </label>
+          <div className="fee-terms-actions">
+            <button type="button" className="cancel-btn" onClick={() => setForm(null)}>Cancel</button>
+            <button type="submit" className="submit-btn" disabled={saving}>{saving ? 'Saving...' : 'Save'}</button>
+          </div>
+        </form>
+      ) : !terms ? (
+        <p className="fee-terms-note">No fee terms agreed yet. Placements can't be recorded for this client until they are set.</p>
+      ) : (
+        <dl className="fee-terms-list">
+          <dt>Fee</dt>
+          <dd>{terms.type === 'flat' ? `${formatMoney(terms.flatFee, terms.currency)} per hire` : `${terms.percentage}% of annual CTC`}</dd>
+          <dt>Tax</dt>
+          <dd>{terms.taxRate}%</dd>
+          <dt>Guarantee</dt>
+          <dd>{terms.guaranteeDays} days from joining</dd>
+          <dt>Payment</dt>
+          <dd>Due {terms.paymentTermsDays} days after invoice</dd>
+        </dl>
+      )}
+    </div>
+  );
+};
+
+export default ClientFeeTerms;
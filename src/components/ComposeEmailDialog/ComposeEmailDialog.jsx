@@ -0,0 +1,194 @@
+import React, { useEffect, useRef, useState } from 'react';
+import './ComposeEmailDialog.css';
+import { toast } from 'react-toastify';
+import { mergeTemplates, renderTemplate, DEFAULT_TEMPLATES, PLACEHOLDERS } from '../../utils/emailTemplates';
+import { getModeLabel } from '../../utils/interviews';
+import { deliverEmail } from '../../utils/mailTransport';
+import { listEmailTemplates } from '../../api/mailApi';
+import { listInterviews } from '../../api/interviewApi';
+
+/**
+ * Write an email to a candidate from a template, preview it with the
+ * placeholders filled in, then send it.
+ *
+ * @param {Object} props
+ * @param {{ _id: string, firstName?: string, lastName?: string, email: string }} props.candidate
+ * @param {{ _id: string, jobId: string }} [props.application] - the email is about this application
+ * @param {string} [props.jobTitle]
+ * @param {string} [props.clientName]
+ * @param {string} [props.templateKey] - template to start from
+ * @param {string} [props.cancelLabel] - e.g. "Skip" when suggested after a status change
+ * @param {() => void} props.onClose
+ * @param {() => void} [props.onSent]
+ */
+const ComposeEmailDialog = ({ candidate, application, jobTitle, clientName, templateKey, cancelLabel = 'Cancel', onClose, onSent }) => {
+  const [templates, setTemplates] = useState(DEFAULT_TEMPLATES);
+  const [selectedKey, setSelectedKey] = useState(templateKey || DEFAULT_TEMPLATES[0].key);
+  const [subject, setSubject] = useState("");
+  const [body, setBody] = useState("");
+  const [interview, setInterview] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
+  const [sending, setSending] = useState(false);
+  // Set once the admin types, so a late template load doesn't overwrite them
+  const edited = useRef(false);
+
+  useEffect(() => {
+    const fetchTemplates = async () => {
+      try {
+        const res = await listEmailTemplates();
+        setTemplates(mergeTemplates(res.data || []));
+      } catch (error) {
+        console.error("Error fetching email templates:", error);
+      }
+    };
+    // Next scheduled interview fills the interview placeholders
+    const fetchInterview = async () => {
+      if (!application) return;
+      try {
+        const res = await listInterviews({ applicationId: application._id, status: 'scheduled' });
+        const upcoming = (res.data || [])
+          .filter(item => new Date(item.scheduledAt) > new Date())
+          .sort((a, b) => new Date(a.scheduledAt) - new Date(b.scheduledAt));
+        setInterview(upcoming[0] || null);
+      } catch (error) {
+        console.error("Error fetching interviews:", error);
+      }
+    };
+    fetchTemplates();
+    fetchInterview();
+  }, [application]);
+
+  // Start from the chosen template whenever it (or its saved copy) changes,
+  // unless the admin has already started editing
+  useEffect(() => {
+    const template = templates.find(item => item.key === selectedKey);
+    if (template && !edited.current) {
+      setSubject(template.subject);
+      setBody(template.body);
+    }
+  }, [templates, selectedKey]);
+
+  const values = {
+    firstName: candidate.firstName,
+    lastName: candidate.lastName,
+    jobTitle,
+    clientName,
+    interviewTime: interview && new Date(interview.scheduledAt).toLocaleString('en-GB', {
+      weekday: 'short',
+      day: '2-digit',
+      month: 'short',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    }),
+    interviewMode: interview && getModeLabel(interview.mode),
+    interviewLocation: interview?.location
+  };
+
+  const renderedSubject = renderTemplate(subject, values);
+  const renderedBody = renderTemplate(body, values);
+  const missing = [...new Set([...renderedSubject.missing, ...renderedBody.missing])];
+  const labelOf = (key) => PLACEHOLDERS.find(placeholder => placeholder.key === key)?.label || key;
+
+  const handleSend = async () => {
+    try {
+      setSending(true);
+      const { logError } = await deliverEmail({
+        to: { email: candidate.email, name: `${candidate.firstName || ''} ${candidate.lastName || ''}`.trim() },
+        subject: renderedSubject.text,
+        body: renderedBody.text,
+        candidateId: candidate._id,
+        ...(application && { applicationId: application._id }),
+        templateKey: selectedKey
+      });
+      toast.success(`Email sent to ${candidate.email} ✅`);
+      if (logError) {
+        console.error("Error logging sent email:", logError);
+        toast.warning(`The email was sent but could not be added to the timeline: ${logError.message}`);
+      }
+      onSent?.();
+      onClose();
+    } catch (error) {
+      console.error("Error sending email:", error);
+      toast.error(error.message || "Error sending email");
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="compose-overlay" onClick={onClose}>
+      <div className="compose-dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="compose-header">
+          <div>
+            <h3>{previewing ? 'Preview Email' : 'Email Candidate'}</h3>
+            <p>To: {candidate.firstName} {candidate.lastName} &lt;{candidate.email}&gt;</p>
+          </div>
+          <button className="compose-close" onClick={onClose} title="Close">✕</button>
+        </div>
+
+        {!previewing ? (
+          <>
+            <div className="compose-field">
+              <label htmlFor="compose-template">Template</label>
+              <select id="compose-template" value={selectedKey} onChange={(e) => {
+                // Picking a template is a deliberate choice to replace the text
+                edited.current = false;
+                setSelectedKey(e.target.value);
+              }}>
+                {templates.map(template => (
+                  <option key={template.key} value={template.key}>{template.name}</option>
+                ))}
+              </select>
+            </div>
+            <div className="compose-field">
+              <label htmlFor="compose-subject">Subject</label>
+              <input id="compose-subject" value={subject} onChange={(e) => {
+                edited.current = true;
+                setSubject(e.target.value);
+              }} />
+            </div>
+            <div className="compose-field">
+              <label htmlFor="compose-body">Message</label>
+              <textarea id="compose-body" rows="10" value={body} onChange={(e) => {
+                edited.current = true;
+                setBody(e.target.value);
+              }} />
+            </div>
+            <p className="compose-hint">
+              Placeholders: {PLACEHOLDERS.map(placeholder => `{{${placeholder.key}}}`).join(' ')}
+            </p>
+          </>
+        ) : (
+          <div className="compose-preview">
+            <p className="compose-preview-subject">{renderedSubject.text}</p>
+            <pre className="compose-preview-body">{renderedBody.text}</pre>
+            {missing.length > 0 && (
+              <p className="compose-missing">
+                No value for: {missing.map(labelOf).join(', ')}. Edit the message or fill these in before sending.
+              </p>
+            )}
+          </div>
+        )}
+
+        <div className="compose-actions">
+          <button className="cancel-btn" onClick={onClose}>{cancelLabel}</button>
+          {previewing ? (
+            <>
+              <button className="cancel-btn" onClick={() => setPreviewing(false)}>Back</button>
+              <button className="submit-btn" onClick={handleSend} disabled={sending || missing.length > 0}>
+                {sending ? 'Sending...' : 'Send'}
+              </button>
+            </>
+          ) : (
+            <button className="submit-btn" onClick={() => setPreviewing(true)} disabled={!subject.trim() || !body.trim()}>
+              Preview
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ComposeEmailDialog;
@@ -0,0 +1,141 @@
+import React, { useState, useRef, useEffect } from 'react';
+import './ExportDialog.css';
+import { toast } from 'react-toastify';
+import { isCancelledError } from '../../api/apiClient';
+import { toCsvBlob, toXlsxBlob, downloadBlob } from '../../utils/exportSheet';
+import { fetchAllPages } from '../../utils/bulk';
+
+// Rows requested per page while collecting the export
+const EXPORT_PAGE_SIZE = 100;
+
+/**
+ * Export every row matching the caller's filters, not just the visible page.
+ *
+ * @param {Object} props
+ * @param {string} props.title
+ * @param {import('../../utils/exportSheet').ExportColumn[]} props.columns
+ * @param {(page: number, limit: number, config: { signal: AbortSignal }) =>
+ *   Promise<{ data: any[], pagination?: { totalPages: number, totalItems: number } }>} props.fetchPage
+ * @param {string} props.filename - without extension
+ * @param {() => void} props.onClose
+ */
+const ExportDialog = ({ title, columns, fetchPage, filename, onClose }) => {
+  const [selected, setSelected] = useState(() => new Set(columns.map(column => column.key)));
+  const [format, setFormat] = useState('csv');
+  const [progress, setProgress] = useState(null); // { page, totalPages } while exporting
+  const controllerRef = useRef(null);
+
+  // Stop fetching if the dialog is closed mid-export
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const toggleColumn = (key) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(key)) {
+        next.delete(key);
+      } else {
+        next.add(key);
+      }
+      return next;
+    });
+  };
+
+  const handleExport = async () => {
+    const exportColumns = columns.filter(column => selected.has(column.key));
+    if (exportColumns.length === 0) {
+      toast.error("Select at least one column");
+      return;
+    }
+
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    try {
+      const rows = await fetchAllPages(fetchPage, {
+        limit: EXPORT_PAGE_SIZE,
+        signal: controller.signal,
+        onPage: (page, totalPages) => setProgress({ page, totalPages })
+      });
+
+      if (rows.length === 0) {
+        toast.info("Nothing to export for the current filters");
+        return;
+      }
+
+      const blob = format === 'xlsx'
+        ? await toXlsxBlob(rows, exportColumns, title)
+        : toCsvBlob(rows, exportColumns);
+      downloadBlob(blob, `${filename}.${format}`);
+      toast.success(`Exported ${rows.length} rows ✅`);
+      onClose();
+    } catch (error) {
+      if (isCancelledError(error)) return;
+      console.error("Error exporting:", error);
+      toast.error(error.message || "Error exporting");
+    } finally {
+      if (!controller.signal.aborted) setProgress(null);
+    }
+  };
+
+  const exporting = progress !== null;
+
+  return (
+    <div className="export-dialog-overlay" onClick={exporting ? undefined : onClose}>
+      <div className="export-dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="export-dialog-header">
+          <h3>{title}</h3>
+          <button className="export-dialog-close" onClick={onClose} title="Close">✕</button>
+        </div>
+
+        <div className="export-dialog-section">
+          <div className="export-dialog-section-header">
+            <label>Columns</label>
+            <div>
+              <button className="link-btn" onClick={() => setSelected(new Set(columns.map(column => column.key)))}>All</button>
+              <button className="link-btn" onClick={() => setSelected(new Set())}>None</button>
+            </div>
+          </div>
+          <div className="export-columns">
+            {columns.map(column => (
+              <label key={column.key} className="export-column">
+                <input
+                  type="checkbox"
+                  checked={selected.has(column.key)}
+                  onChange={() => toggleColumn(column.key)}
+                />
+                {column.label}
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div className="export-dialog-section">
+          <label>Format</label>
+          <div className="export-formats">
+            <label>
+              <input type="radio" name="format" value="csv" checked={format === 'csv'} onChange={() => setFormat('csv')} />
+              CSV
+            </label>
+            <label>
+              <input type="radio" name="format" value="xlsx" checked={format === 'xlsx'} onChange={() => setFormat('xlsx')} />
+              Excel (.xlsx)
+            </label>
+          </div>
+        </div>
+
+        <div className="export-dialog-actions">
+          {exporting && (
+            <span className="export-progress">
+              Fetching page {progress.page} of {progress.totalPages}...
+            </span>
+          )}
+          <button className="cancel-btn" onClick={onClose}>Cancel</button>
+          <button className="submit-btn" onClick={handleExport} disabled={exporting}>
+            {exporting ? 'Exporting...' : 'Export'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExportDialog;
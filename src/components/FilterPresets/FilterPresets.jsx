@@ -0,0 +1,209 @@
+import React, { useEffect, useState, useContext, useRef } from 'react';
+import './FilterPresets.css';
+import { toast } from 'react-toastify';
+import { AuthContext } from '../../context/AuthContext';
+import {
+  listPresets,
+  addPreset,
+  updatePreset,
+  removePreset,
+  setDefaultPreset
+} from '../../api/presetApi';
+
+// Presets only store fields that are actually set
+const compact = (filters) => {
+  const result = {};
+  Object.entries(filters || {}).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      result[key] = String(value);
+    }
+  });
+  return result;
+};
+
+const sameFilters = (a, b) => {
+  const left = compact(a);
+  const right = compact(b);
+  const keys = Object.keys(left);
+  return keys.length === Object.keys(right).length && keys.every(key => left[key] === right[key]);
+};
+
+/**
+ * Named filter combinations for a list page: one click to apply, save the
+ * current filters, rename, share with teammates, and pick a default.
+ *
+ * @param {Object} props
+ * @param {string} props.page - preset namespace, e.g. "applicants"
+ * @param {Object<string, string>} props.filters - filters currently applied
+ * @param {(filters: Object<string, string>) => void} props.onApply
+ * @param {boolean} [props.applyDefault] - apply the admin's default once presets load
+ */
+const FilterPresets = ({ page, filters, onApply, applyDefault = false }) => {
+  const { adminId } = useContext(AuthContext);
+  const [presets, setPresets] = useState([]);
+  const [managing, setManaging] = useState(false);
+  const defaultApplied = useRef(false);
+
+  const fetchPresets = async () => {
+    try {
+      const res = await listPresets(page);
+      setPresets(res.data || []);
+      return res.data || [];
+    } catch (error) {
+      console.error("Error fetching filter presets:", error);
+      return [];
+    }
+  };
+
+  useEffect(() => {
+    const loadPresets = async () => {
+      const loaded = await fetchPresets();
+      if (applyDefault && !defaultApplied.current) {
+        defaultApplied.current = true;
+        const defaultPreset = loaded.find(preset => preset.isDefault);
+        if (defaultPreset) onApply(defaultPreset.filters);
+      }
+    };
+    loadPresets();
+    // Presets load once per page; the default is only applied on first load
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [page]);
+
+  const isOwner = (preset) => !preset.owner?._id || preset.owner._id === adminId;
+
+  const handleSave = async () => {
+    const saved = compact(filters);
+    if (Object.keys(saved).length === 0) {
+      toast.info("Set some filters first, then save them as a preset");
+      return;
+    }
+    const name = window.prompt("Name this filter preset:");
+    if (!name || !name.trim()) return;
+
+    try {
+      await addPreset({ page, name: name.trim(), filters: saved, shared: false });
+      toast.success("Preset saved ✅");
+      fetchPresets();
+    } catch (error) {
+      console.error("Error saving preset:", error);
+      toast.error(error.message || "Error saving preset");
+    }
+  };
+
+  const handleRename = async (preset) => {
+    const name = window.prompt("Rename preset:", preset.name);
+    if (!name || !name.trim() || name.trim() === preset.name) return;
+
+    try {
+      await updatePreset({ id: preset._id, name: name.trim() });
+      fetchPresets();
+    } catch (error) {
+      console.error("Error renaming preset:", error);
+      toast.error(error.message || "Error renaming preset");
+    }
+  };
+
+  const handleUpdateFilters = async (preset) => {
+    if (!window.confirm(`Replace the filters saved in "${preset.name}" with the current ones?`)) return;
+
+    try {
+      await updatePreset({ id: preset._id, filters: compact(filters) });
+      toast.success("Preset updated ✅");
+      fetchPresets();
+    } catch (error) {
+      console.error("Error updating preset:", error);
+      toast.error(error.message || "Error updating preset");
+    }
+  };
+
+  const handleToggleShared = async (preset) => {
+    try {
+      await updatePreset({ id: preset._id, shared: !preset.shared });
+      toast.success(preset.shared ? "Preset is now private" : "Preset shared with your team ✅");
+      fetchPresets();
+    } catch (error) {
+      console.error("Error sharing preset:", error);
+      toast.error(error.message || "Error sharing preset");
+    }
+  };
+
+  const handleToggleDefault = async (preset) => {
+    try {
+      await setDefaultPreset(page, preset.isDefault ? null : preset._id);
+      fetchPresets();
+    } catch (error) {
+      console.error("Error setting default preset:", error);
+      toast.error(error.message || "Error setting default preset");
+    }
+  };
+
+  const handleDelete = async (preset) => {
+    if (!window.confirm(`Delete the preset "${preset.name}"?`)) return;
+
+    try {
+      await removePreset(preset._id);
+      toast.success("Preset deleted ✅");
+      fetchPresets();
+    } catch (error) {
+      console.error("Error deleting preset:", error);
+      toast.error(error.message || "Error deleting preset");
+    }
+  };
+
+  return (
+    <div className="filter-presets">
+      <div className="filter-presets-bar">
+        <span className="filter-presets-label">Presets:</span>
+        {presets.length === 0 && <span className="filter-presets-empty">None saved yet</span>}
+        {presets.map(preset => (
+          <button
+            key={preset._id}
+            className={`preset-chip ${sameFilters(preset.filters, filters) ? 'active' : ''}`}
+            onClick={() => onApply(preset.filters)}
+            title={preset.shared && !isOwner(preset) ? `Shared by ${preset.owner?.username}` : preset.name}
+          >
+            {preset.isDefault && <span className="preset-icon">★</span>}
+            {preset.name}
+            {preset.shared && <span className="preset-icon">👥</span>}
+          </button>
+        ))}
+        <button className="preset-action-btn" onClick={handleSave}>+ Save current</button>
+        {presets.length > 0 && (
+          <button className="preset-action-btn" onClick={() => setManaging(!managing)}>
+            {managing ? 'Done' : 'Manage'}
+          </button>
+        )}
+      </div>
+
+      {managing && (
+        <ul className="filter-presets-manage">
+          {presets.map(preset => (
+            <li key={preset._id}>
+              <div className="preset-manage-name">
+                <strong>{preset.name}</strong>
+                {!isOwner(preset) && <span className="preset-owner"> · shared by {preset.owner?.username}</span>}
+              </div>
+              <div className="preset-manage-actions">
+                <button onClick={() => handleToggleDefault(preset)}>
+                  {preset.isDefault ? '★ Default' : '☆ Set default'}
+                </button>
+                {isOwner(preset) && (
+                  <>
+                    <button onClick={() => handleRename(preset)}>Rename</button>
+                    <button onClick={() => handleUpdateFilters(preset)}>Update filters</button>
+                    <button onClick={() => handleToggleShared(preset)}>
+                      {preset.shared ? 'Make private' : 'Share with team'}
+                    </button>
+                    <button className="preset-delete-btn" onClick={() => handleDelete(preset)}>Delete</button>
+                  </>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default FilterPresets;
@@ -0,0 +1,283 @@
+import React, { useEffect, useState } from 'react';
+import './InterviewScheduler.css';
+import { toast } from 'react-toastify';
+import { INTERVIEW_MODES, getModeLabel, downloadInterviewIcs } from '../../utils/interviews';
+import {
+  listInterviews,
+  addInterview,
+  updateInterview,
+  cancelInterview
+} from '../../api/interviewApi';
+
+const DURATIONS = [30, 45, 60, 90, 120];
+
+const EMPTY_FORM = {
+  round: "",
+  date: "",
+  time: "",
+  durationMinutes: "60",
+  mode: "video",
+  location: "",
+  interviewerName: "",
+  interviewerEmail: "",
+  notes: ""
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Split a stored date-time into the local date and time inputs
+const toForm = (interview) => {
+  const at = new Date(interview.scheduledAt);
+  return {
+    round: interview.round || "",
+    date: `${at.getFullYear()}-${pad(at.getMonth() + 1)}-${pad(at.getDate())}`,
+    time: `${pad(at.getHours())}:${pad(at.getMinutes())}`,
+    durationMinutes: String(interview.durationMinutes || 60),
+    mode: interview.mode || "video",
+    location: interview.location || "",
+    interviewerName: interview.interviewer?.name || "",
+    interviewerEmail: interview.interviewer?.email || "",
+    notes: interview.notes || ""
+  };
+};
+
+/**
+ * Schedule, reschedule and cancel interviews for one application, and
+ * download an .ics invite for each.
+ *
+ * @param {Object} props
+ * @param {import('../../api/cvApi').Application} props.application
+ * @param {{ firstName?: string, lastName?: string, email?: string }} props.candidate
+ * @param {string} [props.jobTitle]
+ * @param {boolean} props.canSchedule
+ * @param {() => void} props.onClose
+ */
+const InterviewScheduler = ({ application, candidate, jobTitle, canSchedule, onClose }) => {
+  const [interviews, setInterviews] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const fetchInterviews = async () => {
+    try {
+      setLoading(true);
+      const res = await listInterviews({ applicationId: application._id });
+      setInterviews((res.data || []).sort((a, b) => new Date(a.scheduledAt) - new Date(b.scheduledAt)));
+    } catch (error) {
+      console.error("Error fetching interviews:", error);
+      toast.error(error.message || "Error fetching interviews");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchInterviews();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [application._id]);
+
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+  };
+
+  const resetForm = () => {
+    setFormData(EMPTY_FORM);
+    setEditingId(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const scheduledAt = new Date(`${formData.date}T${formData.time}`);
+    if (Number.isNaN(scheduledAt.getTime())) {
+      toast.error("Enter a valid date and time");
+      return;
+    }
+    if (!editingId && scheduledAt < new Date()) {
+      toast.error("Interview time is in the past");
+      return;
+    }
+
+    const interview = {
+      applicationId: application._id,
+      jobId: application.jobId,
+      round: formData.round.trim(),
+      scheduledAt: scheduledAt.toISOString(),
+      durationMinutes: Number(formData.durationMinutes),
+      mode: formData.mode,
+      location: formData.location.trim(),
+      interviewer: {
+        name: formData.interviewerName.trim(),
+        ...(formData.interviewerEmail.trim() && { email: formData.interviewerEmail.trim() })
+      },
+      notes: formData.notes.trim()
+    };
+
+    try {
+      setSaving(true);
+      if (editingId) {
+        await updateInterview({ id: editingId, ...interview });
+        toast.success("Interview rescheduled ✅");
+      } else {
+        await addInterview(interview);
+        toast.success("Interview scheduled ✅");
+      }
+      resetForm();
+      fetchInterviews();
+    } catch (error) {
+      console.error("Error saving interview:", error);
+      toast.error(error.message || "Error saving interview");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCancel = async (id) => {
+    const confirmCancel = window.confirm("Are you sure you want to cancel this interview?");
+    if (!confirmCancel) return;
+
+    try {
+      await cancelInterview(id);
+      toast.success("Interview cancelled ✅");
+      if (editingId === id) resetForm();
+      fetchInterviews();
+    } catch (error) {
+      console.error("Error cancelling interview:", error);
+      toast.error(error.message || "Error cancelling interview");
+    }
+  };
+
+  // List responses populate the candidate; fill it in for invites either way
+  const withCandidate = (interview) => ({ ...interview, candidate: interview.candidate || candidate });
+
+  const locationLabel = INTERVIEW_MODES.find(mode => mode.key === formData.mode)?.locationLabel || 'Location';
+  const candidateName = `${candidate.firstName || ''} ${candidate.lastName || ''}`.trim();
+
+  return (
+    <div className="scheduler-overlay" onClick={onClose}>
+      <div className="scheduler" onClick={(e) => e.stopPropagation()}>
+        <div className="scheduler-header">
+          <div>
+            <h3>Interviews</h3>
+            <p>{candidateName} – {jobTitle || `Job #${application.jobId}`}</p>
+          </div>
+          <button className="scheduler-close" onClick={onClose} title="Close">✕</button>
+        </div>
+
+        {loading ? (
+          <p className="loading">Loading interviews...</p>
+        ) : interviews.length === 0 ? (
+          <p className="no-data">No interviews scheduled yet.</p>
+        ) : (
+          <ul className="interview-list">
+            {interviews.map(interview => (
+              <li key={interview._id} className={`interview-item ${interview.status === 'cancelled' ? 'cancelled' : ''}`}>
+                <div>
+                  <strong>{interview.round}</strong>
+                  <span className="interview-when">
+                    {new Date(interview.scheduledAt).toLocaleString('en-GB', {
+                      weekday: 'short',
+                      day: '2-digit',
+                      month: 'short',
+                      year: 'numeric',
+                      hour: '2-digit',
+                      minute: '2-digit'
+                    })} · {interview.durationMinutes} min · {getModeLabel(interview.mode)}
+                  </span>
+                  <span className="interview-who">
+                    with {interview.interviewer?.name}
+                    {interview.status === 'cancelled' && <em> (cancelled)</em>}
+                  </span>
+                </div>
+                <div className="interview-actions">
+                  <button onClick={() => downloadInterviewIcs(withCandidate(interview), jobTitle)}>.ics</button>
+                  {canSchedule && interview.status !== 'cancelled' && (
+                    <>
+                      <button onClick={() => { setEditingId(interview._id); setFormData(toForm(interview)); }}>Reschedule</button>
+                      <button className="danger" onClick={() => handleCancel(interview._id)}>Cancel</button>
+                    </>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {canSchedule && (
+          <form className="scheduler-form" onSubmit={handleSubmit}>
+            <h4>{editingId ? 'Reschedule Interview' : 'Schedule Interview'}</h4>
+            <div className="scheduler-row">
+              <div className="scheduler-field wide">
+                <label htmlFor="round">Round *</label>
+                <input id="round" name="round" value={formData.round} onChange={handleChange} placeholder="e.g. Technical round 1" required />
+              </div>
+            </div>
+            <div className="scheduler-row">
+              <div className="scheduler-field">
+                <label htmlFor="date">Date *</label>
+                <input id="date" type="date" name="date" value={formData.date} onChange={handleChange} required />
+              </div>
+              <div className="scheduler-field">
+                <label htmlFor="time">Time *</label>
+                <input id="time" type="time" name="time" value={formData.time} onChange={handleChange} required />
+              </div>
+              <div className="scheduler-field">
+                <label htmlFor="durationMinutes">Duration</label>
+                <select id="durationMinutes" name="durationMinutes" value={formData.durationMinutes} onChange={handleChange}>
+                  {DURATIONS.map(minutes => (
+                    <option key={minutes} value={minutes}>{minutes} min</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            <div className="scheduler-row">
+              <div className="scheduler-field">
+                <label htmlFor="mode">Mode *</label>
+                <select id="mode" name="mode" value={formData.mode} onChange={handleChange}>
+                  {INTERVIEW_MODES.map(mode => (
+                    <option key={mode.key} value={mode.key}>{mode.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="scheduler-field wide">
+                <label htmlFor="location">{locationLabel}</label>
+                <input
+                  id="location"
+                  name="location"
+                  type={formData.mode === 'video' ? 'url' : 'text'}
+                  value={formData.location}
+                  onChange={handleChange}
+                  placeholder={formData.mode === 'video' ? 'https://meet.example.com/...' : ''}
+                />
+              </div>
+            </div>
+            <div className="scheduler-row">
+              <div className="scheduler-field">
+                <label htmlFor="interviewerName">Interviewer *</label>
+                <input id="interviewerName" name="interviewerName" value={formData.interviewerName} onChange={handleChange} required />
+              </div>
+              <div className="scheduler-field">
+                <label htmlFor="interviewerEmail">Interviewer Email</label>
+                <input id="interviewerEmail" type="email" name="interviewerEmail" value={formData.interviewerEmail} onChange={handleChange} />
+              </div>
+            </div>
+            <div className="scheduler-field wide">
+              <label htmlFor="notes">Notes</label>
+              <textarea id="notes" name="notes" rows="2" value={formData.notes} onChange={handleChange} />
+            </div>
+            <div className="scheduler-form-actions">
+              {editingId && (
+                <button type="button" className="cancel-btn" onClick={resetForm}>Cancel Edit</button>
+              )}
+              <button type="submit" className="submit-btn" disabled={saving}>
+                {saving ? 'Saving...' : editingId ? 'Reschedule' : 'Schedule'}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default InterviewScheduler;
@@ -0,0 +1,49 @@
+import React from 'react';
+import './MatchScore.css';
+
+const ICONS = { true: '✓', false: '✗', null: '?' };
+
+const scoreClassName = (score) => {
+  if (score === null) return 'unknown';
+  if (score >= 75) return 'strong';
+  if (score >= 50) return 'partial';
+  return 'weak';
+};
+
+/**
+ * Match score badge; hovering or focusing it lists which of the vacancy's
+ * requirements the candidate met.
+ *
+ * @param {Object} props
+ * @param {import('../../utils/matchScore').MatchResult} props.match
+ */
+const MatchScore = ({ match }) => {
+  if (match.breakdown.length === 0) return null;
+  const { score, breakdown } = match;
+
+  return (
+    <div className={`match-score ${scoreClassName(score)}`} tabIndex={0}>
+      <span className="match-score-value">{score === null ? '—' : `${score}%`}</span>
+      <span className="match-score-label">match</span>
+      <div className="match-score-tooltip" role="tooltip">
+        <strong>Fit with vacancy requirements</strong>
+        <ul>
+          {breakdown.map(item => (
+            <li key={`${item.type}-${item.label}`} className={`match-item ${String(item.matched)}`}>
+              <span className="match-item-icon">{ICONS[item.matched]}</span>
+              <span>
+                {item.label}
+                <small>{item.detail}</small>
+              </span>
+            </li>
+          ))}
+        </ul>
+        {breakdown.some(item => item.matched === null) && (
+          <p className="match-score-note">Requirements marked ? could not be checked and are not counted.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MatchScore;
@@ -0,0 +1,209 @@
+import React, { useEffect, useRef, useState } from 'react';
+import * as pdfjsLib from 'pdfjs-dist/legacy/build/pdf';
+import './PdfViewer.css';
+
+pdfjsLib.GlobalWorkerOptions.workerSrc = new URL('pdfjs-dist/legacy/build/pdf.worker.min.js', import.meta.url).toString();
+
+const ZOOM_STEPS = [0.5, 0.75, 1, 1.25, 1.5, 2, 3];
+const DEFAULT_ZOOM = 1.25;
+
+// Where a text item sits on the rendered page, for search highlights
+const itemRect = (item, viewport) => {
+  const [, , c, d, left, baseline] = pdfjsLib.Util.transform(viewport.transform, item.transform);
+  const height = Math.hypot(c, d);
+  return { left, top: baseline - height, width: item.width * viewport.scale, height };
+};
+
+/**
+ * In-app PDF renderer: one page at a time with page navigation, zoom and a
+ * text search that highlights matches on the page.
+ *
+ * @param {Object} props
+ * @param {ArrayBuffer} props.data - the PDF file; copied, as PDF.js takes ownership
+ * @param {string} props.title - accessible name for the page canvas
+ * @param {number} [props.initialZoom] - one of the zoom steps
+ * @param {() => void} props.onError - the file could not be parsed as a PDF
+ */
+const PdfViewer = ({ data, title, initialZoom = DEFAULT_ZOOM, onError }) => {
+  const [pdf, setPdf] = useState(null);
+  const [pageNumber, setPageNumber] = useState(1);
+  const [zoom, setZoom] = useState(initialZoom);
+  const [viewport, setViewport] = useState(null);
+  const [pageItems, setPageItems] = useState([]);
+  const [query, setQuery] = useState('');
+  const [matches, setMatches] = useState(null); // [{ page, item }] once searched
+  const [matchIndex, setMatchIndex] = useState(0);
+  const [searching, setSearching] = useState(false);
+  const canvasRef = useRef(null);
+  const textCache = useRef({}); // page -> text items
+
+  useEffect(() => {
+    let loaded = null;
+    let cancelled = false;
+    textCache.current = {};
+    const task = pdfjsLib.getDocument({ data: new Uint8Array(data.slice(0)) });
+    task.promise
+      .then(doc => {
+        loaded = doc;
+        if (cancelled) return;
+        setPdf(doc);
+        setPageNumber(1);
+        setMatches(null);
+      })
+      .catch(error => {
+        if (cancelled) return;
+        console.error('Error loading PDF:', error);
+        onError();
+      });
+    return () => {
+      cancelled = true;
+      task.destroy();
+      loaded?.destroy();
+    };
+  }, [data, onError]);
+
+  const getTextItems = async (number) => {
+    if (!textCache.current[number]) {
+      const page = await pdf.getPage(number);
+      const content = await page.getTextContent();
+      textCache.current[number] = content.items.filter(item => item.str);
+    }
+    return textCache.current[number];
+  };
+
+  // Render the current page whenever it or the zoom changes
+  useEffect(() => {
+    if (!pdf) return undefined;
+    let renderTask = null;
+    let cancelled = false;
+
+    const renderPage = async () => {
+      const page = await pdf.getPage(pageNumber);
+      if (cancelled) return;
+      const pageViewport = page.getViewport({ scale: zoom });
+      const canvas = canvasRef.current;
+      const ratio = window.devicePixelRatio || 1;
+      canvas.width = Math.floor(pageViewport.width * ratio);
+      canvas.height = Math.floor(pageViewport.height * ratio);
+      canvas.style.width = `${Math.floor(pageViewport.width)}px`;
+      canvas.style.height = `${Math.floor(pageViewport.height)}px`;
+      renderTask = page.render({
+        canvasContext: canvas.getContext('2d'),
+        viewport: pageViewport,
+        transform: ratio !== 1 ? [ratio, 0, 0, ratio, 0, 0] : null
+      });
+      await renderTask.promise;
+      const items = await getTextItems(pageNumber);
+      if (cancelled) return;
+      setViewport(pageViewport);
+      setPageItems(items);
+    };
+
+    renderPage().catch(error => {
+      if (error?.name !== 'RenderingCancelledException') console.error('Error rendering PDF page:', error);
+    });
+    return () => {
+      cancelled = true;
+      renderTask?.cancel();
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [pdf, pageNumber, zoom]);
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    const needle = query.trim().toLowerCase();
+    if (!needle) {
+      setMatches(null);
+      return;
+    }
+    setSearching(true);
+    const found = [];
+    for (let number = 1; number <= pdf.numPages; number += 1) {
+      const items = await getTextItems(number);
+      items.forEach(item => {
+        if (item.str.toLowerCase().includes(needle)) found.push({ page: number, item });
+      });
+    }
+    setSearching(false);
+    setMatches(found);
+    setMatchIndex(0);
+    if (found.length > 0) setPageNumber(found[0].page);
+  };
+
+  const goToMatch = (index) => {
+    const next = (index + matches.length) % matches.length;
+    setMatchIndex(next);
+    setPageNumber(matches[next].page);
+  };
+
+  const changeZoom = (direction) => {
+    const position = ZOOM_STEPS.indexOf(zoom) + direction;
+    if (position >= 0 && position < ZOOM_STEPS.length) setZoom(ZOOM_STEPS[position]);
+  };
+
+  const currentMatch = matches?.[matchIndex];
+  const highlights = matches && viewport
+    ? pageItems.filter(item => matches.some(match => match.item === item))
+    : [];
+
+  if (!pdf) {
+    return (
+      <div className="resume-loading">
+        <div className="loading-spinner">⏳</div>
+        <p>Loading PDF...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="pdf-viewer">
+      <div className="pdf-toolbar">
+        <div className="pdf-toolbar-group">
+          <button onClick={() => setPageNumber(pageNumber - 1)} disabled={pageNumber <= 1}>‹</button>
+          <span>Page {pageNumber} / {pdf.numPages}</span>
+          <button onClick={() => setPageNumber(pageNumber + 1)} disabled={pageNumber >= pdf.numPages}>›</button>
+        </div>
+        <div className="pdf-toolbar-group">
+          <button onClick={() => changeZoom(-1)} disabled={zoom === ZOOM_STEPS[0]}>−</button>
+          <span>{Math.round(zoom * 100)}%</span>
+          <button onClick={() => changeZoom(1)} disabled={zoom === ZOOM_STEPS[ZOOM_STEPS.length - 1]}>+</button>
+        </div>
+        <form className="pdf-toolbar-group" onSubmit={handleSearch}>
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search in resume"
+          />
+          {searching ? (
+            <span>Searching...</span>
+          ) : matches && (
+            <>
+              <span>{matches.length === 0 ? 'No matches' : `${matchIndex + 1} of ${matches.length}`}</span>
+              <button type="button" onClick={() => goToMatch(matchIndex - 1)} disabled={matches.length < 2}>↑</button>
+              <button type="button" onClick={() => goToMatch(matchIndex + 1)} disabled={matches.length < 2}>↓</button>
+            </>
+          )}
+        </form>
+      </div>
+
+      <div className="pdf-page-scroll">
+        <div className="pdf-page">
+          <canvas ref={canvasRef} aria-label={title} />
+          {highlights.map((item, index) => {
+            const rect = itemRect(item, viewport);
+            return (
+              <span
+                key={index}
+                className={`pdf-highlight ${currentMatch?.item === item ? 'current' : ''}`}
+                style={{ left: rect.left, top: rect.top, width: rect.width, height: rect.height }}
+              />
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PdfViewer;
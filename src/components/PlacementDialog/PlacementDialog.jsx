@@ -0,0 +1,160 @@
+import React, { useEffect, useState } from 'react';
+import './PlacementDialog.css';
+import { toast } from 'react-toastify';
+import { Link } from 'react-router-dom';
+import { getClient } from '../../api/clientApi';
+import { addPlacement } from '../../api/placementApi';
+import { getFeeTerms, calculateFee, addDays, formatMoney, describeFeeTerms } from '../../utils/fees';
+
+const toDateInput = (date) => new Date(date).toISOString().split('T')[0];
+
+/**
+ * Record a hire: joining date and offered salary. The fee and the end of the
+ * replacement guarantee come from the client's fee terms, so recording is
+ * only possible once those have loaded and the client has agreed terms.
+ *
+ * @param {Object} props
+ * @param {import('../../api/cvApi').Application} props.application
+ * @param {{ firstName?: string, lastName?: string }} props.candidate
+ * @param {import('../../api/vacancyApi').Vacancy} [props.vacancy]
+ * @param {string} [props.cancelLabel] - e.g. "Skip" when opened right after a status change
+ * @param {(placement: import('../../api/placementApi').Placement) => void} [props.onSaved]
+ * @param {() => void} props.onClose
+ */
+const PlacementDialog = ({ application, candidate, vacancy, cancelLabel = 'Cancel', onSaved, onClose }) => {
+  const clientId = vacancy?.client?._id;
+  const [client, setClient] = useState(null);
+  const [loadingClient, setLoadingClient] = useState(Boolean(clientId));
+  const [clientError, setClientError] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [joiningDate, setJoiningDate] = useState(() => toDateInput(Date.now()));
+  const [offeredSalary, setOfferedSalary] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  // The vacancy only carries the client's name; fee terms need the full record
+  useEffect(() => {
+    if (!clientId) return;
+    const fetchClient = async () => {
+      try {
+        setLoadingClient(true);
+        setClientError(null);
+        const res = await getClient(clientId);
+        setClient(res.data);
+      } catch (error) {
+        console.error("Error fetching client fee terms:", error);
+        setClientError(error.message || "Error fetching client fee terms");
+      } finally {
+        setLoadingClient(false);
+      }
+    };
+    fetchClient();
+  }, [clientId, reloadKey]);
+
+  const terms = getFeeTerms(client);
+  const fee = terms ? calculateFee(terms, offeredSalary) : 0;
+  const guaranteeEndsAt = terms ? addDays(joiningDate, terms.guaranteeDays) : null;
+  const canRecord = Boolean(terms) && !loadingClient && Boolean(joiningDate) && Number(offeredSalary) > 0;
+
+  // Why the fee can't be worked out yet, if it can't
+  const renderTermsProblem = () => {
+    if (!clientId) {
+      return <p className="placement-terms-problem">This vacancy has no client to bill. Assign one to the vacancy first.</p>;
+    }
+    if (loadingClient) return <p className="placement-fee-terms">Loading fee terms...</p>;
+    if (clientError) {
+      return (
+        <p className="placement-terms-problem">
+          Couldn't load {vacancy.client.name}'s fee terms: {clientError}{' '}
+          <button type="button" className="link-btn" onClick={() => setReloadKey(key => key + 1)}>Retry</button>
+        </p>
+      );
+    }
+    if (client && !terms) {
+      return (
+        <p className="placement-terms-problem">
+          No fee terms are set for <Link to={`/clients/${clientId}`}>{client.name}</Link> yet.
+          They have to be agreed before a placement can be recorded.
+        </p>
+      );
+    }
+    return null;
+  };
+  const candidateName = [candidate?.firstName, candidate?.lastName].filter(Boolean).join(' ') || 'Candidate';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!canRecord) return;
+    const salary = Number(offeredSalary);
+
+    try {
+      setSaving(true);
+      const res = await addPlacement({
+        applicationId: application._id,
+        joiningDate,
+        offeredSalary: salary,
+        currency: terms.currency,
+        feeTerms: terms,
+        fee,
+        guaranteeEndsAt: guaranteeEndsAt.toISOString()
+      });
+      toast.success("Placement recorded ✅");
+      onSaved?.(res.data);
+      onClose();
+    } catch (error) {
+      console.error("Error recording placement:", error);
+      toast.error(error.message || "Error recording placement");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="placement-dialog-overlay" onClick={onClose}>
+      <form className="placement-dialog" onClick={(e) => e.stopPropagation()} onSubmit={handleSubmit}>
+        <h3>Record placement</h3>
+        <p className="placement-dialog-subtitle">
+          {candidateName} · {vacancy?.jobTitle || `Job #${application.jobId}`}
+          {vacancy?.client?.name && <> · {vacancy.client.name}</>}
+        </p>
+
+        <label htmlFor="placement-joining">Joining date *</label>
+        <input
+          id="placement-joining"
+          type="date"
+          value={joiningDate}
+          onChange={(e) => setJoiningDate(e.target.value)}
+          required
+        />
+
+        <label htmlFor="placement-salary">Offered salary (annual CTC{terms && `, ${terms.currency}`}) *</label>
+        <input
+          id="placement-salary"
+          type="number"
+          min="1"
+          step="any"
+          value={offeredSalary}
+          onChange={(e) => setOfferedSalary(e.target.value)}
+          placeholder="e.g. 1200000"
+          required
+        />
+
+        {terms ? (
+          <div className="placement-fee-summary">
+            <span className="placement-fee-terms">{describeFeeTerms(terms)}</span>
+            <span><strong>Fee:</strong> {formatMoney(fee, terms.currency)}</span>
+            {joiningDate && <span><strong>Guarantee until:</strong> {guaranteeEndsAt.toLocaleDateString('en-GB')}</span>}
+          </div>
+        ) : renderTermsProblem()}
+
+        <div className="placement-dialog-actions">
+          <button type="button" className="cancel-btn" onClick={onClose}>{cancelLabel}</button>
+          <button type="submit" className="submit-btn" disabled={saving || !canRecord}>
+            {saving ? 'Saving...' : 'Record'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default PlacementDialog;
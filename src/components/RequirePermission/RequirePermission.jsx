@@ -0,0 +1,18 @@
+import { useContext } from 'react';
+import { AuthContext } from '../../context/AuthContext';
+
+/**
+ * Render children only when the current admin holds `permission`
+ * (a permission string, or an array meaning any-of).
+ *
+ * Works around a whole route or a single button:
+ *   <RequirePermission permission={PERMISSIONS.VACANCIES_DELETE}>
+ *     <button>Delete</button>
+ *   </RequirePermission>
+ */
+const RequirePermission = ({ permission, fallback = null, children }) => {
+  const { hasPermission } = useContext(AuthContext);
+  return hasPermission(permission) ? children : fallback;
+};
+
+export default RequirePermission;
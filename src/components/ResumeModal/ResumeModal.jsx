@@ -1,78 +1,75 @@
-import React, { useState, useEffect } from 'react';
-import mammoth from 'mammoth';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import './ResumeModal.css';
+import ResumePreview, { getResumeFile, downloadResume } from './ResumePreview';
+import { buildKeywordPattern, splitMatches } from '../../utils/keywords';
+import { getResumeText } from '../../api/cvApi';
 
-const ResumeModal = ({ resumeUrl, candidateName, jobTitle, onClose, url }) => {
-  const [isPDF, setIsPDF] = useState(true); // Default to PDF, will check
-  const [loadError, setLoadError] = useState(false);
-  const [docxContent, setDocxContent] = useState(null);
-  const [loadingDocx, setLoadingDocx] = useState(false);
-  const [docxError, setDocxError] = useState(null);
+// Stable default so effects keyed on `keywords` don't rerun every render
+const NO_KEYWORDS = [];
 
-  // Handle both formats: "uploads/..." or just the path
-  const normalizedUrl = resumeUrl?.startsWith('uploads/') ? resumeUrl : resumeUrl ? `uploads/${resumeUrl}` : '';
-  const fullResumeUrl = resumeUrl ? `${url}/${normalizedUrl}` : '';
-  
-  // More robust PDF detection - check filename extension
-  const fileName = resumeUrl?.split('/').pop() || 'resume';
-  const fileExtension = fileName.split('.').pop()?.toLowerCase() || '';
-  const detectedIsPDF = fileExtension === 'pdf';
-  const isDocx = fileExtension === 'docx' || fileExtension === 'doc';
-  
-  // Check if file is PDF based on extension
+/**
+ * Resume preview. With `applicationId` the text extracted on upload can be
+ * shown instead of the document; `keywords` are highlighted in the text view
+ * and in DOCX and RTF previews (PDFs have the viewer's own search instead).
+ * `fileName` is the name the candidate uploaded, used for downloads.
+ */
+const ResumeModal = ({ resumeUrl, fileName: originalName, candidateName, jobTitle, onClose, url, applicationId, keywords = NO_KEYWORDS }) => {
+  const [view, setView] = useState('document'); // 'document' or 'text'
+  const [resumeText, setResumeText] = useState(null);
+  const [loadingText, setLoadingText] = useState(false);
+  const [textError, setTextError] = useState(null);
+  const [documentHitCount, setDocumentHitCount] = useState(0);
+  const [fileKind, setFileKind] = useState(null);
+  const [hitIndex, setHitIndex] = useState(-1);
+  const bodyRef = useRef(null);
+  const keywordPattern = useMemo(() => buildKeywordPattern(keywords), [keywords]);
+
+  const { fullResumeUrl, fileName, fileExtension } = getResumeFile(resumeUrl, url, originalName);
+  const likelyPDF = fileExtension === 'pdf';
+  const highlightsDocument = fileKind === 'docx' || fileKind === 'rtf';
+
+  // Keyword hits aren't marked in the PDF viewer, so start on the text
   useEffect(() => {
-    if (resumeUrl) {
-      setIsPDF(detectedIsPDF);
-      setLoadError(false);
-      setDocxContent(null);
-      setDocxError(null);
-    }
-  }, [detectedIsPDF, resumeUrl]);
+    setView(applicationId && keywords.length > 0 && likelyPDF ? 'text' : 'document');
+  }, [applicationId, keywords, likelyPDF]);
 
-  // Load and convert DOCX to HTML
+  // Extracted text is only fetched once the text view is opened
   useEffect(() => {
-    if (isDocx && fullResumeUrl && !docxContent && !docxError) {
-      setLoadingDocx(true);
-      setDocxError(null);
-      
-      fetch(fullResumeUrl)
-        .then(response => {
-          if (!response.ok) {
-            throw new Error('Failed to fetch DOCX file');
-          }
-          return response.arrayBuffer();
-        })
-        .then(arrayBuffer => {
-          return mammoth.convertToHtml({ arrayBuffer: arrayBuffer });
-        })
-        .then(result => {
-          setDocxContent(result.value);
-          setLoadingDocx(false);
-        })
-        .catch(error => {
-          console.error('Error loading DOCX:', error);
-          setDocxError(error.message);
-          setLoadingDocx(false);
-        });
-    }
-  }, [isDocx, fullResumeUrl, docxContent, docxError]);
+    if (view !== 'text' || !applicationId || resumeText !== null) return;
+    const fetchText = async () => {
+      try {
+        setLoadingText(true);
+        setTextError(null);
+        const res = await getResumeText(applicationId);
+        setResumeText(res.data?.text || '');
+      } catch (error) {
+        console.error('Error loading resume text:', error);
+        setTextError(error.message);
+      } finally {
+        setLoadingText(false);
+      }
+    };
+    fetchText();
+  }, [view, applicationId, resumeText]);
 
-  // Handle iframe load error - if PDF fails to load, might not be PDF
-  const handleIframeError = () => {
-    console.warn('PDF failed to load, treating as non-PDF');
-    setIsPDF(false);
-    setLoadError(true);
-  };
+  const textParts = useMemo(() => splitMatches(resumeText, keywordPattern), [resumeText, keywordPattern]);
+  const hitCount = view === 'text'
+    ? textParts.filter(part => part.match).length
+    : documentHitCount;
 
-  console.log('ResumeModal Debug:', {
-    resumeUrl,
-    normalizedUrl,
-    fullResumeUrl,
-    fileName,
-    fileExtension,
-    detectedIsPDF,
-    isPDF
-  });
+  useEffect(() => {
+    setHitIndex(-1);
+  }, [view, hitCount]);
+
+  // Scroll through the hits one at a time
+  const showNextHit = () => {
+    const hits = bodyRef.current?.querySelectorAll('mark.keyword-hit') || [];
+    if (hits.length === 0) return;
+    const next = (hitIndex + 1) % hits.length;
+    hits.forEach((hit, index) => hit.classList.toggle('current', index === next));
+    hits[next].scrollIntoView({ behavior: 'smooth', block: 'center' });
+    setHitIndex(next);
+  };
 
   // Early return after hooks
   if (!resumeUrl) return null;
@@ -87,14 +84,20 @@ const ResumeModal = ({ resumeUrl, candidateName, jobTitle, onClose, url }) => {
             {jobTitle && <p className="resume-modal-subtitle">{jobTitle}</p>}
           </div>
           <div className="resume-modal-actions">
-            <a
-              href={fullResumeUrl}
-              download={fileName}
-              className="resume-download-btn"
-              onClick={(e) => e.stopPropagation()}
-            >
+            {applicationId && (
+              <div className="resume-view-toggle">
+                <button className={view === 'document' ? 'active' : ''} onClick={() => setView('document')}>Document</button>
+                <button className={view === 'text' ? 'active' : ''} onClick={() => setView('text')}>Text</button>
+              </div>
+            )}
+            {keywords.length > 0 && (view === 'text' || highlightsDocument) && (
+              <button className="resume-hits-btn" onClick={showNextHit} disabled={hitCount === 0}>
+                {hitCount} match{hitCount === 1 ? '' : 'es'}{hitCount > 0 && ' · Next ↓'}
+              </button>
+            )}
+            <button className="resume-download-btn" onClick={() => downloadResume(fullResumeUrl, fileName)}>
               📥 Download
-            </a>
+            </button>
             <button className="resume-close-btn" onClick={onClose}>
               ✕ Close
             </button>
@@ -102,82 +105,43 @@ const ResumeModal = ({ resumeUrl, candidateName, jobTitle, onClose, url }) => {
         </div>
 
         {/* Modal Body */}
-        <div className="resume-modal-body">
-          {isPDF && !loadError ? (
-            <iframe
-              src={fullResumeUrl}
-              className="resume-iframe"
-              title={`Resume - ${candidateName}`}
-              onError={handleIframeError}
-              onLoad={(e) => {
-                // Check if iframe loaded successfully
-                try {
-                  const iframe = e.target;
-                  // If iframe content is accessible and not an error page
-                  if (iframe.contentDocument && iframe.contentDocument.body) {
-                    const bodyText = iframe.contentDocument.body.innerText || '';
-                    // If it's an error page or HTML error, treat as non-PDF
-                    if (bodyText.includes('404') || bodyText.includes('Not Found') || bodyText.includes('Error')) {
-                      handleIframeError();
-                    }
-                  }
-                } catch (err) {
-                  // Cross-origin or other error - assume PDF loaded fine
-                  console.log('Iframe load check:', err.message);
-                }
-              }}
-            />
-          ) : isDocx ? (
-            // DOCX Preview
-            <div className="resume-docx-preview">
-              {loadingDocx ? (
+        <div className="resume-modal-body" ref={bodyRef}>
+          {view === 'text' ? (
+            <div className="resume-text-view">
+              {loadingText ? (
                 <div className="resume-loading">
                   <div className="loading-spinner">⏳</div>
-                  <p>Loading document...</p>
+                  <p>Loading text...</p>
                 </div>
-              ) : docxError ? (
+              ) : textError ? (
                 <div className="resume-non-pdf">
                   <div className="resume-non-pdf-icon">⚠️</div>
-                  <p>Error loading DOCX file: {docxError}</p>
-                  <a
-                    href={fullResumeUrl}
-                    download={fileName}
-                    className="resume-download-btn-large"
-                    onClick={(e) => e.stopPropagation()}
-                  >
-                    📥 Download Resume ({fileExtension.toUpperCase()})
-                  </a>
+                  <p>Error loading resume text: {textError}</p>
+                </div>
+              ) : resumeText ? (
+                <pre className="resume-text">
+                  {textParts.map((part, index) => (part.match
+                    ? <mark key={index} className="keyword-hit">{part.text}</mark>
+                    : <React.Fragment key={index}>{part.text}</React.Fragment>))}
+                </pre>
+              ) : (
+                <div className="resume-non-pdf">
+                  <div className="resume-non-pdf-icon">📄</div>
+                  <p>No text has been extracted from this resume yet.</p>
                 </div>
-              ) : docxContent ? (
-                <div 
-                  className="docx-content"
-                  dangerouslySetInnerHTML={{ __html: docxContent }}
-                />
-              ) : null}
+              )}
             </div>
           ) : (
-            <div className="resume-non-pdf">
-              <div className="resume-non-pdf-icon">📄</div>
-              <p>
-                {loadError 
-                  ? 'Unable to preview this file. It may not be a PDF or the file may be corrupted.'
-                  : 'This file format cannot be previewed in the browser.'}
-              </p>
-              <p style={{ fontSize: '12px', color: '#94a3b8', marginTop: '8px' }}>
-                File: {fileName} ({fileExtension ? fileExtension.toUpperCase() : 'Unknown format'})
-              </p>
-              <a
-                href={fullResumeUrl}
-                download={fileName}
-                className="resume-download-btn-large"
-                onClick={(e) => {
-                  // Force download
-                  e.stopPropagation();
-                }}
-              >
-                📥 Download Resume ({fileExtension ? fileExtension.toUpperCase() : 'FILE'})
-              </a>
-            </div>
+            <ResumePreview
+              resumeUrl={resumeUrl}
+              url={url}
+              candidateName={candidateName}
+              fileName={originalName}
+              keywordPattern={keywordPattern}
+              onHitCount={setDocumentHitCount}
+              onDetect={setFileKind}
+              onShowText={applicationId ? () => setView('text') : undefined}
+            />
           )}
         </div>
       </div>
@@ -0,0 +1,256 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import mammoth from 'mammoth';
+import './ResumeModal.css';
+import PdfViewer from '../PdfViewer/PdfViewer';
+import { highlightHtml, splitMatches } from '../../utils/keywords';
+import { detectFileType, getDispositionFileName, rtfToText } from '../../utils/fileType';
+import { downloadBlob } from '../../utils/exportSheet';
+
+/**
+ * Where a stored resume is served from. Handles both formats: "uploads/..."
+ * or just the path. The stored name is what the server saved the upload as;
+ * pass the candidate's original file name when it is known.
+ */
+export const getResumeFile = (resumeUrl, url, originalName) => {
+  const normalizedUrl = resumeUrl?.startsWith('uploads/') ? resumeUrl : resumeUrl ? `uploads/${resumeUrl}` : '';
+  const storedName = resumeUrl?.split('/').pop() || 'resume';
+  return {
+    fullResumeUrl: resumeUrl ? `${url}/${normalizedUrl}` : '',
+    fileName: originalName || storedName,
+    fileExtension: storedName.split('.').pop()?.toLowerCase() || ''
+  };
+};
+
+// Original name from the server if it sends one, else the name we know
+const resolveFileName = (response, fileName) =>
+  getDispositionFileName(response.headers.get('Content-Disposition')) || fileName;
+
+/**
+ * Download a resume under its original file name. The `download` attribute
+ * is ignored for cross-origin links, so the file is fetched and saved from a blob.
+ */
+export const downloadResume = async (fullResumeUrl, fileName) => {
+  try {
+    const response = await fetch(fullResumeUrl);
+    if (!response.ok) throw new Error('Failed to fetch resume');
+    downloadBlob(await response.blob(), resolveFileName(response, fileName));
+  } catch (error) {
+    console.error('Error downloading resume:', error);
+    window.open(fullResumeUrl, '_blank', 'noopener');
+  }
+};
+
+/**
+ * The document itself. The file is fetched once and its real type read from
+ * the magic bytes and Content-Type, then shown with PDF.js, converted from
+ * DOCX or RTF, displayed as an image, or offered as a download.
+ * Shared by the resume modal and the candidate comparison.
+ *
+ * @param {Object} props
+ * @param {string} props.resumeUrl
+ * @param {string} props.url - backend base URL
+ * @param {string} props.candidateName
+ * @param {string} [props.fileName] - name the candidate uploaded the file with
+ * @param {RegExp | null} [props.keywordPattern] - highlighted in DOCX and RTF previews
+ * @param {(count: number) => void} [props.onHitCount]
+ * @param {(kind: import('../../utils/fileType').ResumeKind) => void} [props.onDetect]
+ * @param {() => void} [props.onShowText] - offered for files that cannot be previewed
+ * @param {number} [props.pdfZoom] - starting zoom for PDFs, e.g. smaller in narrow columns
+ */
+const ResumePreview = ({ resumeUrl, url, candidateName, fileName: originalName, keywordPattern = null, onHitCount, onDetect, onShowText, pdfZoom }) => {
+  const [file, setFile] = useState(null); // { buffer, kind, mime, name }
+  const [loading, setLoading] = useState(false);
+  const [loadError, setLoadError] = useState(null);
+  const [docxContent, setDocxContent] = useState(null);
+  const [docxError, setDocxError] = useState(null);
+  const [imageUrl, setImageUrl] = useState(null);
+  const [imageZoomed, setImageZoomed] = useState(false);
+
+  const { fullResumeUrl, fileName, fileExtension } = getResumeFile(resumeUrl, url, originalName);
+  const kind = file?.kind;
+
+  // Fetch the file and work out what it really is
+  useEffect(() => {
+    if (!fullResumeUrl) return undefined;
+    const controller = new AbortController();
+    const loadFile = async () => {
+      try {
+        setLoading(true);
+        setLoadError(null);
+        setFile(null);
+        setDocxContent(null);
+        setDocxError(null);
+        const response = await fetch(fullResumeUrl, { signal: controller.signal });
+        if (!response.ok) throw new Error(`Failed to fetch resume (${response.status})`);
+        const buffer = await response.arrayBuffer();
+        const detected = detectFileType(buffer, response.headers.get('Content-Type'), fileName);
+        setFile({ buffer, ...detected, name: resolveFileName(response, fileName) });
+      } catch (error) {
+        if (error.name === 'AbortError') return;
+        console.error('Error loading resume:', error);
+        setLoadError(error.message);
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    };
+    loadFile();
+    return () => controller.abort();
+  }, [fullResumeUrl, fileName]);
+
+  useEffect(() => {
+    if (kind) onDetect?.(kind);
+  }, [kind, onDetect]);
+
+  // Convert DOCX to HTML
+  useEffect(() => {
+    if (kind !== 'docx') return;
+    mammoth.convertToHtml({ arrayBuffer: file.buffer })
+      .then(result => setDocxContent(result.value))
+      .catch(error => {
+        console.error('Error loading DOCX:', error);
+        setDocxError(error.message);
+      });
+  }, [kind, file]);
+
+  // Object URL for image resumes, released when the file changes
+  useEffect(() => {
+    if (kind !== 'image') return undefined;
+    const objectUrl = URL.createObjectURL(new Blob([file.buffer], { type: file.mime }));
+    setImageUrl(objectUrl);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [kind, file]);
+
+  const rtfParts = useMemo(
+    () => (kind === 'rtf'
+      ? splitMatches(rtfToText(new TextDecoder('windows-1252').decode(file.buffer)), keywordPattern)
+      : []),
+    [kind, file, keywordPattern]
+  );
+
+  const highlightedDocx = useMemo(
+    () => highlightHtml(docxContent, keywordPattern),
+    [docxContent, keywordPattern]
+  );
+
+  const hitCount = kind === 'docx'
+    ? highlightedDocx.count
+    : rtfParts.filter(part => part.match).length;
+
+  useEffect(() => {
+    onHitCount?.(hitCount);
+  }, [onHitCount, hitCount]);
+
+  // PDF.js could not parse it after all; fall back to the download
+  const handlePdfError = useCallback(() => {
+    setFile(prev => prev && { ...prev, kind: 'unknown' });
+    setLoadError('The file could not be read as a PDF.');
+  }, []);
+
+  const handleDownload = (e) => {
+    e.stopPropagation();
+    if (file) {
+      downloadBlob(new Blob([file.buffer], { type: file.mime }), file.name);
+    } else {
+      downloadResume(fullResumeUrl, fileName);
+    }
+  };
+
+  const typeLabel = (fileExtension || 'file').toUpperCase();
+
+  const renderFallback = (icon, message) => (
+    <div className="resume-non-pdf">
+      <div className="resume-non-pdf-icon">{icon}</div>
+      <p>{message}</p>
+      <p style={{ fontSize: '12px', color: '#94a3b8', marginTop: '8px' }}>
+        File: {file?.name || fileName} ({file?.mime || typeLabel})
+      </p>
+      <div className="resume-fallback-actions">
+        {onShowText && (
+          <button className="resume-text-btn" onClick={onShowText}>Show extracted text</button>
+        )}
+        <button className="resume-download-btn-large" onClick={handleDownload}>
+          📥 Download Resume ({typeLabel})
+        </button>
+      </div>
+    </div>
+  );
+
+  if (!resumeUrl) return null;
+
+  if (loading) {
+    return (
+      <div className="resume-loading">
+        <div className="loading-spinner">⏳</div>
+        <p>Loading document...</p>
+      </div>
+    );
+  }
+
+  if (loadError) {
+    return renderFallback('⚠️', `Unable to preview this file. ${loadError}`);
+  }
+
+  switch (kind) {
+    case 'pdf':
+      return (
+        <PdfViewer
+          data={file.buffer}
+          title={`Resume - ${candidateName}`}
+          initialZoom={pdfZoom}
+          onError={handlePdfError}
+        />
+      );
+
+    case 'docx':
+      return (
+        <div className="resume-docx-preview">
+          {docxError ? (
+            renderFallback('⚠️', `Error loading DOCX file: ${docxError}`)
+          ) : docxContent !== null ? (
+            <div 
+              className="docx-content"
+              dangerouslySetInnerHTML={{ __html: highlightedDocx.html }}
+            />
+          ) : (
+            <div className="resume-loading">
+              <div className="loading-spinner">⏳</div>
+              <p>Converting document...</p>
+            </div>
+          )}
+        </div>
+      );
+
+    case 'rtf':
+      return (
+        <div className="resume-text-view">
+          <pre className="resume-text">
+            {rtfParts.map((part, index) => (part.match
+              ? <mark key={index} className="keyword-hit">{part.text}</mark>
+              : <React.Fragment key={index}>{part.text}</React.Fragment>))}
+          </pre>
+        </div>
+      );
+
+    case 'image':
+      return (
+        <div className={`resume-image-view ${imageZoomed ? 'zoomed' : ''}`}>
+          {imageUrl && (
+            <img
+              src={imageUrl}
+              alt={`Resume - ${candidateName}`}
+              onClick={() => setImageZoomed(!imageZoomed)}
+              title={imageZoomed ? 'Fit to width' : 'Actual size'}
+            />
+          )}
+        </div>
+      );
+
+    case 'doc':
+      return renderFallback('📄', 'Legacy Word (.doc) documents cannot be previewed in the browser.');
+
+    default:
+      return file ? renderFallback('📄', 'This file format cannot be previewed in the browser.') : null;
+  }
+};
+
+export default ResumePreview;
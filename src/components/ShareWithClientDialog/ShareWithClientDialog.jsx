@@ -0,0 +1,68 @@
+import React, { useEffect, useState } from 'react';
+import './ShareWithClientDialog.css';
+import { listClients } from '../../api/clientApi';
+
+/**
+ * Pick a client and an optional note before sharing candidates with them.
+ *
+ * @param {Object} props
+ * @param {number} props.count - how many records will be shared
+ * @param {string} [props.defaultClientId] - preselected client, e.g. the vacancy's
+ * @param {(share: { clientId: string, note: string }) => void} props.onSubmit
+ * @param {() => void} props.onClose
+ */
+const ShareWithClientDialog = ({ count, defaultClientId = "", onSubmit, onClose }) => {
+  const [clients, setClients] = useState([]);
+  const [clientId, setClientId] = useState(defaultClientId);
+  const [note, setNote] = useState("");
+
+  useEffect(() => {
+    const fetchClients = async () => {
+      try {
+        const res = await listClients();
+        setClients((res.data || []).filter(client => client.isActive));
+      } catch (error) {
+        console.error("Error fetching clients:", error);
+      }
+    };
+    fetchClients();
+  }, []);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!clientId) return;
+    onSubmit({ clientId, note: note.trim() });
+  };
+
+  return (
+    <div className="share-dialog-overlay" onClick={onClose}>
+      <form className="share-dialog" onClick={(e) => e.stopPropagation()} onSubmit={handleSubmit}>
+        <h3>Share {count} with client</h3>
+
+        <label htmlFor="share-client">Client *</label>
+        <select id="share-client" value={clientId} onChange={(e) => setClientId(e.target.value)} required>
+          <option value="">Select client</option>
+          {clients.map(client => (
+            <option key={client._id} value={client._id}>{client.name}</option>
+          ))}
+        </select>
+
+        <label htmlFor="share-note">Note for the client</label>
+        <textarea
+          id="share-note"
+          rows="4"
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          placeholder="Optional message sent along with the profiles"
+        />
+
+        <div className="share-dialog-actions">
+          <button type="button" className="cancel-btn" onClick={onClose}>Cancel</button>
+          <button type="submit" className="submit-btn" disabled={!clientId}>Share</button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ShareWithClientDialog;
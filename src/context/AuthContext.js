@@ -1,25 +1,45 @@
-import React, { createContext, useState, useEffect } from 'react';
+import React, { createContext, useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { setAuthToken, setUnauthorizedHandler } from '../api/apiClient';
+import { decodeJwt, getExpiry, isExpired } from '../utils/jwt';
+import { getRoles, rolesHavePermission } from '../utils/permissions';
 
 const AuthContext = createContext();
 
+// How long before expiry the admin gets a heads-up toast
+const EXPIRY_WARNING_MS = 5 * 60 * 1000;
+// setTimeout fires immediately for delays above 2^31-1 ms (~24.8 days)
+const MAX_TIMER_MS = 2147483647;
+
 const AuthProvider = ({ children }) => {
-  // Helper function to validate token format
+  const navigate = useNavigate();
+  const location = useLocation();
+  const locationRef = useRef(location);
+
+  // Helper function to validate token format and expiry
   const isValidToken = (token) => {
     if (!token || token === "null" || token === "undefined" || typeof token !== "string") {
       return false;
     }
     // JWT should have 3 parts separated by dots
     const parts = token.split('.');
-    return parts.length === 3 && parts.every(part => part.length > 0);
+    if (parts.length !== 3 || !parts.every(part => part.length > 0)) {
+      return false;
+    }
+    const claims = decodeJwt(token);
+    return claims !== null && !isExpired(claims);
   };
 
   const [auth, setAuth] = useState(() => {
     const token = localStorage.getItem('token');
     // Only set auth if token is valid
     if (token && isValidToken(token)) {
-      return { token };
+      // Set before first render so child effects already send the header
+      setAuthToken(token);
+      return { token, claims: decodeJwt(token) };
     } else if (token && !isValidToken(token)) {
-      // Clear invalid token
+      // Clear invalid or expired token
       localStorage.removeItem('token');
     }
     return null;
@@ -28,32 +48,94 @@ const AuthProvider = ({ children }) => {
   const login = (token) => {
     if (isValidToken(token)) {
       localStorage.setItem('token', token);
-      setAuth({ token });
+      setAuthToken(token);
+      setAuth({ token, claims: decodeJwt(token) });
     } else {
       console.error('Invalid token format received');
       localStorage.removeItem('token');
+      setAuthToken(null);
       setAuth(null);
     }
   };
 
-  const logout = () => {
+  const logout = useCallback(() => {
     localStorage.removeItem('token');
+    setAuthToken(null);
     setAuth(null);
-  };
+  }, []);
+
+  // Forced logout (expired or revoked token): remember the current page so
+  // Login can send the admin straight back after re-authenticating
+  const endSession = useCallback((message) => {
+    const from = locationRef.current;
+    logout();
+    toast.error(message, { toastId: 'session-ended' });
+    navigate('/login', { replace: true, state: { from } });
+  }, [logout, navigate]);
+
+  useEffect(() => {
+    locationRef.current = location;
+  }, [location]);
 
   useEffect(() => {
     const token = localStorage.getItem('token');
     if (token && isValidToken(token)) {
-      setAuth({ token });
+      setAuthToken(token);
+      setAuth({ token, claims: decodeJwt(token) });
     } else if (token) {
       // Clear invalid token
       localStorage.removeItem('token');
+      setAuthToken(null);
       setAuth(null);
     }
   }, []);
 
+  // Warn shortly before the token expires, then log out when it does
+  useEffect(() => {
+    const expiry = getExpiry(auth?.claims);
+    if (expiry === null) return;
+
+    const timers = [];
+    const untilExpiry = expiry - Date.now();
+    const untilWarning = untilExpiry - EXPIRY_WARNING_MS;
+
+    if (untilWarning > 0 && untilWarning <= MAX_TIMER_MS) {
+      timers.push(setTimeout(() => {
+        toast.warning(
+          `Your session expires in ${Math.round(EXPIRY_WARNING_MS / 60000)} minutes. Save your work and log in again to continue.`,
+          { toastId: 'session-expiring', autoClose: false }
+        );
+      }, untilWarning));
+    }
+    if (untilExpiry <= MAX_TIMER_MS) {
+      timers.push(setTimeout(() => {
+        endSession('Your session has expired. Please log in again.');
+      }, Math.max(untilExpiry, 0)));
+    }
+
+    return () => timers.forEach(clearTimeout);
+  }, [auth, endSession]);
+
+  // Any authenticated request rejected with 401 means the token was revoked
+  useEffect(() => {
+    setUnauthorizedHandler(() => {
+      endSession('Your session is no longer valid. Please log in again.');
+    });
+    return () => setUnauthorizedHandler(null);
+  }, [endSession]);
+
+  const roles = useMemo(() => getRoles(auth?.claims), [auth]);
+  // Id of the logged-in admin account, for "is this mine?" checks
+  const adminId = auth?.claims?.id || auth?.claims?.sub || null;
+
+  // hasPermission('vacancies:delete') or hasPermission([...]) for any-of
+  const hasPermission = useCallback(
+    (permission) => rolesHavePermission(roles, permission),
+    [roles]
+  );
+
   return (
-    <AuthContext.Provider value={{ auth, login, logout }}>
+    <AuthContext.Provider value={{ auth, login, logout, adminId, roles, hasPermission }}>
       {children}
     </AuthContext.Provider>
   );
@@ -0,0 +1,22 @@
+import { useEffect, useState } from 'react';
+
+/**
+ * `value`, but only after it has stopped changing for `delay` ms.
+ * Used to hold back search requests until the admin pauses typing.
+ * @template T
+ * @param {T} value
+ * @param {number} delay
+ * @returns {T}
+ */
+const useDebouncedValue = (value, delay) => {
+  const [debounced, setDebounced] = useState(value);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebounced(value), delay);
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+
+  return debounced;
+};
+
+export default useDebouncedValue;
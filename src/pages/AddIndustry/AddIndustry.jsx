@@ -1,11 +1,9 @@
-import React, { useState, useContext } from 'react'
+import React, { useState } from 'react'
 import './AddIndustry.css'
-import axios from "axios";
 import { toast } from 'react-toastify';
-import { AuthContext } from '../../context/AuthContext';
+import { addIndustry } from '../../api/industryApi';
 
 const AddIndustry = ({url}) => {
-  const { auth } = useContext(AuthContext);
   const [image , setImage] = useState(false);
   const [data , setData] = useState({
     name:"",
@@ -44,22 +42,18 @@ const AddIndustry = ({url}) => {
 }
     
     
-    const response = await axios.post(`${url}/api/industry/add` , formData, {
-      headers: {
-        'Authorization': `Bearer ${auth.token}`
-      }
-    });
-    if(response.data.success){
+    try {
+      const response = await addIndustry(formData);
       setData({
         name:"",
         description:"",
         roles:[]
       });
       setImage(false);
-      toast.success(response.data.message);
-    }
-    else {
-      toast.error(response.data.message);
+      toast.success(response.message);
+    } catch (error) {
+      console.error("Error adding industry:", error);
+      toast.error(error.message);
     }
   };
 
@@ -1,12 +1,10 @@
-import React, { useEffect, useState, useContext } from 'react'
+import React, { useState } from 'react'
 import './AddService.css'
-import axios from "axios";
 import { toast } from 'react-toastify';
-import { AuthContext } from '../../context/AuthContext';
+import { addService } from '../../api/serviceApi';
 
 
 const AddService = ({url}) => {
-  const { auth } = useContext(AuthContext);
   const [image , setImage] = useState(false);
   const [data , setData] = useState({
     name:"",
@@ -29,21 +27,17 @@ const AddService = ({url}) => {
     // formData.append("price" , Number(data.price));
     // formData.append("category" , data.category);
     formData.append("image",image);
-    const response = await axios.post(`${url}/api/service/add` , formData, {
-      headers: {
-        'Authorization': `Bearer ${auth.token}`
-      }
-    });
-    if(response.data.success){
+    try {
+      const response = await addService(formData);
       setData({
         name:"",
         description:"",
       })
       setImage(false);
-      toast.success(response.data.message);
-    }
-    else {
-      toast.error(response.data.message);
+      toast.success(response.message);
+    } catch (error) {
+      console.error("Error adding service:", error);
+      toast.error(error.message);
     }
   }
 
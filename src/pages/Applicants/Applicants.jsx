@@ -1,10 +1,74 @@
-import React, { useEffect, useState, useContext } from "react";
-import axios from "axios";
+import React, { useEffect, useState, useContext, useMemo } from "react";
 import "./Applicants.css";
 import { toast } from "react-toastify";
-import { AuthContext } from '../../context/AuthContext';
 import { useLocation, useNavigate } from "react-router-dom";
 import ResumeModal from '../../components/ResumeModal/ResumeModal';
+import FilterPresets from '../../components/FilterPresets/FilterPresets';
+import ExportDialog from '../../components/ExportDialog/ExportDialog';
+import BulkProgress from '../../components/BulkProgress/BulkProgress';
+import ShareWithClientDialog from '../../components/ShareWithClientDialog/ShareWithClientDialog';
+import CandidateTimeline from '../../components/CandidateTimeline/CandidateTimeline';
+import InterviewScheduler from '../../components/InterviewScheduler/InterviewScheduler';
+import ComposeEmailDialog from '../../components/ComposeEmailDialog/ComposeEmailDialog';
+import PlacementDialog from '../../components/PlacementDialog/PlacementDialog';
+import MatchScore from '../../components/MatchScore/MatchScore';
+import CandidateComparison, { MIN_COMPARE, MAX_COMPARE } from '../../components/CandidateComparison/CandidateComparison';
+import useDebouncedValue from '../../hooks/useDebouncedValue';
+import { AuthContext } from '../../context/AuthContext';
+import { PERMISSIONS } from '../../utils/permissions';
+import { parseQuery, buildQuery } from '../../utils/queryState';
+import { fetchAllPages, runBulk } from '../../utils/bulk';
+import { getTemplateKeyForStage } from '../../utils/emailTemplates';
+import { parseKeywords } from '../../utils/keywords';
+import { computeMatchScore } from '../../utils/matchScore';
+import { getInvoiceStatusLabel } from '../../utils/fees';
+import {
+  resolvePipeline,
+  getAllStages,
+  getStage,
+  getInitialStatus,
+  getStageClassName
+} from '../../utils/pipeline';
+import { isCancelledError } from '../../api/apiClient';
+import { listVacancies } from '../../api/vacancyApi';
+import { listPipelines } from '../../api/pipelineApi';
+import {
+  listApplications,
+  listCandidates,
+  getCandidate,
+  updateApplicationStatus,
+  removeApplication,
+  shareWithClient
+} from '../../api/cvApi';
+
+// Wait for a pause in typing before searching on the server
+const SEARCH_DEBOUNCE_MS = 400;
+
+const DEFAULT_VIEW = 'applications';
+
+// Everything that lives in the query string, with the value it has when absent.
+// The default sort differs per view: candidates have no applied date.
+const getDefaultQuery = (view) => ({
+  view: DEFAULT_VIEW,
+  page: "1",
+  jobId: "",
+  status: "",
+  search: "",
+  keywords: "",
+  city: "",
+  state: "",
+  degree: "",
+  minCgpa: "",
+  appliedDateFrom: "",
+  appliedDateTo: "",
+  sortBy: view === 'candidates' ? "createdAt" : "appliedAt",
+  sortOrder: "desc"
+});
+
+const readQuery = (search) => {
+  const view = new URLSearchParams(search).get('view') === 'candidates' ? 'candidates' : DEFAULT_VIEW;
+  return parseQuery(search, getDefaultQuery(view));
+};
 
 /**
  * Redesigned Applicants Page - Takes advantage of normalized structure
@@ -17,238 +81,460 @@ import ResumeModal from '../../components/ResumeModal/ResumeModal';
  * 5. Analytics dashboard
  */
 const Applicants = ({ url }) => {
-  const { auth } = useContext(AuthContext);
+  const { hasPermission } = useContext(AuthContext);
+  const canUpdateStatus = hasPermission(PERMISSIONS.APPLICATIONS_UPDATE);
+  const canDelete = hasPermission(PERMISSIONS.APPLICATIONS_DELETE);
   const location = useLocation();
   const navigate = useNavigate();
-  const [viewMode, setViewMode] = useState('applications'); // 'candidates' or 'applications'
+  // Filters, view and page are read from the URL (e.g. /cvs?jobId=123&status=shortlisted&page=3)
+  // so any combination can be bookmarked or shared
+  const query = useMemo(() => readQuery(location.search), [location.search]);
+  const { view: viewMode, page, ...filter } = query; // viewMode: 'candidates' or 'applications'
+  const currentPage = Math.max(1, parseInt(page, 10) || 1);
   const [applications, setApplications] = useState([]);
   const [candidates, setCandidates] = useState([]);
   const [selectedCandidate, setSelectedCandidate] = useState(null);
   const [loading, setLoading] = useState(true);
   const [selectedResume, setSelectedResume] = useState(null); // For resume modal
-  const [filter, setFilter] = useState({
-    jobId: "",
-    status: "",
-    search: "",
-    city: "",
-    state: "",
-    degree: "",
-    minCgpa: "",
-    appliedDateFrom: "",
-    appliedDateTo: "",
-    sortBy: "appliedAt",
-    sortOrder: "desc"
-  });
+  const debouncedSearch = useDebouncedValue(filter.search.trim(), SEARCH_DEBOUNCE_MS);
+  const debouncedKeywords = useDebouncedValue(filter.keywords, SEARCH_DEBOUNCE_MS);
+  // Skill keywords searched in the resume text, e.g. "React, Tally"
+  const resumeKeywords = useMemo(() => parseKeywords(debouncedKeywords), [debouncedKeywords]);
   const [showFilters, setShowFilters] = useState(false);
-  const [pagination, setPagination] = useState({
-    currentPage: 1,
+  const [exportScope, setExportScope] = useState(null); // 'filtered' or 'selected' while exporting
+  const [selected, setSelected] = useState(() => new Map()); // id -> row, kept across pages
+  const [selectAllMatching, setSelectAllMatching] = useState(false);
+  const [bulkProgress, setBulkProgress] = useState(null); // { title, done, total, failures, running }
+  const [showShare, setShowShare] = useState(false);
+  const [scheduling, setScheduling] = useState(null); // { application, candidate } in the interview scheduler
+  const [composing, setComposing] = useState(null); // { candidate, application?, templateKey?, cancelLabel? } being emailed
+  const [comparing, setComparing] = useState(false);
+  const [placing, setPlacing] = useState(null); // { application, candidate, followUpStatus? } being recorded as a hire
+  const [pageInfo, setPageInfo] = useState({
     totalPages: 1,
     totalItems: 0,
     itemsPerPage: 10
   });
+  const pagination = { ...pageInfo, currentPage };
   const [vacancies, setVacancies] = useState([]);
   const [jobMap, setJobMap] = useState({});
-  const [focusedJobId, setFocusedJobId] = useState(null); // JobId coming from /cvs?jobId=XXX
+  const focusedJobId = filter.jobId || null;
+  const [pipelines, setPipelines] = useState([]);
   const [stats, setStats] = useState({
     totalCandidates: 0,
     totalApplications: 0,
-    pending: 0,
-    shortlisted: 0,
-    rejected: 0,
-    hired: 0
+    byStatus: {} // counts keyed by pipeline stage
   });
 
   // Fetch all vacancies (public endpoint - no token needed)
   const fetchVacancies = async () => {
     try {
-      const res = await axios.get(`${url}/api/vacancy/list`);
-      if (res.data.success) {
-        setVacancies(res.data.data || []);
-        const map = {};
-        res.data.data.forEach(vacancy => {
-          map[vacancy.jobId] = vacancy.jobTitle;
-        });
-        setJobMap(map);
-      }
+      const res = await listVacancies();
+      setVacancies(res.data || []);
+      const map = {};
+      res.data.forEach(vacancy => {
+        map[vacancy.jobId] = vacancy.jobTitle;
+      });
+      setJobMap(map);
     } catch (error) {
       console.error("Error fetching vacancies:", error);
       // Don't show error toast for public endpoint failures
     }
   };
 
-  // Initialize filters from URL (e.g. /cvs?jobId=123)
+  // Fetch configured pipelines; without any, every vacancy uses DEFAULT_PIPELINE
+  const fetchPipelines = async () => {
+    try {
+      const res = await listPipelines();
+      setPipelines(res.data || []);
+    } catch (error) {
+      console.error("Error fetching pipelines:", error);
+    }
+  };
+
+  // Stages of the pipeline that applies to a vacancy
+  const getStagesForJob = (jobId) =>
+    resolvePipeline(pipelines, vacancies.find(vacancy => vacancy.jobId === jobId)).stages;
+
+  // Fit of an application with its vacancy's skills, qualification and experience
+  const getMatch = (app) =>
+    computeMatchScore(vacancies.find(vacancy => vacancy.jobId === app.jobId), app.candidateId || {}, app);
+
+  const getStageLabel = (jobId, status) => getStage(getStagesForJob(jobId), status).label;
+
+  // Stages offered in the filter and stats: the focused vacancy's pipeline,
+  // or every configured stage when looking across vacancies
+  const activeStages = filter.jobId ? getStagesForJob(filter.jobId) : getAllStages(pipelines);
+
+  // Write changes back to the URL. Typing in a filter replaces the history
+  // entry; switching view or page pushes one so Back works as expected.
+  const updateQuery = (changes, { replace = true } = {}) => {
+    const next = { ...query, ...changes };
+    navigate({ search: buildQuery(next, getDefaultQuery(next.view)) }, { replace });
+  };
+
+  // Export columns for the current view; applications carry the candidate in candidateId
+  const getExportColumns = () => {
+    const candidateOf = (row) => (viewMode === 'applications' ? row.candidateId || {} : row);
+    const candidateColumns = [
+      { key: 'name', label: 'Name', value: row => `${candidateOf(row).firstName || ''} ${candidateOf(row).lastName || ''}`.trim() },
+      { key: 'email', label: 'Email', value: row => candidateOf(row).email },
+      { key: 'mobileNo', label: 'Mobile', value: row => candidateOf(row).mobileNo },
+      { key: 'city', label: 'City', value: row => candidateOf(row).city },
+      { key: 'state', label: 'State', value: row => candidateOf(row).state },
+      { key: 'degree', label: 'Degree', value: row => candidateOf(row).degree },
+      { key: 'degreeCgpa', label: 'CGPA', value: row => candidateOf(row).degreeCgpa },
+      { key: 'tenthPercentage', label: '10th %', value: row => candidateOf(row).tenthPercentage },
+      { key: 'twelfthPercentage', label: '12th %', value: row => candidateOf(row).twelfthPercentage }
+    ];
+    if (viewMode !== 'applications') {
+      return [
+        ...candidateColumns,
+        { key: 'applicationCount', label: 'Applications', value: row => row.applicationCount }
+      ];
+    }
+    return [
+      ...candidateColumns,
+      { key: 'jobId', label: 'Job ID', value: row => row.jobId },
+      { key: 'jobTitle', label: 'Vacancy', value: row => jobMap[row.jobId] || '' },
+      {
+        key: 'status',
+        label: 'Status',
+        value: row => {
+          const stages = getStagesForJob(row.jobId);
+          return getStage(stages, row.status || getInitialStatus(stages)).label;
+        }
+      },
+      {
+        key: 'appliedAt',
+        label: 'Applied',
+        value: row => new Date(row.appliedAt || row.createdAt).toLocaleDateString('en-GB')
+      },
+      ...(resumeKeywords.length > 0 ? [{
+        key: 'resumeMatches',
+        label: 'Resume Matches',
+        value: row => (row.resumeMatches || []).map(hit => `${hit.keyword} (${hit.count})`).join(', ')
+      }] : []),
+      { key: 'matchScore', label: 'Match Score', value: row => getMatch(row).score ?? '' }
+    ];
+  };
+
+  const fetchExportPage = (page, limit, config) => (viewMode === 'applications'
+    ? listApplications({ page, limit, ...getApplicationParams() }, config)
+    : listCandidates({ page, limit, ...getCandidateParams() }, config));
+
+  // The view and every non-default filter, without the page
+  const filterQuery = buildQuery({ ...query, page: "1" }, getDefaultQuery(query.view));
+
+  // Presets store the view and every non-default filter, exactly as in the URL
+  const presetFilters = useMemo(
+    () => Object.fromEntries(new URLSearchParams(filterQuery)),
+    [filterQuery]
+  );
+
+  const applyPreset = (preset) => {
+    navigate({ search: buildQuery(preset, getDefaultQuery(preset.view)) });
+  };
+
+  // Selection survives paging but not a change of view or filters
   useEffect(() => {
-    const params = new URLSearchParams(location.search);
-    const jobIdFromUrl = params.get('jobId');
-    if (jobIdFromUrl) {
-      setFilter(prev => ({
+    setSelected(new Map());
+    setSelectAllMatching(false);
+  }, [filterQuery]);
+
+  const pageRows = viewMode === 'applications' ? applications : candidates;
+  const allOnPageSelected = pageRows.length > 0 && pageRows.every(row => selected.has(row._id));
+  const selectedCount = selectAllMatching ? pagination.totalItems : selected.size;
+
+  const toggleRow = (row) => {
+    setSelected(prev => {
+      const next = new Map(prev);
+      if (next.has(row._id)) {
+        next.delete(row._id);
+      } else {
+        next.set(row._id, row);
+      }
+      return next;
+    });
+  };
+
+  const togglePage = () => {
+    setSelected(prev => {
+      const next = new Map(prev);
+      pageRows.forEach(row => (allOnPageSelected ? next.delete(row._id) : next.set(row._id, row)));
+      return next;
+    });
+  };
+
+  const canCompare = viewMode === 'applications' && !selectAllMatching
+    && selected.size >= MIN_COMPARE && selected.size <= MAX_COMPARE;
+
+  const clearSelection = () => {
+    setSelected(new Map());
+    setSelectAllMatching(false);
+  };
+
+  // Name (and vacancy) used to identify a row in the failure report
+  const getRowLabel = (row) => {
+    const candidate = viewMode === 'applications' ? row.candidateId || {} : row;
+    const name = `${candidate.firstName || ''} ${candidate.lastName || ''}`.trim() || candidate.email || row._id;
+    return viewMode === 'applications' ? `${name} – #${row.jobId}` : name;
+  };
+
+  // "All matching" is resolved on the server at the time of the action
+  const resolveSelection = () => (selectAllMatching
+    ? fetchAllPages(fetchExportPage)
+    : Promise.resolve([...selected.values()]));
+
+  // Run `perform` over the selection and report per-item failures.
+  // `perform` resolves to the failed items as { item, error }.
+  const runBulkAction = async (title, perform) => {
+    setBulkProgress({ title, done: 0, total: selectedCount, failures: [], running: true });
+    try {
+      const rows = await resolveSelection();
+      const failed = await perform(rows, (done, total) => setBulkProgress(prev => ({ ...prev, done, total })));
+      setBulkProgress(prev => ({
         ...prev,
-        jobId: jobIdFromUrl
+        done: rows.length,
+        total: rows.length,
+        running: false,
+        failures: failed.map(({ item, error }) => ({ label: getRowLabel(item), message: error.message || "Failed" }))
       }));
-      setFocusedJobId(jobIdFromUrl);
-      setViewMode('applications');
+      clearSelection();
+      if (viewMode === 'applications') {
+        fetchApplications();
+      } else {
+        fetchCandidates();
+      }
+    } catch (error) {
+      setBulkProgress(null);
+      console.error("Error running bulk action:", error);
+      toast.error(error.message || "Error running bulk action");
     }
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [location.search]);
+  };
+
+  // In the candidates view bulk status and delete apply to every application of each candidate
+  const forEachApplicationOf = async (candidate, action) => {
+    const res = await getCandidate(candidate._id);
+    const { failed } = await runBulk(res.data.applications || [], action, { concurrency: 1 });
+    if (failed.length > 0) {
+      throw new Error(failed.map(({ item, error }) => `#${item.jobId}: ${error.message}`).join('; '));
+    }
+  };
+
+  const setStatusIfInPipeline = (app, status) => {
+    const stages = getStagesForJob(app.jobId);
+    if (!stages.some(stage => stage.key === status)) {
+      throw new Error(`"${status}" is not a stage in the pipeline for job #${app.jobId}`);
+    }
+    if (app.status === status) return Promise.resolve();
+    return updateApplicationStatus(app._id, status);
+  };
+
+  const handleBulkStatus = (status) => {
+    if (!status) return;
+    const label = getStage(activeStages, status).label;
+    const confirmed = window.confirm(`Move ${selectedCount} selected ${viewMode} to "${label}"?`);
+    if (!confirmed) return;
+
+    const action = viewMode === 'applications'
+      ? app => setStatusIfInPipeline(app, status)
+      : candidate => forEachApplicationOf(candidate, app => setStatusIfInPipeline(app, status));
+    runBulkAction(`Moving to ${label}`, (rows, onProgress) =>
+      runBulk(rows, action, { onProgress }).then(result => result.failed));
+  };
+
+  const handleBulkDelete = () => {
+    const confirmed = window.confirm(viewMode === 'applications'
+      ? `Are you sure you want to delete ${selectedCount} applications?`
+      : `Are you sure you want to delete every application of ${selectedCount} candidates?`);
+    if (!confirmed) return;
+
+    const action = viewMode === 'applications'
+      ? app => removeApplication(app._id)
+      : candidate => forEachApplicationOf(candidate, app => removeApplication(app._id));
+    runBulkAction(`Deleting ${viewMode}`, (rows, onProgress) =>
+      runBulk(rows, action, { onProgress }).then(result => result.failed));
+  };
+
+  // Sharing is a single request; the server reports which ids it could not share
+  const handleShare = ({ clientId, note }) => {
+    setShowShare(false);
+    runBulkAction("Sharing with client", async (rows) => {
+      const ids = rows.map(row => row._id);
+      const res = await shareWithClient(viewMode === 'applications'
+        ? { clientId, note, applicationIds: ids }
+        : { clientId, note, candidateIds: ids });
+      const byId = new Map(rows.map(row => [row._id, row]));
+      return (res.data?.failed || []).map(({ id, message }) => ({
+        item: byId.get(id) || { _id: id },
+        error: new Error(message)
+      }));
+    });
+  };
+
+  // Export of the selection; "all matching" is the same as the filtered export
+  const fetchSelectedPage = (page, limit, config) => (selectAllMatching
+    ? fetchExportPage(page, limit, config)
+    : Promise.resolve({ data: [...selected.values()] }));
+
+  // Any filter change starts again from page 1
+  const setFilter = (nextFilter) => {
+    updateQuery({ ...nextFilter, page: "1" });
+  };
+
+  const setViewMode = (mode) => {
+    updateQuery({ view: mode, page: "1", sortBy: getDefaultQuery(mode).sortBy }, { replace: false });
+  };
+
+  const setCurrentPage = (pageNumber) => {
+    updateQuery({ page: String(pageNumber) }, { replace: false });
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  // Query params for the current filters; shared by the list and the export
+  const getApplicationParams = () => ({
+    search: debouncedSearch,
+    keywords: resumeKeywords.join(','),
+    matchSkills: true,
+    jobId: filter.jobId,
+    status: filter.status,
+    city: filter.city,
+    state: filter.state,
+    degree: filter.degree,
+    minCgpa: filter.minCgpa,
+    appliedDateFrom: filter.appliedDateFrom,
+    appliedDateTo: filter.appliedDateTo,
+    // Match scores are computed here, not on the server
+    sortBy: filter.sortBy === 'matchScore' ? 'appliedAt' : filter.sortBy,
+    sortOrder: filter.sortOrder
+  });
+
+  const getCandidateParams = () => ({
+    search: debouncedSearch,
+    city: filter.city,
+    state: filter.state,
+    degree: filter.degree,
+    minCgpa: filter.minCgpa,
+    sortBy: filter.sortBy,
+    sortOrder: filter.sortOrder
+  });
+
+  // Sorting by match score needs every application of the vacancy, so it is
+  // only offered once a vacancy is selected; the page is cut out here
+  const fetchApplicationsByMatch = async (signal) => {
+    const rows = await fetchAllPages(fetchExportPage, { signal });
+    const direction = filter.sortOrder === 'asc' ? 1 : -1;
+    const sorted = rows
+      .map(app => ({ app, score: getMatch(app).score ?? -1 }))
+      .sort((a, b) => (a.score - b.score) * direction)
+      .map(item => item.app);
+    const { itemsPerPage } = pagination;
+    return {
+      data: sorted.slice((currentPage - 1) * itemsPerPage, currentPage * itemsPerPage),
+      pagination: {
+        totalPages: Math.max(1, Math.ceil(sorted.length / itemsPerPage)),
+        totalItems: sorted.length,
+        itemsPerPage
+      }
+    };
+  };
 
   // Fetch all applications
-  const fetchApplications = async () => {
+  const fetchApplications = async (signal) => {
     try {
       setLoading(true);
-      let query = "";
-      const params = [];
-      
-      // Add pagination params
-      params.push(`page=${pagination.currentPage}`);
-      params.push(`limit=${pagination.itemsPerPage}`);
-      
-      // Add filter params
-      if (filter.jobId) params.push(`jobId=${filter.jobId}`);
-      if (filter.status) params.push(`status=${filter.status}`);
-      if (filter.city) params.push(`city=${encodeURIComponent(filter.city)}`);
-      if (filter.state) params.push(`state=${encodeURIComponent(filter.state)}`);
-      if (filter.degree) params.push(`degree=${encodeURIComponent(filter.degree)}`);
-      if (filter.minCgpa) params.push(`minCgpa=${filter.minCgpa}`);
-      if (filter.appliedDateFrom) params.push(`appliedDateFrom=${filter.appliedDateFrom}`);
-      if (filter.appliedDateTo) params.push(`appliedDateTo=${filter.appliedDateTo}`);
-      if (filter.sortBy) params.push(`sortBy=${filter.sortBy}`);
-      if (filter.sortOrder) params.push(`sortOrder=${filter.sortOrder}`);
-      
-      if (params.length > 0) query = "?" + params.join("&");
+      const res = filter.sortBy === 'matchScore' && filter.jobId
+        ? await fetchApplicationsByMatch(signal)
+        : await listApplications({
+          page: pagination.currentPage,
+          limit: pagination.itemsPerPage,
+          ...getApplicationParams()
+        }, { signal });
+      const apps = res.data || [];
+      setApplications(apps);
       
-      const res = await axios.get(`${url}/api/cv/list${query}`, {
-        headers: {
-          'Authorization': `Bearer ${auth.token}`
-        }
-      });
-      if (res.data.success) {
-        let apps = res.data.data || [];
-        
-        // Apply search filter (client-side for now, can be moved to backend later)
-        if (filter.search) {
-          const searchLower = filter.search.toLowerCase();
-          apps = apps.filter(app => {
-            const candidate = app.candidateId || app;
-            const name = `${candidate.firstName || ''} ${candidate.lastName || ''}`.toLowerCase();
-            const email = (candidate.email || '').toLowerCase();
-            const jobTitle = (jobMap[app.jobId] || '').toLowerCase();
-            return name.includes(searchLower) || email.includes(searchLower) || jobTitle.includes(searchLower);
-          });
-        }
-        
-        setApplications(apps);
-        
-        // Update pagination from response
-        if (res.data.pagination) {
-          setPagination(res.data.pagination);
-        }
-        
-        updateStats(apps);
+      // Update pagination from response
+      if (res.pagination) {
+        setPageInfo(res.pagination);
       }
+      
+      await updateStats(res.pagination?.totalItems ?? apps.length, signal);
     } catch (error) {
+      if (isCancelledError(error)) return;
       console.error("Error fetching applications:", error);
       toast.error("Error fetching applications");
     } finally {
-      setLoading(false);
+      if (!signal?.aborted) setLoading(false);
     }
   };
 
   // Fetch all candidates
-  const fetchCandidates = async () => {
+  const fetchCandidates = async (signal) => {
     try {
       setLoading(true);
-      let query = "";
-      const params = [];
-      
-      // Add pagination params
-      params.push(`page=${pagination.currentPage}`);
-      params.push(`limit=${pagination.itemsPerPage}`);
-      
-      // Add filter params
-      if (filter.city) params.push(`city=${encodeURIComponent(filter.city)}`);
-      if (filter.state) params.push(`state=${encodeURIComponent(filter.state)}`);
-      if (filter.degree) params.push(`degree=${encodeURIComponent(filter.degree)}`);
-      if (filter.minCgpa) params.push(`minCgpa=${filter.minCgpa}`);
-      if (filter.sortBy) params.push(`sortBy=${filter.sortBy}`);
-      if (filter.sortOrder) params.push(`sortOrder=${filter.sortOrder}`);
+      const res = await listCandidates({
+        page: pagination.currentPage,
+        limit: pagination.itemsPerPage,
+        ...getCandidateParams()
+      }, { signal });
+      setCandidates(res.data || []);
       
-      if (params.length > 0) query = "?" + params.join("&");
-      
-      const res = await axios.get(`${url}/api/cv/candidates${query}`, {
-        headers: {
-          'Authorization': `Bearer ${auth.token}`
-        }
-      });
-      if (res.data.success) {
-        let cands = res.data.data || [];
-        
-        // Apply search filter (client-side for now, can be moved to backend later)
-        if (filter.search) {
-          const searchLower = filter.search.toLowerCase();
-          cands = cands.filter(cand => {
-            const name = `${cand.firstName || ''} ${cand.lastName || ''}`.toLowerCase();
-            const email = (cand.email || '').toLowerCase();
-            return name.includes(searchLower) || email.includes(searchLower);
-          });
-        }
-        
-        setCandidates(cands);
-        
-        // Update pagination from response
-        if (res.data.pagination) {
-          setPagination(res.data.pagination);
-        }
+      // Update pagination from response
+      if (res.pagination) {
+        setPageInfo(res.pagination);
       }
     } catch (error) {
+      if (isCancelledError(error)) return;
       console.error("Error fetching candidates:", error);
       toast.error("Error fetching candidates");
     } finally {
-      setLoading(false);
+      if (!signal?.aborted) setLoading(false);
     }
   };
 
   // Fetch candidate details with all applications
   const fetchCandidateDetails = async (candidateId) => {
     try {
-      const res = await axios.get(`${url}/api/cv/candidate/${candidateId}`, {
-        headers: {
-          'Authorization': `Bearer ${auth.token}`
-        }
-      });
-      if (res.data.success) {
-        setSelectedCandidate(res.data.data);
-      }
+      const res = await getCandidate(candidateId);
+      setSelectedCandidate(res.data);
     } catch (error) {
       console.error("Error fetching candidate details:", error);
       toast.error("Error fetching candidate details");
     }
   };
 
-  // Update application status
-  const handleStatusUpdate = async (applicationId, newStatus) => {
+  const getApplicationCandidate = (app) => (app.candidateId && typeof app.candidateId === 'object'
+    ? app.candidateId
+    : selectedCandidate?.candidate);
+
+  // Offer to tell the candidate when the new stage has a matching email template
+  const suggestEmail = (app, status) => {
+    const templateKey = getTemplateKeyForStage(getStage(getStagesForJob(app.jobId), status));
+    const candidate = getApplicationCandidate(app);
+    if (!templateKey || !candidate?.email) return;
+    setComposing({ candidate, application: app, templateKey, cancelLabel: 'Skip' });
+  };
+
+  // Update application status; reaching a "hired" stage first asks for the
+  // placement details, then offers the email
+  const handleStatusUpdate = async (app, newStatus) => {
     try {
-      const res = await axios.post(`${url}/api/cv/update-status`, {
-        id: applicationId,
-        status: newStatus
-      }, {
-        headers: {
-          'Authorization': `Bearer ${auth.token}`
-        }
-      });
-      
-      if (res.data.success) {
-        toast.success(`Application status updated to ${newStatus} ✅`);
-        if (viewMode === 'applications') {
-          fetchApplications();
-        } else if (selectedCandidate) {
-          fetchCandidateDetails(selectedCandidate.candidate._id);
-        }
+      await updateApplicationStatus(app._id, newStatus);
+      toast.success(`Application status updated to ${getStageLabel(app.jobId, newStatus)} ✅`);
+      if (getStage(getStagesForJob(app.jobId), newStatus).outcome === 'hired' && !app.placement) {
+        setPlacing({ application: app, candidate: getApplicationCandidate(app), followUpStatus: newStatus });
       } else {
-        toast.error("Failed to update status ❌");
+        suggestEmail(app, newStatus);
+      }
+      if (viewMode === 'applications') {
+        fetchApplications();
+      } else if (selectedCandidate) {
+        fetchCandidateDetails(selectedCandidate.candidate._id);
       }
     } catch (error) {
       console.error("Error updating status:", error);
-      toast.error("Error updating status ❌");
+      toast.error(error.message || "Error updating status ❌");
     }
   };
 
@@ -258,20 +544,12 @@ const Applicants = ({ url }) => {
     if (!confirmDelete) return;
 
     try {
-      const res = await axios.post(`${url}/api/cv/remove`, { id }, {
-        headers: {
-          'Authorization': `Bearer ${auth.token}`
-        }
-      });
-      if (res.data.success) {
-        toast.success("Application removed successfully ✅");
-        if (viewMode === 'applications') {
-          fetchApplications();
-        } else if (selectedCandidate) {
-          fetchCandidateDetails(selectedCandidate.candidate._id);
-        }
-      } else {
-        toast.error("Failed to remove application ❌");
+      await removeApplication(id);
+      toast.success("Application removed successfully ✅");
+      if (viewMode === 'applications') {
+        fetchApplications();
+      } else if (selectedCandidate) {
+        fetchCandidateDetails(selectedCandidate.candidate._id);
       }
     } catch (error) {
       console.error("Error deleting application:", error);
@@ -279,74 +557,214 @@ const Applicants = ({ url }) => {
     }
   };
 
-  // Calculate stats
-  const updateStats = (apps) => {
-    const stats = {
+  // Calculate stats. The server counts each stage across every page, one
+  // request per stage; with a status filter the other stages are empty.
+  const updateStats = async (totalItems, signal) => {
+    const { sortBy, sortOrder, ...filters } = getApplicationParams();
+    const counts = await Promise.all(activeStages.map(stage => (
+      filter.status && filter.status !== stage.key
+        ? 0
+        : listApplications({ ...filters, status: stage.key, limit: 1 }, { signal })
+          .then(res => res.pagination?.totalItems ?? res.data?.length ?? 0)
+    )));
+
+    setStats({
       totalCandidates: candidates.length,
-      totalApplications: apps.length,
-      pending: 0,
-      shortlisted: 0,
-      rejected: 0,
-      hired: 0
-    };
-    
-    apps.forEach(app => {
-      const status = app.status || 'pending';
-      if (stats.hasOwnProperty(status)) {
-        stats[status]++;
-      }
+      totalApplications: totalItems,
+      byStatus: Object.fromEntries(activeStages.map((stage, index) => [stage.key, counts[index]]))
     });
-    
-    setStats(stats);
+  };
+
+  // Status dropdown driven by the application's own pipeline
+  const renderStatusSelect = (app) => {
+    const stages = getStagesForJob(app.jobId);
+    const status = app.status || getInitialStatus(stages);
+    const current = getStage(stages, status);
+    return (
+      <select
+        value={status}
+        onChange={(e) => handleStatusUpdate(app, e.target.value)}
+        disabled={!canUpdateStatus}
+        className={`status-select ${getStageClassName(current)}`}
+      >
+        {!stages.some(stage => stage.key === status) && (
+          <option value={status}>{current.label}</option>
+        )}
+        {stages.map(stage => (
+          <option key={stage.key} value={stage.key}>{stage.label}</option>
+        ))}
+      </select>
+    );
+  };
+
+  // Interviews follow shortlisting: offered once an application has left its
+  // first stage, and can be scheduled until it reaches a terminal one
+  const renderInterviewButton = (app, candidate) => {
+    const stages = getStagesForJob(app.jobId);
+    const status = app.status || getInitialStatus(stages);
+    if (status === getInitialStatus(stages)) return null;
+    return (
+      <button
+        className="interview-btn"
+        onClick={() => setScheduling({ application: app, candidate })}
+      >
+        📅 Interviews
+      </button>
+    );
+  };
+
+  // Hits per keyword in the resume; shown while searching by keywords
+  const renderResumeMatches = (app) => {
+    if (resumeKeywords.length === 0) return null;
+    const hits = app.resumeMatches || [];
+    return (
+      <div className="resume-matches">
+        <span className="resume-matches-label">Resume matches:</span>
+        {resumeKeywords.map(keyword => {
+          const hit = hits.find(item => item.keyword.toLowerCase() === keyword.toLowerCase());
+          return (
+            <span key={keyword} className={`match-chip ${hit?.count ? 'hit' : 'miss'}`}>
+              {keyword}{hit?.count ? ` ×${hit.count}` : ''}
+            </span>
+          );
+        })}
+      </div>
+    );
+  };
+
+  // The client's answer from the portal, once the application was shared
+  const renderClientFeedback = (app) => {
+    const feedback = app.clientFeedback;
+    if (!feedback) return null;
+    return (
+      <div className={`client-feedback ${feedback.decision}`}>
+        <strong>
+          {feedback.client?.name || 'Client'}: {feedback.decision === 'interested' ? '👍 Interested' : '👎 Not interested'}
+        </strong>
+        <span className="client-feedback-date">{new Date(feedback.updatedAt).toLocaleDateString('en-GB')}</span>
+        {feedback.comment && <p>{feedback.comment}</p>}
+      </div>
+    );
+  };
+
+  // Hired applications are billed through their placement
+  const renderPlacementButton = (app, candidate) => {
+    if (app.placement) {
+      return (
+        <span className="placement-chip">
+          💼 Placed{app.placement.invoiceStatus && ` · Invoice ${getInvoiceStatusLabel(app.placement.invoiceStatus).toLowerCase()}`}
+        </span>
+      );
+    }
+    const stages = getStagesForJob(app.jobId);
+    if (!canUpdateStatus || getStage(stages, app.status || getInitialStatus(stages)).outcome !== 'hired') return null;
+    return (
+      <button className="placement-btn" onClick={() => setPlacing({ application: app, candidate })}>
+        💼 Record placement
+      </button>
+    );
+  };
+
+  const renderEmailButton = (app, candidate) => canUpdateStatus && candidate?.email && (
+    <button
+      className="email-btn"
+      onClick={() => setComposing({ candidate, application: app })}
+    >
+      ✉ Email
+    </button>
+  );
+
+  const renderComposeDialog = () => {
+    if (!composing) return null;
+    const { candidate, application, templateKey, cancelLabel } = composing;
+    const vacancy = application && vacancies.find(item => item.jobId === application.jobId);
+    return (
+      <ComposeEmailDialog
+        candidate={candidate}
+        application={application}
+        jobTitle={application && jobMap[application.jobId]}
+        clientName={vacancy?.client?.name}
+        templateKey={templateKey}
+        cancelLabel={cancelLabel}
+        onClose={() => setComposing(null)}
+        onSent={() => {
+          // Reload the profile so the sent message shows in the timeline
+          if (selectedCandidate) fetchCandidateDetails(selectedCandidate.candidate._id);
+        }}
+      />
+    );
+  };
+
+  const renderPlacementDialog = () => {
+    if (!placing) return null;
+    const { application, candidate, followUpStatus } = placing;
+    return (
+      <PlacementDialog
+        application={application}
+        candidate={candidate}
+        vacancy={vacancies.find(vacancy => vacancy.jobId === application.jobId)}
+        cancelLabel={followUpStatus ? 'Skip' : 'Cancel'}
+        onSaved={() => {
+          if (viewMode === 'applications') {
+            fetchApplications();
+          } else if (selectedCandidate) {
+            fetchCandidateDetails(selectedCandidate.candidate._id);
+          }
+        }}
+        onClose={() => {
+          setPlacing(null);
+          if (followUpStatus) suggestEmail(application, followUpStatus);
+        }}
+      />
+    );
+  };
+
+  const renderInterviewScheduler = () => {
+    if (!scheduling) return null;
+    const { application, candidate } = scheduling;
+    const stages = getStagesForJob(application.jobId);
+    const stage = getStage(stages, application.status || getInitialStatus(stages));
+    return (
+      <InterviewScheduler
+        application={application}
+        candidate={candidate}
+        jobTitle={jobMap[application.jobId]}
+        canSchedule={canUpdateStatus && !stage.terminal}
+        onClose={() => setScheduling(null)}
+      />
+    );
   };
 
   useEffect(() => {
     fetchVacancies();
+    fetchPipelines();
   }, []);
 
-  // Clear all filters
+  // Clear all filters, staying in the current view
   const clearFilters = () => {
-    setFilter({
-      jobId: "",
-      status: "",
-      search: "",
-      city: "",
-      state: "",
-      degree: "",
-      minCgpa: "",
-      appliedDateFrom: "",
-      appliedDateTo: "",
-      sortBy: viewMode === 'applications' ? "appliedAt" : "createdAt",
-      sortOrder: "desc"
-    });
-    setFocusedJobId(null);
-    navigate('/cvs');
+    navigate({ search: buildQuery({ view: viewMode }, getDefaultQuery(viewMode)) });
   };
 
-  // Reset to page 1 when filters or view mode change
-  useEffect(() => {
-    setPagination(prev => ({ ...prev, currentPage: 1 }));
-    // Update sortBy default when switching views
-    if (viewMode === 'applications' && filter.sortBy === 'createdAt') {
-      setFilter(prev => ({ ...prev, sortBy: 'appliedAt' }));
-    } else if (viewMode === 'candidates' && filter.sortBy === 'appliedAt') {
-      setFilter(prev => ({ ...prev, sortBy: 'createdAt' }));
-    }
-  }, [filter.jobId, filter.status, filter.search, filter.city, filter.state, filter.degree, filter.minCgpa, filter.appliedDateFrom, filter.appliedDateTo, viewMode]);
+  // Match scores need the vacancy's requirements, which may load after the list
+  const scoringVacancy = filter.sortBy === 'matchScore'
+    ? vacancies.find(vacancy => vacancy.jobId === filter.jobId)
+    : null;
+
+  // Stage counts are refetched when pipelines load and change the stages
+  const activeStageKeys = activeStages.map(stage => stage.key).join(',');
 
-  // Fetch data when pagination or filters change
+  // Fetch data when pagination or filters change; a newer request
+  // cancels the previous one so stale search results never land
   useEffect(() => {
+    const controller = new AbortController();
     if (viewMode === 'applications') {
-      fetchApplications();
+      fetchApplications(controller.signal);
     } else {
-      fetchCandidates();
+      fetchCandidates(controller.signal);
     }
+    return () => controller.abort();
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [viewMode, filter.jobId, filter.status, filter.city, filter.state, filter.degree, filter.minCgpa, filter.appliedDateFrom, filter.appliedDateTo, filter.sortBy, filter.sortOrder, pagination.currentPage]);
-
-  if (loading && viewMode === 'applications') {
-    return <p className="loading">Loading applications...</p>;
-  }
+  }, [viewMode, debouncedSearch, resumeKeywords, filter.jobId, filter.status, filter.city, filter.state, filter.degree, filter.minCgpa, filter.appliedDateFrom, filter.appliedDateTo, filter.sortBy, filter.sortOrder, currentPage, scoringVacancy, activeStageKeys]);
 
   // Candidate Profile View
   if (selectedCandidate) {
@@ -393,16 +811,7 @@ const Applicants = ({ url }) => {
                       })}
                     </p>
                   </div>
-                  <select
-                    value={app.status || 'pending'}
-                    onChange={(e) => handleStatusUpdate(app._id, e.target.value)}
-                    className={`status-select status-${app.status || 'pending'}`}
-                  >
-                    <option value="pending">Pending</option>
-                    <option value="shortlisted">Shortlisted</option>
-                    <option value="rejected">Rejected</option>
-                    <option value="hired">Hired</option>
-                  </select>
+                  {renderStatusSelect(app)}
                 </div>
                 {app.resume?.url && (
                   <button
@@ -412,6 +821,8 @@ const Applicants = ({ url }) => {
                       const jobTitle = jobMap[app.jobId] || `Job #${app.jobId}`;
                       setSelectedResume({
                         url: app.resume.url,
+                        fileName: app.resume.originalName,
+                        applicationId: app._id,
                         candidateName,
                         jobTitle
                       });
@@ -422,16 +833,32 @@ const Applicants = ({ url }) => {
                     📄 View Resume
                   </button>
                 )}
-                <button
-                  className="delete-btn-small"
-                  onClick={() => handleDelete(app._id)}
-                >
-                  Delete
-                </button>
+                {renderInterviewButton(app, selectedCandidate.candidate)}
+                {renderPlacementButton(app, selectedCandidate.candidate)}
+                {renderEmailButton(app, selectedCandidate.candidate)}
+                {canDelete && (
+                  <button
+                    className="delete-btn-small"
+                    onClick={() => handleDelete(app._id)}
+                  >
+                    Delete
+                  </button>
+                )}
               </div>
             ))}
           </div>
+
+          <CandidateTimeline
+            candidateId={selectedCandidate.candidate._id}
+            applications={selectedCandidate.applications}
+            jobMap={jobMap}
+            getStageLabel={getStageLabel}
+          />
         </div>
+
+        {renderInterviewScheduler()}
+        {renderPlacementDialog()}
+        {renderComposeDialog()}
       </div>
     );
   }
@@ -462,6 +889,12 @@ const Applicants = ({ url }) => {
           >
             Applications
           </button>
+          <button
+            className="toggle-btn"
+            onClick={() => navigate(filter.jobId ? `/pipeline?jobId=${encodeURIComponent(filter.jobId)}` : '/pipeline')}
+          >
+            Pipeline
+          </button>
         </div>
       </div>
 
@@ -475,26 +908,22 @@ const Applicants = ({ url }) => {
           <div className="stat-value">{stats.totalApplications || applications.length}</div>
           <div className="stat-label">Total Applications</div>
         </div>
-        <div className="stat-card">
-          <div className="stat-value">{stats.pending}</div>
-          <div className="stat-label">Pending</div>
-        </div>
-        <div className="stat-card">
-          <div className="stat-value">{stats.shortlisted}</div>
-          <div className="stat-label">Shortlisted</div>
-        </div>
-        <div className="stat-card">
-          <div className="stat-value">{stats.rejected}</div>
-          <div className="stat-label">Rejected</div>
-        </div>
-        <div className="stat-card">
-          <div className="stat-value">{stats.hired}</div>
-          <div className="stat-label">Hired</div>
-        </div>
+        {activeStages.map(stage => (
+          <div key={stage.key} className={`stat-card ${stage.terminal ? 'stat-terminal' : ''}`}>
+            <div className="stat-value">{stats.byStatus[stage.key] || 0}</div>
+            <div className="stat-label">{stage.label}</div>
+          </div>
+        ))}
       </div>
 
       {/* Filters */}
       <div className="filter-section">
+        <FilterPresets
+          page="applicants"
+          filters={presetFilters}
+          onApply={applyPreset}
+          applyDefault={!location.search}
+        />
         <div className="filter-header">
           <input
             type="text"
@@ -515,6 +944,12 @@ const Applicants = ({ url }) => {
           >
             Clear All
           </button>
+          <button
+            className="export-btn"
+            onClick={() => setExportScope('filtered')}
+          >
+            ⬇ Export
+          </button>
         </div>
 
         {/* Quick Filters (Always Visible) */}
@@ -539,11 +974,17 @@ const Applicants = ({ url }) => {
                 className="filter-select"
               >
                 <option value="">All Status</option>
-                <option value="pending">Pending</option>
-                <option value="shortlisted">Shortlisted</option>
-                <option value="rejected">Rejected</option>
-                <option value="hired">Hired</option>
+                {activeStages.map(stage => (
+                  <option key={stage.key} value={stage.key}>{stage.label}</option>
+                ))}
               </select>
+              <input
+                type="text"
+                placeholder="Resume keywords, e.g. React, Tally"
+                value={filter.keywords}
+                onChange={(e) => setFilter({ ...filter, keywords: e.target.value })}
+                className="filter-input keyword-input"
+              />
             </>
           )}
           <select
@@ -559,6 +1000,8 @@ const Applicants = ({ url }) => {
                 <option value="appliedAt">Applied Date</option>
                 <option value="createdAt">Created Date</option>
                 <option value="status">Status</option>
+                {resumeKeywords.length > 0 && <option value="resumeMatches">Resume Matches</option>}
+                {focusedJobId && <option value="matchScore">Match Score</option>}
               </>
             )}
             {viewMode === 'candidates' && (
@@ -653,6 +1096,63 @@ const Applicants = ({ url }) => {
         )}
       </div>
 
+      {/* Bulk Actions */}
+      <div className={`bulk-bar ${selectedCount > 0 ? 'active' : ''}`}>
+        <label className="bulk-select-page">
+          <input
+            type="checkbox"
+            checked={selectAllMatching || allOnPageSelected}
+            onChange={togglePage}
+            disabled={selectAllMatching || pageRows.length === 0}
+          />
+          Select page
+        </label>
+        {selectedCount > 0 && (
+          <>
+            <span className="bulk-count">
+              {selectAllMatching ? `All ${selectedCount} matching selected` : `${selectedCount} selected`}
+            </span>
+            {!selectAllMatching && allOnPageSelected && pagination.totalItems > selected.size && (
+              <button className="link-btn" onClick={() => setSelectAllMatching(true)}>
+                Select all {pagination.totalItems} matching
+              </button>
+            )}
+            <button className="link-btn" onClick={clearSelection}>Clear</button>
+            <div className="bulk-actions">
+              {canUpdateStatus && (
+                <select
+                  value=""
+                  onChange={(e) => handleBulkStatus(e.target.value)}
+                  className="filter-select"
+                >
+                  <option value="">Change status...</option>
+                  {activeStages.map(stage => (
+                    <option key={stage.key} value={stage.key}>{stage.label}</option>
+                  ))}
+                </select>
+              )}
+              {canUpdateStatus && (
+                <button className="bulk-btn" onClick={() => setShowShare(true)}>Share with client</button>
+              )}
+              {viewMode === 'applications' && (
+                <button
+                  className="bulk-btn"
+                  onClick={() => setComparing(true)}
+                  disabled={!canCompare}
+                  title={canCompare ? '' : `Select ${MIN_COMPARE} to ${MAX_COMPARE} applications to compare`}
+                >
+                  Compare
+                </button>
+              )}
+              <button className="bulk-btn" onClick={() => setExportScope('selected')}>⬇ Export</button>
+              {canDelete && (
+                <button className="bulk-btn bulk-delete-btn" onClick={handleBulkDelete}>Delete</button>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+
       {/* Candidates View */}
       {viewMode === 'candidates' && (
         <>
@@ -665,6 +1165,13 @@ const Applicants = ({ url }) => {
               candidates.map((candidate) => (
                 <div key={candidate._id} className="candidate-card">
                   <div className="candidate-card-header">
+                    <input
+                      type="checkbox"
+                      className="select-checkbox"
+                      checked={selectAllMatching || selected.has(candidate._id)}
+                      onChange={() => toggleRow(candidate)}
+                      disabled={selectAllMatching}
+                    />
                     <h3>{candidate.firstName} {candidate.lastName}</h3>
                     <span className="application-count">{candidate.applicationCount || 0} application(s)</span>
                   </div>
@@ -687,10 +1194,7 @@ const Applicants = ({ url }) => {
             <div className="pagination">
               <button
                 disabled={pagination.currentPage === 1 || loading}
-                onClick={() => {
-                  setPagination(prev => ({ ...prev, currentPage: prev.currentPage - 1 }));
-                  window.scrollTo({ top: 0, behavior: 'smooth' });
-                }}
+                onClick={() => setCurrentPage(pagination.currentPage - 1)}
                 className="pagination-btn"
               >
                 Previous
@@ -701,10 +1205,7 @@ const Applicants = ({ url }) => {
               </span>
               <button
                 disabled={pagination.currentPage === pagination.totalPages || loading}
-                onClick={() => {
-                  setPagination(prev => ({ ...prev, currentPage: prev.currentPage + 1 }));
-                  window.scrollTo({ top: 0, behavior: 'smooth' });
-                }}
+                onClick={() => setCurrentPage(pagination.currentPage + 1)}
                 className="pagination-btn"
               >
                 Next
@@ -732,7 +1233,14 @@ const Applicants = ({ url }) => {
                 return (
                   <div key={application._id} className="application-card-full">
                     <div className="app-card-header">
-                      <div>
+                      <input
+                        type="checkbox"
+                        className="select-checkbox"
+                        checked={selectAllMatching || selected.has(application._id)}
+                        onChange={() => toggleRow(application)}
+                        disabled={selectAllMatching}
+                      />
+                      <div className="app-card-title">
                         <h3>{candidateName}</h3>
                         <p className="app-meta">
                           <strong>Job:</strong> #{application.jobId} - {jobMap[application.jobId] || "Unknown"} | 
@@ -740,17 +1248,11 @@ const Applicants = ({ url }) => {
                           <strong> Applied:</strong> {new Date(application.appliedAt || application.createdAt).toLocaleDateString('en-GB')}
                         </p>
                       </div>
-                      <select
-                        value={application.status || 'pending'}
-                        onChange={(e) => handleStatusUpdate(application._id, e.target.value)}
-                        className={`status-select status-${application.status || 'pending'}`}
-                      >
-                        <option value="pending">Pending</option>
-                        <option value="shortlisted">Shortlisted</option>
-                        <option value="rejected">Rejected</option>
-                        <option value="hired">Hired</option>
-                      </select>
+                      <MatchScore match={getMatch(application)} />
+                      {renderStatusSelect(application)}
                     </div>
+                    {renderResumeMatches(application)}
+                    {renderClientFeedback(application)}
                     <div className="app-card-actions">
                       {application.resume?.url ? (
                         <button
@@ -762,6 +1264,8 @@ const Applicants = ({ url }) => {
                             const jobTitle = jobMap[application.jobId] || `Job #${application.jobId}`;
                             setSelectedResume({
                               url: application.resume.url,
+                              fileName: application.resume.originalName,
+                              applicationId: application._id,
                               candidateName,
                               jobTitle
                             });
@@ -774,12 +1278,17 @@ const Applicants = ({ url }) => {
                       ) : (
                         <span className="no-resume">No Resume</span>
                       )}
-                      <button
-                        className="delete-btn-small"
-                        onClick={() => handleDelete(application._id)}
-                      >
-                        Delete
-                      </button>
+                      {renderInterviewButton(application, candidate)}
+                      {renderPlacementButton(application, candidate)}
+                      {renderEmailButton(application, candidate)}
+                      {canDelete && (
+                        <button
+                          className="delete-btn-small"
+                          onClick={() => handleDelete(application._id)}
+                        >
+                          Delete
+                        </button>
+                      )}
                     </div>
                   </div>
                 );
@@ -792,10 +1301,7 @@ const Applicants = ({ url }) => {
             <div className="pagination">
               <button
                 disabled={pagination.currentPage === 1 || loading}
-                onClick={() => {
-                  setPagination(prev => ({ ...prev, currentPage: prev.currentPage - 1 }));
-                  window.scrollTo({ top: 0, behavior: 'smooth' });
-                }}
+                onClick={() => setCurrentPage(pagination.currentPage - 1)}
                 className="pagination-btn"
               >
                 Previous
@@ -806,10 +1312,7 @@ const Applicants = ({ url }) => {
               </span>
               <button
                 disabled={pagination.currentPage === pagination.totalPages || loading}
-                onClick={() => {
-                  setPagination(prev => ({ ...prev, currentPage: prev.currentPage + 1 }));
-                  window.scrollTo({ top: 0, behavior: 'smooth' });
-                }}
+                onClick={() => setCurrentPage(pagination.currentPage + 1)}
                 className="pagination-btn"
               >
                 Next
@@ -819,10 +1322,57 @@ const Applicants = ({ url }) => {
         </>
       )}
 
+      {/* Export, Share and Bulk Progress */}
+      {exportScope && (
+        <ExportDialog
+          title={`Export ${exportScope === 'selected' ? 'Selected ' : ''}${viewMode === 'applications' ? 'Applications' : 'Candidates'}`}
+          columns={getExportColumns()}
+          fetchPage={exportScope === 'selected' ? fetchSelectedPage : fetchExportPage}
+          filename={`${viewMode}-${new Date().toISOString().split('T')[0]}`}
+          onClose={() => setExportScope(null)}
+        />
+      )}
+
+      {showShare && (
+        <ShareWithClientDialog
+          count={selectedCount}
+          defaultClientId={vacancies.find(vacancy => vacancy.jobId === focusedJobId)?.client?._id || ""}
+          onSubmit={handleShare}
+          onClose={() => setShowShare(false)}
+        />
+      )}
+
+      {renderInterviewScheduler()}
+      {renderPlacementDialog()}
+      {renderComposeDialog()}
+
+      {comparing && canCompare && (
+        <CandidateComparison
+          // Prefer the row as last fetched, in case its status changed since selecting
+          applications={[...selected.values()].map(row => applications.find(app => app._id === row._id) || row)}
+          jobMap={jobMap}
+          getStageLabel={getStageLabel}
+          getMatch={getMatch}
+          url={url}
+          onRemove={(id) => toggleRow(selected.get(id))}
+          onClose={() => setComparing(false)}
+        />
+      )}
+
+      {bulkProgress && (
+        <BulkProgress
+          {...bulkProgress}
+          onClose={() => setBulkProgress(null)}
+        />
+      )}
+
       {/* Resume Modal */}
       {selectedResume && (
         <ResumeModal
           resumeUrl={selectedResume.url}
+          fileName={selectedResume.fileName}
+          applicationId={selectedResume.applicationId}
+          keywords={resumeKeywords}
           candidateName={selectedResume.candidateName}
           jobTitle={selectedResume.jobTitle}
           url={url}
@@ -0,0 +1,287 @@
+import React, { useEffect, useState, useContext } from "react";
+import "./ClientDetail.css";
+import { toast } from "react-toastify";
+import { Link, useParams } from "react-router-dom";
+import ClientContacts from '../../components/ClientContacts/ClientContacts';
+import ClientFeeTerms from '../../components/ClientFeeTerms/ClientFeeTerms';
+import { AuthContext } from '../../context/AuthContext';
+import { PERMISSIONS } from '../../utils/permissions';
+import { getAllStages } from '../../utils/pipeline';
+import { isCancelledError } from '../../api/apiClient';
+import { getClient, listClientActivity, addClientNote } from '../../api/clientApi';
+import { listVacancies } from '../../api/vacancyApi';
+import { listApplications } from '../../api/cvApi';
+import { listPipelines } from '../../api/pipelineApi';
+
+// Large enough to cover every vacancy of one client in one request
+const VACANCY_FETCH_LIMIT = 1000;
+
+const ACTIVITY_ICONS = {
+  note: '📝',
+  vacancy: '📌',
+  share: '📤',
+  feedback: '💬',
+  update: '✏️'
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString('en-GB') : '—');
+
+const formatTimestamp = (value) => new Date(value).toLocaleString('en-GB', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+/** Total from a list response, preferring the server's pagination count. */
+const countOf = (res) => res?.pagination?.totalItems ?? res?.data?.length ?? 0;
+
+/**
+ * Everything about one client: profile, contacts, their vacancies, the
+ * applicant funnel across those vacancies and the account's activity log.
+ */
+const ClientDetail = () => {
+  const { id } = useParams();
+  const { hasPermission } = useContext(AuthContext);
+  const canManage = hasPermission(PERMISSIONS.CLIENTS_MANAGE);
+  const canViewApplications = hasPermission(PERMISSIONS.APPLICATIONS_VIEW);
+  const canManageBilling = hasPermission(PERMISSIONS.BILLING_MANAGE);
+  const [client, setClient] = useState(null);
+  const [vacancies, setVacancies] = useState([]);
+  const [funnel, setFunnel] = useState(null); // { total, stages: [{ stage, count }] }
+  const [activity, setActivity] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [note, setNote] = useState("");
+  const [savingNote, setSavingNote] = useState(false);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const config = { signal: controller.signal };
+
+    const loadClient = async () => {
+      try {
+        setLoading(true);
+        const [clientRes, vacancyRes, pipelineRes] = await Promise.all([
+          getClient(id, config),
+          listVacancies({ client: id, limit: VACANCY_FETCH_LIMIT }, config),
+          listPipelines(config).catch(error => {
+            if (!isCancelledError(error)) console.error("Error fetching pipelines:", error);
+            return { data: [] };
+          })
+        ]);
+        const clientVacancies = vacancyRes.data || [];
+        setClient(clientRes.data);
+        setVacancies(clientVacancies);
+
+        // Counts per stage via limit=1, so the server does the counting
+        if (canViewApplications) {
+          const stages = getAllStages(pipelineRes.data || [], clientVacancies);
+          const [totalRes, ...stageRes] = await Promise.all([
+            listApplications({ clientId: id, limit: 1 }, config),
+            ...stages.map(stage => listApplications({ clientId: id, status: stage.key, limit: 1 }, config))
+          ]);
+          setFunnel({
+            total: countOf(totalRes),
+            stages: stages.map((stage, index) => ({ stage, count: countOf(stageRes[index]) }))
+          });
+        }
+      } catch (error) {
+        if (isCancelledError(error)) return;
+        console.error("Error fetching client:", error);
+        toast.error(error.message || "Error fetching client");
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    };
+
+    const loadActivity = async () => {
+      try {
+        const res = await listClientActivity(id, config);
+        setActivity(res.data || []);
+      } catch (error) {
+        if (isCancelledError(error)) return;
+        console.error("Error fetching client activity:", error);
+      }
+    };
+
+    loadClient();
+    loadActivity();
+    return () => controller.abort();
+  }, [id, canViewApplications]);
+
+  const handleAddNote = async (e) => {
+    e.preventDefault();
+    const body = note.trim();
+    if (!body) return;
+
+    try {
+      setSavingNote(true);
+      const res = await addClientNote(id, body);
+      setActivity(prev => [res.data, ...prev]);
+      setNote("");
+      toast.success("Note added ✅");
+    } catch (error) {
+      console.error("Error adding note:", error);
+      toast.error(error.message || "Error adding note");
+    } finally {
+      setSavingNote(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="loading">Loading client...</div>;
+  }
+
+  if (!client) {
+    return (
+      <div className="client-detail-page">
+        <Link to="/manage-clients" className="back-link">← Back to Clients</Link>
+        <p className="no-data">Client not found.</p>
+      </div>
+    );
+  }
+
+  const activeVacancies = vacancies.filter(vacancy => vacancy.status === 'active');
+  const openPositions = activeVacancies.reduce((sum, vacancy) => sum + (vacancy.numberOfOpenings || 1), 0);
+  const funnelMax = Math.max(1, ...(funnel?.stages || []).map(item => item.count));
+
+  return (
+    <div className="client-detail-page scrollable-div">
+      <Link to="/manage-clients" className="back-link">← Back to Clients</Link>
+
+      {/* Profile */}
+      <div className="client-profile">
+        <div className="client-profile-header">
+          <h2>{client.name}</h2>
+          <span className={`status-pill ${client.isActive ? 'active' : 'inactive'}`}>
+            {client.isActive ? 'Active' : 'Inactive'}
+          </span>
+        </div>
+        {client.description && <p className="client-profile-description">{client.description}</p>}
+        <div className="client-profile-meta">
+          {client.website && (
+            <span><strong>Website:</strong> <a href={client.website} target="_blank" rel="noopener noreferrer">{client.website}</a></span>
+          )}
+          {client.address && <span><strong>Address:</strong> {client.address}</span>}
+          <span><strong>Vacancies:</strong> {vacancies.length} ({activeVacancies.length} active, {openPositions} open positions)</span>
+        </div>
+      </div>
+
+      <div className="client-detail-grid">
+        <div className="client-section">
+          <ClientContacts client={client} canManage={canManage} onSaved={setClient} />
+        </div>
+
+        {canManageBilling && (
+          <div className="client-section">
+            <ClientFeeTerms client={client} canManage={canManageBilling} onSaved={setClient} />
+          </div>
+        )}
+
+        {funnel && (
+          <div className="client-section">
+            <div className="client-section-header">
+              <h3>Applicant Funnel</h3>
+              <span className="client-muted">{funnel.total} applications</span>
+            </div>
+            <div className="client-funnel">
+              {funnel.stages.map(({ stage, count }) => (
+                <div key={stage.key} className="client-funnel-row">
+                  <span className="client-funnel-label">{stage.label}</span>
+                  <div className="client-funnel-track">
+                    <div
+                      className={`client-funnel-bar stage-${stage.outcome || 'open'}`}
+                      style={{ width: `${(count / funnelMax) * 100}%` }}
+                    />
+                  </div>
+                  <span className="client-funnel-count">{count}</span>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Vacancies */}
+      <div className="client-section">
+        <div className="client-section-header">
+          <h3>Vacancies ({vacancies.length})</h3>
+        </div>
+        {vacancies.length === 0 ? (
+          <p className="no-data">No vacancies for this client yet.</p>
+        ) : (
+          <div className="client-vacancies-wrapper">
+            <table className="client-vacancies">
+              <thead>
+                <tr>
+                  <th>Job ID</th>
+                  <th>Title</th>
+                  <th>Status</th>
+                  <th>Openings</th>
+                  <th>Deadline</th>
+                  <th>Posted</th>
+                  {canViewApplications && <th />}
+                </tr>
+              </thead>
+              <tbody>
+                {vacancies.map(vacancy => (
+                  <tr key={vacancy._id}>
+                    <td>#{vacancy.jobId}</td>
+                    <td>{vacancy.jobTitle}</td>
+                    <td><span className={`status-pill ${vacancy.status}`}>{vacancy.status}</span></td>
+                    <td>{vacancy.numberOfOpenings || 1}</td>
+                    <td>{formatDate(vacancy.applicationDeadline)}</td>
+                    <td>{formatDate(vacancy.createdAt)}</td>
+                    {canViewApplications && (
+                      <td><Link to={`/cvs?jobId=${vacancy.jobId}`}>Applicants →</Link></td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Activity */}
+      <div className="client-section">
+        <div className="client-section-header">
+          <h3>Activity</h3>
+        </div>
+        {canManage && (
+          <form className="client-note-form" onSubmit={handleAddNote}>
+            <textarea
+              rows="2"
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              placeholder="Log a call, meeting or agreement with the client..."
+            />
+            <button type="submit" className="submit-btn" disabled={savingNote || !note.trim()}>
+              {savingNote ? 'Saving...' : 'Add Note'}
+            </button>
+          </form>
+        )}
+        {activity.length === 0 ? (
+          <p className="no-data">No activity yet.</p>
+        ) : (
+          <ul className="client-activity">
+            {activity.map(item => (
+              <li key={item._id} className={`client-activity-item activity-${item.type}`}>
+                <span className="client-activity-icon">{ACTIVITY_ICONS[item.type] || '•'}</span>
+                <div>
+                  <p>{item.message}</p>
+                  <span className="client-muted">
+                    {item.actor?.name || item.actor?.email || 'System'} · {formatTimestamp(item.createdAt)}
+                  </span>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ClientDetail;
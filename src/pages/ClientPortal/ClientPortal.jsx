@@ -0,0 +1,255 @@
+import React, { useEffect, useState } from "react";
+import "./ClientPortal.css";
+import { toast } from "react-toastify";
+import ResumeModal from '../../components/ResumeModal/ResumeModal';
+import { isCancelledError } from '../../api/apiClient';
+import { listPortalVacancies, listSharedApplications, saveFeedback } from '../../api/portalApi';
+
+const DECISIONS = [
+  { key: 'interested', label: '👍 Interested' },
+  { key: 'not-interested', label: '👎 Not interested' }
+];
+
+const DECISION_FILTERS = [
+  { key: '', label: 'All' },
+  { key: 'pending', label: 'Awaiting your feedback' },
+  { key: 'interested', label: 'Interested' },
+  { key: 'not-interested', label: 'Not interested' }
+];
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-GB');
+
+const formatPercent = (value) => (value === undefined || value === null ? '—' : `${value}%`);
+
+const candidateName = (candidate) =>
+  `${candidate?.firstName || ''} ${candidate?.lastName || ''}`.trim() || 'Candidate';
+
+/**
+ * Interested / not interested with an optional comment for one shared
+ * candidate. Shows the saved answer until the client chooses to change it.
+ */
+const FeedbackForm = ({ application, onSaved }) => {
+  const { feedback } = application;
+  const [editing, setEditing] = useState(!feedback);
+  const [decision, setDecision] = useState(feedback?.decision || "");
+  const [comment, setComment] = useState(feedback?.comment || "");
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!decision) return;
+
+    try {
+      setSaving(true);
+      const res = await saveFeedback(application._id, { decision, comment: comment.trim() });
+      onSaved(application._id, res.data);
+      setEditing(false);
+      toast.success("Feedback sent to your recruiter ✅");
+    } catch (error) {
+      console.error("Error saving feedback:", error);
+      toast.error(error.message || "Error saving feedback");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!editing) {
+    return (
+      <div className={`portal-feedback-saved ${feedback.decision}`}>
+        <div>
+          <strong>{DECISIONS.find(option => option.key === feedback.decision)?.label}</strong>
+          <span className="portal-muted"> · {formatDate(feedback.updatedAt)}</span>
+          {feedback.comment && <p>{feedback.comment}</p>}
+        </div>
+        <button className="link-btn" onClick={() => setEditing(true)}>Change</button>
+      </div>
+    );
+  }
+
+  return (
+    <form className="portal-feedback-form" onSubmit={handleSubmit}>
+      <div className="portal-decisions">
+        {DECISIONS.map(option => (
+          <button
+            key={option.key}
+            type="button"
+            className={`decision-btn ${option.key} ${decision === option.key ? 'active' : ''}`}
+            onClick={() => setDecision(option.key)}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+      <textarea
+        rows="2"
+        value={comment}
+        onChange={(e) => setComment(e.target.value)}
+        placeholder="Comment for the recruiter (optional), e.g. availability for an interview"
+      />
+      <div className="portal-feedback-actions">
+        {feedback && (
+          <button type="button" className="cancel-btn" onClick={() => setEditing(false)}>Cancel</button>
+        )}
+        <button type="submit" className="submit-btn" disabled={!decision || saving}>
+          {saving ? 'Sending...' : 'Send Feedback'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+/**
+ * Client-facing view: the client's vacancies and the candidates we shared
+ * for them, with resumes and an interested / not interested answer that
+ * shows up for the recruiter on the application.
+ */
+const ClientPortal = ({ url }) => {
+  const [vacancies, setVacancies] = useState([]);
+  const [applications, setApplications] = useState([]);
+  const [jobId, setJobId] = useState("");
+  const [decision, setDecision] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [selectedResume, setSelectedResume] = useState(null);
+
+  const jobTitle = (id) => vacancies.find(vacancy => vacancy.jobId === id)?.jobTitle || `Job #${id}`;
+
+  useEffect(() => {
+    const fetchVacancies = async () => {
+      try {
+        const res = await listPortalVacancies();
+        setVacancies(res.data || []);
+      } catch (error) {
+        console.error("Error fetching vacancies:", error);
+        toast.error(error.message || "Error fetching vacancies");
+      }
+    };
+    fetchVacancies();
+  }, []);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const fetchApplications = async () => {
+      try {
+        setLoading(true);
+        const res = await listSharedApplications({ jobId, decision }, { signal: controller.signal });
+        setApplications(res.data || []);
+      } catch (error) {
+        if (isCancelledError(error)) return;
+        console.error("Error fetching candidates:", error);
+        toast.error(error.message || "Error fetching candidates");
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    };
+    fetchApplications();
+    return () => controller.abort();
+  }, [jobId, decision]);
+
+  const handleSaved = (applicationId, feedback) => {
+    setApplications(prev => prev.map(app => (app._id === applicationId ? { ...app, feedback } : app)));
+  };
+
+  return (
+    <div className="client-portal">
+      <div className="page-header">
+        <h2>Shared Candidates</h2>
+        <p className="portal-subtitle">
+          Candidates your recruiter has put forward. Let them know who you would like to meet.
+        </p>
+      </div>
+
+      <div className="portal-layout">
+        <aside className="portal-vacancies">
+          <h3>Your Vacancies</h3>
+          <button className={`portal-vacancy ${jobId === "" ? 'active' : ''}`} onClick={() => setJobId("")}>
+            All vacancies
+          </button>
+          {vacancies.map(vacancy => (
+            <button
+              key={vacancy._id}
+              className={`portal-vacancy ${jobId === vacancy.jobId ? 'active' : ''}`}
+              onClick={() => setJobId(vacancy.jobId)}
+            >
+              <span>{vacancy.jobTitle}</span>
+              <span className="portal-count">{vacancy.sharedCount || 0}</span>
+            </button>
+          ))}
+        </aside>
+
+        <section className="portal-candidates">
+          <div className="portal-filters">
+            {DECISION_FILTERS.map(option => (
+              <button
+                key={option.key}
+                className={`portal-filter ${decision === option.key ? 'active' : ''}`}
+                onClick={() => setDecision(option.key)}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+
+          {loading ? (
+            <p className="loading">Loading candidates...</p>
+          ) : applications.length === 0 ? (
+            <p className="no-data">No candidates have been shared here yet.</p>
+          ) : (
+            applications.map(app => (
+              <div key={app._id} className="portal-card">
+                <div className="portal-card-header">
+                  <div>
+                    <h3>{candidateName(app.candidate)}</h3>
+                    <p className="portal-muted">
+                      {jobTitle(app.jobId)} · Shared {formatDate(app.sharedAt)}
+                    </p>
+                  </div>
+                  {app.resume?.url && (
+                    <button
+                      className="view-resume-btn"
+                      onClick={() => setSelectedResume({
+                        url: app.resume.url,
+                        fileName: app.resume.originalName,
+                        candidateName: candidateName(app.candidate),
+                        jobTitle: jobTitle(app.jobId)
+                      })}
+                    >
+                      📄 View Resume
+                    </button>
+                  )}
+                </div>
+
+                <div className="portal-details">
+                  <span><strong>Degree:</strong> {app.candidate?.degree || '—'}{app.candidate?.degreeCgpa ? ` (CGPA ${app.candidate.degreeCgpa})` : ''}</span>
+                  <span><strong>10th:</strong> {formatPercent(app.candidate?.tenthPercentage)}</span>
+                  <span><strong>12th:</strong> {formatPercent(app.candidate?.twelfthPercentage)}</span>
+                  <span>
+                    <strong>Location:</strong> {[app.candidate?.city, app.candidate?.state].filter(Boolean).join(', ') || '—'}
+                  </span>
+                </div>
+
+                {app.sharedNote && (
+                  <p className="portal-note"><strong>From your recruiter:</strong> {app.sharedNote}</p>
+                )}
+
+                <FeedbackForm application={app} onSaved={handleSaved} />
+              </div>
+            ))
+          )}
+        </section>
+      </div>
+
+      {selectedResume && (
+        <ResumeModal
+          resumeUrl={selectedResume.url}
+          fileName={selectedResume.fileName}
+          candidateName={selectedResume.candidateName}
+          jobTitle={selectedResume.jobTitle}
+          url={url}
+          onClose={() => setSelectedResume(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default ClientPortal;
@@ -0,0 +1,266 @@
+import React, { useEffect, useState, useContext } from "react";
+import "./Dashboard.css";
+import { toast } from "react-toastify";
+import { Link } from "react-router-dom";
+import { AuthContext } from '../../context/AuthContext';
+import { PERMISSIONS } from '../../utils/permissions';
+import { getAllStages, getStageClassName } from '../../utils/pipeline';
+import { isCancelledError } from '../../api/apiClient';
+import { listVacancies } from '../../api/vacancyApi';
+import { listApplications } from '../../api/cvApi';
+import { listClients } from '../../api/clientApi';
+import { listIndustries } from '../../api/industryApi';
+import { listPipelines } from '../../api/pipelineApi';
+
+// Vacancies whose deadline falls within this window are flagged
+const DEADLINE_WINDOW_DAYS = 14;
+const TOP_CLIENTS_LIMIT = 5;
+// Large enough to cover every active vacancy in one request
+const VACANCY_FETCH_LIMIT = 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Total from a list response, preferring the server's pagination count. */
+const countOf = (res) => res?.pagination?.totalItems ?? res?.data?.length ?? 0;
+
+/** Local YYYY-MM-DD for the `appliedDateFrom` filter. */
+const toDateParam = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+const getNearingDeadline = (vacancies, now = Date.now()) =>
+  vacancies
+    .filter(v => v.applicationDeadline)
+    .map(v => ({
+      ...v,
+      daysLeft: Math.ceil((new Date(v.applicationDeadline).getTime() - now) / DAY_MS)
+    }))
+    .filter(v => v.daysLeft >= 0 && v.daysLeft <= DEADLINE_WINDOW_DAYS)
+    .sort((a, b) => a.daysLeft - b.daysLeft);
+
+const getTopClients = (vacancies) => {
+  const byClient = {};
+  vacancies.forEach(v => {
+    if (!v.client?._id) return;
+    const entry = byClient[v.client._id] || { _id: v.client._id, name: v.client.name, openings: 0, vacancies: 0 };
+    entry.openings += v.numberOfOpenings || 1;
+    entry.vacancies += 1;
+    byClient[v.client._id] = entry;
+  });
+  return Object.values(byClient)
+    .sort((a, b) => b.openings - a.openings)
+    .slice(0, TOP_CLIENTS_LIMIT);
+};
+
+const Dashboard = () => {
+  const { hasPermission } = useContext(AuthContext);
+  const canViewVacancies = hasPermission(PERMISSIONS.VACANCIES_VIEW);
+  const canViewApplications = hasPermission(PERMISSIONS.APPLICATIONS_VIEW);
+  const canViewClients = hasPermission(PERMISSIONS.CLIENTS_VIEW);
+
+  const [loading, setLoading] = useState(true);
+  const [stats, setStats] = useState({
+    openVacancies: 0,
+    openPositions: 0,
+    applicationsThisWeek: 0,
+    totalApplications: 0,
+    funnel: [], // [{ stage, count }]; rejected stages are shown alongside, not as steps
+    rejected: 0,
+    nearingDeadline: [],
+    topClients: [],
+    activeClients: 0,
+    industries: 0
+  });
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const config = { signal: controller.signal };
+    const weekAgo = toDateParam(new Date(Date.now() - 7 * DAY_MS));
+
+    const loadStats = async () => {
+      setLoading(true);
+
+      // Every configured stage, so custom pipelines show up in the funnel
+      let stages = [];
+      if (canViewApplications) {
+        const pipelines = await listPipelines(config).catch(error => {
+          if (!isCancelledError(error)) console.error("Error fetching pipelines:", error);
+          return { data: [] };
+        });
+        if (controller.signal.aborted) return;
+        stages = getAllStages(pipelines.data || []);
+      }
+
+      // Only ask for what this admin may see; counts use limit=1 and read
+      // pagination.totalItems so the server does the counting
+      const skip = Promise.resolve(null);
+      const requests = {
+        vacancies: canViewVacancies
+          ? listVacancies({ status: 'active', limit: VACANCY_FETCH_LIMIT }, config)
+          : skip,
+        total: canViewApplications ? listApplications({ limit: 1 }, config) : skip,
+        thisWeek: canViewApplications
+          ? listApplications({ appliedDateFrom: weekAgo, limit: 1 }, config)
+          : skip,
+        clients: canViewClients ? listClients(config) : skip,
+        industries: listIndustries(config)
+      };
+      stages.forEach(stage => {
+        requests[`stage:${stage.key}`] = listApplications({ status: stage.key, limit: 1 }, config);
+      });
+
+      const keys = Object.keys(requests);
+      const results = await Promise.allSettled(Object.values(requests));
+      if (controller.signal.aborted) return;
+
+      const res = {};
+      let failed = false;
+      results.forEach((result, i) => {
+        if (result.status === 'fulfilled') {
+          res[keys[i]] = result.value;
+        } else if (!isCancelledError(result.reason)) {
+          console.error(`Error fetching dashboard ${keys[i]}:`, result.reason);
+          failed = true;
+        }
+      });
+      if (failed) {
+        toast.error("Some dashboard figures could not be loaded");
+      }
+
+      const activeVacancies = res.vacancies?.data || [];
+      const stageCounts = stages.map(stage => ({ stage, count: countOf(res[`stage:${stage.key}`]) }));
+      setStats({
+        openVacancies: countOf(res.vacancies),
+        openPositions: activeVacancies.reduce((sum, v) => sum + (v.numberOfOpenings || 1), 0),
+        applicationsThisWeek: countOf(res.thisWeek),
+        totalApplications: countOf(res.total),
+        funnel: stageCounts.filter(({ stage }) => stage.outcome !== 'rejected'),
+        rejected: stageCounts
+          .filter(({ stage }) => stage.outcome === 'rejected')
+          .reduce((sum, { count }) => sum + count, 0),
+        nearingDeadline: getNearingDeadline(activeVacancies),
+        topClients: getTopClients(activeVacancies),
+        activeClients: (res.clients?.data || []).filter(c => c.isActive).length,
+        industries: countOf(res.industries)
+      });
+      setLoading(false);
+    };
+
+    loadStats();
+    return () => controller.abort();
+  }, [canViewVacancies, canViewApplications, canViewClients]);
+
+  if (loading) {
+    return <div className="loading">Loading dashboard...</div>;
+  }
+
+  const funnelMax = Math.max(1, ...stats.funnel.map(({ count }) => count));
+
+  return (
+    <div className="dashboard-page scrollable-div">
+      <h2>Dashboard</h2>
+
+      {/* KPI Cards */}
+      <div className="kpi-grid">
+        {canViewVacancies && (
+          <Link to="/manage-vacancies" className="kpi-card">
+            <span className="kpi-label">Open Vacancies</span>
+            <span className="kpi-value">{stats.openVacancies}</span>
+            <span className="kpi-sub">{stats.openPositions} positions to fill</span>
+          </Link>
+        )}
+        {canViewApplications && (
+          <Link to="/cvs" className="kpi-card">
+            <span className="kpi-label">Applications This Week</span>
+            <span className="kpi-value">{stats.applicationsThisWeek}</span>
+            <span className="kpi-sub">{stats.totalApplications} in total</span>
+          </Link>
+        )}
+        {canViewClients && (
+          <Link to="/manage-clients" className="kpi-card">
+            <span className="kpi-label">Active Clients</span>
+            <span className="kpi-value">{stats.activeClients}</span>
+          </Link>
+        )}
+        <div className="kpi-card">
+          <span className="kpi-label">Industries</span>
+          <span className="kpi-value">{stats.industries}</span>
+        </div>
+      </div>
+
+      <div className="dashboard-panels">
+        {/* Status Funnel */}
+        {canViewApplications && (
+          <div className="dashboard-panel">
+            <h3>Application Funnel</h3>
+            <div className="funnel">
+              {stats.funnel.map(({ stage, count }) => (
+                <div key={stage.key} className="funnel-row">
+                  <span className="funnel-label">{stage.label}</span>
+                  <div className="funnel-bar-track">
+                    <div
+                      className={`funnel-bar ${getStageClassName(stage)}`}
+                      style={{ width: `${(count / funnelMax) * 100}%` }}
+                    />
+                  </div>
+                  <span className="funnel-count">{count}</span>
+                </div>
+              ))}
+            </div>
+            <p className="panel-note">{stats.rejected} rejected</p>
+          </div>
+        )}
+
+        {/* Deadlines */}
+        {canViewVacancies && (
+          <div className="dashboard-panel">
+            <h3>Closing Within {DEADLINE_WINDOW_DAYS} Days</h3>
+            {stats.nearingDeadline.length === 0 ? (
+              <p className="panel-empty">No active vacancies close soon.</p>
+            ) : (
+              <ul className="panel-list">
+                {stats.nearingDeadline.map(vacancy => (
+                  <li key={vacancy._id}>
+                    <div>
+                      <strong>{vacancy.jobTitle}</strong>
+                      {vacancy.client?.name && <span className="panel-meta"> · {vacancy.client.name}</span>}
+                    </div>
+                    <span className={`deadline-badge ${vacancy.daysLeft <= 3 ? 'urgent' : ''}`}>
+                      {vacancy.daysLeft === 0 ? 'Today' : `${vacancy.daysLeft}d left`}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
+        {/* Top Clients */}
+        {canViewVacancies && (
+          <div className="dashboard-panel">
+            <h3>Top Clients by Openings</h3>
+            {stats.topClients.length === 0 ? (
+              <p className="panel-empty">No active vacancies are linked to a client.</p>
+            ) : (
+              <ul className="panel-list">
+                {stats.topClients.map(client => (
+                  <li key={client._id}>
+                    <div>
+                      <Link to={`/clients/${client._id}`}><strong>{client.name}</strong></Link>
+                      <span className="panel-meta"> · {client.vacancies} {client.vacancies === 1 ? 'vacancy' : 'vacancies'}</span>
+                    </div>
+                    <span className="openings-count">{client.openings}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Dashboard;
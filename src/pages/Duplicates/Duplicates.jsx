@@ -0,0 +1,292 @@
+import React, { useEffect, useState, useMemo } from "react";
+import "./Duplicates.css";
+import { toast } from "react-toastify";
+import { findDuplicateGroups, normalizeEmail, normalizeMobile } from '../../utils/duplicates';
+import { fetchAllPages } from '../../utils/bulk';
+import { isCancelledError } from '../../api/apiClient';
+import { listCandidates, mergeCandidates } from '../../api/cvApi';
+
+const REASON_LABELS = {
+  email: 'Same email',
+  mobile: 'Same mobile',
+  name: 'Similar name'
+};
+
+// Profile fields offered on the merge screen
+const MERGE_FIELDS = [
+  { key: 'firstName', label: 'First Name' },
+  { key: 'lastName', label: 'Last Name' },
+  { key: 'email', label: 'Email' },
+  { key: 'mobileNo', label: 'Mobile' },
+  { key: 'address', label: 'Address' },
+  { key: 'city', label: 'City' },
+  { key: 'state', label: 'State' },
+  { key: 'tenthPercentage', label: '10th %' },
+  { key: 'twelfthPercentage', label: '12th %' },
+  { key: 'degree', label: 'Degree' },
+  { key: 'degreeCgpa', label: 'CGPA' }
+];
+
+// Highlight the value a record shares with another in its group
+const sharedValueClass = (group, candidate, reason, normalize, key) =>
+  group.reasons.includes(reason) && group.candidates.some(other =>
+    other !== candidate && normalize(other[key]) && normalize(other[key]) === normalize(candidate[key]))
+    ? 'match'
+    : '';
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+// Keep the record with the most applications; the oldest wins a tie
+const pickSurvivor = (candidates) => candidates.reduce((best, candidate) =>
+  (candidate.applicationCount || 0) > (best.applicationCount || 0) ? candidate : best);
+
+// Each field defaults to the survivor's value, or the first record that has one
+const defaultChoices = (candidates, survivor) => {
+  const choices = {};
+  MERGE_FIELDS.forEach(({ key }) => {
+    const source = isEmpty(survivor[key]) ? candidates.find(candidate => !isEmpty(candidate[key])) : survivor;
+    choices[key] = (source || survivor)._id;
+  });
+  return choices;
+};
+
+/**
+ * Find candidates who applied more than once under slightly different
+ * details, and merge them into one record with all their applications.
+ */
+const Duplicates = () => {
+  const [candidates, setCandidates] = useState([]);
+  const [scanProgress, setScanProgress] = useState(null); // { page, totalPages } while scanning
+  const [merging, setMerging] = useState(null); // { candidates, included, survivorId, choices }
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const scanCandidates = async () => {
+      try {
+        const all = await fetchAllPages(
+          (page, limit, config) => listCandidates({ page, limit, sortBy: 'createdAt', sortOrder: 'asc' }, config),
+          { signal: controller.signal, onPage: (page, totalPages) => setScanProgress({ page, totalPages }) }
+        );
+        setCandidates(all);
+      } catch (error) {
+        if (isCancelledError(error)) return;
+        console.error("Error fetching candidates:", error);
+        toast.error(error.message || "Error fetching candidates");
+      } finally {
+        if (!controller.signal.aborted) setScanProgress(null);
+      }
+    };
+    scanCandidates();
+    return () => controller.abort();
+  }, []);
+
+  const groups = useMemo(() => findDuplicateGroups(candidates), [candidates]);
+
+  const openMerge = (group) => {
+    const survivor = pickSurvivor(group.candidates);
+    setMerging({
+      candidates: group.candidates,
+      included: group.candidates.map(candidate => candidate._id),
+      survivorId: survivor._id,
+      choices: defaultChoices(group.candidates, survivor)
+    });
+  };
+
+  const toggleIncluded = (id) => {
+    setMerging(prev => {
+      const included = prev.included.includes(id)
+        ? prev.included.filter(item => item !== id)
+        : [...prev.included, id];
+      // Values can only come from records that are part of the merge
+      const members = prev.candidates.filter(candidate => included.includes(candidate._id));
+      const survivor = members.find(candidate => candidate._id === prev.survivorId) || members[0];
+      if (!survivor) return { ...prev, included };
+      const choices = { ...prev.choices };
+      Object.keys(choices).forEach(key => {
+        if (!included.includes(choices[key])) choices[key] = survivor._id;
+      });
+      return { ...prev, included, survivorId: survivor._id, choices };
+    });
+  };
+
+  const handleMerge = async () => {
+    const members = merging.candidates.filter(candidate => merging.included.includes(candidate._id));
+    const mergedIds = members.map(candidate => candidate._id).filter(id => id !== merging.survivorId);
+    if (mergedIds.length === 0) {
+      toast.error("Select at least two records to merge");
+      return;
+    }
+
+    const confirmMerge = window.confirm(
+      `Merge ${mergedIds.length + 1} records into one? Their applications will be moved and the duplicates removed.`
+    );
+    if (!confirmMerge) return;
+
+    const fields = {};
+    MERGE_FIELDS.forEach(({ key }) => {
+      const source = members.find(candidate => candidate._id === merging.choices[key]);
+      if (source && !isEmpty(source[key])) fields[key] = source[key];
+    });
+
+    try {
+      setSaving(true);
+      const res = await mergeCandidates({ survivorId: merging.survivorId, mergedIds, fields });
+      toast.success(`Merged ${mergedIds.length + 1} records, ${res.data?.movedApplications ?? 0} applications moved ✅`);
+      // Drop the merged records locally instead of rescanning everything
+      const applicationCount = members.reduce((sum, candidate) => sum + (candidate.applicationCount || 0), 0);
+      setCandidates(prev => prev
+        .filter(candidate => !mergedIds.includes(candidate._id))
+        .map(candidate => (candidate._id === merging.survivorId
+          ? { ...candidate, ...fields, ...res.data?.candidate, applicationCount }
+          : candidate)));
+      setMerging(null);
+    } catch (error) {
+      console.error("Error merging candidates:", error);
+      toast.error(error.message || "Error merging candidates");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Merge screen
+  if (merging) {
+    const members = merging.candidates.filter(candidate => merging.included.includes(candidate._id));
+    return (
+      <div className="duplicates-page scrollable-div">
+        <div className="page-header">
+          <button className="back-btn" onClick={() => setMerging(null)}>← Back to Duplicates</button>
+          <h2>Merge Candidates</h2>
+        </div>
+        <p className="duplicates-hint">
+          Pick the record to keep and, for each field, the value it should end up with.
+          Untick a record that is not the same person.
+        </p>
+
+        <div className="merge-table-wrapper">
+          <table className="merge-table">
+            <thead>
+              <tr>
+                <th>Field</th>
+                {merging.candidates.map(candidate => (
+                  <th key={candidate._id} className={merging.included.includes(candidate._id) ? '' : 'excluded'}>
+                    <label className="merge-include">
+                      <input
+                        type="checkbox"
+                        checked={merging.included.includes(candidate._id)}
+                        onChange={() => toggleIncluded(candidate._id)}
+                      />
+                      Include
+                    </label>
+                    <label className="merge-survivor">
+                      <input
+                        type="radio"
+                        name="survivor"
+                        checked={merging.survivorId === candidate._id}
+                        disabled={!merging.included.includes(candidate._id)}
+                        onChange={() => setMerging({ ...merging, survivorId: candidate._id })}
+                      />
+                      Keep this record
+                    </label>
+                    <span className="merge-app-count">{candidate.applicationCount || 0} application(s)</span>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {MERGE_FIELDS.map(field => (
+                <tr key={field.key}>
+                  <td className="merge-field-label">{field.label}</td>
+                  {merging.candidates.map(candidate => {
+                    const included = merging.included.includes(candidate._id);
+                    const chosen = merging.choices[field.key] === candidate._id;
+                    return (
+                      <td key={candidate._id} className={`${included ? '' : 'excluded'} ${chosen ? 'chosen' : ''}`}>
+                        <label>
+                          <input
+                            type="radio"
+                            name={`field-${field.key}`}
+                            checked={chosen}
+                            disabled={!included || isEmpty(candidate[field.key])}
+                            onChange={() => setMerging({
+                              ...merging,
+                              choices: { ...merging.choices, [field.key]: candidate._id }
+                            })}
+                          />
+                          {isEmpty(candidate[field.key]) ? <em>empty</em> : String(candidate[field.key])}
+                        </label>
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="merge-actions">
+          <button className="cancel-btn" onClick={() => setMerging(null)}>Cancel</button>
+          <button className="submit-btn" onClick={handleMerge} disabled={saving || members.length < 2}>
+            {saving ? 'Merging...' : `Merge ${members.length} Records`}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="duplicates-page scrollable-div">
+      <h2>Duplicate Candidates</h2>
+      <p className="duplicates-hint">
+        Records are flagged when their email or mobile number match once normalized
+        (case, dots and +tags in Gmail addresses, country code), or when names are
+        near-identical and they share a city or email name.
+      </p>
+
+      {scanProgress ? (
+        <p className="loading">Scanning candidates, page {scanProgress.page} of {scanProgress.totalPages}...</p>
+      ) : groups.length === 0 ? (
+        <p className="no-data">No likely duplicates among {candidates.length} candidates.</p>
+      ) : (
+        <>
+          <p className="duplicates-summary">
+            {groups.length} group(s) of likely duplicates among {candidates.length} candidates
+          </p>
+          <div className="duplicate-groups">
+            {groups.map(group => (
+              <div key={group.candidates.map(candidate => candidate._id).join('-')} className="duplicate-group">
+                <div className="duplicate-group-header">
+                  <div className="duplicate-reasons">
+                    {group.reasons.map(reason => (
+                      <span key={reason} className={`reason-badge reason-${reason}`}>{REASON_LABELS[reason]}</span>
+                    ))}
+                  </div>
+                  <button className="submit-btn" onClick={() => openMerge(group)}>Review & Merge</button>
+                </div>
+                <table className="duplicate-members">
+                  <tbody>
+                    {group.candidates.map(candidate => (
+                      <tr key={candidate._id}>
+                        <td><strong>{candidate.firstName} {candidate.lastName}</strong></td>
+                        <td className={sharedValueClass(group, candidate, 'email', normalizeEmail, 'email')}>
+                          {candidate.email}
+                        </td>
+                        <td className={sharedValueClass(group, candidate, 'mobile', normalizeMobile, 'mobileNo')}>
+                          {candidate.mobileNo}
+                        </td>
+                        <td>{candidate.city || "N/A"}</td>
+                        <td>{candidate.applicationCount || 0} application(s)</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Duplicates;
@@ -1,12 +1,10 @@
-import React, { useEffect, useState, useContext } from "react";
+import React, { useEffect, useState } from "react";
 import "./EditIndustry.css";
-import axios from "axios";
 import { toast } from "react-toastify";
 import { useParams, useNavigate } from "react-router-dom";
-import { AuthContext } from '../../context/AuthContext';
+import { getIndustry, updateIndustry } from '../../api/industryApi';
 
 const EditIndustry = ({ url }) => {
-  const { auth } = useContext(AuthContext);
   const { id } = useParams();
   const navigate = useNavigate();
 
@@ -22,28 +20,26 @@ const EditIndustry = ({ url }) => {
   useEffect(() => {
     const fetchIndustry = async () => {
       try {
-        const res = await axios.get(`${url}/api/industry/get/${id}`);
-        console.log(res.data);
-        if (res.data.success) {
-            
-          const industry = res.data.data;
-          setData({
-            name: industry.name,
-            description: industry.description,
-            roles: industry.list || [],
-          });
-          if (industry.image) {
-            setImage(industry.image);
-          }
-        } else {
-          toast.error("Industry not found");
+        const res = await getIndustry(id);
+        const industry = res.data;
+        setData({
+          name: industry.name,
+          description: industry.description,
+          roles: industry.list || [],
+        });
+        if (industry.image) {
+          setImage(industry.image);
         }
       } catch (err) {
-        toast.error("Error fetching industry data");
+        if (err.status === 404) {
+          toast.error("Industry not found");
+        } else {
+          toast.error(err.message || "Error fetching industry data");
+        }
       }
     };
     fetchIndustry();
-  }, [id, url, navigate]);
+  }, [id]);
 
   // Input handler
   const onChangeHandler = (event) => {
@@ -82,19 +78,11 @@ const EditIndustry = ({ url }) => {
     }
 
     try {
-      const res = await axios.put(`${url}/api/industry/update`, formData, {
-        headers: {
-          'Authorization': `Bearer ${auth.token}`
-        }
-      });
-      if (res.data.success) {
-        toast.success("Industry updated successfully!");
-        navigate("/list-industries");
-      } else {
-        toast.error(res.data.message);
-      }
+      await updateIndustry(formData);
+      toast.success("Industry updated successfully!");
+      navigate("/list-industries");
     } catch (err) {
-      toast.error("Update failed!");
+      toast.error(err.data?.message || "Update failed!");
     }
   };
 
@@ -1,12 +1,10 @@
-import React, { useEffect, useState, useContext } from "react";
+import React, { useEffect, useState } from "react";
 import "./EditService.css";
-import axios from "axios";
 import { toast } from "react-toastify";
 import { useParams, useNavigate } from "react-router-dom";
-import { AuthContext } from '../../context/AuthContext';
+import { getService, updateService } from '../../api/serviceApi';
 
 const EditService = ({ url }) => {
-  const { auth } = useContext(AuthContext);
   const { id } = useParams();
   const navigate = useNavigate();
 
@@ -20,27 +18,25 @@ const EditService = ({ url }) => {
   useEffect(() => {
     const fetchService = async () => {
       try {
-        const response = await axios.get(`${url}/api/service/get/${id}`);
-        console.log(response.data);
-        
-        if (response.data.success) {
-          setData({
-            name: response.data.data.title,
-            description: response.data.data.description,
-          });
-          if (response.data.data.icon) {
-            setImage(response.data.data.icon);
-          }
-        } else {
-          toast.error("Service not found!");
-          navigate("/services"); // redirect if not found
+        const response = await getService(id);
+        setData({
+          name: response.data.title,
+          description: response.data.description,
+        });
+        if (response.data.icon) {
+          setImage(response.data.icon);
         }
       } catch (err) {
-        toast.error("Error fetching service data!");
+        if (err.status === 404) {
+          toast.error("Service not found!");
+          navigate("/list-services"); // redirect if not found
+        } else {
+          toast.error(err.message || "Error fetching service data!");
+        }
       }
     };
     fetchService();
-  }, [id, url, navigate]);
+  }, [id, navigate]);
 
   // Input change handler
   const onChangeHandler = (event) => {
@@ -60,19 +56,11 @@ const EditService = ({ url }) => {
     formData.append("id", id); // include ID for update
 
     try {
-      const response = await axios.put(`${url}/api/service/update`, formData, {
-        headers: {
-          'Authorization': `Bearer ${auth.token}`
-        }
-      });
-      if (response.data.success) {
-        toast.success("Service updated successfully!");
-        navigate("/list-services"); // redirect after update
-      } else {
-        toast.error(response.data.message);
-      }
+      await updateService(formData);
+      toast.success("Service updated successfully!");
+      navigate("/list-services"); // redirect after update
     } catch (err) {
-      toast.error("Update failed!");
+      toast.error(err.data?.message || "Update failed!");
     }
   };
 
@@ -1,12 +1,13 @@
-import React, { useState, useContext, useEffect, useRef } from 'react'
+import React, { useState, useEffect, useRef } from 'react'
 import './EditVacancy.css'
-import axios from "axios";
 import { toast } from 'react-toastify';
 import { useParams, useNavigate } from 'react-router-dom';
-import { AuthContext } from '../../context/AuthContext';
+import { isCancelledError } from '../../api/apiClient';
+import { listIndustries } from '../../api/industryApi';
+import { listClients } from '../../api/clientApi';
+import { getVacancy, updateVacancy } from '../../api/vacancyApi';
 
 const EditVacancy = ({url}) => {
-  const { auth } = useContext(AuthContext);
   const { id } = useParams();
   const navigate = useNavigate();
   const [industries, setIndustries] = useState([]);
@@ -30,22 +31,20 @@ const EditVacancy = ({url}) => {
 
     const fetchIndustries = async () => {
       try {
-        const response = await axios.get(`${url}/api/industry/list`, {
-          signal: abortController.signal
-        });
-        if (response.data.success && isMounted) {
-          setIndustries(response.data.data);
+        const response = await listIndustries({ signal: abortController.signal });
+        if (isMounted) {
+          setIndustries(response.data);
           industriesFetched.current = true;
         }
       } catch (error) {
-        if (axios.isCancel(error) || error.name === 'AbortError') {
+        if (isCancelledError(error)) {
           // Request was cancelled, ignore
           return;
         }
         if (isMounted) {
           console.error("Error fetching industries:", error);
           // Only show error if it's not a rate limit (429)
-          if (error.response?.status !== 429) {
+          if (error.status !== 429) {
             toast.error("Failed to load industries");
           }
         }
@@ -59,7 +58,7 @@ const EditVacancy = ({url}) => {
       isMounted = false;
       abortController.abort();
     };
-  }, [url]); // Only depend on url
+  }, []);
 
   // Fetch clients - only once when component mounts
   useEffect(() => {
@@ -71,27 +70,22 @@ const EditVacancy = ({url}) => {
 
     const fetchClients = async () => {
       try {
-        const response = await axios.get(`${url}/api/client/list`, {
-          headers: {
-            'Authorization': `Bearer ${auth.token}`
-          },
-          signal: abortController.signal
-        });
-        if (response.data.success && isMounted) {
+        const response = await listClients({ signal: abortController.signal });
+        if (isMounted) {
           // Filter only active clients
-          const activeClients = response.data.data.filter(client => client.isActive !== false);
+          const activeClients = response.data.filter(client => client.isActive !== false);
           setClients(activeClients);
           clientsFetched.current = true;
         }
       } catch (error) {
-        if (axios.isCancel(error) || error.name === 'AbortError') {
+        if (isCancelledError(error)) {
           // Request was cancelled, ignore
           return;
         }
         if (isMounted) {
           console.error("Error fetching clients:", error);
           // Only show error if it's not a rate limit (429)
-          if (error.response?.status !== 429) {
+          if (error.status !== 429) {
             toast.error("Failed to load clients");
           }
         }
@@ -105,88 +99,81 @@ const EditVacancy = ({url}) => {
       isMounted = false;
       abortController.abort();
     };
-  }, [url, auth.token]); // Depend on url and auth.token
+  }, []);
 
   // Fetch existing vacancy data
   useEffect(() => {
     const fetchVacancy = async () => {
       try {
         // Use admin endpoint to get full details including client
-        const response = await axios.get(`${url}/api/vacancy/get/${id}`, {
-          headers: {
-            'Authorization': `Bearer ${auth.token}`
-          }
+        const response = await getVacancy(id);
+        const vacancy = response.data;
+        console.log("Fetched vacancy data:", vacancy); // Debug log
+        
+        // Store original data for reference
+        const originalVacancyData = {
+          jobTitle: vacancy.jobTitle,
+          description: vacancy.description,
+          qualification: vacancy.qualification,
+          industry: vacancy.industry?._id || vacancy.industry,
+          client: vacancy.client?._id || vacancy.client,
+          showClientToCandidate: vacancy.showClientToCandidate,
+          skills: vacancy.skills,
+          city: vacancy.location?.city,
+          state: vacancy.location?.state,
+          country: vacancy.location?.country,
+          isRemote: vacancy.location?.isRemote,
+          employmentType: vacancy.employmentType,
+          experienceLevel: vacancy.experienceLevel,
+          salaryMin: vacancy.salary?.min,
+          salaryMax: vacancy.salary?.max,
+          isNegotiable: vacancy.salary?.isNegotiable,
+          applicationDeadline: vacancy.applicationDeadline,
+          numberOfOpenings: vacancy.numberOfOpenings,
+          status: vacancy.status
+        };
+        setOriginalData(originalVacancyData);
+        
+        // Populate form with all data from database - preserve actual values, use defaults only if truly missing
+        setData({
+          jobTitle: vacancy.jobTitle || "",
+          description: vacancy.description || "",
+          qualification: vacancy.qualification || "",
+          industry: vacancy.industry?._id || vacancy.industry || "",
+          client: vacancy.client?._id || vacancy.client || "",
+          showClientToCandidate: vacancy.showClientToCandidate !== undefined ? vacancy.showClientToCandidate : false,
+          isPromoted: vacancy.isPromoted !== undefined ? vacancy.isPromoted : false,
+          displayOrder: vacancy.displayOrder !== undefined ? vacancy.displayOrder : 0,
+          skills: Array.isArray(vacancy.skills) ? vacancy.skills : [],
+          city: vacancy.location?.city !== undefined ? vacancy.location.city : "",
+          state: vacancy.location?.state !== undefined ? vacancy.location.state : "",
+          country: vacancy.location?.country !== undefined ? vacancy.location.country : "India",
+          isRemote: vacancy.location?.isRemote !== undefined ? vacancy.location.isRemote : false,
+          employmentType: vacancy.employmentType || "Full-time",
+          experienceLevel: vacancy.experienceLevel || "Fresher",
+          salaryMin: vacancy.salary?.min !== undefined && vacancy.salary.min !== null ? vacancy.salary.min : "",
+          salaryMax: vacancy.salary?.max !== undefined && vacancy.salary.max !== null ? vacancy.salary.max : "",
+          isNegotiable: vacancy.salary?.isNegotiable !== undefined ? vacancy.salary.isNegotiable : false,
+          applicationDeadline: vacancy.applicationDeadline 
+            ? new Date(vacancy.applicationDeadline).toISOString().split('T')[0]
+            : "",
+          numberOfOpenings: vacancy.numberOfOpenings !== undefined ? vacancy.numberOfOpenings : 1,
+          status: vacancy.status || "active"
         });
-        if (response.data.success) {
-          const vacancy = response.data.data;
-          console.log("Fetched vacancy data:", vacancy); // Debug log
-          
-          // Store original data for reference
-          const originalVacancyData = {
-            jobTitle: vacancy.jobTitle,
-            description: vacancy.description,
-            qualification: vacancy.qualification,
-            industry: vacancy.industry?._id || vacancy.industry,
-            client: vacancy.client?._id || vacancy.client,
-            showClientToCandidate: vacancy.showClientToCandidate,
-            skills: vacancy.skills,
-            city: vacancy.location?.city,
-            state: vacancy.location?.state,
-            country: vacancy.location?.country,
-            isRemote: vacancy.location?.isRemote,
-            employmentType: vacancy.employmentType,
-            experienceLevel: vacancy.experienceLevel,
-            salaryMin: vacancy.salary?.min,
-            salaryMax: vacancy.salary?.max,
-            isNegotiable: vacancy.salary?.isNegotiable,
-            applicationDeadline: vacancy.applicationDeadline,
-            numberOfOpenings: vacancy.numberOfOpenings,
-            status: vacancy.status
-          };
-          setOriginalData(originalVacancyData);
-          
-          // Populate form with all data from database - preserve actual values, use defaults only if truly missing
-          setData({
-            jobTitle: vacancy.jobTitle || "",
-            description: vacancy.description || "",
-            qualification: vacancy.qualification || "",
-            industry: vacancy.industry?._id || vacancy.industry || "",
-            client: vacancy.client?._id || vacancy.client || "",
-            showClientToCandidate: vacancy.showClientToCandidate !== undefined ? vacancy.showClientToCandidate : false,
-            isPromoted: vacancy.isPromoted !== undefined ? vacancy.isPromoted : false,
-            displayOrder: vacancy.displayOrder !== undefined ? vacancy.displayOrder : 0,
-            skills: Array.isArray(vacancy.skills) ? vacancy.skills : [],
-            city: vacancy.location?.city !== undefined ? vacancy.location.city : "",
-            state: vacancy.location?.state !== undefined ? vacancy.location.state : "",
-            country: vacancy.location?.country !== undefined ? vacancy.location.country : "India",
-            isRemote: vacancy.location?.isRemote !== undefined ? vacancy.location.isRemote : false,
-            employmentType: vacancy.employmentType || "Full-time",
-            experienceLevel: vacancy.experienceLevel || "Fresher",
-            salaryMin: vacancy.salary?.min !== undefined && vacancy.salary.min !== null ? vacancy.salary.min : "",
-            salaryMax: vacancy.salary?.max !== undefined && vacancy.salary.max !== null ? vacancy.salary.max : "",
-            isNegotiable: vacancy.salary?.isNegotiable !== undefined ? vacancy.salary.isNegotiable : false,
-            applicationDeadline: vacancy.applicationDeadline 
-              ? new Date(vacancy.applicationDeadline).toISOString().split('T')[0]
-              : "",
-            numberOfOpenings: vacancy.numberOfOpenings !== undefined ? vacancy.numberOfOpenings : 1,
-            status: vacancy.status || "active"
-          });
-        } else {
-          toast.error("Vacancy not found!");
-          navigate("/manage-vacancies");
-        }
       } catch (error) {
         console.error("Error fetching vacancy:", error);
-        toast.error("Error fetching vacancy data!");
+        toast.error(error.status === 404
+          ? "Vacancy not found!"
+          : error.message || "Error fetching vacancy data!");
         navigate("/manage-vacancies");
       } finally {
         setLoading(false);
       }
     };
-    if (id && auth.token) {
+    if (id) {
       fetchVacancy();
     }
-  }, [id, url, navigate, auth.token]);
+  }, [id, navigate]);
 
   const onChangeHandler = (event) => {
     const name = event.target.name;
@@ -253,21 +240,12 @@ const EditVacancy = ({url}) => {
     console.log("Original data from DB:", originalData); // Debug log
 
     try {
-      const response = await axios.put(`${url}/api/vacancy/update`, vacancyData, {
-        headers: {
-          'Authorization': `Bearer ${auth.token}`
-        }
-      });
-      
-      if (response.data.success) {
-        toast.success("Vacancy updated successfully!");
-        navigate("/manage-vacancies");
-      } else {
-        toast.error(response.data.message || "Failed to update vacancy");
-      }
+      await updateVacancy(vacancyData);
+      toast.success("Vacancy updated successfully!");
+      navigate("/manage-vacancies");
     } catch (error) {
       console.error("Error updating vacancy:", error);
-      toast.error(error.response?.data?.message || "Error updating vacancy");
+      toast.error(error.message || "Error updating vacancy");
     }
   };
 
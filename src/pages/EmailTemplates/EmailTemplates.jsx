@@ -0,0 +1,159 @@
+import React, { useEffect, useState } from "react";
+import "./EmailTemplates.css";
+import { toast } from "react-toastify";
+import {
+  DEFAULT_TEMPLATES,
+  PLACEHOLDERS,
+  SAMPLE_VALUES,
+  mergeTemplates,
+  renderTemplate
+} from '../../utils/emailTemplates';
+import { listEmailTemplates, saveEmailTemplate, resetEmailTemplate } from '../../api/mailApi';
+
+/**
+ * Edit the wording of candidate emails (shortlist, rejection, interview
+ * invite, offer), previewed with sample values.
+ */
+const EmailTemplates = () => {
+  const [templates, setTemplates] = useState(DEFAULT_TEMPLATES);
+  const [selectedKey, setSelectedKey] = useState(DEFAULT_TEMPLATES[0].key);
+  const [formData, setFormData] = useState({ subject: "", body: "" });
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const fetchTemplates = async () => {
+    try {
+      setLoading(true);
+      const res = await listEmailTemplates();
+      setTemplates(mergeTemplates(res.data || []));
+    } catch (error) {
+      console.error("Error fetching email templates:", error);
+      toast.error(error.message || "Error fetching email templates");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchTemplates();
+  }, []);
+
+  const selected = templates.find(template => template.key === selectedKey);
+
+  useEffect(() => {
+    if (selected) {
+      setFormData({ subject: selected.subject, body: selected.body });
+    }
+  }, [selected]);
+
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      await saveEmailTemplate({
+        key: selected.key,
+        name: selected.name,
+        subject: formData.subject.trim(),
+        body: formData.body
+      });
+      toast.success("Template saved ✅");
+      fetchTemplates();
+    } catch (error) {
+      console.error("Error saving template:", error);
+      toast.error(error.message || "Error saving template");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReset = async () => {
+    const confirmReset = window.confirm(`Reset "${selected.name}" to the built-in wording?`);
+    if (!confirmReset) return;
+
+    try {
+      await resetEmailTemplate(selected.key);
+      toast.success("Template reset ✅");
+      fetchTemplates();
+    } catch (error) {
+      console.error("Error resetting template:", error);
+      toast.error(error.message || "Error resetting template");
+    }
+  };
+
+  const knownKeys = PLACEHOLDERS.map(placeholder => placeholder.key);
+  const preview = {
+    subject: renderTemplate(formData.subject, SAMPLE_VALUES),
+    body: renderTemplate(formData.body, SAMPLE_VALUES)
+  };
+  const unknown = [...new Set([...preview.subject.missing, ...preview.body.missing])]
+    .filter(key => !knownKeys.includes(key));
+
+  return (
+    <div className="email-templates-page scrollable-div">
+      <h2>Email Templates</h2>
+
+      {loading && <p className="loading">Loading templates...</p>}
+
+      <div className="email-templates-layout">
+        <ul className="template-list">
+          {templates.map(template => (
+            <li key={template.key}>
+              <button
+                className={template.key === selectedKey ? 'active' : ''}
+                onClick={() => setSelectedKey(template.key)}
+              >
+                {template.name}
+                {template.customised && <span className="template-badge">Edited</span>}
+              </button>
+            </li>
+          ))}
+        </ul>
+
+        {selected && (
+          <form className="template-editor" onSubmit={handleSave}>
+            <div className="form-group">
+              <label htmlFor="subject">Subject</label>
+              <input id="subject" name="subject" value={formData.subject} onChange={handleChange} required />
+            </div>
+            <div className="form-group">
+              <label htmlFor="body">Message</label>
+              <textarea id="body" name="body" rows="12" value={formData.body} onChange={handleChange} required />
+            </div>
+
+            <div className="placeholder-list">
+              {PLACEHOLDERS.map(placeholder => (
+                <span key={placeholder.key} title={placeholder.label}>{`{{${placeholder.key}}}`}</span>
+              ))}
+            </div>
+            {unknown.length > 0 && (
+              <p className="template-warning">
+                Unknown placeholders will be sent as written: {unknown.map(key => `{{${key}}}`).join(', ')}
+              </p>
+            )}
+
+            <div className="template-preview">
+              <h4>Preview</h4>
+              <p className="template-preview-subject">{preview.subject.text}</p>
+              <pre>{preview.body.text}</pre>
+            </div>
+
+            <div className="form-actions">
+              {selected.customised && (
+                <button type="button" className="cancel-btn" onClick={handleReset}>Reset to Default</button>
+              )}
+              <button type="submit" className="submit-btn" disabled={saving}>
+                {saving ? 'Saving...' : 'Save Template'}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default EmailTemplates;
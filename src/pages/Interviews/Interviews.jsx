@@ -0,0 +1,167 @@
+import React, { useEffect, useState, useContext } from "react";
+import "./Interviews.css";
+import { toast } from "react-toastify";
+import { useNavigate } from "react-router-dom";
+import { AuthContext } from '../../context/AuthContext';
+import { getModeLabel, getCandidateName, downloadInterviewIcs } from '../../utils/interviews';
+import { isCancelledError } from '../../api/apiClient';
+import { listVacancies } from '../../api/vacancyApi';
+import { listInterviews } from '../../api/interviewApi';
+
+// Monday 00:00 of the week containing `date`
+const startOfWeek = (date) => {
+  const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  return start;
+};
+
+// Calendar arithmetic, so days stay at midnight across daylight saving changes
+const addDays = (date, count) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + count);
+
+const sameDay = (a, b) =>
+  a.getFullYear() === b.getFullYear() && a.getMonth() === b.getMonth() && a.getDate() === b.getDate();
+
+/**
+ * Week calendar of scheduled interviews. Defaults to the logged-in
+ * recruiter's own interviews; any recruiter's (or everyone's) can be shown.
+ */
+const Interviews = () => {
+  const navigate = useNavigate();
+  const { adminId } = useContext(AuthContext);
+  const [weekStart, setWeekStart] = useState(() => startOfWeek(new Date()));
+  const [recruiterId, setRecruiterId] = useState(adminId || "");
+  const [recruiters, setRecruiters] = useState({}); // id -> name, from interviews seen so far
+  const [interviews, setInterviews] = useState([]);
+  const [jobMap, setJobMap] = useState({});
+  const [loading, setLoading] = useState(true);
+
+  const days = Array.from({ length: 7 }, (_, index) => addDays(weekStart, index));
+  const weekEnd = addDays(weekStart, 7);
+
+  useEffect(() => {
+    const fetchVacancies = async () => {
+      try {
+        const res = await listVacancies();
+        const map = {};
+        (res.data || []).forEach(vacancy => {
+          map[vacancy.jobId] = vacancy.jobTitle;
+        });
+        setJobMap(map);
+      } catch (error) {
+        console.error("Error fetching vacancies:", error);
+      }
+    };
+    fetchVacancies();
+  }, []);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const fetchInterviews = async () => {
+      try {
+        setLoading(true);
+        const res = await listInterviews({
+          from: weekStart.toISOString(),
+          to: weekEnd.toISOString(),
+          recruiterId,
+          status: 'scheduled'
+        }, { signal: controller.signal });
+        const data = res.data || [];
+        setInterviews(data);
+        setRecruiters(prev => {
+          const next = { ...prev };
+          data.forEach(interview => {
+            if (interview.recruiter?._id) {
+              next[interview.recruiter._id] = interview.recruiter.name || interview.recruiter.email;
+            }
+          });
+          return next;
+        });
+      } catch (error) {
+        if (isCancelledError(error)) return;
+        console.error("Error fetching interviews:", error);
+        toast.error(error.message || "Error fetching interviews");
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    };
+    fetchInterviews();
+    return () => controller.abort();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [weekStart, recruiterId]);
+
+  const shiftWeek = (weeks) => {
+    setWeekStart(startOfWeek(addDays(weekStart, weeks * 7)));
+  };
+
+  const interviewsOn = (day) => interviews
+    .filter(interview => sameDay(new Date(interview.scheduledAt), day))
+    .sort((a, b) => new Date(a.scheduledAt) - new Date(b.scheduledAt));
+
+  const now = new Date();
+  const otherRecruiters = Object.entries(recruiters).filter(([id]) => id !== adminId);
+
+  return (
+    <div className="interviews-page scrollable-div">
+      <div className="page-header">
+        <div>
+          <h2>Interviews</h2>
+          <p className="interviews-subtitle">
+            {days[0].toLocaleDateString('en-GB', { day: '2-digit', month: 'short' })} – {days[6].toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' })}
+          </p>
+        </div>
+        <div className="interviews-controls">
+          <select value={recruiterId} onChange={(e) => setRecruiterId(e.target.value)}>
+            {adminId && <option value={adminId}>My interviews</option>}
+            <option value="">All recruiters</option>
+            {otherRecruiters.map(([id, name]) => (
+              <option key={id} value={id}>{name}</option>
+            ))}
+          </select>
+          <button onClick={() => shiftWeek(-1)}>← Previous</button>
+          <button onClick={() => setWeekStart(startOfWeek(new Date()))}>Today</button>
+          <button onClick={() => shiftWeek(1)}>Next →</button>
+        </div>
+      </div>
+
+      {loading && <p className="loading">Loading interviews...</p>}
+
+      <div className="week-grid">
+        {days.map(day => (
+          <div key={day.toISOString()} className={`week-day ${sameDay(day, now) ? 'today' : ''}`}>
+            <div className="week-day-header">
+              <span>{day.toLocaleDateString('en-GB', { weekday: 'short' })}</span>
+              <strong>{day.getDate()}</strong>
+            </div>
+            {interviewsOn(day).map(interview => (
+              <div
+                key={interview._id}
+                className={`interview-chip mode-${interview.mode} ${new Date(interview.scheduledAt) < now ? 'past' : ''}`}
+              >
+                <span className="interview-chip-time">
+                  {new Date(interview.scheduledAt).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' })}
+                  {' · '}{getModeLabel(interview.mode)}
+                </span>
+                <strong>{getCandidateName(interview)}</strong>
+                <span>{interview.round}</span>
+                <span className="interview-chip-job">
+                  #{interview.jobId} {jobMap[interview.jobId] || ""}
+                </span>
+                <span>with {interview.interviewer?.name}</span>
+                <div className="interview-chip-actions">
+                  <button onClick={() => downloadInterviewIcs(interview, jobMap[interview.jobId])}>.ics</button>
+                  <button onClick={() => navigate(`/cvs?jobId=${encodeURIComponent(interview.jobId)}`)}>Applicants</button>
+                </div>
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+
+      {!loading && interviews.length === 0 && (
+        <p className="no-data">No interviews scheduled this week.</p>
+      )}
+    </div>
+  );
+};
+
+export default Interviews;
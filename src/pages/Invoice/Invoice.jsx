@@ -0,0 +1,150 @@
+import React, { useEffect, useState } from "react";
+import "./Invoice.css";
+import { toast } from "react-toastify";
+import { Link, useParams } from "react-router-dom";
+import { getPlacement } from '../../api/placementApi';
+import { getInvoiceStatus, getInvoiceStatusLabel, getInvoiceTotals, formatMoney } from '../../utils/fees';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString('en-GB', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric'
+}) : '—');
+
+// Only the invoice itself is printed; see the print rules in Invoice.css
+const PRINT_CLASS = 'printing-invoice';
+
+/**
+ * Printable invoice for one placement. "Print / Save as PDF" uses the
+ * browser's print dialog, which can also save the page as a PDF.
+ */
+const Invoice = () => {
+  const { id } = useParams();
+  const [placement, setPlacement] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchPlacement = async () => {
+      try {
+        setLoading(true);
+        const res = await getPlacement(id);
+        setPlacement(res.data);
+      } catch (error) {
+        console.error("Error fetching invoice:", error);
+        toast.error(error.message || "Error fetching invoice");
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchPlacement();
+  }, [id]);
+
+  useEffect(() => {
+    document.body.classList.add(PRINT_CLASS);
+    return () => document.body.classList.remove(PRINT_CLASS);
+  }, []);
+
+  if (loading) {
+    return <div className="loading">Loading invoice...</div>;
+  }
+
+  const invoice = placement?.invoice;
+  if (!invoice) {
+    return (
+      <div className="invoice-page">
+        <Link to="/placements" className="back-link">← Back to Placements</Link>
+        <p className="no-data">{placement ? 'No invoice has been generated for this placement yet.' : 'Placement not found.'}</p>
+      </div>
+    );
+  }
+
+  const { currency, feeTerms = {} } = placement;
+  const { subtotal, tax, total } = getInvoiceTotals(placement.fee, feeTerms.taxRate);
+  const status = getInvoiceStatus(invoice);
+  const candidateName = [placement.candidate?.firstName, placement.candidate?.lastName].filter(Boolean).join(' ');
+  const feeBasis = feeTerms.type === 'flat'
+    ? 'Flat fee per hire'
+    : `${feeTerms.percentage}% of annual CTC ${formatMoney(placement.offeredSalary, currency)}`;
+
+  return (
+    <div className="invoice-page scrollable-div">
+      <div className="invoice-toolbar">
+        <Link to="/placements" className="back-link">← Back to Placements</Link>
+        <span className={`invoice-status ${status}`}>{getInvoiceStatusLabel(status)}</span>
+        <button className="print-btn" onClick={() => window.print()}>🖨 Print / Save as PDF</button>
+      </div>
+
+      <div className="invoice-sheet">
+        <div className="invoice-head">
+          <div>
+            <h1>{invoice.issuer?.name}</h1>
+            {invoice.issuer?.address && <p className="invoice-address">{invoice.issuer.address}</p>}
+            {invoice.issuer?.email && <p>{invoice.issuer.email}</p>}
+            {invoice.issuer?.taxId && <p>GSTIN: {invoice.issuer.taxId}</p>}
+          </div>
+          <div className="invoice-meta">
+            <h2>{status === 'cancelled' ? 'Cancelled Invoice' : 'Tax Invoice'}</h2>
+            <p><strong>Invoice no.</strong> {invoice.number}</p>
+            <p><strong>Date</strong> {formatDate(invoice.issuedAt)}</p>
+            <p><strong>Due</strong> {formatDate(invoice.dueAt)}</p>
+            {invoice.paidAt && <p><strong>Paid</strong> {formatDate(invoice.paidAt)}</p>}
+          </div>
+        </div>
+
+        <div className="invoice-bill-to">
+          <h4>Bill to</h4>
+          <p><strong>{invoice.billTo?.name || placement.client?.name}</strong></p>
+          {invoice.billTo?.contactPerson && <p>Attn: {invoice.billTo.contactPerson}</p>}
+          {invoice.billTo?.address && <p className="invoice-address">{invoice.billTo.address}</p>}
+          {invoice.billTo?.email && <p>{invoice.billTo.email}</p>}
+        </div>
+
+        <table className="invoice-lines">
+          <thead>
+            <tr>
+              <th>Description</th>
+              <th>Amount</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr>
+              <td>
+                Recruitment fee: {candidateName} as {placement.jobTitle || `Job #${placement.jobId}`}
+                <span className="invoice-line-detail">
+                  Joined {formatDate(placement.joiningDate)} · {feeBasis}
+                </span>
+              </td>
+              <td>{formatMoney(subtotal, currency)}</td>
+            </tr>
+          </tbody>
+          <tfoot>
+            <tr>
+              <td>Subtotal</td>
+              <td>{formatMoney(subtotal, currency)}</td>
+            </tr>
+            <tr>
+              <td>Tax ({feeTerms.taxRate || 0}%)</td>
+              <td>{formatMoney(tax, currency)}</td>
+            </tr>
+            <tr className="invoice-total">
+              <td>Total due</td>
+              <td>{formatMoney(total, currency)}</td>
+            </tr>
+          </tfoot>
+        </table>
+
+        <div className="invoice-terms">
+          <p>Payment is due within {feeTerms.paymentTermsDays} days of the invoice date.</p>
+          {feeTerms.guaranteeDays > 0 && (
+            <p>
+              If the candidate leaves within {feeTerms.guaranteeDays} days of joining
+              (by {formatDate(placement.guaranteeEndsAt)}), a replacement will be provided free of charge.
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Invoice;
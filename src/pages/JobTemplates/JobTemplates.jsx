@@ -0,0 +1,187 @@
+import React, { useEffect, useState } from "react";
+import "./JobTemplates.css";
+import { toast } from "react-toastify";
+import { useNavigate } from "react-router-dom";
+import { listIndustries } from '../../api/industryApi';
+import { listJobTemplates, updateJobTemplate, removeJobTemplate } from '../../api/jobTemplateApi';
+
+const formatSalary = ({ salaryMin, salaryMax }) => {
+  if (!salaryMin && !salaryMax) return null;
+  return `₹${salaryMin || '—'} - ₹${salaryMax || '—'}`;
+};
+
+/**
+ * Saved job templates, grouped by industry. Templates are created from the
+ * Post Vacancy form ("Save as template"); here they can be renamed, moved to
+ * another industry, deleted or used to start a new vacancy.
+ */
+const JobTemplates = () => {
+  const navigate = useNavigate();
+  const [templates, setTemplates] = useState([]);
+  const [industries, setIndustries] = useState([]);
+  const [industry, setIndustry] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null); // { id, name, industry }
+
+  const fetchTemplates = async () => {
+    try {
+      setLoading(true);
+      const res = await listJobTemplates();
+      setTemplates(res.data || []);
+    } catch (error) {
+      console.error("Error fetching job templates:", error);
+      toast.error(error.message || "Error fetching job templates");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    const fetchIndustries = async () => {
+      try {
+        const res = await listIndustries();
+        setIndustries(res.data || []);
+      } catch (error) {
+        console.error("Error fetching industries:", error);
+      }
+    };
+    fetchTemplates();
+    fetchIndustries();
+  }, []);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const name = editing.name.trim();
+    if (!name) return;
+
+    try {
+      await updateJobTemplate({ id: editing.id, name, industry: editing.industry || null });
+      toast.success("Template updated ✅");
+      setEditing(null);
+      fetchTemplates();
+    } catch (error) {
+      console.error("Error updating job template:", error);
+      toast.error(error.message || "Error updating job template");
+    }
+  };
+
+  const handleDelete = async (template) => {
+    const confirmDelete = window.confirm(`Delete the template "${template.name}"? Vacancies created from it are not affected.`);
+    if (!confirmDelete) return;
+
+    try {
+      await removeJobTemplate(template._id);
+      setTemplates(prev => prev.filter(item => item._id !== template._id));
+      toast.success("Template deleted ✅");
+    } catch (error) {
+      console.error("Error deleting job template:", error);
+      toast.error(error.message || "Error deleting job template");
+    }
+  };
+
+  const visible = templates.filter(template => (
+    !industry
+    || (industry === 'none' ? !template.industry : template.industry?._id === industry)
+  ));
+
+  // One section per industry, "General" (no industry) last
+  const groups = visible.reduce((map, template) => {
+    const label = template.industry?.name || 'General';
+    if (!map.has(label)) map.set(label, []);
+    map.get(label).push(template);
+    return map;
+  }, new Map());
+  const sections = [...groups].sort(([a], [b]) => (
+    (a === 'General') - (b === 'General') || a.localeCompare(b)
+  ));
+
+  return (
+    <div className="job-templates-page scrollable-div">
+      <div className="page-header">
+        <div>
+          <h2>Job Templates</h2>
+          <p className="job-templates-subtitle">Save a template from the Post Vacancy form to reuse it here</p>
+        </div>
+        <select value={industry} onChange={(e) => setIndustry(e.target.value)}>
+          <option value="">All industries</option>
+          {industries.map(item => (
+            <option key={item._id} value={item._id}>{item.name}</option>
+          ))}
+          <option value="none">General (no industry)</option>
+        </select>
+      </div>
+
+      {loading ? (
+        <p className="loading">Loading templates...</p>
+      ) : visible.length === 0 ? (
+        <p className="no-data">No job templates found.</p>
+      ) : (
+        sections.map(([label, group]) => (
+          <section key={label} className="job-template-section">
+            <h3>{label}</h3>
+            <div className="job-template-grid">
+              {group.map(template => {
+                const { fields = {} } = template;
+                const salary = formatSalary(fields);
+                return (
+                  <div key={template._id} className="job-template-card">
+                    {editing?.id === template._id ? (
+                      <form className="job-template-edit" onSubmit={handleSave}>
+                        <input
+                          value={editing.name}
+                          onChange={(e) => setEditing(prev => ({ ...prev, name: e.target.value }))}
+                          placeholder="Template name"
+                          required
+                        />
+                        <select
+                          value={editing.industry}
+                          onChange={(e) => setEditing(prev => ({ ...prev, industry: e.target.value }))}
+                        >
+                          <option value="">General (no industry)</option>
+                          {industries.map(item => (
+                            <option key={item._id} value={item._id}>{item.name}</option>
+                          ))}
+                        </select>
+                        <div className="job-template-actions">
+                          <button type="button" className="cancel-btn" onClick={() => setEditing(null)}>Cancel</button>
+                          <button type="submit" className="submit-btn">Save</button>
+                        </div>
+                      </form>
+                    ) : (
+                      <>
+                        <h4>{template.name}</h4>
+                        <p className="job-template-title">{fields.jobTitle}</p>
+                        <p className="job-template-meta">
+                          {[fields.employmentType, fields.experienceLevel, salary].filter(Boolean).join(' · ')}
+                        </p>
+                        {fields.skills?.length > 0 && (
+                          <div className="job-template-skills">
+                            {fields.skills.map(skill => <span key={skill}>{skill}</span>)}
+                          </div>
+                        )}
+                        <div className="job-template-actions">
+                          <button className="delete-btn" onClick={() => handleDelete(template)}>Delete</button>
+                          <button
+                            className="cancel-btn"
+                            onClick={() => setEditing({ id: template._id, name: template.name, industry: template.industry?._id || "" })}
+                          >
+                            Edit
+                          </button>
+                          <button className="submit-btn" onClick={() => navigate(`/post-vacancy?template=${template._id}`)}>
+                            Use
+                          </button>
+                        </div>
+                      </>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          </section>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default JobTemplates;
@@ -1,12 +1,10 @@
-import React, { useState , useEffect, useContext } from "react";
+import React, { useState , useEffect } from "react";
 import "./ListIndustries.css";
-import axios from "axios";
 import { toast } from "react-toastify";
 import { useNavigate } from "react-router-dom";
-import { AuthContext } from '../../context/AuthContext';
+import { listIndustries, removeIndustry } from '../../api/industryApi';
 
 const ListIndustries = ({url}) => {
-  const { auth } = useContext(AuthContext);
   const [expandedDesc, setExpandedDesc] = useState({});
   const [expandedRoles, setExpandedRoles] = useState({});
   const [industries,setIndustries] = useState([]);
@@ -21,15 +19,11 @@ const ListIndustries = ({url}) => {
 
   const fetchlist = async () =>{
     try {
-      const response = await axios.get(`${url}/api/industry/list`);
-      if(response.data.success) {
-        setIndustries(response.data.data);
-      } else {
-        toast.error("Error fetching industries");
-      }
+      const response = await listIndustries();
+      setIndustries(response.data);
     } catch (error) {
-      console.error("Axios error:", error);
-      toast.error("Network or server error");
+      console.error("Error fetching industries:", error);
+      toast.error(error.message || "Error fetching industries");
     }
   }
 
@@ -38,21 +32,13 @@ const ListIndustries = ({url}) => {
   };
 
   const handleDelete = async(id) => {
-    try{
-    const response = await axios.post(`${url}/api/industry/remove`, { id }, {
-      headers: {
-        'Authorization': `Bearer ${auth.token}`
-      }
-    });
-    if(response.data.success) {
-        toast.success("Industry deleted successfully");
-        fetchlist(); // Refresh the list after deletion
-      } else {
-        toast.error("Error deleting industry");
-      }
+    try {
+      await removeIndustry(id);
+      toast.success("Industry deleted successfully");
+      fetchlist(); // Refresh the list after deletion
     } catch (error) {
-      console.error("Axios error:", error);
-      toast.error("Network or server error");
+      console.error("Error deleting industry:", error);
+      toast.error(error.message || "Error deleting industry");
     }
   };
 
@@ -1,12 +1,10 @@
-import React, { useState, useEffect, useContext } from "react";
+import React, { useState, useEffect } from "react";
 import "./ListServices.css";
-import axios from "axios";
 import { toast } from "react-toastify";
 import { useNavigate } from "react-router-dom";
-import { AuthContext } from '../../context/AuthContext';
+import { listServices, removeService } from '../../api/serviceApi';
 
 const ListServices = ({ url }) => {
-  const { auth } = useContext(AuthContext);
   const [expandedDesc, setExpandedDesc] = useState({});
   const [services, setServices] = useState([]);
 
@@ -16,15 +14,11 @@ const ListServices = ({ url }) => {
 
   const fetchlist = async () => {
     try {
-      const response = await axios.get(`${url}/api/service/list`);
-      if (response.data.success) {
-        setServices(response.data.data);
-      } else {
-        toast.error("Error fetching services");
-      }
+      const response = await listServices();
+      setServices(response.data);
     } catch (error) {
-      console.error("Axios error:", error);
-      toast.error("Network or server error");
+      console.error("Error fetching services:", error);
+      toast.error(error.message || "Error fetching services");
     }
   };
 
@@ -34,21 +28,13 @@ const ListServices = ({ url }) => {
   };
 
   const handleDelete = async(id) => {
-    try{
-    const response = await axios.post(`${url}/api/service/remove`, { id }, {
-      headers: {
-        'Authorization': `Bearer ${auth.token}`
-      }
-    });
-    if(response.data.success) {
-        toast.success("service deleted successfully");
-        fetchlist(); // Refresh the list after deletion
-      } else {
-        toast.error("Error deleting service");
-      }
+    try {
+      await removeService(id);
+      toast.success("service deleted successfully");
+      fetchlist(); // Refresh the list after deletion
     } catch (error) {
-      console.error("Axios error:", error);
-      toast.error("Network or server error");
+      console.error("Error deleting service:", error);
+      toast.error(error.message || "Error deleting service");
     }
   };
 
@@ -1,6 +1,8 @@
 import React, { useState, useContext } from 'react';
-import axios from 'axios';
+import { useLocation, useNavigate } from 'react-router-dom';
 import { AuthContext } from '../../context/AuthContext';
+import { loginAdmin } from '../../api/adminApi';
+import { getReturnPath } from '../../utils/navigation';
 import './Login.css';
 
 const Login = ({url}) => {
@@ -8,6 +10,11 @@ const Login = ({url}) => {
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
   const { login } = useContext(AuthContext);
+  const location = useLocation();
+  const navigate = useNavigate();
+  // Set when the admin was redirected here from a protected page, or by
+  // AuthProvider when a session expires or is revoked
+  const from = location.state?.from;
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -20,32 +27,18 @@ const Login = ({url}) => {
     console.log('Password:', password ? '***' : 'MISSING');
     
     try {
-      const response = await axios.post(`${url}/api/admin/login`, { username, password });
-      console.log('Response status:', response.status);
-      console.log('Response data:', { 
-        success: response.data.success, 
-        hasToken: !!response.data.token,
-        message: response.data.message 
-      });
-      
-      if (response.data.success) {
-        console.log('✅ Login successful, saving token');
-        login(response.data.token);
-      } else {
-        console.log('❌ Login failed:', response.data.message);
-        setError(response.data.message || 'Login failed');
-      }
+      const response = await loginAdmin(username, password);
+      console.log('✅ Login successful, saving token');
+      login(response.token);
+      navigate(getReturnPath(from), { replace: true });
     } catch (err) {
       console.error('=== FRONTEND LOGIN ERROR ===');
       console.error('Error:', err);
-      console.error('Error message:', err.message);
-      console.error('Error response:', err.response);
-      console.error('Error status:', err.response?.status);
-      console.error('Error data:', err.response?.data);
+      console.error('Error status:', err.status);
+      console.error('Error data:', err.data);
       console.error('=== END ERROR ===');
       
-      const errorMessage = err.response?.data?.message || err.message || 'Server error';
-      setError(errorMessage);
+      setError(err.message || 'Login failed');
     }
   };
 
@@ -0,0 +1,294 @@
+import React, { useEffect, useState, useContext } from "react";
+import "./ManageAdmins.css";
+import { toast } from "react-toastify";
+import { AuthContext } from '../../context/AuthContext';
+import { ROLES, ROLE_LABELS, STAFF_ROLES } from '../../utils/permissions';
+import {
+  listAdmins,
+  inviteAdmin,
+  updateAdmin,
+  forcePasswordReset,
+  setAdminActive
+} from '../../api/adminApi';
+
+const emptyForm = {
+  username: "",
+  name: "",
+  email: "",
+  role: ROLES.RECRUITER
+};
+
+const formatDate = (value) =>
+  value ? new Date(value).toLocaleDateString() : "Never";
+
+const ManageAdmins = () => {
+  // Admins may not deactivate or demote their own account from here
+  const { adminId: currentAdminId } = useContext(AuthContext);
+  const [admins, setAdmins] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editingAdmin, setEditingAdmin] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+
+  // Fetch all admins
+  const fetchAdmins = async () => {
+    try {
+      setLoading(true);
+      const res = await listAdmins();
+      setAdmins(res.data || []);
+    } catch (error) {
+      console.error("Error fetching admins:", error);
+      toast.error(error.message || "Error fetching admins");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchAdmins();
+  }, []);
+
+  // Handle form input change
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  // Handle form submit (invite or update)
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      if (editingAdmin) {
+        await updateAdmin({
+          id: editingAdmin._id,
+          name: formData.name,
+          email: formData.email,
+          role: formData.role
+        });
+        toast.success("Admin updated successfully ✅");
+        setEditingAdmin(null);
+      } else {
+        await inviteAdmin(formData);
+        toast.success(`Invitation sent to ${formData.email} ✅`);
+      }
+      setFormData(emptyForm);
+      fetchAdmins();
+    } catch (error) {
+      console.error("Error saving admin:", error);
+      toast.error(error.message || "Error saving admin");
+    }
+  };
+
+  // Handle edit
+  const handleEdit = (admin) => {
+    setEditingAdmin(admin);
+    setFormData({
+      username: admin.username || "",
+      name: admin.name || "",
+      email: admin.email || "",
+      role: admin.role || ROLES.RECRUITER
+    });
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  // Cancel edit
+  const handleCancel = () => {
+    setEditingAdmin(null);
+    setFormData(emptyForm);
+  };
+
+  // Force password reset
+  const handleResetPassword = async (admin) => {
+    if (!window.confirm(`Force ${admin.username} to reset their password? Their current password will stop working.`)) {
+      return;
+    }
+
+    try {
+      await forcePasswordReset(admin._id);
+      toast.success(`Password reset email sent to ${admin.email} ✅`);
+      fetchAdmins();
+    } catch (error) {
+      console.error("Error resetting password:", error);
+      toast.error(error.message || "Error resetting password");
+    }
+  };
+
+  // Deactivate / re-activate
+  const handleToggleActive = async (admin) => {
+    const activate = !admin.isActive;
+    if (!activate && !window.confirm(`Deactivate ${admin.username}? They will no longer be able to log in.`)) {
+      return;
+    }
+
+    try {
+      await setAdminActive(admin._id, activate);
+      toast.success(`Admin ${activate ? "activated" : "deactivated"} successfully ✅`);
+      fetchAdmins();
+    } catch (error) {
+      console.error("Error updating admin status:", error);
+      toast.error(error.message || "Error updating admin status");
+    }
+  };
+
+  if (loading) {
+    return <div className="loading">Loading admins...</div>;
+  }
+
+  const isEditingSelf = editingAdmin && editingAdmin._id === currentAdminId;
+
+  return (
+    <div className="manage-admins-page scrollable-div">
+      <h2>{editingAdmin ? "Edit Admin" : "Invite New Admin"}</h2>
+
+      {/* Invite/Edit Form */}
+      <form onSubmit={handleSubmit} className="admin-form">
+        <div className="form-row">
+          <div className="form-group">
+            <label htmlFor="username">Username *</label>
+            <input
+              type="text"
+              id="username"
+              name="username"
+              required
+              disabled={Boolean(editingAdmin)}
+              value={formData.username}
+              onChange={handleChange}
+              placeholder="Login username"
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="name">Full Name</label>
+            <input
+              type="text"
+              id="name"
+              name="name"
+              value={formData.name}
+              onChange={handleChange}
+              placeholder="Admin's full name"
+            />
+          </div>
+        </div>
+
+        <div className="form-row">
+          <div className="form-group">
+            <label htmlFor="email">Email *</label>
+            <input
+              type="email"
+              id="email"
+              name="email"
+              required
+              value={formData.email}
+              onChange={handleChange}
+              placeholder="admin@example.com"
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="role">Role *</label>
+            <select
+              id="role"
+              name="role"
+              value={formData.role}
+              onChange={handleChange}
+              disabled={isEditingSelf || formData.role === ROLES.CLIENT}
+            >
+              {(formData.role === ROLES.CLIENT ? [ROLES.CLIENT] : STAFF_ROLES).map(role => (
+                <option key={role} value={role}>{ROLE_LABELS[role]}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {!editingAdmin && (
+          <p className="form-hint">
+            The new admin will receive an email with a link to set their password.
+          </p>
+        )}
+
+        <div className="form-actions">
+          <button type="submit" className="submit-btn">
+            {editingAdmin ? "Update Admin" : "Send Invite"}
+          </button>
+          {editingAdmin && (
+            <button type="button" onClick={handleCancel} className="cancel-btn">
+              Cancel
+            </button>
+          )}
+        </div>
+      </form>
+
+      {/* Admins Table */}
+      <div className="admins-list-section">
+        <h3>All Admins ({admins.length})</h3>
+
+        {admins.length === 0 ? (
+          <p className="no-admins">No admins found. Invite your first admin above.</p>
+        ) : (
+          <div className="admins-table-wrapper">
+            <table className="admins-table">
+              <thead>
+                <tr>
+                  <th>Username</th>
+                  <th>Name</th>
+                  <th>Email</th>
+                  <th>Role</th>
+                  <th>Status</th>
+                  <th>Last Login</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {admins.map((admin) => {
+                  const isSelf = admin._id === currentAdminId;
+                  return (
+                    <tr key={admin._id} className={!admin.isActive ? 'inactive' : ''}>
+                      <td>
+                        {admin.username}
+                        {isSelf && <span className="self-badge">You</span>}
+                      </td>
+                      <td>{admin.name || '-'}</td>
+                      <td>{admin.email}</td>
+                      <td>{ROLE_LABELS[admin.role] || admin.role}</td>
+                      <td>
+                        {admin.isActive ? (
+                          <span className="status-badge active">Active</span>
+                        ) : (
+                          <span className="status-badge inactive">Inactive</span>
+                        )}
+                        {admin.mustResetPassword && (
+                          <span className="status-badge reset">Reset pending</span>
+                        )}
+                      </td>
+                      <td>{formatDate(admin.lastLoginAt)}</td>
+                      <td>
+                        <div className="admin-actions">
+                          <button className="edit-btn" onClick={() => handleEdit(admin)}>
+                            Edit
+                          </button>
+                          <button className="reset-btn" onClick={() => handleResetPassword(admin)}>
+                            Reset Password
+                          </button>
+                          {!isSelf && (
+                            <button
+                              className={admin.isActive ? "delete-btn" : "activate-btn"}
+                              onClick={() => handleToggleActive(admin)}
+                            >
+                              {admin.isActive ? "Deactivate" : "Activate"}
+                            </button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ManageAdmins;
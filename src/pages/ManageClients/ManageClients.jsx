@@ -1,13 +1,15 @@
 import React, { useEffect, useState, useContext } from "react";
-import axios from "axios";
 import "./ManageClients.css";
 import { toast } from "react-toastify";
-import { AuthContext } from '../../context/AuthContext';
 import { useNavigate } from 'react-router-dom';
+import { AuthContext } from '../../context/AuthContext';
+import { PERMISSIONS } from '../../utils/permissions';
+import { listClients, addClient, updateClient, removeClient, inviteClientUser } from '../../api/clientApi';
 
 const ManageClients = ({ url }) => {
-  const { auth } = useContext(AuthContext);
   const navigate = useNavigate();
+  const { hasPermission } = useContext(AuthContext);
+  const canManage = hasPermission(PERMISSIONS.CLIENTS_MANAGE);
   const [clients, setClients] = useState([]);
   const [loading, setLoading] = useState(true);
   const [editingClient, setEditingClient] = useState(null);
@@ -26,19 +28,11 @@ const ManageClients = ({ url }) => {
   const fetchClients = async () => {
     try {
       setLoading(true);
-      const res = await axios.get(`${url}/api/client/list`, {
-        headers: {
-          'Authorization': `Bearer ${auth.token}`
-        }
-      });
-      if (res.data.success) {
-        setClients(res.data.data || []);
-      } else {
-        toast.error("Failed to fetch clients");
-      }
+      const res = await listClients();
+      setClients(res.data || []);
     } catch (error) {
       console.error("Error fetching clients:", error);
-      toast.error("Error fetching clients");
+      toast.error(error.message || "Error fetching clients");
     } finally {
       setLoading(false);
     }
@@ -64,60 +58,42 @@ const ManageClients = ({ url }) => {
     try {
       if (editingClient) {
         // Update existing client
-        const res = await axios.put(`${url}/api/client/update`, {
+        await updateClient({
           id: editingClient._id,
           ...formData
-        }, {
-          headers: {
-            'Authorization': `Bearer ${auth.token}`
-          }
         });
-        
-        if (res.data.success) {
-          toast.success("Client updated successfully ✅");
-          setEditingClient(null);
-          setFormData({
-            name: "",
-            description: "",
-            contactPerson: "",
-            email: "",
-            phone: "",
-            address: "",
-            website: "",
-            isActive: true
-          });
-          fetchClients();
-        } else {
-          toast.error(res.data.message || "Failed to update client");
-        }
+        toast.success("Client updated successfully ✅");
+        setEditingClient(null);
+        setFormData({
+          name: "",
+          description: "",
+          contactPerson: "",
+          email: "",
+          phone: "",
+          address: "",
+          website: "",
+          isActive: true
+        });
+        fetchClients();
       } else {
         // Add new client
-        const res = await axios.post(`${url}/api/client/add`, formData, {
-          headers: {
-            'Authorization': `Bearer ${auth.token}`
-          }
+        await addClient(formData);
+        toast.success("Client added successfully ✅");
+        setFormData({
+          name: "",
+          description: "",
+          contactPerson: "",
+          email: "",
+          phone: "",
+          address: "",
+          website: "",
+          isActive: true
         });
-        
-        if (res.data.success) {
-          toast.success("Client added successfully ✅");
-          setFormData({
-            name: "",
-            description: "",
-            contactPerson: "",
-            email: "",
-            phone: "",
-            address: "",
-            website: "",
-            isActive: true
-          });
-          fetchClients();
-        } else {
-          toast.error(res.data.message || "Failed to add client");
-        }
+        fetchClients();
       }
     } catch (error) {
       console.error("Error saving client:", error);
-      toast.error(error.response?.data?.message || "Error saving client");
+      toast.error(error.message || "Error saving client");
     }
   };
 
@@ -144,21 +120,31 @@ const ManageClients = ({ url }) => {
     }
 
     try {
-      const res = await axios.post(`${url}/api/client/remove`, { id }, {
-        headers: {
-          'Authorization': `Bearer ${auth.token}`
-        }
-      });
-      
-      if (res.data.success) {
-        toast.success("Client deleted successfully ✅");
-        fetchClients();
-      } else {
-        toast.error(res.data.message || "Failed to delete client");
-      }
+      await removeClient(id);
+      toast.success("Client deleted successfully ✅");
+      fetchClients();
     } catch (error) {
       console.error("Error deleting client:", error);
-      toast.error(error.response?.data?.message || "Error deleting client");
+      toast.error(error.message || "Error deleting client");
+    }
+  };
+
+  // Give the client's contact a login to the client portal
+  const handleInvite = async (client) => {
+    if (!client.email) {
+      toast.error("Add a contact email for this client first");
+      return;
+    }
+    if (!window.confirm(`Invite ${client.contactPerson || client.email} (${client.email}) to the client portal? They will see the candidates shared with ${client.name}.`)) {
+      return;
+    }
+
+    try {
+      await inviteClientUser({ clientId: client._id, name: client.contactPerson, email: client.email });
+      toast.success(`Portal invitation sent to ${client.email} ✅`);
+    } catch (error) {
+      console.error("Error inviting client user:", error);
+      toast.error(error.message || "Error sending portal invitation");
     }
   };
 
@@ -183,136 +169,140 @@ const ManageClients = ({ url }) => {
 
   return (
     <div className="manage-clients-page scrollable-div">
-      <h2>{editingClient ? "Edit Client" : "Add New Client"}</h2>
+      {canManage && (
+        <>
+          <h2>{editingClient ? "Edit Client" : "Add New Client"}</h2>
 
-      {/* Add/Edit Form */}
-      <form onSubmit={handleSubmit} className="client-form">
-        <div className="form-row">
-          <div className="form-group">
-            <label htmlFor="name">Client Name *</label>
-            <input
-              type="text"
-              id="name"
-              name="name"
-              required
-              value={formData.name}
-              onChange={handleChange}
-              placeholder="Enter client/company name"
-            />
-          </div>
+          {/* Add/Edit Form */}
+          <form onSubmit={handleSubmit} className="client-form">
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="name">Client Name *</label>
+                <input
+                  type="text"
+                  id="name"
+                  name="name"
+                  required
+                  value={formData.name}
+                  onChange={handleChange}
+                  placeholder="Enter client/company name"
+                />
+              </div>
 
-          <div className="form-group">
-            <label htmlFor="contactPerson">Contact Person</label>
-            <input
-              type="text"
-              id="contactPerson"
-              name="contactPerson"
-              value={formData.contactPerson}
-              onChange={handleChange}
-              placeholder="Contact person name"
-            />
-          </div>
-        </div>
+              <div className="form-group">
+                <label htmlFor="contactPerson">Contact Person</label>
+                <input
+                  type="text"
+                  id="contactPerson"
+                  name="contactPerson"
+                  value={formData.contactPerson}
+                  onChange={handleChange}
+                  placeholder="Contact person name"
+                />
+              </div>
+            </div>
 
-        <div className="form-row">
-          <div className="form-group">
-            <label htmlFor="email">Email</label>
-            <input
-              type="email"
-              id="email"
-              name="email"
-              value={formData.email}
-              onChange={handleChange}
-              placeholder="client@example.com"
-            />
-          </div>
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="email">Email</label>
+                <input
+                  type="email"
+                  id="email"
+                  name="email"
+                  value={formData.email}
+                  onChange={handleChange}
+                  placeholder="client@example.com"
+                />
+              </div>
 
-          <div className="form-group">
-            <label htmlFor="phone">Phone</label>
-            <input
-              type="tel"
-              id="phone"
-              name="phone"
-              value={formData.phone}
-              onChange={handleChange}
-              placeholder="+91 1234567890"
-            />
-          </div>
-        </div>
+              <div className="form-group">
+                <label htmlFor="phone">Phone</label>
+                <input
+                  type="tel"
+                  id="phone"
+                  name="phone"
+                  value={formData.phone}
+                  onChange={handleChange}
+                  placeholder="+91 1234567890"
+                />
+              </div>
+            </div>
 
-        <div className="form-group">
-          <label htmlFor="website">Website</label>
-          <input
-            type="url"
-            id="website"
-            name="website"
-            value={formData.website}
-            onChange={handleChange}
-            placeholder="https://www.example.com"
-          />
-        </div>
+            <div className="form-group">
+              <label htmlFor="website">Website</label>
+              <input
+                type="url"
+                id="website"
+                name="website"
+                value={formData.website}
+                onChange={handleChange}
+                placeholder="https://www.example.com"
+              />
+            </div>
 
-        <div className="form-group">
-          <label htmlFor="address">Address</label>
-          <textarea
-            id="address"
-            name="address"
-            value={formData.address}
-            onChange={handleChange}
-            placeholder="Client address"
-            rows="3"
-          />
-        </div>
+            <div className="form-group">
+              <label htmlFor="address">Address</label>
+              <textarea
+                id="address"
+                name="address"
+                value={formData.address}
+                onChange={handleChange}
+                placeholder="Client address"
+                rows="3"
+              />
+            </div>
 
-        <div className="form-group">
-          <label htmlFor="description">Description</label>
-          <textarea
-            id="description"
-            name="description"
-            value={formData.description}
-            onChange={handleChange}
-            placeholder="Client description"
-            rows="4"
-          />
-        </div>
+            <div className="form-group">
+              <label htmlFor="description">Description</label>
+              <textarea
+                id="description"
+                name="description"
+                value={formData.description}
+                onChange={handleChange}
+                placeholder="Client description"
+                rows="4"
+              />
+            </div>
 
-        <div className="form-group checkbox-group">
-          <label htmlFor="isActive">
-            <input
-              type="checkbox"
-              id="isActive"
-              name="isActive"
-              checked={formData.isActive}
-              onChange={handleChange}
-            />
-            Active (Client is active and can be used in vacancies)
-          </label>
-        </div>
+            <div className="form-group checkbox-group">
+              <label htmlFor="isActive">
+                <input
+                  type="checkbox"
+                  id="isActive"
+                  name="isActive"
+                  checked={formData.isActive}
+                  onChange={handleChange}
+                />
+                Active (Client is active and can be used in vacancies)
+              </label>
+            </div>
 
-        <div className="form-actions">
-          <button type="submit" className="submit-btn">
-            {editingClient ? "Update Client" : "Add Client"}
-          </button>
-          {editingClient && (
-            <button type="button" onClick={handleCancel} className="cancel-btn">
-              Cancel
-            </button>
-          )}
-        </div>
-      </form>
+            <div className="form-actions">
+              <button type="submit" className="submit-btn">
+                {editingClient ? "Update Client" : "Add Client"}
+              </button>
+              {editingClient && (
+                <button type="button" onClick={handleCancel} className="cancel-btn">
+                  Cancel
+                </button>
+              )}
+            </div>
+          </form>
+        </>
+      )}
 
       {/* Clients List */}
       <div className="clients-list-section">
         <h3>All Clients ({clients.length})</h3>
         
         {clients.length === 0 ? (
-          <p className="no-clients">No clients found. Add your first client above.</p>
+          <p className="no-clients">No clients found.{canManage && ' Add your first client above.'}</p>
         ) : (
           <div className="clients-grid">
             {clients.map((client) => (
               <div key={client._id} className={`client-card ${!client.isActive ? 'inactive' : ''}`}>
                 <div className="client-card-header">
-                  <h4>{client.name}</h4>
+                  <h4 className="client-name-link" onClick={() => navigate(`/clients/${client._id}`)}>{client.name}</h4>
                   {!client.isActive && <span className="inactive-badge">Inactive</span>}
                 </div>
                 
@@ -339,20 +329,30 @@ const ManageClients = ({ url }) => {
                   <p><strong>Vacancies:</strong> {client.vacancyCount || 0}</p>
                 </div>
 
-                <div className="client-actions">
-                  <button
-                    className="edit-btn"
-                    onClick={() => handleEdit(client)}
-                  >
-                    Edit
-                  </button>
-                  <button
-                    className="delete-btn"
-                    onClick={() => handleDelete(client._id)}
-                  >
-                    Delete
-                  </button>
-                </div>
+                {canManage && (
+                  <div className="client-actions">
+                    <button
+                      className="edit-btn"
+                      onClick={() => handleEdit(client)}
+                    >
+                      Edit
+                    </button>
+                    {client.isActive && (
+                      <button
+                        className="invite-btn"
+                        onClick={() => handleInvite(client)}
+                      >
+                        Invite to Portal
+                      </button>
+                    )}
+                    <button
+                      className="delete-btn"
+                      onClick={() => handleDelete(client._id)}
+                    >
+                      Delete
+                    </button>
+                  </div>
+                )}
               </div>
             ))}
           </div>
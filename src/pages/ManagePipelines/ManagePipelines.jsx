@@ -0,0 +1,383 @@
+import React, { useEffect, useState } from "react";
+import "./ManagePipelines.css";
+import { toast } from "react-toastify";
+import { STAGE_TEMPLATE, DEFAULT_PIPELINE, toStageKey, getStageClassName } from '../../utils/pipeline';
+import { listPipelines, addPipeline, updatePipeline, removePipeline } from '../../api/pipelineApi';
+import { listClients } from '../../api/clientApi';
+import { listVacancies } from '../../api/vacancyApi';
+
+const SCOPE_LABELS = {
+  default: 'Default (all vacancies)',
+  client: 'Client',
+  vacancy: 'Vacancy'
+};
+
+const emptyForm = () => ({
+  name: "",
+  scope: "client",
+  client: "",
+  jobId: "",
+  stages: STAGE_TEMPLATE.map(stage => ({ ...stage }))
+});
+
+/**
+ * Check a pipeline before saving. Returns an error message, or null.
+ * @param {import('../../utils/pipeline').Pipeline} pipeline
+ */
+const validatePipeline = (pipeline) => {
+  if (pipeline.scope === 'client' && !pipeline.client) return "Select a client";
+  if (pipeline.scope === 'vacancy' && !pipeline.jobId) return "Select a vacancy";
+  if (pipeline.stages.length < 2) return "A pipeline needs at least two stages";
+  if (pipeline.stages.some(stage => !stage.key)) return "Every stage needs a name";
+  if (pipeline.stages[0].terminal) return "The first stage cannot be terminal";
+  const keys = pipeline.stages.map(stage => stage.key);
+  if (new Set(keys).size !== keys.length) return "Stage names must be unique";
+  return null;
+};
+
+const ManagePipelines = () => {
+  const [pipelines, setPipelines] = useState([]);
+  const [clients, setClients] = useState([]);
+  const [vacancies, setVacancies] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editingPipeline, setEditingPipeline] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+
+  // Fetch all pipelines
+  const fetchPipelines = async () => {
+    try {
+      setLoading(true);
+      const res = await listPipelines();
+      setPipelines(res.data || []);
+    } catch (error) {
+      console.error("Error fetching pipelines:", error);
+      toast.error(error.message || "Error fetching pipelines");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    const fetchOptions = async () => {
+      try {
+        const [clientRes, vacancyRes] = await Promise.all([listClients(), listVacancies()]);
+        setClients(clientRes.data || []);
+        setVacancies(vacancyRes.data || []);
+      } catch (error) {
+        console.error("Error fetching clients/vacancies:", error);
+      }
+    };
+    fetchPipelines();
+    fetchOptions();
+  }, []);
+
+  const hasDefault = pipelines.some(p => p.scope === 'default' && p._id !== editingPipeline?._id);
+
+  // Handle form input change
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  // Stage editing
+  const updateStage = (index, changes) => {
+    setFormData(prev => ({
+      ...prev,
+      stages: prev.stages.map((stage, i) => {
+        if (i !== index) return stage;
+        const next = { ...stage, ...changes };
+        // Keys of saved stages never change: applications already store them
+        if (changes.label !== undefined && !stage.saved) {
+          next.key = toStageKey(changes.label);
+        }
+        if (!next.terminal) next.outcome = null;
+        return next;
+      })
+    }));
+  };
+
+  const moveStage = (index, direction) => {
+    setFormData(prev => {
+      const stages = [...prev.stages];
+      const target = index + direction;
+      if (target < 0 || target >= stages.length) return prev;
+      [stages[index], stages[target]] = [stages[target], stages[index]];
+      return { ...prev, stages };
+    });
+  };
+
+  const removeStage = (index) => {
+    setFormData(prev => ({ ...prev, stages: prev.stages.filter((_, i) => i !== index) }));
+  };
+
+  const addStage = () => {
+    setFormData(prev => ({
+      ...prev,
+      stages: [...prev.stages, { key: "", label: "", terminal: false, outcome: null }]
+    }));
+  };
+
+  // Handle form submit (add or update)
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const pipeline = {
+      name: formData.name.trim(),
+      scope: formData.scope,
+      client: formData.scope === 'client' ? formData.client : undefined,
+      jobId: formData.scope === 'vacancy' ? formData.jobId : undefined,
+      stages: formData.stages.map(({ key, label, terminal, outcome }) => ({
+        key,
+        label: label.trim(),
+        terminal: Boolean(terminal),
+        outcome: terminal ? outcome || null : null
+      }))
+    };
+
+    const error = validatePipeline(pipeline);
+    if (error) {
+      toast.error(error);
+      return;
+    }
+
+    try {
+      if (editingPipeline) {
+        await updatePipeline({ id: editingPipeline._id, ...pipeline });
+        toast.success("Pipeline updated successfully ✅");
+        setEditingPipeline(null);
+      } else {
+        await addPipeline(pipeline);
+        toast.success("Pipeline added successfully ✅");
+      }
+      setFormData(emptyForm());
+      fetchPipelines();
+    } catch (error) {
+      console.error("Error saving pipeline:", error);
+      toast.error(error.message || "Error saving pipeline");
+    }
+  };
+
+  // Handle edit
+  const handleEdit = (pipeline) => {
+    setEditingPipeline(pipeline);
+    setFormData({
+      name: pipeline.name || "",
+      scope: pipeline.scope || "client",
+      client: pipeline.client || "",
+      jobId: pipeline.jobId || "",
+      stages: pipeline.stages.map(stage => ({ ...stage, saved: true }))
+    });
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  // Handle delete
+  const handleDelete = async (id) => {
+    if (!window.confirm("Delete this pipeline? Its vacancies fall back to the client or default pipeline.")) {
+      return;
+    }
+
+    try {
+      await removePipeline(id);
+      toast.success("Pipeline deleted successfully ✅");
+      fetchPipelines();
+    } catch (error) {
+      console.error("Error deleting pipeline:", error);
+      toast.error(error.message || "Error deleting pipeline");
+    }
+  };
+
+  // Cancel edit
+  const handleCancel = () => {
+    setEditingPipeline(null);
+    setFormData(emptyForm());
+  };
+
+  const describeScope = (pipeline) => {
+    if (pipeline.scope === 'client') {
+      return `Client: ${clients.find(c => c._id === pipeline.client)?.name || 'Unknown'}`;
+    }
+    if (pipeline.scope === 'vacancy') {
+      const vacancy = vacancies.find(v => v.jobId === pipeline.jobId);
+      return `Vacancy: #${pipeline.jobId}${vacancy ? ` - ${vacancy.jobTitle}` : ''}`;
+    }
+    return 'Default for all vacancies';
+  };
+
+  if (loading) {
+    return <div className="loading">Loading pipelines...</div>;
+  }
+
+  return (
+    <div className="manage-pipelines-page scrollable-div">
+      <h2>{editingPipeline ? "Edit Pipeline" : "Add New Pipeline"}</h2>
+
+      {/* Add/Edit Form */}
+      <form onSubmit={handleSubmit} className="pipeline-form">
+        <div className="form-row">
+          <div className="form-group">
+            <label htmlFor="name">Pipeline Name *</label>
+            <input
+              type="text"
+              id="name"
+              name="name"
+              required
+              value={formData.name}
+              onChange={handleChange}
+              placeholder="e.g. Engineering hiring"
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="scope">Applies To *</label>
+            <select id="scope" name="scope" value={formData.scope} onChange={handleChange}>
+              {Object.entries(SCOPE_LABELS).map(([scope, label]) => (
+                <option key={scope} value={scope} disabled={scope === 'default' && hasDefault}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {formData.scope === 'client' && (
+            <div className="form-group">
+              <label htmlFor="client">Client *</label>
+              <select id="client" name="client" value={formData.client} onChange={handleChange}>
+                <option value="">Select client</option>
+                {clients.map(client => (
+                  <option key={client._id} value={client._id}>{client.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {formData.scope === 'vacancy' && (
+            <div className="form-group">
+              <label htmlFor="jobId">Vacancy *</label>
+              <select id="jobId" name="jobId" value={formData.jobId} onChange={handleChange}>
+                <option value="">Select vacancy</option>
+                {vacancies.map(vacancy => (
+                  <option key={vacancy.jobId} value={vacancy.jobId}>
+                    {vacancy.jobId} - {vacancy.jobTitle}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+        </div>
+
+        {/* Stages */}
+        <div className="stages-editor">
+          <div className="stages-editor-header">
+            <label>Stages (in order)</label>
+            <div className="stages-editor-actions">
+              <button
+                type="button"
+                className="link-btn"
+                onClick={() => setFormData(prev => ({ ...prev, stages: STAGE_TEMPLATE.map(stage => ({ ...stage })) }))}
+              >
+                Use recruitment template
+              </button>
+              <button
+                type="button"
+                className="link-btn"
+                onClick={() => setFormData(prev => ({ ...prev, stages: DEFAULT_PIPELINE.stages.map(stage => ({ ...stage })) }))}
+              >
+                Use default statuses
+              </button>
+            </div>
+          </div>
+
+          {formData.stages.map((stage, index) => (
+            <div key={index} className="stage-row">
+              <span className="stage-order">{index + 1}</span>
+              <input
+                type="text"
+                value={stage.label}
+                onChange={(e) => updateStage(index, { label: e.target.value })}
+                placeholder="Stage name"
+              />
+              <label className="stage-terminal">
+                <input
+                  type="checkbox"
+                  checked={Boolean(stage.terminal)}
+                  onChange={(e) => updateStage(index, { terminal: e.target.checked })}
+                />
+                Terminal
+              </label>
+              <select
+                value={stage.outcome || ""}
+                onChange={(e) => updateStage(index, { outcome: e.target.value || null })}
+                disabled={!stage.terminal}
+              >
+                <option value="">No outcome</option>
+                <option value="hired">Counts as hired</option>
+                <option value="rejected">Counts as rejected</option>
+              </select>
+              <div className="stage-row-actions">
+                <button type="button" onClick={() => moveStage(index, -1)} disabled={index === 0} title="Move up">↑</button>
+                <button type="button" onClick={() => moveStage(index, 1)} disabled={index === formData.stages.length - 1} title="Move down">↓</button>
+                <button type="button" onClick={() => removeStage(index)} className="remove-stage-btn" title="Remove stage">✕</button>
+              </div>
+            </div>
+          ))}
+
+          <button type="button" className="add-stage-btn" onClick={addStage}>
+            + Add Stage
+          </button>
+        </div>
+
+        <div className="form-actions">
+          <button type="submit" className="submit-btn">
+            {editingPipeline ? "Update Pipeline" : "Add Pipeline"}
+          </button>
+          {editingPipeline && (
+            <button type="button" onClick={handleCancel} className="cancel-btn">
+              Cancel
+            </button>
+          )}
+        </div>
+      </form>
+
+      {/* Pipelines List */}
+      <div className="pipelines-list-section">
+        <h3>All Pipelines ({pipelines.length})</h3>
+
+        {!pipelines.some(p => p.scope === 'default') && (
+          <p className="pipelines-note">
+            No default pipeline is configured, so vacancies without their own use: {DEFAULT_PIPELINE.stages.map(s => s.label).join(' → ')}.
+          </p>
+        )}
+
+        {pipelines.length === 0 ? (
+          <p className="no-pipelines">No pipelines found. Add your first pipeline above.</p>
+        ) : (
+          <div className="pipelines-grid">
+            {pipelines.map((pipeline) => (
+              <div key={pipeline._id} className="pipeline-config-card">
+                <h4>{pipeline.name}</h4>
+                <p className="pipeline-scope">{describeScope(pipeline)}</p>
+                <div className="stage-chips">
+                  {pipeline.stages.map(stage => (
+                    <span key={stage.key} className={`stage-chip ${getStageClassName(stage)}`}>
+                      {stage.label}
+                    </span>
+                  ))}
+                </div>
+                <div className="pipeline-config-actions">
+                  <button className="edit-btn" onClick={() => handleEdit(pipeline)}>
+                    Edit
+                  </button>
+                  <button className="delete-btn" onClick={() => handleDelete(pipeline._id)}>
+                    Delete
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ManagePipelines;
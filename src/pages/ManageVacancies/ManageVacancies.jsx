@@ -1,13 +1,38 @@
-import React, { useState, useEffect, useContext, useCallback, useMemo, useRef } from "react";
+import React, { useState, useEffect, useCallback, useContext, useMemo, useRef } from "react";
 import "./ManageVacancies.css";
-import axios from "axios";
 import { toast } from "react-toastify";
 import { useNavigate } from "react-router-dom";
 import { AuthContext } from '../../context/AuthContext';
+import { PERMISSIONS } from '../../utils/permissions';
+import FilterPresets from '../../components/FilterPresets/FilterPresets';
+import { isCancelledError } from '../../api/apiClient';
+import { listIndustries } from '../../api/industryApi';
+import { listClients } from '../../api/clientApi';
+import {
+  listVacancies,
+  removeVacancy,
+  bulkRemoveVacancies,
+  bulkUpdateVacancyStatus,
+  updateVacancy
+} from '../../api/vacancyApi';
+
+const EMPTY_FILTERS = {
+  search: '',
+  industry: '',
+  client: '',
+  status: '',
+  employmentType: '',
+  city: '',
+  state: ''
+};
 
 const ManageVacancies = ({ url }) => {
-  const { auth } = useContext(AuthContext);
   const navigate = useNavigate();
+  const { hasPermission } = useContext(AuthContext);
+  const canManage = hasPermission(PERMISSIONS.VACANCIES_MANAGE);
+  const canDelete = hasPermission(PERMISSIONS.VACANCIES_DELETE);
+  const canSelect = canManage || canDelete;
+  const canViewApplicants = hasPermission(PERMISSIONS.APPLICATIONS_VIEW);
   const [vacancies, setVacancies] = useState([]);
   const [industries, setIndustries] = useState([]);
   const [clients, setClients] = useState([]);
@@ -21,15 +46,7 @@ const ManageVacancies = ({ url }) => {
   const [selectedVacancies, setSelectedVacancies] = useState(new Set());
   
   // Filter state
-  const [filters, setFilters] = useState({
-    search: '',
-    industry: '',
-    client: '',
-    status: '',
-    employmentType: '',
-    city: '',
-    state: ''
-  });
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
 
   // Fetch industries for filter - only once
   const industriesFetched = useRef(false);
@@ -42,16 +59,14 @@ const ManageVacancies = ({ url }) => {
 
     const fetchIndustries = async () => {
       try {
-        const response = await axios.get(`${url}/api/industry/list`, {
-          signal: abortController.signal
-        });
-        if (response.data.success && isMounted) {
-          setIndustries(response.data.data);
+        const response = await listIndustries({ signal: abortController.signal });
+        if (isMounted) {
+          setIndustries(response.data);
           industriesFetched.current = true;
         }
       } catch (error) {
-        if (axios.isCancel(error) || error.name === 'AbortError') return;
-        if (isMounted && error.response?.status !== 429) {
+        if (isCancelledError(error)) return;
+        if (isMounted && error.status !== 429) {
           console.error("Error fetching industries:", error);
         }
       }
@@ -62,7 +77,7 @@ const ManageVacancies = ({ url }) => {
       isMounted = false;
       abortController.abort();
     };
-  }, [url]);
+  }, []);
 
   // Fetch clients for filter - only once
   useEffect(() => {
@@ -72,17 +87,14 @@ const ManageVacancies = ({ url }) => {
 
     const fetchClients = async () => {
       try {
-        const response = await axios.get(`${url}/api/client/list`, {
-          headers: { 'Authorization': `Bearer ${auth.token}` },
-          signal: abortController.signal
-        });
-        if (response.data.success && isMounted) {
-          setClients(response.data.data);
+        const response = await listClients({ signal: abortController.signal });
+        if (isMounted) {
+          setClients(response.data);
           clientsFetched.current = true;
         }
       } catch (error) {
-        if (axios.isCancel(error) || error.name === 'AbortError') return;
-        if (isMounted && error.response?.status !== 429) {
+        if (isCancelledError(error)) return;
+        if (isMounted && error.status !== 429) {
           console.error("Error fetching clients:", error);
         }
       }
@@ -93,45 +105,29 @@ const ManageVacancies = ({ url }) => {
       isMounted = false;
       abortController.abort();
     };
-  }, [url, auth.token]);
+  }, []);
 
-  // Build query string from filters
-  const buildQueryString = useMemo(() => {
-    const params = new URLSearchParams();
-    params.append('page', currentPage);
-    params.append('limit', '20');
-    
-    if (filters.search) params.append('search', filters.search);
-    if (filters.industry) params.append('industry', filters.industry);
-    if (filters.client) params.append('client', filters.client);
-    if (filters.status) params.append('status', filters.status);
-    if (filters.employmentType) params.append('employmentType', filters.employmentType);
-    if (filters.city) params.append('city', filters.city);
-    if (filters.state) params.append('state', filters.state);
-    
-    return params.toString();
-  }, [currentPage, filters]);
+  // Build query params from filters (empty values are dropped by the API client)
+  const queryParams = useMemo(() => ({
+    page: currentPage,
+    limit: 20,
+    ...filters
+  }), [currentPage, filters]);
 
   const fetchlist = useCallback(async () => {
     setLoading(true);
     try {
-      const response = await axios.get(`${url}/api/vacancy/list?${buildQueryString}`, {
-        headers: { 'Authorization': `Bearer ${auth.token}` }
-      });
-      if (response.data.success) {
-        setVacancies(response.data.data);
-        setPagination(response.data.pagination);
-        setSelectedVacancies(new Set());
-      } else {
-        toast.error("Error fetching vacancies");
-      }
+      const response = await listVacancies(queryParams);
+      setVacancies(response.data);
+      setPagination(response.pagination);
+      setSelectedVacancies(new Set());
     } catch (error) {
       console.error("Error fetching vacancies:", error);
       toast.error("Error fetching vacancies");
     } finally {
       setLoading(false);
     }
-  }, [url, buildQueryString, auth.token]);
+  }, [queryParams]);
 
   useEffect(() => {
     fetchlist();
@@ -168,15 +164,9 @@ const ManageVacancies = ({ url }) => {
   const handleDelete = async (id) => {
     if (!window.confirm("Are you sure you want to delete this vacancy?")) return;
     try {
-      const response = await axios.post(`${url}/api/vacancy/remove`, { id }, {
-        headers: { 'Authorization': `Bearer ${auth.token}` }
-      });
-      if (response.data.success) {
-        toast.success("Vacancy deleted successfully ✅");
-        setVacancies(prev => prev.filter(v => v._id !== id));
-      } else {
-        toast.error("Error deleting vacancy");
-      }
+      await removeVacancy(id);
+      toast.success("Vacancy deleted successfully ✅");
+      setVacancies(prev => prev.filter(v => v._id !== id));
     } catch (error) {
       console.error("Error deleting vacancy:", error);
       toast.error("Error deleting vacancy");
@@ -193,20 +183,11 @@ const ManageVacancies = ({ url }) => {
     clearSelection();
 
     try {
-      const response = await axios.post(`${url}/api/vacancy/bulk-remove`, 
-        { ids: selectedArray },
-        { headers: { 'Authorization': `Bearer ${auth.token}` } }
-      );
-      
-      if (response.data.success) {
-        toast.success(`Successfully deleted ${response.data.deletedCount} vacancy/vacancies`);
-      } else {
-        toast.error(response.data.message || "Error deleting vacancies");
-        fetchlist();
-      }
+      const response = await bulkRemoveVacancies(selectedArray);
+      toast.success(`Successfully deleted ${response.deletedCount} vacancy/vacancies`);
     } catch (error) {
       console.error("Bulk delete error:", error);
-      toast.error("Network or server error");
+      toast.error(error.message || "Error deleting vacancies");
       fetchlist();
     } finally {
       setBulkLoading(false);
@@ -224,20 +205,11 @@ const ManageVacancies = ({ url }) => {
     clearSelection();
 
     try {
-      const response = await axios.put(`${url}/api/vacancy/bulk-update-status`, 
-        { ids: selectedArray, status: newStatus },
-        { headers: { 'Authorization': `Bearer ${auth.token}` } }
-      );
-      
-      if (response.data.success) {
-        toast.success(`Successfully updated ${response.data.updatedCount} vacancy/vacancies to ${newStatus}`);
-      } else {
-        toast.error(response.data.message || "Error updating vacancies");
-        fetchlist();
-      }
+      const response = await bulkUpdateVacancyStatus(selectedArray, newStatus);
+      toast.success(`Successfully updated ${response.updatedCount} vacancy/vacancies to ${newStatus}`);
     } catch (error) {
       console.error("Bulk status update error:", error);
-      toast.error("Network or server error");
+      toast.error(error.message || "Error updating vacancies");
       fetchlist();
     } finally {
       setBulkLoading(false);
@@ -249,15 +221,11 @@ const ManageVacancies = ({ url }) => {
   };
 
   const clearFilters = () => {
-    setFilters({
-      search: '',
-      industry: '',
-      client: '',
-      status: '',
-      employmentType: '',
-      city: '',
-      state: ''
-    });
+    setFilters(EMPTY_FILTERS);
+  };
+
+  const applyPreset = (preset) => {
+    setFilters({ ...EMPTY_FILTERS, ...preset });
   };
 
   const toggleClientVisibility = async (vacancyId, currentValue) => {
@@ -271,31 +239,19 @@ const ManageVacancies = ({ url }) => {
     ));
     
     try {
-      const response = await axios.put(`${url}/api/vacancy/update`, {
+      const response = await updateVacancy({
         id: vacancyId,
         showClientToCandidate: newValue
-      }, {
-        headers: { 'Authorization': `Bearer ${auth.token}` }
       });
       
-      if (response.data.success) {
-        toast.success(`Client visibility ${newValue ? 'enabled' : 'disabled'} ✅`);
-        // Update with server response to ensure sync
-        if (response.data.data) {
-          setVacancies(prev => prev.map(vacancy => 
-            vacancy._id === vacancyId 
-              ? { ...vacancy, showClientToCandidate: response.data.data.showClientToCandidate }
-              : vacancy
-          ));
-        }
-      } else {
-        // Revert on error
+      toast.success(`Client visibility ${newValue ? 'enabled' : 'disabled'} ✅`);
+      // Update with server response to ensure sync
+      if (response.data) {
         setVacancies(prev => prev.map(vacancy => 
           vacancy._id === vacancyId 
-            ? { ...vacancy, showClientToCandidate: currentValue }
+            ? { ...vacancy, showClientToCandidate: response.data.showClientToCandidate }
             : vacancy
         ));
-        toast.error("Failed to update client visibility");
       }
     } catch (error) {
       console.error("Error updating client visibility:", error);
@@ -319,51 +275,71 @@ const ManageVacancies = ({ url }) => {
       <div className={`vacancy-card-modern ${isSelected ? 'selected' : ''}`}>
         <div className="card-header">
           <div className="card-header-left">
-            <input
-              type="checkbox"
-              checked={isSelected}
-              onChange={() => toggleSelect(vacancy._id)}
-              className="card-checkbox"
-            />
+            {canSelect && (
+              <input
+                type="checkbox"
+                checked={isSelected}
+                onChange={() => toggleSelect(vacancy._id)}
+                className="card-checkbox"
+              />
+            )}
             <div className="card-title-section">
               <h3 className="card-title">{vacancy.jobTitle}</h3>
               <span className="card-job-id">#{vacancy.jobId}</span>
             </div>
           </div>
           <div className="card-actions">
-            <button
-              className="icon-btn view-btn-applicants"
-              onClick={() => navigate(`/cvs?jobId=${vacancy.jobId}`)}
-              title="View Applicants"
-            >
-              <svg width="18" height="18" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                <path d="M12 12C13.933 12 15.5 10.433 15.5 8.5C15.5 6.567 13.933 5 12 5C10.067 5 8.5 6.567 8.5 8.5C8.5 10.433 10.067 12 12 12Z" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
-                <path d="M5 19C5.948 17.343 8.286 15 12 15C15.714 15 18.052 17.343 19 19" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
-              </svg>
-            </button>
-            <button
-              className="icon-btn edit-btn"
-              onClick={() => navigate(`/edit-vacancy/${vacancy._id}`)}
-              title="Edit Vacancy"
-            >
-              <svg width="18" height="18" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                <path d="M11 4H4C3.46957 4 2.96086 4.21071 2.58579 4.58579C2.21071 4.96086 2 5.46957 2 6V20C2 20.5304 2.21071 21.0391 2.58579 21.4142C2.96086 21.7893 3.46957 22 4 22H18C18.5304 22 19.0391 21.7893 19.4142 21.4142C19.7893 21.0391 20 20.5304 20 20V13" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
-                <path d="M18.5 2.50023C18.8978 2.10243 19.4374 1.87891 20 1.87891C20.5626 1.87891 21.1022 2.10243 21.5 2.50023C21.8978 2.89804 22.1213 3.43762 22.1213 4.00023C22.1213 4.56284 21.8978 5.10243 21.5 5.50023L12 15.0002L8 16.0002L9 12.0002L18.5 2.50023Z" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
-              </svg>
-            </button>
-            <button
-              className="icon-btn delete-btn"
-              onClick={() => handleDelete(vacancy._id)}
-              disabled={bulkLoading}
-              title="Delete Vacancy"
-            >
-              <svg width="18" height="18" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                <path d="M3 6H5H21" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
-                <path d="M8 6V4C8 3.46957 8.21071 2.96086 8.58579 2.58579C8.96086 2.21071 9.46957 2 10 2H14C14.5304 2 15.0391 2.21071 15.4142 2.58579C15.7893 2.96086 16 3.46957 16 4V6M19 6V20C19 20.5304 18.7893 21.0391 18.4142 21.4142C18.0391 21.7893 17.5304 22 17 22H7C6.46957 22 5.96086 21.7893 5.58579 21.4142C5.21071 21.0391 5 20.5304 5 20V6H19Z" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
-                <path d="M10 11V17" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
-                <path d="M14 11V17" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
-              </svg>
-            </button>
+            {canViewApplicants && (
+              <button
+                className="icon-btn view-btn-applicants"
+                onClick={() => navigate(`/cvs?jobId=${vacancy.jobId}`)}
+                title="View Applicants"
+              >
+                <svg width="18" height="18" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                  <path d="M12 12C13.933 12 15.5 10.433 15.5 8.5C15.5 6.567 13.933 5 12 5C10.067 5 8.5 6.567 8.5 8.5C8.5 10.433 10.067 12 12 12Z" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                  <path d="M5 19C5.948 17.343 8.286 15 12 15C15.714 15 18.052 17.343 19 19" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                </svg>
+              </button>
+            )}
+            {canManage && (
+              <button
+                className="icon-btn edit-btn"
+                onClick={() => navigate(`/edit-vacancy/${vacancy._id}`)}
+                title="Edit Vacancy"
+              >
+                <svg width="18" height="18" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                  <path d="M11 4H4C3.46957 4 2.96086 4.21071 2.58579 4.58579C2.21071 4.96086 2 5.46957 2 6V20C2 20.5304 2.21071 21.0391 2.58579 21.4142C2.96086 21.7893 3.46957 22 4 22H18C18.5304 22 19.0391 21.7893 19.4142 21.4142C19.7893 21.0391 20 20.5304 20 20V13" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                  <path d="M18.5 2.50023C18.8978 2.10243 19.4374 1.87891 20 1.87891C20.5626 1.87891 21.1022 2.10243 21.5 2.50023C21.8978 2.89804 22.1213 3.43762 22.1213 4.00023C22.1213 4.56284 21.8978 5.10243 21.5 5.50023L12 15.0002L8 16.0002L9 12.0002L18.5 2.50023Z" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                </svg>
+              </button>
+            )}
+            {canManage && (
+              <button
+                className="icon-btn duplicate-btn"
+                onClick={() => navigate(`/post-vacancy?duplicate=${vacancy._id}`)}
+                title="Duplicate Vacancy"
+              >
+                <svg width="18" height="18" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                  <path d="M20 9H11C9.89543 9 9 9.89543 9 11V20C9 21.1046 9.89543 22 11 22H20C21.1046 22 22 21.1046 22 20V11C22 9.89543 21.1046 9 20 9Z" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                  <path d="M5 15H4C3.46957 15 2.96086 14.7893 2.58579 14.4142C2.21071 14.0391 2 13.5304 2 13V4C2 3.46957 2.21071 2.96086 2.58579 2.58579C2.96086 2.21071 3.46957 2 4 2H13C13.5304 2 14.0391 2.21071 14.4142 2.58579C14.7893 2.96086 15 3.46957 15 4V5" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                </svg>
+              </button>
+            )}
+            {canDelete && (
+              <button
+                className="icon-btn delete-btn"
+                onClick={() => handleDelete(vacancy._id)}
+                disabled={bulkLoading}
+                title="Delete Vacancy"
+              >
+                <svg width="18" height="18" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                  <path d="M3 6H5H21" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                  <path d="M8 6V4C8 3.46957 8.21071 2.96086 8.58579 2.58579C8.96086 2.21071 9.46957 2 10 2H14C14.5304 2 15.0391 2.21071 15.4142 2.58579C15.7893 2.96086 16 3.46957 16 4V6M19 6V20C19 20.5304 18.7893 21.0391 18.4142 21.4142C18.0391 21.7893 17.5304 22 17 22H7C6.46957 22 5.96086 21.7893 5.58579 21.4142C5.21071 21.0391 5 20.5304 5 20V6H19Z" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                  <path d="M10 11V17" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                  <path d="M14 11V17" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                </svg>
+              </button>
+            )}
           </div>
         </div>
         
@@ -424,6 +400,7 @@ const ManageVacancies = ({ url }) => {
                   type="checkbox"
                   checked={vacancy.showClientToCandidate}
                   onChange={() => toggleClientVisibility(vacancy._id, vacancy.showClientToCandidate)}
+                  disabled={!canManage}
                   className="client-toggle-checkbox"
                 />
                 <span className="client-toggle-text">
@@ -453,12 +430,14 @@ const ManageVacancies = ({ url }) => {
     const isSelected = selectedVacancies.has(vacancy._id);
     return (
       <div className={`vacancy-list-item ${isSelected ? 'selected' : ''}`}>
-        <input
-          type="checkbox"
-          checked={isSelected}
-          onChange={() => toggleSelect(vacancy._id)}
-          className="list-checkbox"
-        />
+        {canSelect && (
+          <input
+            type="checkbox"
+            checked={isSelected}
+            onChange={() => toggleSelect(vacancy._id)}
+            className="list-checkbox"
+          />
+        )}
         <div className="list-content">
           <div className="list-header">
             <div className="list-title-section">
@@ -488,6 +467,7 @@ const ManageVacancies = ({ url }) => {
                   type="checkbox"
                   checked={vacancy.showClientToCandidate}
                   onChange={() => toggleClientVisibility(vacancy._id, vacancy.showClientToCandidate)}
+                  disabled={!canManage}
                   className="client-toggle-checkbox-small"
                 />
                 <span className="client-toggle-text-small">
@@ -498,39 +478,57 @@ const ManageVacancies = ({ url }) => {
           )}
         </div>
         <div className="list-actions">
-          <button
-            className="icon-btn-small view-btn-applicants"
-            onClick={() => navigate(`/cvs?jobId=${vacancy.jobId}`)}
-            title="View Applicants"
-          >
-            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-              <path d="M12 12C13.933 12 15.5 10.433 15.5 8.5C15.5 6.567 13.933 5 12 5C10.067 5 8.5 6.567 8.5 8.5C8.5 10.433 10.067 12 12 12Z" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
-              <path d="M5 19C5.948 17.343 8.286 15 12 15C15.714 15 18.052 17.343 19 19" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
-            </svg>
-          </button>
-          <button
-            className="icon-btn-small edit-btn"
-            onClick={() => navigate(`/edit-vacancy/${vacancy._id}`)}
-            title="Edit Vacancy"
-          >
-            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-              <path d="M11 4H4C3.46957 4 2.96086 4.21071 2.58579 4.58579C2.21071 4.96086 2 5.46957 2 6V20C2 20.5304 2.21071 21.0391 2.58579 21.4142C2.96086 21.7893 3.46957 22 4 22H18C18.5304 22 19.0391 21.7893 19.4142 21.4142C19.7893 21.0391 20 20.5304 20 20V13" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
-              <path d="M18.5 2.50023C18.8978 2.10243 19.4374 1.87891 20 1.87891C20.5626 1.87891 21.1022 2.10243 21.5 2.50023C21.8978 2.89804 22.1213 3.43762 22.1213 4.00023C22.1213 4.56284 21.8978 5.10243 21.5 5.50023L12 15.0002L8 16.0002L9 12.0002L18.5 2.50023Z" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
-            </svg>
-          </button>
-          <button
-            className="icon-btn-small delete-btn"
-            onClick={() => handleDelete(vacancy._id)}
-            disabled={bulkLoading}
-            title="Delete Vacancy"
-          >
-            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-              <path d="M3 6H5H21" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
-              <path d="M8 6V4C8 3.46957 8.21071 2.96086 8.58579 2.58579C8.96086 2.21071 9.46957 2 10 2H14C14.5304 2 15.0391 2.21071 15.4142 2.58579C15.7893 2.96086 16 3.46957 16 4V6M19 6V20C19 20.5304 18.7893 21.0391 18.4142 21.4142C18.0391 21.7893 17.5304 22 17 22H7C6.46957 22 5.96086 21.7893 5.58579 21.4142C5.21071 21.0391 5 20.5304 5 20V6H19Z" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
-              <path d="M10 11V17" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
-              <path d="M14 11V17" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
-            </svg>
-          </button>
+          {canViewApplicants && (
+            <button
+              className="icon-btn-small view-btn-applicants"
+              onClick={() => navigate(`/cvs?jobId=${vacancy.jobId}`)}
+              title="View Applicants"
+            >
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                <path d="M12 12C13.933 12 15.5 10.433 15.5 8.5C15.5 6.567 13.933 5 12 5C10.067 5 8.5 6.567 8.5 8.5C8.5 10.433 10.067 12 12 12Z" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                <path d="M5 19C5.948 17.343 8.286 15 12 15C15.714 15 18.052 17.343 19 19" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+              </svg>
+            </button>
+          )}
+          {canManage && (
+            <button
+              className="icon-btn-small edit-btn"
+              onClick={() => navigate(`/edit-vacancy/${vacancy._id}`)}
+              title="Edit Vacancy"
+            >
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                <path d="M11 4H4C3.46957 4 2.96086 4.21071 2.58579 4.58579C2.21071 4.96086 2 5.46957 2 6V20C2 20.5304 2.21071 21.0391 2.58579 21.4142C2.96086 21.7893 3.46957 22 4 22H18C18.5304 22 19.0391 21.7893 19.4142 21.4142C19.7893 21.0391 20 20.5304 20 20V13" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                <path d="M18.5 2.50023C18.8978 2.10243 19.4374 1.87891 20 1.87891C20.5626 1.87891 21.1022 2.10243 21.5 2.50023C21.8978 2.89804 22.1213 3.43762 22.1213 4.00023C22.1213 4.56284 21.8978 5.10243 21.5 5.50023L12 15.0002L8 16.0002L9 12.0002L18.5 2.50023Z" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+              </svg>
+            </button>
+          )}
+          {canManage && (
+            <button
+              className="icon-btn-small duplicate-btn"
+              onClick={() => navigate(`/post-vacancy?duplicate=${vacancy._id}`)}
+              title="Duplicate Vacancy"
+            >
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                <path d="M20 9H11C9.89543 9 9 9.89543 9 11V20C9 21.1046 9.89543 22 11 22H20C21.1046 22 22 21.1046 22 20V11C22 9.89543 21.1046 9 20 9Z" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                <path d="M5 15H4C3.46957 15 2.96086 14.7893 2.58579 14.4142C2.21071 14.0391 2 13.5304 2 13V4C2 3.46957 2.21071 2.96086 2.58579 2.58579C2.96086 2.21071 3.46957 2 4 2H13C13.5304 2 14.0391 2.21071 14.4142 2.58579C14.7893 2.96086 15 3.46957 15 4V5" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+              </svg>
+            </button>
+          )}
+          {canDelete && (
+            <button
+              className="icon-btn-small delete-btn"
+              onClick={() => handleDelete(vacancy._id)}
+              disabled={bulkLoading}
+              title="Delete Vacancy"
+            >
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                <path d="M3 6H5H21" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                <path d="M8 6V4C8 3.46957 8.21071 2.96086 8.58579 2.58579C8.96086 2.21071 9.46957 2 10 2H14C14.5304 2 15.0391 2.21071 15.4142 2.58579C15.7893 2.96086 16 3.46957 16 4V6M19 6V20C19 20.5304 18.7893 21.0391 18.4142 21.4142C18.0391 21.7893 17.5304 22 17 22H7C6.46957 22 5.96086 21.7893 5.58579 21.4142C5.21071 21.0391 5 20.5304 5 20V6H19Z" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                <path d="M10 11V17" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                <path d="M14 11V17" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+              </svg>
+            </button>
+          )}
         </div>
       </div>
     );
@@ -580,6 +578,7 @@ const ManageVacancies = ({ url }) => {
 
       {/* Filters - Collapsible */}
       <div className="filters-section-modern">
+        <FilterPresets page="vacancies" filters={filters} onApply={applyPreset} applyDefault />
         <div className="filters-grid">
           <input
             type="text"
@@ -623,35 +622,39 @@ const ManageVacancies = ({ url }) => {
       </div>
 
       {/* Bulk Actions */}
-      {selectedVacancies.size > 0 && (
+      {canSelect && selectedVacancies.size > 0 && (
         <div className="bulk-actions-modern">
           <span className="bulk-count">{selectedVacancies.size} selected</span>
           <div className="bulk-buttons">
             <button onClick={clearSelection} className="bulk-btn-secondary">Clear</button>
-            <button onClick={handleBulkDelete} disabled={bulkLoading} className="bulk-btn-danger">
-              Delete
-            </button>
-            <select
-              onChange={(e) => {
-                if (e.target.value) {
-                  handleBulkStatusUpdate(e.target.value);
-                  e.target.value = '';
-                }
-              }}
-              disabled={bulkLoading}
-              className="bulk-select"
-            >
-              <option value="">Update Status</option>
-              <option value="active">Active</option>
-              <option value="closed">Closed</option>
-              <option value="draft">Draft</option>
-            </select>
+            {canDelete && (
+              <button onClick={handleBulkDelete} disabled={bulkLoading} className="bulk-btn-danger">
+                Delete
+              </button>
+            )}
+            {canManage && (
+              <select
+                onChange={(e) => {
+                  if (e.target.value) {
+                    handleBulkStatusUpdate(e.target.value);
+                    e.target.value = '';
+                  }
+                }}
+                disabled={bulkLoading}
+                className="bulk-select"
+              >
+                <option value="">Update Status</option>
+                <option value="active">Active</option>
+                <option value="closed">Closed</option>
+                <option value="draft">Draft</option>
+              </select>
+            )}
           </div>
         </div>
       )}
 
       {/* Select All */}
-      {vacancies.length > 0 && (
+      {canSelect && vacancies.length > 0 && (
         <div className="select-all-modern">
           <label className="select-all-label">
             <input
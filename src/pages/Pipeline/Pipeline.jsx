@@ -0,0 +1,243 @@
+import React, { useEffect, useState, useContext, useMemo } from "react";
+import "./Pipeline.css";
+import { toast } from "react-toastify";
+import { useLocation, useNavigate } from "react-router-dom";
+import PlacementDialog from '../../components/PlacementDialog/PlacementDialog';
+import { AuthContext } from '../../context/AuthContext';
+import { PERMISSIONS } from '../../utils/permissions';
+import {
+  resolvePipeline,
+  groupByStage,
+  getInitialStatus,
+  getStage,
+  getStageClassName
+} from '../../utils/pipeline';
+import { isCancelledError } from '../../api/apiClient';
+import { listVacancies } from '../../api/vacancyApi';
+import { listApplications, updateApplicationStatus } from '../../api/cvApi';
+import { listPipelines } from '../../api/pipelineApi';
+
+// A single vacancy rarely has more applicants than this; the board loads them all at once
+const BOARD_FETCH_LIMIT = 500;
+
+/**
+ * Kanban board of one vacancy's applications, one column per stage of the
+ * pipeline that applies to the vacancy.
+ * Dragging a card between columns updates the status optimistically and
+ * rolls the card back if the server rejects the change.
+ */
+const Pipeline = () => {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const { hasPermission } = useContext(AuthContext);
+  const canUpdateStatus = hasPermission(PERMISSIONS.APPLICATIONS_UPDATE);
+
+  const jobId = new URLSearchParams(location.search).get('jobId') || "";
+  const [vacancies, setVacancies] = useState([]);
+  const [pipelines, setPipelines] = useState([]);
+  const [applications, setApplications] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [draggedId, setDraggedId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  const [placing, setPlacing] = useState(null); // application just moved to a "hired" stage
+
+  useEffect(() => {
+    const fetchVacancies = async () => {
+      try {
+        const res = await listVacancies();
+        setVacancies(res.data || []);
+      } catch (error) {
+        console.error("Error fetching vacancies:", error);
+      }
+    };
+    const fetchPipelines = async () => {
+      try {
+        const res = await listPipelines();
+        setPipelines(res.data || []);
+      } catch (error) {
+        console.error("Error fetching pipelines:", error);
+      }
+    };
+    fetchVacancies();
+    fetchPipelines();
+  }, []);
+
+  useEffect(() => {
+    if (!jobId) {
+      setApplications([]);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    const fetchApplications = async () => {
+      try {
+        setLoading(true);
+        const res = await listApplications(
+          { jobId, limit: BOARD_FETCH_LIMIT, sortBy: 'appliedAt', sortOrder: 'desc' },
+          { signal: controller.signal }
+        );
+        setApplications(res.data || []);
+      } catch (error) {
+        if (isCancelledError(error)) return;
+        console.error("Error fetching applications:", error);
+        toast.error(error.message || "Error fetching applications");
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    };
+    fetchApplications();
+    return () => controller.abort();
+  }, [jobId]);
+
+  const vacancy = vacancies.find(v => v.jobId === jobId);
+  const pipeline = resolvePipeline(pipelines, vacancy);
+  const stages = pipeline.stages;
+  const columns = useMemo(() => groupByStage(applications, stages), [applications, stages]);
+
+  const updateApplication = (applicationId, changes) => {
+    setApplications(prev => prev.map(app => (
+      app._id === applicationId ? { ...app, ...changes } : app
+    )));
+  };
+
+  const setStatus = (applicationId, status) => updateApplication(applicationId, { status });
+
+  const moveApplication = async (applicationId, newStatus) => {
+    const app = applications.find(a => a._id === applicationId);
+    if (!app) return;
+    const previousStatus = app.status || getInitialStatus(stages);
+    if (previousStatus === newStatus) return;
+
+    setStatus(applicationId, newStatus);
+    try {
+      await updateApplicationStatus(applicationId, newStatus);
+      if (getStage(stages, newStatus).outcome === 'hired' && !app.placement) setPlacing(app);
+    } catch (error) {
+      console.error("Error updating status:", error);
+      setStatus(applicationId, previousStatus);
+      toast.error(error.message || "Error updating status ❌");
+    }
+  };
+
+  const handleDragStart = (e, applicationId) => {
+    e.dataTransfer.setData('text/plain', applicationId);
+    e.dataTransfer.effectAllowed = 'move';
+    setDraggedId(applicationId);
+  };
+
+  const handleDragEnd = () => {
+    setDraggedId(null);
+    setDropTarget(null);
+  };
+
+  const handleDragOver = (e, status) => {
+    if (!draggedId) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    if (dropTarget !== status) setDropTarget(status);
+  };
+
+  const handleDrop = (e, status) => {
+    e.preventDefault();
+    const applicationId = e.dataTransfer.getData('text/plain') || draggedId;
+    handleDragEnd();
+    if (applicationId) moveApplication(applicationId, status);
+  };
+
+  const handleJobChange = (e) => {
+    const value = e.target.value;
+    navigate(value ? `/pipeline?jobId=${encodeURIComponent(value)}` : '/pipeline');
+  };
+
+  return (
+    <div className="pipeline-page scrollable-div">
+      <div className="page-header">
+        <div>
+          <h2>Pipeline</h2>
+          {vacancy && (
+            <p className="pipeline-subtitle">
+              <strong>#{vacancy.jobId}</strong> – {vacancy.jobTitle}
+              {vacancy.client?.name && <> · {vacancy.client.name}</>}
+              <span className="pipeline-name"> · {pipeline.name} pipeline</span>
+            </p>
+          )}
+        </div>
+        <div className="pipeline-controls">
+          <select value={jobId} onChange={handleJobChange} className="filter-select">
+            <option value="">Select a vacancy</option>
+            {vacancies.map(v => (
+              <option key={v.jobId} value={v.jobId}>
+                {v.jobId} - {v.jobTitle}
+              </option>
+            ))}
+          </select>
+          {jobId && (
+            <button className="list-view-btn" onClick={() => navigate(`/cvs?jobId=${encodeURIComponent(jobId)}`)}>
+              List View
+            </button>
+          )}
+        </div>
+      </div>
+
+      {!jobId ? (
+        <p className="no-data">Choose a vacancy to see its pipeline.</p>
+      ) : loading ? (
+        <p className="loading">Loading pipeline...</p>
+      ) : (
+        <div className="pipeline-board">
+          {stages.map(stage => (
+            <div
+              key={stage.key}
+              className={`pipeline-column ${getStageClassName(stage)} ${dropTarget === stage.key ? 'drop-target' : ''}`}
+              onDragOver={(e) => handleDragOver(e, stage.key)}
+              onDragLeave={() => setDropTarget(null)}
+              onDrop={(e) => handleDrop(e, stage.key)}
+            >
+              <div className="pipeline-column-header">
+                <span>{stage.label}</span>
+                <span className="pipeline-count">{columns[stage.key].length}</span>
+              </div>
+              <div className="pipeline-cards">
+                {columns[stage.key].map(app => {
+                  const candidate = app.candidateId || {};
+                  return (
+                    <div
+                      key={app._id}
+                      className={`pipeline-card ${draggedId === app._id ? 'dragging' : ''}`}
+                      draggable={canUpdateStatus}
+                      onDragStart={(e) => handleDragStart(e, app._id)}
+                      onDragEnd={handleDragEnd}
+                    >
+                      <h4>{candidate.firstName} {candidate.lastName}</h4>
+                      {candidate.email && <p>{candidate.email}</p>}
+                      {candidate.degree && <p>{candidate.degree}</p>}
+                      <p className="pipeline-card-date">
+                        Applied {new Date(app.appliedAt || app.createdAt).toLocaleDateString()}
+                      </p>
+                    </div>
+                  );
+                })}
+                {columns[stage.key].length === 0 && (
+                  <p className="pipeline-empty">No applications</p>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {placing && (
+        <PlacementDialog
+          application={placing}
+          candidate={placing.candidateId || {}}
+          vacancy={vacancy}
+          cancelLabel="Skip"
+          onSaved={(placement) => updateApplication(placing._id, { placement: { _id: placement._id } })}
+          onClose={() => setPlacing(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default Pipeline;
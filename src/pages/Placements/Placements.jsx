@@ -0,0 +1,260 @@
+import React, { useEffect, useState } from "react";
+import "./Placements.css";
+import { toast } from "react-toastify";
+import { Link } from "react-router-dom";
+import useDebouncedValue from '../../hooks/useDebouncedValue';
+import { isCancelledError } from '../../api/apiClient';
+import { listClients } from '../../api/clientApi';
+import { listPlacements, generateInvoice, setInvoiceStatus } from '../../api/placementApi';
+import {
+  INVOICE_STATUSES,
+  getInvoiceStatus,
+  getInvoiceStatusLabel,
+  getInvoiceTotals,
+  formatMoney
+} from '../../utils/fees';
+
+const SEARCH_DEBOUNCE_MS = 400;
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString('en-GB') : '—');
+
+const candidateName = (candidate) =>
+  [candidate?.firstName, candidate?.lastName].filter(Boolean).join(' ') || 'Unknown';
+
+// Amounts per currency, since clients may be billed in different ones
+const sumByCurrency = (placements) => placements.reduce((totals, placement) => {
+  const { total } = getInvoiceTotals(placement.fee, placement.feeTerms?.taxRate);
+  totals[placement.currency] = (totals[placement.currency] || 0) + total;
+  return totals;
+}, {});
+
+const formatTotals = (totals) => {
+  const entries = Object.entries(totals);
+  if (entries.length === 0) return formatMoney(0);
+  return entries.map(([currency, amount]) => formatMoney(amount, currency)).join(' + ');
+};
+
+/**
+ * Hires recorded against clients, with their fee and invoice. Invoices are
+ * issued as drafts, then marked sent and paid; "sent" ones past their due
+ * date show as overdue.
+ */
+const Placements = () => {
+  const [placements, setPlacements] = useState([]);
+  const [clients, setClients] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [clientId, setClientId] = useState("");
+  const [invoiceStatus, setInvoiceStatusFilter] = useState("");
+  const [search, setSearch] = useState("");
+  const [busyId, setBusyId] = useState(null);
+  const debouncedSearch = useDebouncedValue(search.trim(), SEARCH_DEBOUNCE_MS);
+
+  useEffect(() => {
+    const fetchClients = async () => {
+      try {
+        const res = await listClients();
+        setClients(res.data || []);
+      } catch (error) {
+        console.error("Error fetching clients:", error);
+      }
+    };
+    fetchClients();
+  }, []);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const fetchPlacements = async () => {
+      try {
+        setLoading(true);
+        const res = await listPlacements(
+          { clientId, invoiceStatus, search: debouncedSearch },
+          { signal: controller.signal }
+        );
+        setPlacements(res.data || []);
+      } catch (error) {
+        if (isCancelledError(error)) return;
+        console.error("Error fetching placements:", error);
+        toast.error(error.message || "Error fetching placements");
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    };
+    fetchPlacements();
+    return () => controller.abort();
+  }, [clientId, invoiceStatus, debouncedSearch]);
+
+  const replacePlacement = (updated) => {
+    setPlacements(prev => prev.map(placement => (placement._id === updated._id ? updated : placement)));
+  };
+
+  const handleGenerate = async (placement) => {
+    try {
+      setBusyId(placement._id);
+      const res = await generateInvoice(placement._id);
+      replacePlacement(res.data);
+      toast.success(`Invoice ${res.data.invoice?.number || ''} generated ✅`);
+    } catch (error) {
+      console.error("Error generating invoice:", error);
+      toast.error(error.message || "Error generating invoice");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleStatus = async (placement, status) => {
+    if (status === 'cancelled') {
+      const confirmCancel = window.confirm(`Cancel invoice ${placement.invoice.number}? This cannot be undone.`);
+      if (!confirmCancel) return;
+    }
+
+    try {
+      setBusyId(placement._id);
+      const res = await setInvoiceStatus(placement._id, status);
+      replacePlacement(res.data);
+      toast.success(`Invoice marked ${getInvoiceStatusLabel(status).toLowerCase()} ✅`);
+    } catch (error) {
+      console.error("Error updating invoice:", error);
+      toast.error(error.message || "Error updating invoice");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const withStatus = (...statuses) =>
+    placements.filter(placement => statuses.includes(getInvoiceStatus(placement.invoice)));
+
+  const renderActions = (placement) => {
+    const status = placement.invoice?.status;
+    const busy = busyId === placement._id;
+    if (!placement.invoice) {
+      return (
+        <button className="placement-action primary" disabled={busy} onClick={() => handleGenerate(placement)}>
+          Generate invoice
+        </button>
+      );
+    }
+    return (
+      <>
+        <Link className="placement-action" to={`/placements/${placement._id}/invoice`}>View / Print</Link>
+        {status === 'draft' && (
+          <button className="placement-action" disabled={busy} onClick={() => handleStatus(placement, 'sent')}>Mark sent</button>
+        )}
+        {status === 'sent' && (
+          <button className="placement-action primary" disabled={busy} onClick={() => handleStatus(placement, 'paid')}>Mark paid</button>
+        )}
+        {(status === 'draft' || status === 'sent') && (
+          <button className="placement-action danger" disabled={busy} onClick={() => handleStatus(placement, 'cancelled')}>Cancel</button>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <div className="placements-page scrollable-div">
+      <div className="page-header">
+        <div>
+          <h2>Placements & Invoices</h2>
+          <p className="placements-subtitle">Recorded when an application reaches a hired stage</p>
+        </div>
+        <div className="placements-filters">
+          <input
+            type="search"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search candidate, vacancy or invoice no."
+          />
+          <select value={clientId} onChange={(e) => setClientId(e.target.value)}>
+            <option value="">All clients</option>
+            {clients.map(client => (
+              <option key={client._id} value={client._id}>{client.name}</option>
+            ))}
+          </select>
+          <select value={invoiceStatus} onChange={(e) => setInvoiceStatusFilter(e.target.value)}>
+            <option value="">Any invoice status</option>
+            <option value="none">Not invoiced</option>
+            {INVOICE_STATUSES.map(status => (
+              <option key={status.key} value={status.key}>{status.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="placements-summary">
+        <div className="summary-card">
+          <span>Not invoiced</span>
+          <strong>{placements.filter(placement => !placement.invoice).length}</strong>
+        </div>
+        <div className="summary-card">
+          <span>Outstanding</span>
+          <strong>{formatTotals(sumByCurrency(withStatus('sent', 'overdue')))}</strong>
+        </div>
+        <div className="summary-card overdue">
+          <span>Overdue</span>
+          <strong>{formatTotals(sumByCurrency(withStatus('overdue')))}</strong>
+        </div>
+        <div className="summary-card paid">
+          <span>Paid</span>
+          <strong>{formatTotals(sumByCurrency(withStatus('paid')))}</strong>
+        </div>
+      </div>
+
+      {loading ? (
+        <p className="loading">Loading placements...</p>
+      ) : placements.length === 0 ? (
+        <p className="no-data">No placements found.</p>
+      ) : (
+        <div className="placements-table-wrapper">
+          <table className="placements-table">
+            <thead>
+              <tr>
+                <th>Candidate</th>
+                <th>Vacancy</th>
+                <th>Client</th>
+                <th>Joining</th>
+                <th>Salary</th>
+                <th>Fee</th>
+                <th>Guarantee until</th>
+                <th>Invoice</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {placements.map(placement => {
+                const status = getInvoiceStatus(placement.invoice);
+                const inGuarantee = new Date(placement.guaranteeEndsAt).getTime() > Date.now();
+                return (
+                  <tr key={placement._id}>
+                    <td>{candidateName(placement.candidate)}</td>
+                    <td>#{placement.jobId} - {placement.jobTitle || 'Unknown'}</td>
+                    <td>
+                      {placement.client?._id
+                        ? <Link to={`/clients/${placement.client._id}`}>{placement.client.name}</Link>
+                        : '—'}
+                    </td>
+                    <td>{formatDate(placement.joiningDate)}</td>
+                    <td>{formatMoney(placement.offeredSalary, placement.currency)}</td>
+                    <td>{formatMoney(placement.fee, placement.currency)}</td>
+                    <td className={inGuarantee ? 'in-guarantee' : ''}>{formatDate(placement.guaranteeEndsAt)}</td>
+                    <td>
+                      {placement.invoice ? (
+                        <>
+                          <span className={`invoice-status ${status}`}>{getInvoiceStatusLabel(status)}</span>
+                          <span className="invoice-number">{placement.invoice.number}</span>
+                        </>
+                      ) : (
+                        <span className="invoice-status none">Not invoiced</span>
+                      )}
+                    </td>
+                    <td className="placement-actions">{renderActions(placement)}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Placements;
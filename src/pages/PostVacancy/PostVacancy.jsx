@@ -1,39 +1,41 @@
-import React, { useState, useContext, useEffect, useRef } from 'react'
+import React, { useState, useEffect, useRef } from 'react'
 import './PostVacancy.css'
-import axios from "axios";
 import { toast } from 'react-toastify';
-import { AuthContext } from '../../context/AuthContext';
-
+import { useLocation, useNavigate } from 'react-router-dom';
+import { isCancelledError } from '../../api/apiClient';
+import { listIndustries } from '../../api/industryApi';
+import { listClients } from '../../api/clientApi';
+import { getVacancy, addVacancy } from '../../api/vacancyApi';
+import { listJobTemplates, addJobTemplate } from '../../api/jobTemplateApi';
+import {
+  EMPTY_VACANCY_FORM,
+  getDuplicateForm,
+  getTemplateFields,
+  applyTemplate,
+  hasTemplateContent
+} from '../../utils/vacancyForm';
+
+/**
+ * Post a vacancy, optionally starting from a copy of an existing one
+ * (`?duplicate=<vacancy id>`, from Manage Vacancies) or from a saved job
+ * template (`?template=<template id>`, or picked on the form).
+ */
 const PostVacancy = ({url}) => {
-  const { auth } = useContext(AuthContext);
+  const location = useLocation();
+  const navigate = useNavigate();
+  const query = new URLSearchParams(location.search);
+  const duplicateId = query.get('duplicate') || "";
+  const templateParam = query.get('template') || "";
   const [industries, setIndustries] = useState([]);
   const [clients, setClients] = useState([]);
   const industriesFetched = useRef(false);
   const clientsFetched = useRef(false);
 
-  const [data, setData] = useState({
-    jobTitle: "",
-    description: "",
-    qualification: "",
-    industry: "",
-    client: "",
-    showClientToCandidate: false,
-    isPromoted: false,
-    displayOrder: 0,
-    skills: [],
-    city: "",
-    state: "",
-    country: "India",
-    isRemote: false,
-    employmentType: "Full-time",
-    experienceLevel: "Fresher",
-    salaryMin: "",
-    salaryMax: "",
-    isNegotiable: false,
-    applicationDeadline: "",
-    numberOfOpenings: 1,
-    status: "active"
-  });
+  const [data, setData] = useState(EMPTY_VACANCY_FORM);
+  const [duplicateOf, setDuplicateOf] = useState(null); // vacancy this form was copied from
+  const [templates, setTemplates] = useState([]);
+  const [templateId, setTemplateId] = useState("");
+  const appliedTemplateParam = useRef(""); // ?template= already applied to the form
 
   const [skillInput, setSkillInput] = useState("");
 
@@ -47,22 +49,20 @@ const PostVacancy = ({url}) => {
 
     const fetchIndustries = async () => {
       try {
-        const response = await axios.get(`${url}/api/industry/list`, {
-          signal: abortController.signal
-        });
-        if (response.data.success && isMounted) {
-          setIndustries(response.data.data);
+        const response = await listIndustries({ signal: abortController.signal });
+        if (isMounted) {
+          setIndustries(response.data);
           industriesFetched.current = true;
         }
       } catch (error) {
-        if (axios.isCancel(error) || error.name === 'AbortError') {
+        if (isCancelledError(error)) {
           // Request was cancelled, ignore
           return;
         }
         if (isMounted) {
           console.error("Error fetching industries:", error);
           // Only show error if it's not a rate limit (429)
-          if (error.response?.status !== 429) {
+          if (error.status !== 429) {
             toast.error("Failed to load industries");
           }
         }
@@ -76,7 +76,7 @@ const PostVacancy = ({url}) => {
       isMounted = false;
       abortController.abort();
     };
-  }, [url]); // Only depend on url
+  }, []);
 
   // Fetch clients - only once when component mounts
   useEffect(() => {
@@ -88,27 +88,22 @@ const PostVacancy = ({url}) => {
 
     const fetchClients = async () => {
       try {
-        const response = await axios.get(`${url}/api/client/list`, {
-          headers: {
-            'Authorization': `Bearer ${auth.token}`
-          },
-          signal: abortController.signal
-        });
-        if (response.data.success && isMounted) {
+        const response = await listClients({ signal: abortController.signal });
+        if (isMounted) {
           // Filter only active clients
-          const activeClients = response.data.data.filter(client => client.isActive !== false);
+          const activeClients = response.data.filter(client => client.isActive !== false);
           setClients(activeClients);
           clientsFetched.current = true;
         }
       } catch (error) {
-        if (axios.isCancel(error) || error.name === 'AbortError') {
+        if (isCancelledError(error)) {
           // Request was cancelled, ignore
           return;
         }
         if (isMounted) {
           console.error("Error fetching clients:", error);
           // Only show error if it's not a rate limit (429)
-          if (error.response?.status !== 429) {
+          if (error.status !== 429) {
             toast.error("Failed to load clients");
           }
         }
@@ -122,7 +117,103 @@ const PostVacancy = ({url}) => {
       isMounted = false;
       abortController.abort();
     };
-  }, [url, auth.token]); // Depend on url and auth.token
+  }, []);
+
+  // Job templates, for the picker and for ?template=
+  useEffect(() => {
+    const fetchTemplates = async () => {
+      try {
+        const response = await listJobTemplates();
+        setTemplates(response.data || []);
+      } catch (error) {
+        console.error("Error fetching job templates:", error);
+      }
+    };
+    fetchTemplates();
+  }, []);
+
+  // Back on the plain page (e.g. the sidebar link), start from an empty form
+  useEffect(() => {
+    if (duplicateId || templateParam) return;
+    appliedTemplateParam.current = "";
+    setData(EMPTY_VACANCY_FORM);
+    setDuplicateOf(null);
+    setTemplateId("");
+    setSkillInput("");
+  }, [duplicateId, templateParam]);
+
+  // Prefill from the vacancy being duplicated
+  useEffect(() => {
+    if (!duplicateId) return;
+    const controller = new AbortController();
+    const fetchVacancy = async () => {
+      try {
+        const response = await getVacancy(duplicateId, { signal: controller.signal });
+        setData(getDuplicateForm(response.data));
+        setDuplicateOf(response.data);
+      } catch (error) {
+        if (isCancelledError(error)) return;
+        console.error("Error fetching vacancy to duplicate:", error);
+        toast.error(error.message || "Error fetching vacancy to duplicate");
+      }
+    };
+    fetchVacancy();
+    return () => controller.abort();
+  }, [duplicateId]);
+
+  // "Use" in the template library opens this page with ?template=
+  useEffect(() => {
+    if (!templateParam || appliedTemplateParam.current === templateParam) return;
+    const template = templates.find(item => item._id === templateParam);
+    if (!template) return;
+    appliedTemplateParam.current = templateParam;
+    setData(prev => applyTemplate(prev, template));
+    setTemplateId(template._id);
+  }, [templateParam, templates]);
+
+  const handleApplyTemplate = () => {
+    const template = templates.find(item => item._id === templateId);
+    if (!template) return;
+    if (hasTemplateContent(data)) {
+      const confirmApply = window.confirm(`Replace the title, description, qualification, skills and salary with "${template.name}"?`);
+      if (!confirmApply) return;
+    }
+    setData(prev => applyTemplate(prev, template));
+  };
+
+  const handleSaveTemplate = async () => {
+    const name = window.prompt("Template name", data.jobTitle);
+    if (!name?.trim()) return;
+
+    try {
+      const response = await addJobTemplate({
+        name: name.trim(),
+        industry: data.industry || null,
+        fields: getTemplateFields(data)
+      });
+      setTemplates(prev => [...prev, response.data]);
+      setTemplateId(response.data._id);
+      toast.success("Job template saved ✅");
+    } catch (error) {
+      console.error("Error saving job template:", error);
+      toast.error(error.message || "Error saving job template");
+    }
+  };
+
+  // Templates for the chosen industry first, then the rest, by name
+  const industryName = (template) => template.industry?.name || 'General';
+  const sortedTemplates = [...templates].sort((a, b) => {
+    const aMatches = !data.industry || a.industry?._id === data.industry;
+    const bMatches = !data.industry || b.industry?._id === data.industry;
+    if (aMatches !== bMatches) return aMatches ? -1 : 1;
+    return industryName(a).localeCompare(industryName(b)) || a.name.localeCompare(b.name);
+  });
+  const templateGroups = sortedTemplates.reduce((groups, template) => {
+    const label = industryName(template);
+    if (!groups.has(label)) groups.set(label, []);
+    groups.get(label).push(template);
+    return groups;
+  }, new Map());
 
   const onChangeHandler = (event) => {
     const name = event.target.name;
@@ -176,43 +267,17 @@ const PostVacancy = ({url}) => {
     };
 
     try {
-      const response = await axios.post(`${url}/api/vacancy/add`, vacancyData, {
-        headers: {
-          'Authorization': `Bearer ${auth.token}`
-        }
-      });
-      
-      if (response.data.success) {
-        // Reset form
-        setData({
-          jobTitle: "",
-          description: "",
-          qualification: "",
-          industry: "",
-          client: "",
-          showClientToCandidate: false,
-          skills: [],
-          city: "",
-          state: "",
-          country: "India",
-          isRemote: false,
-          employmentType: "Full-time",
-          experienceLevel: "Fresher",
-          salaryMin: "",
-          salaryMax: "",
-          isNegotiable: false,
-          applicationDeadline: "",
-          numberOfOpenings: 1,
-          status: "active"
-        });
-        setSkillInput("");
-        toast.success(response.data.message);
-      } else {
-        toast.error(response.data.message || "Failed to post vacancy");
-      }
+      const response = await addVacancy(vacancyData);
+      // Reset form
+      setData(EMPTY_VACANCY_FORM);
+      setDuplicateOf(null);
+      setTemplateId("");
+      setSkillInput("");
+      toast.success(response.message);
+      if (location.search) navigate('/post-vacancy', { replace: true });
     } catch (error) {
       console.error("Error posting vacancy:", error);
-      toast.error(error.response?.data?.message || "Error posting vacancy");
+      toast.error(error.message || "Error posting vacancy");
     }
   };
 
@@ -221,6 +286,30 @@ const PostVacancy = ({url}) => {
       <form onSubmit={onSubmitHandler} className="flex-col">
         <h2>Post New Vacancy</h2>
 
+        {duplicateOf && (
+          <p className="duplicate-banner">
+            Copied from <strong>{duplicateOf.jobTitle}</strong> (#{duplicateOf.jobId}). Review the details before posting.
+          </p>
+        )}
+
+        <div className="template-picker">
+          <p>Start from a job template</p>
+          <div className="template-picker-row">
+            <select value={templateId} onChange={(e) => setTemplateId(e.target.value)}>
+              <option value="">{templates.length ? 'Select template' : 'No saved templates yet'}</option>
+              {[...templateGroups].map(([label, group]) => (
+                <optgroup key={label} label={label}>
+                  {group.map(template => (
+                    <option key={template._id} value={template._id}>{template.name}</option>
+                  ))}
+                </optgroup>
+              ))}
+            </select>
+            <button type="button" onClick={handleApplyTemplate} disabled={!templateId}>Apply</button>
+            <button type="button" onClick={handleSaveTemplate} disabled={!data.jobTitle.trim()}>Save as template</button>
+          </div>
+        </div>
+
         {/* Basic Information */}
         <div className="add-product-name flex-col">
           <p>Job Title *</p>
@@ -0,0 +1,58 @@
+/**
+ * Helpers for acting on many records at once from list pages.
+ */
+
+/**
+ * Collect every row of a paginated list endpoint.
+ * @param {(page: number, limit: number, config: { signal?: AbortSignal }) =>
+ *   Promise<{ data: any[], pagination?: { totalPages: number } }>} fetchPage
+ * @param {{ limit?: number, signal?: AbortSignal, onPage?: (page: number, totalPages: number) => void }} [options]
+ * @returns {Promise<any[]>}
+ */
+export const fetchAllPages = async (fetchPage, { limit = 100, signal, onPage } = {}) => {
+  const rows = [];
+  let page = 1;
+  let totalPages = 1;
+  do {
+    onPage?.(page, totalPages);
+    const res = await fetchPage(page, limit, { signal });
+    rows.push(...(res.data || []));
+    totalPages = res.pagination?.totalPages || 1;
+    page += 1;
+  } while (page <= totalPages);
+  return rows;
+};
+
+/**
+ * Run `action` for every item, a few at a time, collecting failures instead
+ * of stopping at the first one.
+ * @template T
+ * @param {T[]} items
+ * @param {(item: T) => Promise<any>} action
+ * @param {{ concurrency?: number, onProgress?: (done: number, total: number) => void }} [options]
+ * @returns {Promise<{ succeeded: T[], failed: { item: T, error: Error }[] }>}
+ */
+export const runBulk = async (items, action, { concurrency = 4, onProgress } = {}) => {
+  const succeeded = [];
+  const failed = [];
+  let next = 0;
+  let done = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const item = items[next];
+      next += 1;
+      try {
+        await action(item);
+        succeeded.push(item);
+      } catch (error) {
+        failed.push({ item, error });
+      }
+      done += 1;
+      onProgress?.(done, items.length);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return { succeeded, failed };
+};
@@ -0,0 +1,172 @@
+/**
+ * Likely-duplicate detection for candidates who applied more than once with
+ * slightly different details.
+ *
+ * Two candidates are linked when their normalized email or mobile number is
+ * equal, or when their names are near-identical and they share a city or an
+ * email local part. Links are transitive, so a group can contain several
+ * records of the same person.
+ *
+ * @typedef {'email' | 'mobile' | 'name'} DuplicateReason
+ *
+ * @typedef {Object} DuplicateGroup
+ * @property {import('../api/cvApi').Candidate[]} candidates
+ * @property {DuplicateReason[]} reasons
+ */
+
+// Names at least this similar (Jaro-Winkler, 0..1) count as the same person
+const NAME_SIMILARITY_THRESHOLD = 0.92;
+
+// Providers that ignore dots in the local part
+const DOTLESS_DOMAINS = ['gmail.com', 'googlemail.com'];
+
+/** "John.Doe+jobs@GMail.com " -> "johndoe@gmail.com" */
+export const normalizeEmail = (email) => {
+  const [local = '', domain = ''] = String(email || '').trim().toLowerCase().split('@');
+  if (!local || !domain) return '';
+  let name = local.split('+')[0];
+  const host = domain === 'googlemail.com' ? 'gmail.com' : domain;
+  if (DOTLESS_DOMAINS.includes(host)) name = name.replace(/\./g, '');
+  return `${name}@${host}`;
+};
+
+/** "+91 98765-43210" and "098765 43210" -> "9876543210" (last ten digits) */
+export const normalizeMobile = (mobile) => {
+  const digits = String(mobile || '').replace(/\D/g, '');
+  return digits.length >= 10 ? digits.slice(-10) : digits;
+};
+
+/** Lowercase, accents and punctuation stripped, single spaces */
+export const normalizeName = (firstName, lastName) =>
+  `${firstName || ''} ${lastName || ''}`
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Jaro-Winkler similarity: 1 for identical strings, 0 for nothing in common.
+ * Tolerant of typos and transpositions, and favours a shared prefix.
+ */
+export const nameSimilarity = (a, b) => {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatches = new Array(a.length).fill(false);
+  const bMatches = new Array(b.length).fill(false);
+  let matches = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    const start = Math.max(0, i - window);
+    const end = Math.min(i + window + 1, b.length);
+    for (let j = start; j < end; j += 1) {
+      if (!bMatches[j] && a[i] === b[j]) {
+        aMatches[i] = true;
+        bMatches[j] = true;
+        matches += 1;
+        break;
+      }
+    }
+  }
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    if (!aMatches[i]) continue;
+    while (!bMatches[k]) k += 1;
+    if (a[i] !== b[k]) transpositions += 1;
+    k += 1;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+  let prefix = 0;
+  while (prefix < 4 && a[prefix] === b[prefix]) prefix += 1;
+  return jaro + prefix * 0.1 * (1 - jaro);
+};
+
+const emailLocalPart = (email) => normalizeEmail(email).split('@')[0];
+
+/**
+ * Group candidates that are probably the same person.
+ * @param {import('../api/cvApi').Candidate[]} candidates
+ * @returns {DuplicateGroup[]} largest groups first
+ */
+export const findDuplicateGroups = (candidates) => {
+  // Union-find over candidate indexes
+  const parent = candidates.map((_, index) => index);
+  const find = (index) => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+  const reasons = new Map(); // root -> Set of reasons, merged on union
+  const link = (a, b, reason) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    const merged = new Set([...(reasons.get(rootA) || []), ...(reasons.get(rootB) || []), reason]);
+    if (rootA !== rootB) {
+      parent[rootB] = rootA;
+      reasons.delete(rootB);
+    }
+    reasons.set(rootA, merged);
+  };
+
+  // Exact matches on a normalized key
+  const linkByKey = (getKey, reason) => {
+    const firstSeen = new Map();
+    candidates.forEach((candidate, index) => {
+      const key = getKey(candidate);
+      if (!key) return;
+      if (firstSeen.has(key)) {
+        link(firstSeen.get(key), index, reason);
+      } else {
+        firstSeen.set(key, index);
+      }
+    });
+  };
+  linkByKey(candidate => normalizeEmail(candidate.email), 'email');
+  linkByKey(candidate => {
+    const mobile = normalizeMobile(candidate.mobileNo);
+    return mobile.length === 10 ? mobile : '';
+  }, 'mobile');
+
+  // Similar names are only compared within the same first letter to keep this fast
+  const names = candidates.map(candidate => normalizeName(candidate.firstName, candidate.lastName));
+  const buckets = new Map();
+  names.forEach((name, index) => {
+    if (!name) return;
+    const bucket = buckets.get(name[0]) || [];
+    bucket.push(index);
+    buckets.set(name[0], bucket);
+  });
+  buckets.forEach(bucket => {
+    for (let i = 0; i < bucket.length; i += 1) {
+      for (let j = i + 1; j < bucket.length; j += 1) {
+        const a = candidates[bucket[i]];
+        const b = candidates[bucket[j]];
+        if (nameSimilarity(names[bucket[i]], names[bucket[j]]) < NAME_SIMILARITY_THRESHOLD) continue;
+        // A name alone is too common; require one more piece of evidence
+        const sameCity = a.city && b.city && a.city.trim().toLowerCase() === b.city.trim().toLowerCase();
+        const localA = emailLocalPart(a.email);
+        const sameLocalPart = localA && localA === emailLocalPart(b.email);
+        if (sameCity || sameLocalPart) link(bucket[i], bucket[j], 'name');
+      }
+    }
+  });
+
+  const groups = new Map();
+  candidates.forEach((candidate, index) => {
+    const root = find(index);
+    groups.set(root, [...(groups.get(root) || []), candidate]);
+  });
+
+  return [...groups.entries()]
+    .filter(([, members]) => members.length > 1)
+    .map(([root, members]) => ({ candidates: members, reasons: [...(reasons.get(root) || [])] }))
+    .sort((a, b) => b.candidates.length - a.candidates.length);
+};
@@ -0,0 +1,116 @@
+import {
+  normalizeEmail,
+  normalizeMobile,
+  normalizeName,
+  nameSimilarity,
+  findDuplicateGroups
+} from './duplicates';
+
+const candidate = (id, fields) => ({ _id: id, firstName: '', lastName: '', ...fields });
+const idsOf = (group) => group.candidates.map(item => item._id).sort();
+
+describe('normalizeEmail', () => {
+  it('lowercases, trims and drops the plus tag', () => {
+    expect(normalizeEmail('  Priya.Shah+jobs@Example.COM ')).toBe('priya.shah@example.com');
+  });
+
+  it('ignores dots for providers that do and folds googlemail into gmail', () => {
+    expect(normalizeEmail('John.Doe+cv@GMail.com')).toBe('johndoe@gmail.com');
+    expect(normalizeEmail('john.doe@googlemail.com')).toBe('johndoe@gmail.com');
+  });
+
+  it('returns an empty string for missing or malformed addresses', () => {
+    expect(normalizeEmail(undefined)).toBe('');
+    expect(normalizeEmail('not-an-email')).toBe('');
+    expect(normalizeEmail('@example.com')).toBe('');
+  });
+});
+
+describe('normalizeMobile', () => {
+  it('keeps the last ten digits so country codes and trunk zeros match', () => {
+    expect(normalizeMobile('+91 98765-43210')).toBe('9876543210');
+    expect(normalizeMobile('098765 43210')).toBe('9876543210');
+  });
+
+  it('leaves short numbers as their digits', () => {
+    expect(normalizeMobile('12-345')).toBe('12345');
+    expect(normalizeMobile(null)).toBe('');
+  });
+});
+
+describe('normalizeName', () => {
+  it('strips accents and punctuation and collapses spaces', () => {
+    expect(normalizeName('  José ', "O'Brien-Diaz")).toBe('jose o brien diaz');
+  });
+});
+
+describe('nameSimilarity', () => {
+  it('is 1 for identical names and 0 when either is empty', () => {
+    expect(nameSimilarity('anita rao', 'anita rao')).toBe(1);
+    expect(nameSimilarity('', 'anita rao')).toBe(0);
+  });
+
+  it('scores a typo above the threshold and a different person below it', () => {
+    expect(nameSimilarity('rahul sharma', 'rahul sharmaa')).toBeGreaterThanOrEqual(0.92);
+    expect(nameSimilarity('rahul sharma', 'rahul verma')).toBeLessThan(0.92);
+  });
+});
+
+describe('findDuplicateGroups', () => {
+  it('links records with the same normalized email or mobile number', () => {
+    const groups = findDuplicateGroups([
+      candidate('a', { firstName: 'Priya', email: 'priya.s@gmail.com' }),
+      candidate('b', { firstName: 'P', email: 'PriyaS+2@gmail.com' }),
+      candidate('c', { firstName: 'Karan', mobileNo: '+91 98765 43210' }),
+      candidate('d', { firstName: 'Arjun', mobileNo: '09876543210' })
+    ]);
+    expect(groups).toHaveLength(2);
+    expect(groups.map(idsOf)).toEqual(expect.arrayContaining([['a', 'b'], ['c', 'd']]));
+    expect(groups.find(group => idsOf(group).includes('a')).reasons).toEqual(['email']);
+    expect(groups.find(group => idsOf(group).includes('c')).reasons).toEqual(['mobile']);
+  });
+
+  it('links similar names only with a shared city or email local part', () => {
+    const groups = findDuplicateGroups([
+      candidate('a', { firstName: 'Rahul', lastName: 'Sharma', city: 'Pune' }),
+      candidate('b', { firstName: 'Rahul', lastName: 'Sharmaa', city: ' pune ' }),
+      candidate('c', { firstName: 'Rahul', lastName: 'Sharma', city: 'Delhi' })
+    ]);
+    expect(groups).toHaveLength(1);
+    expect(idsOf(groups[0])).toEqual(['a', 'b']);
+    expect(groups[0].reasons).toEqual(['name']);
+  });
+
+  it('groups transitively and keeps every reason', () => {
+    const groups = findDuplicateGroups([
+      candidate('a', { firstName: 'Neha', email: 'neha@example.com' }),
+      candidate('b', { firstName: 'Kumari', email: 'NEHA@example.com', mobileNo: '9000000001' }),
+      candidate('c', { firstName: 'N', mobileNo: '+91 90000 00001' })
+    ]);
+    expect(groups).toHaveLength(1);
+    expect(idsOf(groups[0])).toEqual(['a', 'b', 'c']);
+    expect(groups[0].reasons.sort()).toEqual(['email', 'mobile']);
+  });
+
+  it('does not group different people', () => {
+    expect(findDuplicateGroups([
+      candidate('a', { firstName: 'Rahul', lastName: 'Sharma', city: 'Pune', email: 'rahul@example.com' }),
+      candidate('b', { firstName: 'Rahul', lastName: 'Verma', city: 'Pune', email: 'rverma@example.com' }),
+      candidate('c', { firstName: 'Amit', mobileNo: '12345' }),
+      candidate('d', { firstName: 'Sunil', mobileNo: '12345' }),
+      candidate('e', { firstName: 'Meera', email: 'meera.k@example.com' }),
+      candidate('f', { firstName: 'Kiran', email: 'meerak@example.com' })
+    ])).toEqual([]);
+  });
+
+  it('returns the largest groups first', () => {
+    const groups = findDuplicateGroups([
+      candidate('a', { email: 'x@example.com' }),
+      candidate('b', { email: 'x@example.com' }),
+      candidate('c', { email: 'y@example.com' }),
+      candidate('d', { email: 'y@example.com' }),
+      candidate('e', { email: 'y@example.com' })
+    ]);
+    expect(groups.map(idsOf)).toEqual([['c', 'd', 'e'], ['a', 'b']]);
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Candidate email templates and placeholder rendering.
+ *
+ * Placeholders are written `{{name}}`. Templates saved on the server override
+ * the built-in defaults below, key by key.
+ *
+ * @typedef {Object} EmailTemplate
+ * @property {string} key
+ * @property {string} name
+ * @property {string} subject
+ * @property {string} body
+ * @property {boolean} [customised] - true when a saved copy overrides the default
+ */
+
+export const PLACEHOLDERS = [
+  { key: 'firstName', label: "Candidate's first name", sample: 'Priya' },
+  { key: 'lastName', label: "Candidate's last name", sample: 'Sharma' },
+  { key: 'jobTitle', label: 'Job title', sample: 'Senior Accountant' },
+  { key: 'clientName', label: 'Client name', sample: 'Acme Industries' },
+  { key: 'interviewTime', label: 'Interview date and time', sample: 'Mon, 10 Mar 2025, 11:00' },
+  { key: 'interviewMode', label: 'Interview mode', sample: 'Video call' },
+  { key: 'interviewLocation', label: 'Interview address, number or link', sample: 'https://meet.example.com/abc' }
+];
+
+export const SAMPLE_VALUES = Object.fromEntries(PLACEHOLDERS.map(placeholder => [placeholder.key, placeholder.sample]));
+
+/** @type {EmailTemplate[]} */
+export const DEFAULT_TEMPLATES = [
+  {
+    key: 'shortlist',
+    name: 'Shortlisted',
+    subject: 'Your application for {{jobTitle}} has been shortlisted',
+    body: 'Dear {{firstName}},\n\nThank you for applying for the {{jobTitle}} position with {{clientName}}. We are pleased to let you know that your profile has been shortlisted.\n\nWe will be in touch shortly about the next steps.\n\nBest regards,\nAdamant HR'
+  },
+  {
+    key: 'rejection',
+    name: 'Rejection',
+    subject: 'Update on your application for {{jobTitle}}',
+    body: 'Dear {{firstName}},\n\nThank you for your interest in the {{jobTitle}} position with {{clientName}} and for the time you have invested in the process.\n\nAfter careful consideration we will not be moving forward with your application on this occasion. We will keep your profile on file for future opportunities.\n\nBest regards,\nAdamant HR'
+  },
+  {
+    key: 'interview-invite',
+    name: 'Interview Invite',
+    subject: 'Interview for {{jobTitle}} on {{interviewTime}}',
+    body: 'Dear {{firstName}},\n\nWe would like to invite you to an interview for the {{jobTitle}} position with {{clientName}}.\n\nWhen: {{interviewTime}}\nMode: {{interviewMode}}\nWhere: {{interviewLocation}}\n\nPlease reply to confirm your availability.\n\nBest regards,\nAdamant HR'
+  },
+  {
+    key: 'offer',
+    name: 'Offer',
+    subject: 'Offer for the {{jobTitle}} position',
+    body: 'Dear {{firstName}},\n\nCongratulations! We are delighted to inform you that {{clientName}} would like to offer you the {{jobTitle}} position.\n\nOur team will contact you shortly with the offer details and next steps.\n\nBest regards,\nAdamant HR'
+  }
+];
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Built-in templates with any saved overrides applied.
+ * @param {EmailTemplate[]} saved
+ * @returns {EmailTemplate[]}
+ */
+export const mergeTemplates = (saved) => DEFAULT_TEMPLATES.map(template => {
+  const override = saved.find(item => item.key === template.key);
+  return override ? { ...template, ...override, customised: true } : template;
+});
+
+/**
+ * Fill in placeholders. Unknown or empty ones are left as written and reported.
+ * @param {string} text
+ * @param {Object<string, string>} values
+ * @returns {{ text: string, missing: string[] }}
+ */
+export const renderTemplate = (text, values) => {
+  const missing = new Set();
+  const rendered = text.replace(PLACEHOLDER_PATTERN, (match, key) => {
+    if (values[key] === undefined || values[key] === null || values[key] === '') {
+      missing.add(key);
+      return match;
+    }
+    return String(values[key]);
+  });
+  return { text: rendered, missing: [...missing] };
+};
+
+/**
+ * Template to suggest after an application moves to `stage`, if any.
+ * @param {import('./pipeline').PipelineStage} stage
+ * @returns {string | null}
+ */
+export const getTemplateKeyForStage = (stage) => {
+  if (stage.outcome === 'rejected') return 'rejection';
+  if (stage.outcome === 'hired' || stage.key === 'offer') return 'offer';
+  if (stage.key.includes('interview')) return 'interview-invite';
+  if (stage.key === 'shortlisted') return 'shortlist';
+  return null;
+};
@@ -0,0 +1,133 @@
+import JSZip from 'jszip';
+
+/**
+ * Spreadsheet export helpers: rows + column definitions in, CSV or XLSX
+ * Blob out.
+ *
+ * @typedef {Object} ExportColumn
+ * @property {string} key
+ * @property {string} label - header text
+ * @property {(row: any) => string | number | null | undefined} value
+ */
+
+// Cells starting with these are run as formulas by Excel/Sheets
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const cellText = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return FORMULA_PREFIX.test(text) ? `'${text}` : text;
+};
+
+/**
+ * @param {any[]} rows
+ * @param {ExportColumn[]} columns
+ * @returns {Blob}
+ */
+export const toCsvBlob = (rows, columns) => {
+  const escape = (value) => {
+    const text = typeof value === 'number' ? String(value) : cellText(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [
+    columns.map(column => escape(column.label)).join(','),
+    ...rows.map(row => columns.map(column => escape(column.value(row))).join(','))
+  ];
+  // BOM so Excel opens UTF-8 names correctly
+  return new Blob(['\uFEFF' + lines.join('\r\n')], { type: 'text/csv;charset=utf-8' });
+};
+
+const escapeXml = (text) =>
+  text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters other than tab/newline are invalid in XML
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+
+// 0 -> A, 25 -> Z, 26 -> AA
+const columnName = (index) => {
+  let name = '';
+  let n = index + 1;
+  while (n > 0) {
+    const rem = (n - 1) % 26;
+    name = String.fromCharCode(65 + rem) + name;
+    n = Math.floor((n - 1) / 26);
+  }
+  return name;
+};
+
+const xlsxCell = (value, ref) => {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"><v>${value}</v></c>`;
+  }
+  const text = value === undefined || value === null ? '' : String(value);
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+};
+
+/**
+ * Minimal single-sheet workbook using inline strings, so no shared-string
+ * table or styles are needed.
+ * @param {any[]} rows
+ * @param {ExportColumn[]} columns
+ * @param {string} [sheetName]
+ * @returns {Promise<Blob>}
+ */
+export const toXlsxBlob = async (rows, columns, sheetName = 'Sheet1') => {
+  const sheetRows = [columns.map(column => column.label), ...rows.map(row => columns.map(column => column.value(row)))]
+    .map((values, r) =>
+      `<row r="${r + 1}">${values.map((value, c) => xlsxCell(value, `${columnName(c)}${r + 1}`)).join('')}</row>`
+    )
+    .join('');
+
+  const zip = new JSZip();
+  zip.file('[Content_Types].xml',
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+    '</Types>');
+  zip.file('_rels/.rels',
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+    '</Relationships>');
+  zip.file('xl/workbook.xml',
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    `<sheets><sheet name="${escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>` +
+    '</workbook>');
+  zip.file('xl/_rels/workbook.xml.rels',
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+    '</Relationships>');
+  zip.file('xl/worksheets/sheet1.xml',
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    `<sheetData>${sheetRows}</sheetData>` +
+    '</worksheet>');
+
+  return zip.generateAsync({
+    type: 'blob',
+    mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  });
+};
+
+/** Save a Blob through a temporary download link. */
+export const downloadBlob = (blob, filename) => {
+  const href = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = href;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoking straight away can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(href), 1000);
+};
@@ -0,0 +1,88 @@
+/**
+ * Client fee terms and the placement fees and invoices derived from them.
+ *
+ * @typedef {Object} FeeTerms
+ * @property {'percentage' | 'flat'} type
+ * @property {number} [percentage] - of the offered annual CTC, when type is "percentage"
+ * @property {number} [flatFee] - per hire, when type is "flat"
+ * @property {string} currency - ISO 4217, e.g. "INR"
+ * @property {number} taxRate - percent added on the invoice, e.g. 18 for GST
+ * @property {number} guaranteeDays - free replacement if the hire leaves within this period
+ * @property {number} paymentTermsDays - invoice due date after issue
+ */
+
+export const FEE_TYPES = [
+  { key: 'percentage', label: '% of annual CTC' },
+  { key: 'flat', label: 'Flat fee per hire' }
+];
+
+/**
+ * Starting values when a client's terms are first entered. Never billed on:
+ * a client without agreed terms cannot have placements recorded.
+ * @type {FeeTerms}
+ */
+export const DEFAULT_FEE_TERMS = {
+  type: 'percentage',
+  percentage: 8.33,
+  flatFee: 0,
+  currency: 'INR',
+  taxRate: 18,
+  guaranteeDays: 90,
+  paymentTermsDays: 30
+};
+
+export const INVOICE_STATUSES = [
+  { key: 'draft', label: 'Draft' },
+  { key: 'sent', label: 'Sent' },
+  { key: 'paid', label: 'Paid' },
+  { key: 'cancelled', label: 'Cancelled' }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** @returns {FeeTerms | null} the client's agreed terms, or null until they are set */
+export const getFeeTerms = (client) => client?.feeTerms || null;
+
+/**
+ * Fee for one hire, rounded to whole currency units.
+ * @param {FeeTerms} terms
+ * @param {number} offeredSalary - annual CTC
+ */
+export const calculateFee = (terms, offeredSalary) => {
+  if (terms.type === 'flat') return Math.round(Number(terms.flatFee) || 0);
+  return Math.round(((Number(offeredSalary) || 0) * (Number(terms.percentage) || 0)) / 100);
+};
+
+/** Subtotal, tax and total for an invoice of `amount`. */
+export const getInvoiceTotals = (amount, taxRate) => {
+  const tax = Math.round((amount * (Number(taxRate) || 0)) / 100);
+  return { subtotal: amount, tax, total: amount + tax };
+};
+
+export const addDays = (date, days) => new Date(new Date(date).getTime() + (Number(days) || 0) * DAY_MS);
+
+/** "Sent" invoices past their due date are shown as overdue. */
+export const getInvoiceStatus = (invoice, now = Date.now()) => {
+  if (!invoice) return null;
+  if (invoice.status === 'sent' && new Date(invoice.dueAt).getTime() < now) return 'overdue';
+  return invoice.status;
+};
+
+export const getInvoiceStatusLabel = (status) =>
+  status === 'overdue' ? 'Overdue' : INVOICE_STATUSES.find(item => item.key === status)?.label || status;
+
+/** Describe terms in one line, e.g. "8.33% of CTC · 90-day guarantee". */
+export const describeFeeTerms = (terms) => [
+  terms.type === 'flat' ? `${formatMoney(terms.flatFee, terms.currency)} per hire` : `${terms.percentage}% of CTC`,
+  `${terms.guaranteeDays}-day guarantee`,
+  `net ${terms.paymentTermsDays}`
+].join(' · ');
+
+export const formatMoney = (amount, currency = DEFAULT_FEE_TERMS.currency) => {
+  try {
+    return new Intl.NumberFormat('en-IN', { style: 'currency', currency, maximumFractionDigits: 0 }).format(Number(amount) || 0);
+  } catch {
+    // Unknown currency code
+    return `${currency} ${Math.round(Number(amount) || 0).toLocaleString('en-IN')}`;
+  }
+};
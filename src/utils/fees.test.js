@@ -0,0 +1,109 @@
+import {
+  DEFAULT_FEE_TERMS,
+  getFeeTerms,
+  calculateFee,
+  getInvoiceTotals,
+  addDays,
+  getInvoiceStatus,
+  getInvoiceStatusLabel,
+  describeFeeTerms,
+  formatMoney
+} from './fees';
+
+const percentageTerms = { ...DEFAULT_FEE_TERMS, type: 'percentage', percentage: 8.33 };
+const flatTerms = { ...DEFAULT_FEE_TERMS, type: 'flat', flatFee: 75000 };
+
+describe('getFeeTerms', () => {
+  it('returns the terms agreed with the client', () => {
+    expect(getFeeTerms({ feeTerms: flatTerms })).toBe(flatTerms);
+  });
+
+  it('does not fall back to defaults when no terms were agreed', () => {
+    expect(getFeeTerms({ name: 'Acme' })).toBeNull();
+    expect(getFeeTerms(null)).toBeNull();
+  });
+});
+
+describe('calculateFee', () => {
+  it('takes the percentage of the annual CTC, rounded to whole units', () => {
+    expect(calculateFee(percentageTerms, 1200000)).toBe(99960);
+    expect(calculateFee({ ...percentageTerms, percentage: 8.75 }, 1234567)).toBe(108025);
+  });
+
+  it('charges the flat fee whatever the salary', () => {
+    expect(calculateFee(flatTerms, 1200000)).toBe(75000);
+    expect(calculateFee(flatTerms, 0)).toBe(75000);
+  });
+
+  it('treats a missing or invalid salary as zero', () => {
+    expect(calculateFee(percentageTerms, '')).toBe(0);
+    expect(calculateFee(percentageTerms, 'abc')).toBe(0);
+  });
+
+  it('accepts numbers entered as strings', () => {
+    expect(calculateFee({ ...percentageTerms, percentage: '10' }, '500000')).toBe(50000);
+  });
+});
+
+describe('getInvoiceTotals', () => {
+  it('adds tax on top of the fee, rounded to whole units', () => {
+    expect(getInvoiceTotals(99960, 18)).toEqual({ subtotal: 99960, tax: 17993, total: 117953 });
+  });
+
+  it('charges no tax when the rate is zero or missing', () => {
+    expect(getInvoiceTotals(50000, 0)).toEqual({ subtotal: 50000, tax: 0, total: 50000 });
+    expect(getInvoiceTotals(50000, undefined)).toEqual({ subtotal: 50000, tax: 0, total: 50000 });
+  });
+
+  it('keeps the total equal to subtotal plus tax', () => {
+    [1, 333, 99999, 1234567].forEach(amount => {
+      const { subtotal, tax, total } = getInvoiceTotals(amount, 18);
+      expect(total).toBe(subtotal + tax);
+      expect(Number.isInteger(tax)).toBe(true);
+    });
+  });
+});
+
+describe('addDays', () => {
+  it('moves the date forward by whole days', () => {
+    expect(addDays('2026-01-01T00:00:00Z', 90).toISOString()).toBe('2026-04-01T00:00:00.000Z');
+  });
+
+  it('leaves the date unchanged for zero or missing days', () => {
+    expect(addDays('2026-01-01T00:00:00Z', 0).toISOString()).toBe('2026-01-01T00:00:00.000Z');
+    expect(addDays('2026-01-01T00:00:00Z', undefined).toISOString()).toBe('2026-01-01T00:00:00.000Z');
+  });
+});
+
+describe('getInvoiceStatus', () => {
+  const now = new Date('2026-05-01T00:00:00Z').getTime();
+
+  it('shows sent invoices past their due date as overdue', () => {
+    expect(getInvoiceStatus({ status: 'sent', dueAt: '2026-04-30T00:00:00Z' }, now)).toBe('overdue');
+    expect(getInvoiceStatusLabel('overdue')).toBe('Overdue');
+  });
+
+  it('keeps the stored status otherwise', () => {
+    expect(getInvoiceStatus({ status: 'sent', dueAt: '2026-05-02T00:00:00Z' }, now)).toBe('sent');
+    expect(getInvoiceStatus({ status: 'paid', dueAt: '2026-04-01T00:00:00Z' }, now)).toBe('paid');
+    expect(getInvoiceStatus({ status: 'draft', dueAt: '2026-04-01T00:00:00Z' }, now)).toBe('draft');
+    expect(getInvoiceStatus(null, now)).toBeNull();
+  });
+});
+
+describe('formatMoney', () => {
+  it('uses Indian digit grouping without decimals', () => {
+    expect(formatMoney(117953, 'INR')).toBe('₹1,17,953');
+  });
+
+  it('falls back to the code for currencies Intl does not accept', () => {
+    expect(formatMoney(1500, 'XX')).toBe('XX 1,500');
+  });
+});
+
+describe('describeFeeTerms', () => {
+  it('summarises the terms in one line', () => {
+    expect(describeFeeTerms(percentageTerms)).toBe('8.33% of CTC · 90-day guarantee · net 30');
+    expect(describeFeeTerms(flatTerms)).toBe('₹75,000 per hire · 90-day guarantee · net 30');
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Work out what a downloaded resume really is. Uploads keep whatever
+ * extension the candidate's file had, so the first bytes are trusted over
+ * the Content-Type header, and the header over the file name.
+ */
+
+/** @typedef {'pdf' | 'docx' | 'doc' | 'rtf' | 'image' | 'unknown'} ResumeKind */
+
+const MIME_KINDS = {
+  'application/pdf': 'pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'application/msword': 'doc',
+  'application/rtf': 'rtf',
+  'text/rtf': 'rtf'
+};
+
+const EXTENSION_KINDS = {
+  pdf: 'pdf',
+  docx: 'docx',
+  doc: 'doc',
+  rtf: 'rtf',
+  png: 'image',
+  jpg: 'image',
+  jpeg: 'image',
+  gif: 'image',
+  webp: 'image'
+};
+
+const startsWith = (bytes, signature, offset = 0) =>
+  signature.every((byte, index) => bytes[offset + index] === byte);
+
+const ascii = (text) => [...text].map(char => char.charCodeAt(0));
+
+// Magic numbers; OLE2 covers legacy .doc, ZIP is assumed to be .docx
+const SIGNATURES = [
+  { kind: 'pdf', mime: 'application/pdf', bytes: ascii('%PDF') },
+  { kind: 'docx', mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { kind: 'doc', mime: 'application/msword', bytes: [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1] },
+  { kind: 'rtf', mime: 'application/rtf', bytes: ascii('{\\rtf') },
+  { kind: 'image', mime: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47] },
+  { kind: 'image', mime: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { kind: 'image', mime: 'image/gif', bytes: ascii('GIF8') }
+];
+
+const sniff = (bytes) => {
+  const match = SIGNATURES.find(signature => startsWith(bytes, signature.bytes));
+  if (match) return { kind: match.kind, mime: match.mime };
+  if (startsWith(bytes, ascii('RIFF')) && startsWith(bytes, ascii('WEBP'), 8)) {
+    return { kind: 'image', mime: 'image/webp' };
+  }
+  return null;
+};
+
+/**
+ * @param {ArrayBuffer} buffer
+ * @param {string | null} contentType - response header
+ * @param {string} fileName
+ * @returns {{ kind: ResumeKind, mime: string }}
+ */
+export const detectFileType = (buffer, contentType, fileName) => {
+  const header = (contentType || '').split(';')[0].trim().toLowerCase();
+  const sniffed = sniff(new Uint8Array(buffer.slice(0, 16)));
+  if (sniffed) return sniffed;
+
+  if (MIME_KINDS[header]) return { kind: MIME_KINDS[header], mime: header };
+  if (header.startsWith('image/')) return { kind: 'image', mime: header };
+
+  const extension = fileName.split('.').pop()?.toLowerCase() || '';
+  return { kind: EXTENSION_KINDS[extension] || 'unknown', mime: header };
+};
+
+/** File name from a Content-Disposition header, if it sends one. */
+export const getDispositionFileName = (disposition) => {
+  if (!disposition) return null;
+  const encoded = disposition.match(/filename\*\s*=\s*(?:UTF-8'')?([^;]+)/i);
+  if (encoded) {
+    try {
+      return decodeURIComponent(encoded[1].trim().replace(/^"|"$/g, ''));
+    } catch {
+      // Fall back to the plain filename parameter
+    }
+  }
+  const plain = disposition.match(/filename\s*=\s*"?([^";]+)"?/i);
+  return plain ? plain[1].trim() : null;
+};
+
+/**
+ * Plain text of an RTF document: control words and groups such as the font
+ * table are dropped, paragraph marks become line breaks and escaped
+ * characters are decoded. Enough to read a resume, not to lay it out.
+ */
+export const rtfToText = (rtf) => {
+  const SKIPPED_GROUPS = /^\\\*|^\\(fonttbl|colortbl|stylesheet|info|pict|header|footer|listtable|listoverridetable)\b/;
+  let text = '';
+  const skipDepths = [];
+  let depth = 0;
+  let index = 0;
+
+  while (index < rtf.length) {
+    const char = rtf[index];
+    if (char === '{') {
+      depth += 1;
+      if (skipDepths.length === 0 && SKIPPED_GROUPS.test(rtf.slice(index + 1, index + 24))) {
+        skipDepths.push(depth);
+      }
+      index += 1;
+    } else if (char === '}') {
+      if (skipDepths[skipDepths.length - 1] === depth) skipDepths.pop();
+      depth -= 1;
+      index += 1;
+    } else if (char === '\\') {
+      const rest = rtf.slice(index);
+      const hex = rest.match(/^\\'([0-9a-f]{2})/i);
+      const unicode = rest.match(/^\\u(-?\d+) ?\??/);
+      const word = rest.match(/^\\([a-z]+)(-?\d+)? ?/i);
+      const skipping = skipDepths.length > 0;
+      if (hex) {
+        if (!skipping) text += String.fromCharCode(parseInt(hex[1], 16));
+        index += hex[0].length;
+      } else if (unicode) {
+        if (!skipping) text += String.fromCharCode((Number(unicode[1]) + 65536) % 65536);
+        index += unicode[0].length;
+      } else if (word) {
+        if (!skipping && ['par', 'line', 'row'].includes(word[1])) text += '\n';
+        if (!skipping && ['tab', 'cell'].includes(word[1])) text += '\t';
+        index += word[0].length;
+      } else {
+        // Escaped literal such as \{ \} \\
+        if (!skipping && rest[1] && '{}\\'.includes(rest[1])) text += rest[1];
+        index += 2;
+      }
+    } else {
+      if (skipDepths.length === 0 && char !== '\r' && char !== '\n') text += char;
+      index += 1;
+    }
+  }
+  return text.replace(/\n{3,}/g, '\n\n').trim();
+};
@@ -0,0 +1,80 @@
+/**
+ * Minimal iCalendar (RFC 5545) writer for single-event invites.
+ *
+ * @typedef {Object} IcsEvent
+ * @property {string} uid - stable id so re-imports update the same event
+ * @property {Date} start
+ * @property {Date} end
+ * @property {string} summary
+ * @property {string} [description]
+ * @property {string} [location]
+ * @property {string} [url]
+ * @property {{ name?: string, email: string }} [organizer]
+ * @property {{ name?: string, email: string }[]} [attendees]
+ * @property {boolean} [cancelled]
+ */
+
+// 20250301T093000Z
+const formatUtc = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const escapeText = (text) =>
+  String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets must be folded onto continuation lines; splitting
+// on characters keeps multi-byte text intact at a small risk of overrun
+const fold = (line) => {
+  const parts = [];
+  let rest = line;
+  while (rest.length > 73) {
+    parts.push(rest.slice(0, 73));
+    rest = rest.slice(73);
+  }
+  parts.push(rest);
+  return parts.join('\r\n ');
+};
+
+const person = (property, { name, email }) =>
+  `${property}${name ? `;CN="${String(name).replace(/"/g, "'")}"` : ''}:mailto:${email}`;
+
+/**
+ * @param {IcsEvent} event
+ * @returns {string}
+ */
+export const buildIcs = (event) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Adamant HR//Admin Panel//EN',
+    'CALSCALE:GREGORIAN',
+    `METHOD:${event.cancelled ? 'CANCEL' : 'REQUEST'}`,
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatUtc(new Date())}`,
+    `DTSTART:${formatUtc(event.start)}`,
+    `DTEND:${formatUtc(event.end)}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+    event.description && `DESCRIPTION:${escapeText(event.description)}`,
+    event.location && `LOCATION:${escapeText(event.location)}`,
+    event.url && `URL:${event.url}`,
+    event.organizer?.email && person('ORGANIZER', event.organizer),
+    ...(event.attendees || [])
+      .filter(attendee => attendee.email)
+      .map(attendee => person('ATTENDEE;ROLE=REQ-PARTICIPANT;RSVP=TRUE', attendee)),
+    `STATUS:${event.cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].filter(Boolean);
+
+  return lines.map(fold).join('\r\n') + '\r\n';
+};
+
+/**
+ * @param {IcsEvent} event
+ * @returns {Blob}
+ */
+export const toIcsBlob = (event) =>
+  new Blob([buildIcs(event)], { type: 'text/calendar;charset=utf-8' });
@@ -0,0 +1,52 @@
+import { toIcsBlob } from './ics';
+import { downloadBlob } from './exportSheet';
+
+export const INTERVIEW_MODES = [
+  { key: 'in-person', label: 'In person', locationLabel: 'Address' },
+  { key: 'phone', label: 'Phone', locationLabel: 'Phone number' },
+  { key: 'video', label: 'Video call', locationLabel: 'Meeting link' }
+];
+
+export const getModeLabel = (mode) =>
+  INTERVIEW_MODES.find(option => option.key === mode)?.label || mode;
+
+export const getCandidateName = (interview) => {
+  const candidate = interview.candidate || {};
+  return `${candidate.firstName || ''} ${candidate.lastName || ''}`.trim() || candidate.email || 'Candidate';
+};
+
+/**
+ * Download an .ics invite for an interview, addressed to the candidate and
+ * interviewer with the scheduling recruiter as organizer.
+ * @param {import('../api/interviewApi').Interview} interview
+ * @param {string} [jobTitle]
+ */
+export const downloadInterviewIcs = (interview, jobTitle) => {
+  const start = new Date(interview.scheduledAt);
+  const end = new Date(start.getTime() + (interview.durationMinutes || 60) * 60000);
+  const candidateName = getCandidateName(interview);
+  const job = jobTitle ? `${jobTitle} (#${interview.jobId})` : `Job #${interview.jobId}`;
+
+  const blob = toIcsBlob({
+    uid: `interview-${interview._id}@adamant-hr`,
+    start,
+    end,
+    summary: `${interview.round}: ${candidateName} – ${job}`,
+    description: [
+      `Candidate: ${candidateName}`,
+      `Position: ${job}`,
+      `Mode: ${getModeLabel(interview.mode)}`,
+      `Interviewer: ${interview.interviewer?.name || ''}`,
+      interview.notes
+    ].filter(Boolean).join('\n'),
+    location: interview.location,
+    url: interview.mode === 'video' && /^https?:\/\//.test(interview.location || '') ? interview.location : undefined,
+    organizer: interview.recruiter?.email ? interview.recruiter : undefined,
+    attendees: [interview.candidate, interview.interviewer].filter(Boolean).map(attendee => ({
+      name: attendee.name || `${attendee.firstName || ''} ${attendee.lastName || ''}`.trim(),
+      email: attendee.email
+    })),
+    cancelled: interview.status === 'cancelled'
+  });
+  downloadBlob(blob, `interview-${candidateName.replace(/\s+/g, '-').toLowerCase()}-${start.toISOString().split('T')[0]}.ics`);
+};
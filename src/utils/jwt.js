@@ -0,0 +1,45 @@
+/**
+ * Minimal JWT helpers. The admin panel never verifies signatures (the backend
+ * does that); it only reads claims to drive session expiry and the UI.
+ */
+
+const base64UrlDecode = (segment) => {
+  const base64 = segment.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64.padEnd(Math.ceil(base64.length / 4) * 4, '=');
+  // atob gives a binary string; round-trip through percent-encoding for UTF-8 claims
+  return decodeURIComponent(
+    atob(padded)
+      .split('')
+      .map(char => '%' + char.charCodeAt(0).toString(16).padStart(2, '0'))
+      .join('')
+  );
+};
+
+/**
+ * Decode the payload of a JWT.
+ * @param {string} token
+ * @returns {Object|null} claims, or null when the token cannot be decoded
+ */
+export const decodeJwt = (token) => {
+  try {
+    const payload = JSON.parse(base64UrlDecode(token.split('.')[1]));
+    return payload && typeof payload === 'object' ? payload : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Expiry time from the `exp` claim.
+ * @param {Object|null} claims
+ * @returns {number|null} epoch milliseconds, or null when the token has no `exp`
+ */
+export const getExpiry = (claims) => {
+  if (!claims || typeof claims.exp !== 'number') return null;
+  return claims.exp * 1000;
+};
+
+export const isExpired = (claims, now = Date.now()) => {
+  const expiry = getExpiry(claims);
+  return expiry !== null && expiry <= now;
+};
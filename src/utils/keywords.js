@@ -0,0 +1,95 @@
+/**
+ * Skill-keyword helpers for resume search and hit highlighting.
+ */
+
+/**
+ * "React, Tally , AutoCAD,react" -> ["React", "Tally", "AutoCAD"]
+ * Split on commas; duplicates are dropped ignoring case.
+ * @param {string} input
+ * @returns {string[]}
+ */
+export const parseKeywords = (input) => {
+  const seen = new Set();
+  return String(input || '')
+    .split(',')
+    .map(keyword => keyword.trim())
+    .filter(keyword => {
+      const key = keyword.toLowerCase();
+      if (!keyword || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Case-insensitive pattern matching any keyword as a whole word. Boundaries
+ * are "not a letter or digit" so "C++" and ".NET" match too.
+ * @param {string[]} keywords
+ * @returns {RegExp | null}
+ */
+export const buildKeywordPattern = (keywords) => {
+  if (!keywords || keywords.length === 0) return null;
+  // Longest first so "React Native" wins over "React"
+  const alternatives = [...keywords]
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp)
+    .join('|');
+  return new RegExp(`(?<![\\p{L}\\p{N}])(${alternatives})(?![\\p{L}\\p{N}])`, 'giu');
+};
+
+/**
+ * Split text into plain and matching parts for rendering with <mark>.
+ * @param {string} text
+ * @param {RegExp | null} pattern
+ * @returns {{ text: string, match: boolean }[]}
+ */
+export const splitMatches = (text, pattern) => {
+  if (!pattern || !text) return [{ text: text || '', match: false }];
+  const parts = [];
+  let last = 0;
+  for (const found of text.matchAll(pattern)) {
+    if (found.index > last) parts.push({ text: text.slice(last, found.index), match: false });
+    parts.push({ text: found[0], match: true });
+    last = found.index + found[0].length;
+  }
+  if (last < text.length) parts.push({ text: text.slice(last), match: false });
+  return parts;
+};
+
+/**
+ * Wrap keyword hits in an HTML fragment with <mark>, touching text nodes only
+ * so markup and attributes are left alone.
+ * @param {string} html
+ * @param {RegExp | null} pattern
+ * @returns {{ html: string, count: number }}
+ */
+export const highlightHtml = (html, pattern) => {
+  if (!pattern || !html) return { html: html || '', count: 0 };
+  const doc = new DOMParser().parseFromString(`<div>${html}</div>`, 'text/html');
+  const root = doc.body.firstChild;
+  const walker = doc.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  const textNodes = [];
+  while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+  let count = 0;
+  textNodes.forEach(node => {
+    const parts = splitMatches(node.nodeValue, pattern);
+    if (parts.length === 1 && !parts[0].match) return;
+    const fragment = doc.createDocumentFragment();
+    parts.forEach(part => {
+      if (part.match) {
+        const mark = doc.createElement('mark');
+        mark.className = 'keyword-hit';
+        mark.textContent = part.text;
+        fragment.appendChild(mark);
+        count += 1;
+      } else {
+        fragment.appendChild(doc.createTextNode(part.text));
+      }
+    });
+    node.parentNode.replaceChild(fragment, node);
+  });
+  return { html: root.innerHTML, count };
+};
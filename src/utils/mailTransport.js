@@ -0,0 +1,66 @@
+import axios from 'axios';
+import { normalizeError } from '../api/apiClient';
+import { sendEmail, logSentEmail } from '../api/mailApi';
+
+/**
+ * Pluggable delivery for candidate emails. REACT_APP_MAIL_TRANSPORT picks
+ * the transport; "api" (the default) sends through the backend's SMTP.
+ *
+ * @typedef {Object} MailTransport
+ * @property {string} name
+ * @property {boolean} logsOnServer - the backend records sent messages itself
+ * @property {(message: import('../api/mailApi').OutgoingEmail) => Promise<any>} send
+ */
+
+const transports = {};
+
+/** @param {MailTransport} transport */
+export const registerTransport = (transport) => {
+  transports[transport.name] = transport;
+};
+
+registerTransport({
+  name: 'api',
+  logsOnServer: true,
+  send: (message) => sendEmail(message)
+});
+
+// Development: hand messages to a local SMTP stub (Mailpit) through its HTTP
+// send API so nothing reaches real inboxes. Start it with `mailpit --api-cors "*"`.
+const MAIL_STUB_URL = process.env.REACT_APP_MAIL_STUB_URL || 'http://localhost:8025';
+const MAIL_FROM = process.env.REACT_APP_MAIL_FROM || 'noreply@adamant-hr.local';
+
+registerTransport({
+  name: 'smtp-stub',
+  logsOnServer: false,
+  send: (message) => axios.post(`${MAIL_STUB_URL}/api/v1/send`, {
+    From: { Email: MAIL_FROM, Name: 'Adamant HR' },
+    To: [{ Email: message.to.email, Name: message.to.name || '' }],
+    Subject: message.subject,
+    Text: message.body
+  }).catch((error) => {
+    throw normalizeError(error);
+  })
+});
+
+export const getTransport = () =>
+  transports[process.env.REACT_APP_MAIL_TRANSPORT] || transports.api;
+
+/**
+ * Send a message and make sure it lands in the candidate's sent log.
+ * Rejects only when sending fails; a message that went out but could not
+ * be logged resolves with `logError` so it isn't reported as unsent.
+ * @param {import('../api/mailApi').OutgoingEmail} message
+ * @returns {Promise<{ logError: import('../api/apiClient').ApiError | null }>}
+ */
+export const deliverEmail = async (message) => {
+  const transport = getTransport();
+  await transport.send(message);
+  if (transport.logsOnServer) return { logError: null };
+  try {
+    await logSentEmail({ ...message, transport: transport.name });
+    return { logError: null };
+  } catch (error) {
+    return { logError: normalizeError(error) };
+  }
+};
@@ -0,0 +1,181 @@
+/**
+ * How well an application fits its vacancy, from the vacancy's skills,
+ * qualification and experience level against the candidate profile and the
+ * resume text indexed on the server.
+ *
+ * Requirements that cannot be checked (no resume text, no CGPA on file) are
+ * reported as unknown and left out of the score rather than counted as misses.
+ *
+ * @typedef {Object} MatchItem
+ * @property {'skill' | 'degree' | 'grade' | 'experience'} type
+ * @property {string} label
+ * @property {boolean | null} matched - null when it could not be checked
+ * @property {number} weight
+ * @property {string} detail
+ *
+ * @typedef {Object} MatchResult
+ * @property {number | null} score - 0..100, null when nothing could be checked
+ * @property {MatchItem[]} breakdown
+ */
+
+const WEIGHTS = {
+  skills: 60,
+  degree: 15,
+  grade: 10,
+  experience: 15
+};
+
+// Years of experience implied by PostVacancy's experience levels
+const EXPERIENCE_LEVELS = {
+  'Fresher': { min: 0 },
+  '0-2 years': { min: 0 },
+  '2-5 years': { min: 2 },
+  '5-10 years': { min: 5 },
+  '10+ years': { min: 10 }
+};
+
+// Spellings of the same degree, compared without dots or spaces
+const DEGREE_ALIASES = {
+  be: 'btech',
+  bacheloroftechnology: 'btech',
+  bachelorofengineering: 'btech',
+  mtech: 'mtech',
+  me: 'mtech',
+  masterofcomputerapplications: 'mca',
+  bachelorofcomputerapplications: 'bca',
+  bachelorofcommerce: 'bcom',
+  masterofbusinessadministration: 'mba'
+};
+
+// Qualifications that any degree satisfies
+const ANY_DEGREE = /\b(graduate|graduation|any degree|bachelor'?s?( degree)?)\b/i;
+
+const compact = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const canonicalDegree = (degree) => {
+  const key = compact(degree);
+  return DEGREE_ALIASES[key] || key;
+};
+
+// Wording that ties a percentage to the degree, or to school marks
+const DEGREE_WORDING = /\b(graduat\w*|degree|bachelor'?s?|master'?s?|post[- ]?graduat\w*|ug|pg|aggregate|b\.?\s?tech|m\.?\s?tech|b\.\s?e|m\.\s?e|bca|mca|b\.?\s?com|b\.?\s?sc|mba)\b/i;
+const SCHOOL_WORDING = /\b(10th|12th|tenth|twelfth|class\s*(x|xii|10|12)|x\s*\/\s*xii|ssc|hsc|matric\w*|intermediate|school|secondary)\b/i;
+
+/**
+ * Minimum grade stated in a qualification, as a CGPA out of 10.
+ * "minimum 7 CGPA" -> 7, "60% in graduation" -> 6.3 (percentage / 9.5).
+ * A percentage only counts when its clause is about the degree and not
+ * school marks; "60% in 10th/12th" or a bare "60%" is left unchecked, as
+ * are clauses asking for different degree percentages.
+ */
+export const parseMinimumCgpa = (qualification) => {
+  const text = String(qualification || '');
+  const cgpa = text.match(/(\d+(?:\.\d+)?)\s*(?:\+\s*)?(?:cgpa|gpa)/i)
+    || text.match(/(?:cgpa|gpa)[^\d]{0,20}(\d+(?:\.\d+)?)/i);
+  if (cgpa && Number(cgpa[1]) <= 10) return Number(cgpa[1]);
+
+  const percents = text
+    .split(/[,;\n]|\.\s/)
+    .filter(clause => DEGREE_WORDING.test(clause) && !SCHOOL_WORDING.test(clause))
+    .map(clause => clause.match(/(\d{2}(?:\.\d+)?)\s*%/))
+    .filter(Boolean)
+    .map(match => Number(match[1]));
+  if (percents.length === 0 || percents.some(percent => percent !== percents[0])) return null;
+  return Math.round((percents[0] / 9.5) * 10) / 10;
+};
+
+const skillItems = (skills, skillMatches) => {
+  if (skills.length === 0) return [];
+  const weight = WEIGHTS.skills / skills.length;
+  return skills.map(skill => {
+    if (!skillMatches) {
+      return { type: 'skill', label: skill, matched: null, weight, detail: 'Resume text not indexed' };
+    }
+    const hit = skillMatches.find(item => item.keyword.toLowerCase() === skill.toLowerCase());
+    return hit?.count
+      ? { type: 'skill', label: skill, matched: true, weight, detail: `Found ${hit.count}× in resume` }
+      : { type: 'skill', label: skill, matched: false, weight, detail: 'Not found in resume' };
+  });
+};
+
+const degreeItem = (qualification, candidate) => {
+  if (!qualification) return null;
+  const label = 'Qualification';
+  if (!candidate.degree) {
+    return { type: 'degree', label, matched: null, weight: WEIGHTS.degree, detail: 'No degree on file' };
+  }
+  const required = compact(qualification);
+  const degree = canonicalDegree(candidate.degree);
+  const aliases = [degree, ...Object.keys(DEGREE_ALIASES).filter(key => DEGREE_ALIASES[key] === degree)];
+  // Short tokens such as "be" or "me" only count as a whole word
+  const mentioned = aliases.some(alias => (alias.length <= 2
+    ? new RegExp(`\\b${alias}\\b`, 'i').test(qualification.replace(/\./g, ''))
+    : required.includes(alias)));
+  const matched = mentioned || ANY_DEGREE.test(qualification);
+  return {
+    type: 'degree',
+    label,
+    matched,
+    weight: WEIGHTS.degree,
+    detail: matched ? `${candidate.degree} meets "${qualification}"` : `${candidate.degree} not listed in "${qualification}"`
+  };
+};
+
+const gradeItem = (qualification, candidate) => {
+  const minimum = parseMinimumCgpa(qualification);
+  if (minimum === null) return null;
+  const label = `CGPA ≥ ${minimum}`;
+  if (candidate.degreeCgpa === undefined || candidate.degreeCgpa === null || candidate.degreeCgpa === '') {
+    return { type: 'grade', label, matched: null, weight: WEIGHTS.grade, detail: 'No CGPA on file' };
+  }
+  const cgpa = Number(candidate.degreeCgpa);
+  return {
+    type: 'grade',
+    label,
+    matched: cgpa >= minimum,
+    weight: WEIGHTS.grade,
+    detail: `Candidate CGPA ${cgpa}`
+  };
+};
+
+const experienceItem = (experienceLevel, experienceYears) => {
+  const level = EXPERIENCE_LEVELS[experienceLevel];
+  if (!level) return null;
+  const label = `Experience: ${experienceLevel}`;
+  if (level.min === 0) {
+    return { type: 'experience', label, matched: true, weight: WEIGHTS.experience, detail: 'No minimum experience' };
+  }
+  if (experienceYears === undefined || experienceYears === null) {
+    return { type: 'experience', label, matched: null, weight: WEIGHTS.experience, detail: 'Experience not found in resume' };
+  }
+  return {
+    type: 'experience',
+    label,
+    matched: experienceYears >= level.min,
+    weight: WEIGHTS.experience,
+    detail: `About ${experienceYears} year(s) in resume`
+  };
+};
+
+/**
+ * @param {import('../api/vacancyApi').Vacancy | undefined} vacancy
+ * @param {import('../api/cvApi').Candidate} candidate
+ * @param {import('../api/cvApi').Application} application - `skillMatches` and
+ *   `resumeExperienceYears` come from the server when listed with `matchSkills`
+ * @returns {MatchResult}
+ */
+export const computeMatchScore = (vacancy, candidate, application) => {
+  if (!vacancy) return { score: null, breakdown: [] };
+  const breakdown = [
+    ...skillItems(vacancy.skills || [], application.skillMatches),
+    degreeItem(vacancy.qualification, candidate || {}),
+    gradeItem(vacancy.qualification, candidate || {}),
+    experienceItem(vacancy.experienceLevel, application.resumeExperienceYears)
+  ].filter(Boolean);
+
+  const known = breakdown.filter(item => item.matched !== null);
+  const possible = known.reduce((sum, item) => sum + item.weight, 0);
+  if (possible === 0) return { score: null, breakdown };
+  const earned = known.filter(item => item.matched).reduce((sum, item) => sum + item.weight, 0);
+  return { score: Math.round((earned / possible) * 100), breakdown };
+};
@@ -0,0 +1,75 @@
+import { parseMinimumCgpa, computeMatchScore } from './matchScore';
+
+describe('parseMinimumCgpa', () => {
+  it('reads a CGPA requirement', () => {
+    expect(parseMinimumCgpa('B.Tech with minimum 7 CGPA')).toBe(7);
+    expect(parseMinimumCgpa('CGPA of at least 7.5')).toBe(7.5);
+  });
+
+  it('converts a degree percentage to CGPA', () => {
+    expect(parseMinimumCgpa('65% in graduation')).toBe(6.8);
+    expect(parseMinimumCgpa('B.Tech with 60% aggregate')).toBe(6.3);
+  });
+
+  it('prefers the CGPA over school percentages', () => {
+    expect(parseMinimumCgpa('60% in 10th/12th, B.Tech 7 CGPA')).toBe(7);
+  });
+
+  it('ignores percentages about school marks', () => {
+    expect(parseMinimumCgpa('60% in 10th and 12th')).toBeNull();
+    expect(parseMinimumCgpa('60% in 10th and 12th, 65% in graduation')).toBe(6.8);
+  });
+
+  it('skips the check when the percentage is ambiguous', () => {
+    expect(parseMinimumCgpa('at least 60%')).toBeNull();
+    expect(parseMinimumCgpa('60% in 10th/12th and graduation')).toBeNull();
+    expect(parseMinimumCgpa('B.E./B.Tech with 60%; MCA with 65%')).toBeNull();
+  });
+
+  it('returns null when no grade is stated', () => {
+    expect(parseMinimumCgpa('Any graduate')).toBeNull();
+    expect(parseMinimumCgpa(undefined)).toBeNull();
+  });
+});
+
+describe('computeMatchScore', () => {
+  const vacancy = {
+    skills: ['React', 'Node'],
+    qualification: 'B.Tech with minimum 7 CGPA',
+    experienceLevel: '2-5 years'
+  };
+  const candidate = { degree: 'B.E.', degreeCgpa: 8 };
+
+  it('weights skills, degree, grade and experience', () => {
+    const result = computeMatchScore(vacancy, candidate, {
+      skillMatches: [{ keyword: 'react', count: 3 }, { keyword: 'Node', count: 0 }],
+      resumeExperienceYears: 1
+    });
+    // React 30 + degree 15 + grade 10 of 100
+    expect(result.score).toBe(55);
+    expect(result.breakdown.map(item => [item.label, item.matched])).toEqual([
+      ['React', true],
+      ['Node', false],
+      ['Qualification', true],
+      ['CGPA ≥ 7', true],
+      ['Experience: 2-5 years', false]
+    ]);
+  });
+
+  it('leaves requirements it cannot check out of the score', () => {
+    const result = computeMatchScore(vacancy, { degree: 'B.Tech' }, {});
+    // Skills, grade and experience are unknown; only the degree counts
+    expect(result.score).toBe(100);
+    expect(result.breakdown.filter(item => item.matched === null)).toHaveLength(4);
+  });
+
+  it('has no score without a vacancy or anything checkable', () => {
+    expect(computeMatchScore(undefined, candidate, {})).toEqual({ score: null, breakdown: [] });
+    expect(computeMatchScore({ skills: ['Go'] }, {}, {}).score).toBeNull();
+  });
+
+  it('counts a fresher vacancy as met without resume experience', () => {
+    const result = computeMatchScore({ experienceLevel: 'Fresher' }, {}, {});
+    expect(result.score).toBe(100);
+  });
+});
@@ -0,0 +1,65 @@
+import { PERMISSIONS } from './permissions';
+
+// Where an authenticated admin lands when no specific page was requested
+export const DEFAULT_ROUTE = '/dashboard';
+
+// The dashboard only shows the figures an admin can see, so any of these will do
+export const DASHBOARD_PERMISSIONS = [
+  PERMISSIONS.VACANCIES_VIEW,
+  PERMISSIONS.APPLICATIONS_VIEW,
+  PERMISSIONS.CLIENTS_VIEW
+];
+
+// Sidebar entries, in display order. `permission` decides who sees them.
+export const NAV_ITEMS = [
+  { path: '/dashboard', label: 'Dashboard', icon: '/images/list_icon.png', permission: DASHBOARD_PERMISSIONS },
+  { path: '/add-service', label: 'Add Service', icon: '/images/add_icon.png', permission: PERMISSIONS.SERVICES_MANAGE },
+  { path: '/list-services', label: 'List Services', icon: '/images/list_icon.png', permission: PERMISSIONS.SERVICES_MANAGE },
+  { path: '/add-industry', label: 'Add Industry', icon: '/images/add_icon.png', permission: PERMISSIONS.INDUSTRIES_MANAGE },
+  { path: '/list-industries', label: 'List Industries', icon: '/images/list_icon.png', permission: PERMISSIONS.INDUSTRIES_MANAGE },
+  { path: '/cvs', label: 'Applicants', icon: '/images/career_icon.png', permission: PERMISSIONS.APPLICATIONS_VIEW },
+  { path: '/duplicates', label: 'Duplicates', icon: '/images/list_icon.png', permission: PERMISSIONS.CANDIDATES_MERGE },
+  { path: '/pipeline', label: 'Pipeline', icon: '/images/career_icon.png', permission: PERMISSIONS.APPLICATIONS_VIEW },
+  { path: '/interviews', label: 'Interviews', icon: '/images/list_icon.png', permission: PERMISSIONS.APPLICATIONS_VIEW },
+  { path: '/manage-pipelines', label: 'Pipeline Stages', icon: '/images/list_icon.png', permission: PERMISSIONS.PIPELINES_MANAGE },
+  { path: '/email-templates', label: 'Email Templates', icon: '/images/list_icon.png', permission: PERMISSIONS.EMAIL_TEMPLATES_MANAGE },
+  { path: '/post-vacancy', label: 'Post Vacancy', icon: '/images/add_icon.png', permission: PERMISSIONS.VACANCIES_MANAGE },
+  { path: '/manage-vacancies', label: 'Manage Vacancies', icon: '/images/list_icon.png', permission: PERMISSIONS.VACANCIES_VIEW },
+  { path: '/job-templates', label: 'Job Templates', icon: '/images/list_icon.png', permission: PERMISSIONS.VACANCIES_MANAGE },
+  { path: '/manage-clients', label: 'Manage Clients', icon: '/images/list_icon.png', permission: PERMISSIONS.CLIENTS_VIEW },
+  { path: '/placements', label: 'Placements & Invoices', icon: '/images/list_icon.png', permission: PERMISSIONS.BILLING_MANAGE },
+  { path: '/manage-admins', label: 'Manage Admins', icon: '/images/list_icon.png', permission: PERMISSIONS.ADMINS_MANAGE },
+  { path: '/portal', label: 'Shared Candidates', icon: '/images/career_icon.png', permission: PERMISSIONS.PORTAL_VIEW }
+];
+
+/**
+ * Landing page for the current admin: DEFAULT_ROUTE when they may open it,
+ * otherwise the first sidebar entry they can see.
+ * @param {(permission: string) => boolean} hasPermission
+ */
+export const getLandingRoute = (hasPermission) => {
+  const allowed = NAV_ITEMS.filter(item => hasPermission(item.permission));
+  if (allowed.length === 0) return null;
+  return allowed.find(item => item.path === DEFAULT_ROUTE)?.path || allowed[0].path;
+};
+
+/**
+ * Turn a router location into a path that can be handed back to navigate(),
+ * keeping the query string (e.g. `/cvs?jobId=XYZ`) and hash.
+ * @param {{ pathname: string, search?: string, hash?: string }} location
+ */
+export const toPath = (location) =>
+  `${location.pathname}${location.search || ''}${location.hash || ''}`;
+
+/**
+ * Page to open after login: the one the admin was redirected away from, or
+ * `/`, which the router resolves to the admin's landing route. Never sends
+ * the admin back to /login itself.
+ * @param {{ pathname: string, search?: string, hash?: string } | undefined} from
+ */
+export const getReturnPath = (from) => {
+  if (!from || !from.pathname || from.pathname === '/login') {
+    return '/';
+  }
+  return toPath(from);
+};
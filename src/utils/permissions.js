@@ -0,0 +1,110 @@
+/**
+ * Role-based access control for the admin panel.
+ *
+ * Roles come from the JWT (`role` string or `roles` array claim). The backend
+ * remains the source of truth; these checks only decide what the UI offers.
+ */
+
+export const ROLES = {
+  SUPER_ADMIN: 'super-admin',
+  RECRUITER: 'recruiter',
+  CONTENT_EDITOR: 'content-editor',
+  CLIENT_VIEWER: 'client-viewer',
+  CLIENT: 'client'
+};
+
+export const ROLE_LABELS = {
+  [ROLES.SUPER_ADMIN]: 'Super Admin',
+  [ROLES.RECRUITER]: 'Recruiter',
+  [ROLES.CONTENT_EDITOR]: 'Content Editor',
+  [ROLES.CLIENT_VIEWER]: 'Client Viewer',
+  [ROLES.CLIENT]: 'Client (portal)'
+};
+
+// Roles for our own staff. Client users are invited from Manage Clients and
+// their token carries the `clientId` the portal is scoped to.
+export const STAFF_ROLES = Object.values(ROLES).filter(role => role !== ROLES.CLIENT);
+
+export const PERMISSIONS = {
+  SERVICES_MANAGE: 'services:manage',
+  INDUSTRIES_MANAGE: 'industries:manage',
+  VACANCIES_VIEW: 'vacancies:view',
+  VACANCIES_MANAGE: 'vacancies:manage',
+  VACANCIES_DELETE: 'vacancies:delete',
+  CLIENTS_VIEW: 'clients:view',
+  CLIENTS_MANAGE: 'clients:manage',
+  APPLICATIONS_VIEW: 'applications:view',
+  APPLICATIONS_UPDATE: 'applications:update',
+  APPLICATIONS_DELETE: 'applications:delete',
+  CANDIDATES_MERGE: 'candidates:merge',
+  PIPELINES_MANAGE: 'pipelines:manage',
+  EMAIL_TEMPLATES_MANAGE: 'email-templates:manage',
+  ADMINS_MANAGE: 'admins:manage',
+  BILLING_MANAGE: 'billing:manage',
+  PORTAL_VIEW: 'portal:view'
+};
+
+// The portal only makes sense for a client user, so staff never get it
+const ALL_PERMISSIONS = Object.values(PERMISSIONS).filter(permission => permission !== PERMISSIONS.PORTAL_VIEW);
+
+const ROLE_PERMISSIONS = {
+  [ROLES.SUPER_ADMIN]: ALL_PERMISSIONS,
+  [ROLES.RECRUITER]: [
+    PERMISSIONS.VACANCIES_VIEW,
+    PERMISSIONS.VACANCIES_MANAGE,
+    PERMISSIONS.CLIENTS_VIEW,
+    PERMISSIONS.APPLICATIONS_VIEW,
+    PERMISSIONS.APPLICATIONS_UPDATE,
+    PERMISSIONS.CANDIDATES_MERGE,
+    PERMISSIONS.PIPELINES_MANAGE,
+    PERMISSIONS.EMAIL_TEMPLATES_MANAGE
+  ],
+  [ROLES.CONTENT_EDITOR]: [
+    PERMISSIONS.SERVICES_MANAGE,
+    PERMISSIONS.INDUSTRIES_MANAGE,
+    PERMISSIONS.VACANCIES_VIEW
+  ],
+  [ROLES.CLIENT_VIEWER]: [
+    PERMISSIONS.VACANCIES_VIEW,
+    PERMISSIONS.CLIENTS_VIEW,
+    PERMISSIONS.APPLICATIONS_VIEW
+  ],
+  [ROLES.CLIENT]: [
+    PERMISSIONS.PORTAL_VIEW
+  ]
+};
+
+// Older backends issued "admin" for the single admin account
+const ROLE_ALIASES = {
+  admin: ROLES.SUPER_ADMIN
+};
+
+/**
+ * Roles carried by the token. Tokens issued before roles existed have no
+ * `role`/`roles` claim at all and belong to the original single admin, so
+ * they map to super-admin.
+ * @param {Object|null} claims
+ * @returns {string[]}
+ */
+export const getRoles = (claims) => {
+  if (!claims) return [];
+  if (claims.roles === undefined && claims.role === undefined) return [ROLES.SUPER_ADMIN];
+  // An explicit empty list means every role was removed: no permissions
+  const raw = Array.isArray(claims.roles)
+    ? claims.roles
+    : claims.role ? [claims.role] : [];
+  return raw.map(role => ROLE_ALIASES[role] || role);
+};
+
+/**
+ * @param {string[]} roles
+ * @param {string|string[]} permission - any-of when an array is given
+ * @returns {boolean}
+ */
+export const rolesHavePermission = (roles, permission) => {
+  const required = Array.isArray(permission) ? permission : [permission];
+  return roles.some(role => {
+    const granted = ROLE_PERMISSIONS[role] || [];
+    return required.some(p => granted.includes(p));
+  });
+};
@@ -0,0 +1,130 @@
+/**
+ * Hiring pipelines: the ordered stages an application moves through.
+ *
+ * A pipeline can be scoped to one vacancy, to every vacancy of a client, or
+ * be the default. The application's `status` stores the stage `key`.
+ *
+ * @typedef {Object} PipelineStage
+ * @property {string} key - value stored in the application's `status`
+ * @property {string} label
+ * @property {boolean} terminal - no further movement expected from this stage
+ * @property {'hired' | 'rejected' | null} [outcome] - what a terminal stage means for reporting
+ *
+ * @typedef {Object} Pipeline
+ * @property {string} [_id]
+ * @property {string} name
+ * @property {'default' | 'client' | 'vacancy'} scope
+ * @property {string} [client] - client _id when scope is "client"
+ * @property {string} [jobId] - vacancy jobId when scope is "vacancy"
+ * @property {PipelineStage[]} stages - in display order
+ */
+
+/** @type {Pipeline} The four statuses the backend has always accepted. */
+export const DEFAULT_PIPELINE = {
+  name: 'Default',
+  scope: 'default',
+  stages: [
+    { key: 'pending', label: 'Pending', terminal: false, outcome: null },
+    { key: 'shortlisted', label: 'Shortlisted', terminal: false, outcome: null },
+    { key: 'rejected', label: 'Rejected', terminal: true, outcome: 'rejected' },
+    { key: 'hired', label: 'Hired', terminal: true, outcome: 'hired' }
+  ]
+};
+
+/** Starting point offered when a new pipeline is created. */
+export const STAGE_TEMPLATE = [
+  { key: 'screening', label: 'Screening', terminal: false, outcome: null },
+  { key: 'technical-interview', label: 'Technical Interview', terminal: false, outcome: null },
+  { key: 'client-interview', label: 'Client Interview', terminal: false, outcome: null },
+  { key: 'offer', label: 'Offer', terminal: false, outcome: null },
+  { key: 'joined', label: 'Joined', terminal: true, outcome: 'hired' },
+  { key: 'dropped', label: 'Dropped', terminal: true, outcome: 'rejected' }
+];
+
+/** "Technical Interview" -> "technical-interview" */
+export const toStageKey = (label) =>
+  String(label || '')
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+/**
+ * Pick the pipeline for a vacancy: its own, else its client's, else the
+ * configured default, else DEFAULT_PIPELINE.
+ * @param {Pipeline[]} pipelines
+ * @param {{ jobId?: string, client?: { _id: string } | string | null } | null | undefined} vacancy
+ * @returns {Pipeline}
+ */
+export const resolvePipeline = (pipelines, vacancy) => {
+  const clientId = typeof vacancy?.client === 'object' ? vacancy?.client?._id : vacancy?.client;
+  return (vacancy?.jobId && pipelines.find(p => p.scope === 'vacancy' && p.jobId === vacancy.jobId))
+    || (clientId && pipelines.find(p => p.scope === 'client' && p.client === clientId))
+    || pipelines.find(p => p.scope === 'default')
+    || DEFAULT_PIPELINE;
+};
+
+/**
+ * Every stage used by any pipeline, de-duplicated by key. The default
+ * pipeline's stages come first so the familiar order is kept.
+ * With `vacancies`, only the pipelines those vacancies use are included.
+ * @param {Pipeline[]} pipelines
+ * @param {import('../api/vacancyApi').Vacancy[]} [vacancies]
+ * @returns {PipelineStage[]}
+ */
+export const getAllStages = (pipelines, vacancies) => {
+  const defaultPipeline = resolvePipeline(pipelines, null);
+  const used = vacancies?.length
+    ? vacancies.map(vacancy => resolvePipeline(pipelines, vacancy))
+    : [defaultPipeline, ...(vacancies ? [] : pipelines)];
+  const seen = new Set();
+  const stages = [];
+  used.forEach(pipeline => {
+    pipeline.stages.forEach(stage => {
+      if (!seen.has(stage.key)) {
+        seen.add(stage.key);
+        stages.push(stage);
+      }
+    });
+  });
+  return stages;
+};
+
+/**
+ * Stage for a status, falling back to a plain non-terminal stage so
+ * applications whose status is no longer configured still render.
+ * @param {PipelineStage[]} stages
+ * @param {string} [status]
+ * @returns {PipelineStage}
+ */
+export const getStage = (stages, status) =>
+  stages.find(stage => stage.key === status)
+    || (status
+      ? { key: status, label: status, terminal: false, outcome: null }
+      : stages[0]);
+
+/** Status for an application that has none yet. */
+export const getInitialStatus = (stages) => stages[0]?.key;
+
+/** Class names for a status badge/select: `status-<key>` plus a tone. */
+export const getStageClassName = (stage) => {
+  const tone = stage.outcome || (stage.terminal ? 'closed' : 'open');
+  return `status-${stage.key} stage-${tone}`;
+};
+
+/**
+ * Bucket applications into `{ [stageKey]: Application[] }`, one key per stage.
+ * Applications without a status, or with one this pipeline does not have,
+ * land in the first stage.
+ * @param {import('../api/cvApi').Application[]} applications
+ * @param {PipelineStage[]} stages
+ */
+export const groupByStage = (applications, stages) => {
+  const columns = {};
+  stages.forEach(stage => { columns[stage.key] = []; });
+  const firstKey = getInitialStatus(stages);
+  applications.forEach(app => {
+    (columns[app.status] || columns[firstKey]).push(app);
+  });
+  return columns;
+};
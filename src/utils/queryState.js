@@ -0,0 +1,39 @@
+/**
+ * Helpers for keeping page state (filters, view, page number) in the query
+ * string so a URL reproduces exactly what the admin was looking at.
+ * Values are always strings, as they are in the URL.
+ */
+
+/**
+ * Read every key of `defaults` from a query string; missing keys take the default.
+ * @param {string} search - `location.search`
+ * @param {Object<string, string>} defaults
+ * @returns {Object<string, string>}
+ */
+export const parseQuery = (search, defaults) => {
+  const params = new URLSearchParams(search);
+  const result = {};
+  Object.keys(defaults).forEach(key => {
+    const value = params.get(key);
+    result[key] = value !== null ? value : defaults[key];
+  });
+  return result;
+};
+
+/**
+ * Build a `?a=1&b=2` string from `state`, leaving out empty values and values
+ * equal to their default so URLs stay short. Returns '' when nothing is set.
+ * @param {Object<string, any>} state
+ * @param {Object<string, string>} defaults
+ */
+export const buildQuery = (state, defaults) => {
+  const params = new URLSearchParams();
+  Object.keys(defaults).forEach(key => {
+    const value = state[key];
+    if (value === undefined || value === null || value === '') return;
+    if (String(value) === String(defaults[key])) return;
+    params.set(key, value);
+  });
+  const query = params.toString();
+  return query ? `?${query}` : '';
+};
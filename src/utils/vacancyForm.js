@@ -0,0 +1,93 @@
+/**
+ * Form state shared by PostVacancy: an empty form, a form copied from an
+ * existing vacancy, and the fields a job template stores.
+ */
+
+export const EMPTY_VACANCY_FORM = {
+  jobTitle: "",
+  description: "",
+  qualification: "",
+  industry: "",
+  client: "",
+  showClientToCandidate: false,
+  isPromoted: false,
+  displayOrder: 0,
+  skills: [],
+  city: "",
+  state: "",
+  country: "India",
+  isRemote: false,
+  employmentType: "Full-time",
+  experienceLevel: "Fresher",
+  salaryMin: "",
+  salaryMax: "",
+  isNegotiable: false,
+  applicationDeadline: "",
+  numberOfOpenings: 1,
+  status: "active"
+};
+
+// What makes up the job itself; the client, location, deadline and
+// promotion differ per opening and are left out of templates
+export const TEMPLATE_FIELDS = [
+  'jobTitle',
+  'description',
+  'qualification',
+  'skills',
+  'employmentType',
+  'experienceLevel',
+  'salaryMin',
+  'salaryMax',
+  'isNegotiable'
+];
+
+/**
+ * Form for posting a new opening like `vacancy`. The deadline and promotion
+ * belong to the original posting and are not copied.
+ * @param {import('../api/vacancyApi').Vacancy} vacancy
+ */
+export const getDuplicateForm = (vacancy) => ({
+  ...EMPTY_VACANCY_FORM,
+  jobTitle: vacancy.jobTitle || "",
+  description: vacancy.description || "",
+  qualification: vacancy.qualification || "",
+  industry: vacancy.industry?._id || vacancy.industry || "",
+  client: vacancy.client?._id || vacancy.client || "",
+  showClientToCandidate: Boolean(vacancy.showClientToCandidate),
+  skills: Array.isArray(vacancy.skills) ? vacancy.skills : [],
+  city: vacancy.location?.city || "",
+  state: vacancy.location?.state || "",
+  country: vacancy.location?.country || EMPTY_VACANCY_FORM.country,
+  isRemote: Boolean(vacancy.location?.isRemote),
+  employmentType: vacancy.employmentType || EMPTY_VACANCY_FORM.employmentType,
+  experienceLevel: vacancy.experienceLevel || EMPTY_VACANCY_FORM.experienceLevel,
+  salaryMin: vacancy.salary?.min ?? "",
+  salaryMax: vacancy.salary?.max ?? "",
+  isNegotiable: Boolean(vacancy.salary?.isNegotiable),
+  numberOfOpenings: vacancy.numberOfOpenings || 1
+});
+
+/** @returns {Object} the template fields of a PostVacancy form */
+export const getTemplateFields = (data) =>
+  Object.fromEntries(TEMPLATE_FIELDS.map(field => [field, data[field]]));
+
+/**
+ * Apply a template over the current form, keeping what the template does
+ * not cover (client, location...). The template's industry is used when
+ * the form has none yet.
+ * @param {Object} data - current form
+ * @param {import('../api/jobTemplateApi').JobTemplate} template
+ */
+export const applyTemplate = (data, template) => ({
+  ...data,
+  ...getTemplateFields({ ...EMPTY_VACANCY_FORM, ...template.fields }),
+  industry: data.industry || template.industry?._id || ""
+});
+
+/** True once anything the template would overwrite has been filled in. */
+export const hasTemplateContent = (data) =>
+  TEMPLATE_FIELDS.some(field => {
+    const value = data[field];
+    const empty = EMPTY_VACANCY_FORM[field];
+    return Array.isArray(value) ? value.length > 0 : value !== empty;
+  });